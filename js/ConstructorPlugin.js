@@ -20,8 +20,30 @@ import { BottomPane } from './ui/BottomPane.js';
 import { JobOutputLog } from './ui/job-output/OutputLog.js';
 import { BottomPaneLogDisplay } from './ui/job-output/BottomPaneLogDisplay.js';
 import { SidebarLogDisplay } from './ui/job-output/SidebarLogDisplay.js';
-import { GMRuntimeVersion } from './compiler/GMVersion.js';
+import { runtime_select } from './compiler/runtime-selection.js';
 import { NodeJSDiskIO } from './utils/io/NodeJSDiskIO.js';
+import { NodeProcessSpawner } from './utils/process/NodeProcessSpawner.js';
+import { BuildHistory } from './compiler/history/BuildHistory.js';
+import { GMS2ErrorUtils } from './compiler/job/errors/GMS2ErrorUtils.js';
+import { BuildHistoryMenu } from './ui/BuildHistoryMenu.js';
+import { job_report_track } from './compiler/reports/job-report.js';
+import { JOB_LOG_SAVED_EXTENSION, job_log_file_track } from './compiler/reports/job-log-file.js';
+import { BuildQueue } from './compiler/batch/BuildQueue.js';
+import { BatchBuildMenu } from './ui/BatchBuildMenu.js';
+import { artifact_track } from './compiler/artifacts/artifact-collection.js';
+import { BuildCacheManager } from './compiler/cache/BuildCacheManager.js';
+import { BuildCacheMenu } from './ui/BuildCacheMenu.js';
+import { CrashRegistry } from './compiler/crashes/CrashRegistry.js';
+import { CrashTriageMenu } from './ui/CrashTriageMenu.js';
+import { EditorAnnotations } from './ui/editor-annotations/EditorAnnotations.js';
+import { editor_error_open } from './ui/editor-annotations/editor-annotation-locate.js';
+import { ProblemList } from './compiler/problems/ProblemList.js';
+import { DiagnosticFilter } from './compiler/problems/DiagnosticFilter.js';
+import { ProblemsMenu } from './ui/ProblemsMenu.js';
+import { ReplayJob } from './compiler/job/ReplayJob.js';
+import { WatchMode } from './compiler/watch/WatchMode.js';
+import { igor_options_resolve } from './compiler/igor-options.js';
+import { WatchModeIndicator } from './ui/WatchModeIndicator.js';
 
 /**
  * Name of the plugin 
@@ -104,8 +126,10 @@ export class ConstructorPlugin {
 			diskIO
 		);
 
-		const preferencesDataPath = diskIO.joinPath(Electron_App.getPath('userData'), 'GMEdit', 'config', `${PLUGIN_NAME}.json`);
-		const preferencesLoadResult = await preferences.load(preferencesDataPath);
+		const configPath = diskIO.joinPath(Electron_App.getPath('userData'), 'GMEdit', 'config');
+		const preferencesDataPath = diskIO.joinPath(configPath, `${PLUGIN_NAME}.json`);
+		const teamDefaultsPath = diskIO.joinPath(configPath, `${PLUGIN_NAME}-defaults.json`);
+		const preferencesLoadResult = await preferences.load(preferencesDataPath, teamDefaultsPath);
 
 		if (!preferencesLoadResult.ok) {
 			controlPanel.warn('Failed to load your preferences!', new BaseError(
@@ -114,9 +138,11 @@ export class ConstructorPlugin {
 			))
 		}
 
-		controlPanel.setPreferencesMenu(new PreferencesMenu(preferences));
+		controlPanel.setPreferencesMenu(new PreferencesMenu(preferences, controlPanel));
 
-		return Ok(new ConstructorPlugin(preferences, controlPanel, diskIO, pluginPath));
+		const processSpawner = new NodeProcessSpawner(nodeModules.child_process);
+
+		return Ok(new ConstructorPlugin(preferences, controlPanel, diskIO, processSpawner, pluginPath, configPath));
 	}
 
 	/**
@@ -127,21 +153,40 @@ export class ConstructorPlugin {
 	 * @param {Preferences} preferences 
 	 * @param {ControlPanel} controlPanel
 	 * @param {DiskIO} diskIO 
+	 * @param {ProcessSpawner} processSpawner
 	 * @param {string} pluginPath Directory that this plugin loaded from.
+	 * @param {string} configPath Directory that GMEdit stores configuration files in.
 	 */
-	constructor(preferences, controlPanel, diskIO, pluginPath) {
+	constructor(preferences, controlPanel, diskIO, processSpawner, pluginPath, configPath) {
 		this.preferences = preferences;
 		this.controlPanel = controlPanel;
 
 		/** @private */
 		this.diskIO = diskIO;
 
+		/** @private */
+		this.processSpawner = processSpawner;
+
+		/**
+		 * Directory that build history files for each project are stored in, alongside our
+		 * preferences file.
+		 * 
+		 * @private
+		 */
+		this.buildHistoryPath = diskIO.joinPath(configPath, `${PLUGIN_NAME}-history`);
+
 		this.hamburgerOptions = new HamburgerOptions({
 			showControlPanel: this.showControlPanel,
 			stopCurrentProject: this.stopCurrent,
 			runCurrentProject: this.runCurrent,
 			cleanCurrentProject: this.cleanCurrent,
-			packageCurrentProject: this.packageCurrent
+			packageCurrentProject: this.packageCurrent,
+			batchBuildCurrentProject: this.batchCurrent,
+			nextBuildError: this.nextBuildError,
+			previousBuildError: this.previousBuildError,
+			openSavedLog: this.openSavedLog,
+			toggleWatchMode: this.toggleWatchMode,
+			switchBuildProfile: this.switchBuildProfile
 		}, pluginPath);
 
 		const currentOpenProject = project_current_get();
@@ -188,11 +233,13 @@ export class ConstructorPlugin {
 
 		this.bottomPane = new BottomPane();
 		this.preferences.events.on('setOutputPosition', this.destroyAllDisplays);
+		this.preferences.events.on('projectLocalDataChanged', this.onProjectLocalDataChanged);
 		
 		GMEdit.on('projectOpen', this.onProjectOpen);
 		GMEdit.on('projectClose', this.onProjectClose);
 		GMEdit.on('preferencesBuilt', this.onPreferencesBuilt);
 		GMEdit.on('projectPropertiesBuilt', this.onProjectPropertiesBuilt);
+		GMEdit.on('fileSave', this.onFileSave);
 	}
 
 	/**
@@ -204,8 +251,10 @@ export class ConstructorPlugin {
 		GMEdit.off('projectClose', this.onProjectClose);
 		GMEdit.off('preferencesBuilt', this.onPreferencesBuilt);
 		GMEdit.off('projectPropertiesBuilt', this.onProjectPropertiesBuilt);
+		GMEdit.off('fileSave', this.onFileSave);
 
 		this.preferences.events.off('setOutputPosition', this.destroyAllDisplays);
+		this.preferences.events.off('projectLocalDataChanged', this.onProjectLocalDataChanged);
 		this.bottomPane.destroy();
 
 		if (this.currentProjectComponents !== undefined) {
@@ -238,7 +287,12 @@ export class ConstructorPlugin {
 			configTreeUi,
 			compileController,
 			projectPropertiesMenuComponents,
-			projectProperties
+			projectProperties,
+			profileMenuListeners,
+			editorAnnotations,
+			diagnosticFilter,
+			watchMode,
+			watchModeIndicator
 		} = this.currentProjectComponents;
 
 		if (projectPropertiesMenuComponents !== undefined) {
@@ -249,7 +303,14 @@ export class ConstructorPlugin {
 		this.destroyAllDisplays();
 		
 		configTreeUi.destroy();
+		profileMenuListeners.destroy();
 		projectProperties.destroy();
+		editorAnnotations.destroy();
+		diagnosticFilter.destroy();
+		watchMode.destroy();
+		watchModeIndicator.destroy();
+
+		this.currentProjectComponents.batchQueue?.cancel();
 
 		// FIXME: respect async here!
 		compileController.destroyAsync();
@@ -307,15 +368,80 @@ export class ConstructorPlugin {
 			this.controlPanel
 		));
 
-		const compileController = new CompileControllerImpl(project, this.diskIO);
+		const compileController = new CompileControllerImpl(project, this.diskIO, this.processSpawner);
+		const buildHistory = new BuildHistory(this.buildHistoryPath, project.path, this.diskIO, this.controlPanel);
+
+		buildHistory.load().then(res => {
+			if (!res.ok) {
+				this.controlPanel.warn('Failed to load the build history for this project.', res.err);
+			}
+		});
+
+		this.controlPanel.setBuildHistoryMenu(new BuildHistoryMenu(buildHistory));
+
+		const batchBuildMenu = new BatchBuildMenu(projectProperties, this.batchCurrent);
+		this.controlPanel.setBatchBuildMenu(batchBuildMenu);
 
-		this.currentProjectComponents = {
+		const buildCache = new BuildCacheManager(
+			() => this.preferences.getProjectBuildPath(project),
+			this.diskIO,
+			() => compileController.getBuildPathsInUse()
+		);
+
+		this.controlPanel.setBuildCacheMenu(new BuildCacheMenu(
+			buildCache,
+			projectProperties,
+			this.preferences,
+			this.controlPanel
+		));
+
+		const crashRegistry = new CrashRegistry();
+		this.controlPanel.setCrashTriageMenu(new CrashTriageMenu(crashRegistry));
+
+		const diagnosticFilter = new DiagnosticFilter(this.preferences, projectProperties);
+		const editorAnnotations = new EditorAnnotations(diagnosticFilter);
+
+		const problemList = new ProblemList((data) => diagnosticFilter.isShown(data));
+		this.controlPanel.setProblemsMenu(new ProblemsMenu(problemList, diagnosticFilter));
+
+		const profileMenuListeners = projectProperties.events.createGroup({
+			setProfiles: this.updateProfileMenu,
+			setBuildConfig: this.updateProfileMenu,
+			setRuntimeChannel: this.updateProfileMenu,
+			setRuntimeVersion: this.updateProfileMenu,
+			setRuntimeType: this.updateProfileMenu,
+			setPlatform: this.updateProfileMenu,
+			setDevice: this.updateProfileMenu
+		});
+
+		// Watch mode reruns the game in place, reusing the previous run's output display.
+		const watchMode = new WatchMode((previous) => this.executeTask('Run', components, { replacesJob: previous }), this.controlPanel);
+		watchMode.events.on('status', this.onWatchModeStatus);
+
+		const watchModeIndicator = new WatchModeIndicator(watchMode);
+
+		/** @type {ProjectComponents} */
+		const components = {
 			project,
 			projectProperties,
 			configTreeUi,
-			compileController
+			compileController,
+			buildHistory,
+			buildCache,
+			crashRegistry,
+			diagnosticFilter,
+			editorAnnotations,
+			problemList,
+			batchBuildMenu,
+			watchMode,
+			watchModeIndicator,
+			profileMenuListeners
 		};
 
+		this.currentProjectComponents = components;
+
+		this.updateBuildCache(buildCache);
+		this.updateProfileMenu();
 		this.hamburgerOptions.enableProjectActionItems(true);
 
 	};
@@ -343,11 +469,41 @@ export class ConstructorPlugin {
 		}
 
 		this.controlPanel.clearProjectPropertiesMenu();
+		this.controlPanel.clearBuildHistoryMenu();
+		this.controlPanel.clearBatchBuildMenu();
+		this.controlPanel.clearBuildCacheMenu();
+		this.controlPanel.clearCrashTriageMenu();
+		this.controlPanel.clearProblemsMenu();
 		this.hamburgerOptions.enableProjectActionItems(false);
 		this.destroyCurrentProjectComponents();
+		this.updateProfileMenu();
 		
 	};
 
+	/**
+	 * Set the open project up again when its settings on this computer are replaced, such as by
+	 * importing preferences, so that it doesn't carry on with - and save over - the old settings.
+	 * 
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['projectLocalDataChanged']} event
+	 */
+	onProjectLocalDataChanged = ({ projectPaths }) => {
+
+		const project = this.currentProjectComponents?.project;
+
+		if (project === undefined || !projectPaths.includes(project.path)) {
+			return;
+		}
+
+		this.onProjectClose({ project });
+		this.onProjectOpen({ project });
+
+		if (project.propertiesElement != undefined) {
+			this.onProjectPropertiesBuilt({ project, target: project.propertiesElement });
+		}
+
+	};
+
 	/**
 	 * Add our preferences menu to the UI when called to.
 	 * 
@@ -361,7 +517,7 @@ export class ConstructorPlugin {
 
 		if (group instanceof HTMLDivElement) {
 
-			this.preferencesMenu ??= new PreferencesMenu(this.preferences);
+			this.preferencesMenu ??= new PreferencesMenu(this.preferences, this.controlPanel);
 			
 			group.appendChild(this.preferencesMenu.element);
 			group.classList.add('gm-constructor-control-panel');
@@ -416,130 +572,40 @@ export class ConstructorPlugin {
 	 * 
 	 * @param {GM.Task} task
 	 * @param {ProjectComponents} components
+	 * @param {TaskOverrides} [overrides] Settings to use instead of the project's current ones.
+	 * @returns {Promise<GM.Job|undefined>} The started job, or `undefined` if it failed to start.
 	 */
-	async executeTask(task, components) {
+	async executeTask(task, components, overrides = {}) {
 		const { project, projectProperties, compileController } = components;
+		const platform = overrides.platform ?? projectProperties.platform ?? igorPaths.HOST_PLATFORM;
 
-		/** @type {GMS2.RuntimeInfo} */
-		let runtime;
-
-		/** @type {GM.ReleaseChannel} */
-		let channel;
-
-		const chosenVersion = projectProperties.getRuntimeVersion();
-
-		if (chosenVersion !== undefined) {
-			channel = /** @type {GM.ReleaseChannel} */ (projectProperties.runtimeReleaseChannel);
-			const result = this.preferences.getRuntimeInfo(channel, chosenVersion);
-	
-			if (!result.ok) {
-				this.controlPanel.error('Project\'s selected Runtime is not installed.', new SolvableError(
-					docString(`
-						This project specifies the runtime version '${chosenVersion}', but this
-						version doesn't appear to be installed!
-					`),
-					docString(`
-						Install the specified runtime in the IDE and reload GMEdit if this is the
-						intended runtime version, otherwise you may change the value to an installed
-						runtime.
-					`),
-					result.err
-				));
-
-				return;
-			}
-
-			runtime = result.data;
-		} else {
-			const result = GMRuntimeVersion.findCompatibleRuntime(
-				this.preferences,
-				projectProperties.projectVersion,
-				projectProperties.runtimeReleaseChannel
-			);
-
-			if (!result.ok) {
-				switch (result.err.type) {
-
-					case 'none-compatible':
-
-						/** @type {SolvableError} */
-						let error;
-
-						if (result.err.channel !== undefined) {
-							error = new SolvableError(
-								docString(`
-									None of your installed runtimes in the ${result.err.channel}
-									channel are compatible with its version
-									(${projectProperties.projectVersion}), to Constructor's
-									knowledge.
-								`),
-								docString(`
-									a) Install a runtime that's compatible with the project via the
-									IDE and reload Constructor.
-
-									b) Choose a different channel, or clear the channel preference
-									for this project.
-
-									c) Manually pick a runtime you know to be compatible. Feel free
-									to make a bug report about this too! :D
-								`)
-							);
-						} else {
-							error = new SolvableError(
-								docString(`
-									None of your installed runtimes are compatible with its version
-									(${projectProperties.projectVersion}), to Constructor's
-									knowledge.
-								`),
-								docString(`
-									a) Install a runtime that's compatible with the project via the
-									IDE and reload Constructor.
-
-									b) Manually pick a runtime you know to be compatible. Feel free
-									to make a bug report about this too! :D
-								`)
-							);
-						}
-
-						this.controlPanel.error('No compatible runtimes found!', error);
+		const selection = runtime_select(
+			this.preferences,
+			projectProperties.projectVersion,
+			projectProperties.runtimeReleaseChannel,
+			projectProperties.getRuntimeVersion()
+		);
 
-					return;
+		if (!selection.ok) {
+			this.controlPanel.error(selection.err.title, selection.err.error);
+			return undefined;
+		}
 
-					case 'channel-empty':
-						this.controlPanel.error('No runtimes installed in this channel.', new SolvableError(
-							docString(`
-								There don't seem to be any ${result.err.channel} runtimes installed
-								at your chosen installation path, or that path is otherwise
-								incorrect.
-							`),
-							docString(`
-								Try specifying a different runtime channel type below, or check the
-								runtime search path for ${result.err.channel} runtimes.
-							`)
-						));
-					return;
+		const { runtime, channel, user } = selection.data;
+		const runtimeType = overrides.runtimeType ?? projectProperties.runtimeBuildType;
 
-				}
-			}
+		const igorOptions = igor_options_resolve(projectProperties.getIgorOptions());
 
-			runtime = result.data.runtime;
-			channel = result.data.channel;
+		if (!igorOptions.ok) {
+			this.controlPanel.error('Invalid Igor options', igorOptions.err);
+			return undefined;
 		}
 
-		const user = this.preferences.getDefaultUser(channel);
+		const launchOptions = projectProperties.getLaunchOptions();
 
-		if (user === undefined) {
-			this.controlPanel.error('No user found to compile with.', new SolvableError(
-				docString(`
-					Constructor couldn't find any users at the data path specified for the
-					${channel} installation.
-				`),
-				docString(`
-					Try specifying a different runtime channel type below, or check that the
-					installation data path for ${channel} is correct.
-				`)
-			));
-			return;
+		if (!launchOptions.ok) {
+			this.controlPanel.error('Invalid game launch settings', launchOptions.err);
+			return undefined;
 		}
 
 		/** @type {UI.OutputLogDisplay|undefined} */
@@ -548,36 +614,77 @@ export class ConstructorPlugin {
 		/** @type {number|undefined} */
 		let jobIdToReuse = undefined;
 
-		if (projectProperties.reuseOutputTabOrDef) {
-			const idleOutput = JobOutputLog.findIdle();
-			
-			if (idleOutput !== undefined) {
-				jobIdToReuse = idleOutput.job.id;
-				display = idleOutput.display;
-			}
+		/** @type {JobOutputLog|undefined} */
+		let idleOutput = undefined;
+
+		if (overrides.replacesJob !== undefined) {
+			idleOutput = JobOutputLog.findIdleFor(overrides.replacesJob);
+		} else if (overrides.reuseOutputTab ?? projectProperties.reuseOutputTabOrDef) {
+			idleOutput = JobOutputLog.findIdle();
+		}
+
+		if (idleOutput !== undefined) {
+			jobIdToReuse = idleOutput.job.id;
+			display = idleOutput.display;
 		}
 
 		if (this.preferences.saveOnRun) {
-			open_files_save();
+			components.watchMode.saveForRun(open_files_save);
 		}
 
+		// The project's assets may have changed since the last job looked their names up.
+		GMS2ErrorUtils.clearNameCache();
+
 		const job = await compileController.start({
 			task: task,
 			user,
 			runtime,
 			prefabsPath: this.preferences.getPrefabsPath(channel),
-			buildPath: this.getBuildDir(project),
-			platform: projectProperties.platform ?? igorPaths.HOST_PLATFORM,
-			device: projectProperties.device,
-			runtimeType: projectProperties.runtimeBuildType,
-			configName: projectProperties.buildConfigName
+			buildPath: this.preferences.getProjectBuildPath(project),
+			platform,
+			device: this.getDeviceFor(platform, components),
+			runtimeType,
+			configName: overrides.configName ?? projectProperties.buildConfigName,
+			...igorOptions.data,
+			runnerArgs: launchOptions.data.args,
+			runnerEnv: launchOptions.data.env
 		}, jobIdToReuse);
 
 		if (!job.ok) {
 			this.controlPanel.error('Failed to run Igor job!', job.err);
-			return;
+			return undefined;
+		}
+
+		const record = components.buildHistory.track(job.data);
+		job_report_track(job.data, project.displayName, this.diskIO, this.controlPanel);
+
+		const logFile = this.preferences.spillLogToFile
+			? job_log_file_track(job.data, this.diskIO, this.controlPanel)
+			: undefined;
+
+		components.crashRegistry.track(job.data);
+
+		if (task === 'Run') {
+			components.watchMode.track(job.data);
 		}
 
+		components.editorAnnotations.clear();
+		components.editorAnnotations.track(job.data);
+		components.problemList.track(job.data);
+
+		const artifactCollected = (task === 'Package' && this.preferences.collectArtifacts)
+			? this.collectArtifact(job.data, components, record)
+			: Promise.resolve();
+
+		// Once stopped, the job is no longer among those in use, so its build directory is held
+		// until its packaged build is collected and the caches are updated.
+		const { buildCache } = components;
+		const stopped = new Promise(resolve => job.data.events.once('stop', resolve));
+		const cacheUpdated = Promise.all([stopped, artifactCollected])
+			.then(() => this.updateBuildCache(buildCache, job.data));
+
+		buildCache.holdUntil(job.data.buildPath, cacheUpdated);
+
 		if (display === undefined) {
 			switch (this.preferences.outputPosition) {
 				case 'fullTab':
@@ -595,27 +702,152 @@ export class ConstructorPlugin {
 			}
 		}
 
-		JobOutputLog.create(job.data, display);
+		JobOutputLog.create(job.data, display, {
+			name: `${job.data.platform} ${job.data.task}`,
+			filter: components.diagnosticFilter,
+			scrollbackLines: this.preferences.logScrollbackLines,
+			structuredGameLog: this.preferences.structuredGameLog,
+			logFile,
+			diskIO: this.diskIO,
+			problemLogger: this.controlPanel
+		});
 
 		if (this.preferences.shouldFocusOutput) {
 			display.bringToForeground();
 		}
+
+		return job.data;
 	}
 
 	/**
-	 * Get the build directory to use for the given project.
+	 * Collect the packaged build of the given job once it finishes, and note it in the job's
+	 * history record.
 	 * 
 	 * @private
-	 * @param {GMEdit.Project} project 
-	 * @returns {string}
+	 * @param {GM.Job} job
+	 * @param {ProjectComponents} components
+	 * @param {Promise<TBuildHistory.Record>} record The job's history record, once it is added.
 	 */
-	getBuildDir(project) {
-		
-		if (this.preferences.useGlobalBuildPath) {
-			return this.diskIO.joinPath(this.preferences.globalBuildPath, project.displayName);
+	async collectArtifact(job, components, record) {
+
+		const { project, buildHistory } = components;
+
+		const artifact = await artifact_track(job, {
+			projectName: project.displayName,
+			projectDir: project.dir,
+			releaseDir: this.preferences.getProjectArtifactsPath(project),
+			nameTemplate: this.preferences.artifactNameTemplate
+		}, this.diskIO, this.controlPanel);
+
+		if (artifact === undefined) {
+			return;
+		}
+
+		buildHistory.setArtifact(await record, artifact);
+
+	}
+
+	/**
+	 * Re-scan the project's build caches, and prune them to the limits set in the preferences.
+	 * 
+	 * @private
+	 * @param {BuildCacheManager} buildCache
+	 * @param {GM.Job} [job] Job which has stopped, whose build directory is the only one that
+	 * needs measuring again. The whole build directory is scanned if not given.
+	 */
+	async updateBuildCache(buildCache, job) {
+
+		const scanResult = (job !== undefined)
+			? await buildCache.rescanJob(job)
+			: await buildCache.scan();
+
+		if (!scanResult.ok) {
+			this.controlPanel.warn('Failed to scan the project\'s build caches', scanResult.err);
+			return;
+		}
+
+		const pruneOptions = this.preferences.getCachePruneOptions();
+
+		if (pruneOptions.maxAgeMs === undefined && pruneOptions.maxTotalSize === undefined) {
+			return;
+		}
+
+		const pruneResult = await buildCache.prune(pruneOptions);
+
+		if (!pruneResult.ok) {
+			this.controlPanel.warn('Failed to prune the project\'s build caches', pruneResult.err);
+		}
+
+	}
+
+	/**
+	 * Find the device to build to on the given platform. The project's chosen device is used if
+	 * the platform is the project's chosen one, otherwise we fall back to the first device, as we
+	 * can't build for another platform without one.
+	 * 
+	 * @private
+	 * @param {GM.SupportedPlatform} platform
+	 * @param {ProjectComponents} components
+	 * @returns {GMS2.RemoteDevice|undefined}
+	 */
+	getDeviceFor(platform, { projectProperties }) {
+
+		if (platform === (projectProperties.platform ?? igorPaths.HOST_PLATFORM)) {
+			return projectProperties.device;
+		}
+
+		if (platform === igorPaths.HOST_PLATFORM) {
+			return undefined;
 		}
 
-		return this.diskIO.joinPath(project.dir, 'build');
+		return this.preferences.getRemoteDevices(platform)[0];
+
+	}
+
+	/**
+	 * Build each of the project's batch targets through a queue, showing the progress of the batch
+	 * in the control panel.
+	 * 
+	 * @param {ProjectComponents} components
+	 */
+	async executeBatch(components) {
+
+		if (components.batchQueue !== undefined) {
+			this.controlPanel.open();
+			return;
+		}
+
+		const { targets, parallelism, stopOnFailure } = components.projectProperties.getBatchOptions();
+
+		if (targets.length === 0) {
+			this.controlPanel.warn('No batch build targets', new SolvableError(
+				'A batch build was requested, but no targets have been set up for this project.',
+				'Add the targets to build under "Batch Build" in the control panel.'
+			));
+			return;
+		}
+
+		if (this.preferences.saveOnRun) {
+			open_files_save();
+		}
+
+		const queue = new BuildQueue(targets, (target) => this.executeTask(target.task, components, {
+			platform: target.platform,
+			configName: target.configName,
+			runtimeType: target.runtimeType,
+			// Jobs in the same batch would otherwise race to reuse the same idle output tab.
+			reuseOutputTab: false
+		}), { parallelism, stopOnFailure });
+
+		components.batchQueue = queue;
+		components.batchBuildMenu.setQueue(queue);
+		this.controlPanel.open();
+
+		await queue.run();
+
+		if (components.batchQueue === queue) {
+			delete components.batchQueue;
+		}
 
 	}
 
@@ -633,6 +865,144 @@ export class ConstructorPlugin {
 		}
 	}
 
+	batchCurrent = () => {
+		if (this.currentProjectComponents !== undefined) {
+			this.executeBatch(this.currentProjectComponents);
+		}
+	}
+
+	nextBuildError = () => {
+		const problem = this.currentProjectComponents?.problemList.next();
+
+		if (problem !== undefined) {
+			editor_error_open(problem.data);
+		}
+	}
+
+	previousBuildError = () => {
+		const problem = this.currentProjectComponents?.problemList.previous();
+
+		if (problem !== undefined) {
+			editor_error_open(problem.data);
+		}
+	}
+
+	/**
+	 * Turn rebuilding the current project whenever its files are saved on or off.
+	 */
+	toggleWatchMode = () => {
+		const watchMode = this.currentProjectComponents?.watchMode;
+
+		if (watchMode === undefined) {
+			this.hamburgerOptions.setWatchModeEnabled(false);
+			return;
+		}
+
+		watchMode.setEnabled(!watchMode.enabled);
+	}
+
+	/**
+	 * @private
+	 * @param {TWatchMode.EventMap['status']} event
+	 */
+	onWatchModeStatus = ({ status }) => {
+		this.hamburgerOptions.setWatchModeEnabled(status !== 'off');
+	}
+
+	/**
+	 * Let watch mode know when code or resources of the current project are saved.
+	 * 
+	 * @private
+	 * @param {GMEdit.PluginEventMap['fileSave']} event
+	 */
+	onFileSave = ({ file }) => {
+		const components = this.currentProjectComponents;
+
+		if (components === undefined || file.path == undefined) {
+			return;
+		}
+
+		if (/\.(?:gml|yy)$/i.test(file.path) && file.path.startsWith(components.project.dir)) {
+			components.watchMode.fileChanged();
+		}
+	}
+
+	/**
+	 * Open a log saved from an earlier job in a new tab, with its errors found again.
+	 */
+	openSavedLog = async () => {
+		const components = this.currentProjectComponents;
+		const project = project_current_get();
+
+		if (components === undefined || project === undefined) {
+			return;
+		}
+
+		const filePaths = Electron_Dialog.showOpenDialogSync({
+			title: 'Open Saved Log',
+			defaultPath: this.preferences.getProjectBuildPath(project),
+			filters: [{ name: 'Logs', extensions: [JOB_LOG_SAVED_EXTENSION, 'txt'] }],
+			properties: ['openFile']
+		});
+
+		if (filePaths === undefined || filePaths.length === 0) {
+			return;
+		}
+
+		const [filePath] = filePaths;
+		const replay = await ReplayJob.open(filePath, this.diskIO);
+
+		if (!replay.ok) {
+			this.controlPanel.error('Failed to open the saved log', replay.err);
+			return;
+		}
+
+		const display = OutputLogTab.create();
+
+		JobOutputLog.create(replay.data, display, {
+			name: `Replay: ${nodeModulesProvider.path.basename(filePath)}`,
+			filter: components.diagnosticFilter,
+			scrollbackLines: this.preferences.logScrollbackLines,
+			structuredGameLog: this.preferences.structuredGameLog,
+			diskIO: this.diskIO,
+			problemLogger: this.controlPanel
+		});
+
+		display.bringToForeground();
+	}
+
+	/**
+	 * @param {string} name
+	 */
+	switchBuildProfile = (name) => {
+		const result = this.currentProjectComponents?.projectProperties.applyProfile(name);
+
+		if (result !== undefined && !result.ok) {
+			this.controlPanel.error('Failed to switch build profile', result.err);
+		}
+	}
+
+	/**
+	 * Show the current project's build profiles in the hamburger menu.
+	 * 
+	 * @private
+	 */
+	updateProfileMenu = () => {
+		const projectProperties = this.currentProjectComponents?.projectProperties;
+
+		if (projectProperties === undefined) {
+			this.hamburgerOptions.setBuildProfiles([]);
+			return;
+		}
+
+		const activeName = projectProperties.getActiveProfile()?.profile.name;
+
+		this.hamburgerOptions.setBuildProfiles(projectProperties.getProfiles().map(({ profile }) => ({
+			name: profile.name,
+			active: profile.name === activeName
+		})));
+	}
+
 	/**
 	 * Stop the currently viewed job, or the first running job if none are currently in view.
 	 */
@@ -668,24 +1038,28 @@ export class ConstructorPlugin {
 			return;
 		}
 
-		const buildDir = this.getBuildDir(components.project);
+		const buildDir = this.preferences.getProjectBuildPath(components.project);
 
 		// Stop existing running jobs, as they wouldn't be too happy about their directories being cleared!
 		await components.compileController.stopAll();
 
-		if (Electron_FS.existsSync(buildDir)) {
-			try {
-				Electron_FS.rmSync(buildDir, { recursive: true });
-			} catch (err) {
+		if (this.diskIO.existsSync(buildDir)) {
+
+			const removeResult = await this.diskIO.remove(buildDir);
+
+			if (!removeResult.ok) {
 				this.controlPanel.error('Failed to clean project!', new SolvableError(
 					`An unexpected error occurred while removing the build directory '${buildDir}'.`,
 					'Do you have this directory open somewhere?',
-					err
+					removeResult.err
 				));
 				return;
 			}
+
 		}
 
+		this.updateBuildCache(components.buildCache);
+
 		Electron_Dialog.showMessageBox({
 			message: `The build directory '${buildDir}' has been cleared.`,
 			buttons: ['Ok']
@@ -0,0 +1,69 @@
+import { SolvableError } from '../utils/Err.js';
+
+/**
+ * Problem logger for the command-line runner, which writes problems to stderr.
+ *
+ * @implements {ProblemLogger}
+ */
+export class ConsoleProblemLogger {
+
+	/**
+	 * @param {boolean} showDebug Whether to write debug messages, which are otherwise dropped.
+	 */
+	constructor(showDebug) {
+		/** @private */
+		this.showDebug = showDebug;
+	}
+
+	/**
+	 * @type {ProblemLogger['error']}
+	 */
+	error(title, err) {
+		this.log('error', title, err);
+		return this;
+	}
+
+	/**
+	 * @type {ProblemLogger['warn']}
+	 */
+	warn(title, err) {
+		this.log('warning', title, err);
+		return this;
+	}
+
+	/**
+	 * @type {ProblemLogger['debug']}
+	 */
+	debug(title, err) {
+
+		if (this.showDebug) {
+			this.log('debug', title, err);
+		}
+
+		return this;
+
+	}
+
+	/**
+	 * @private
+	 * @param {string} severity
+	 * @param {string} title
+	 * @param {import('../utils/Err.js').BaseError} err
+	 */
+	log(severity, title, err) {
+
+		let text = `[${severity}] ${title}\n${err.message}`;
+
+		if (err instanceof SolvableError) {
+			text += `\n\nSolution: ${err.solution}`;
+		}
+
+		if (err.cause !== undefined && err.cause !== null) {
+			text += `\n\nCaused by ${err.cause}`;
+		}
+
+		console.error(text + '\n');
+
+	}
+
+}
@@ -0,0 +1,196 @@
+import { parseArgs } from 'node:util';
+import { SUPPORTED_PLATFORMS } from '../compiler/igor-paths.js';
+import { GM_RELEASE_CHANNELS, GMS2_RUNTIME_TYPES } from '../preferences/Preferences.js';
+import { BaseError } from '../utils/Err.js';
+import { Err, Ok } from '../utils/Result.js';
+import { trimIndent } from '../utils/StringUtils.js';
+
+/**
+ * @type {ReadonlyArray<GM.Task>}
+ */
+const TASKS = ['Run', 'Package'];
+
+const CLI_OPTIONS = /** @type {const} */ ({
+	'project':		{ type: 'string' },
+	'profile':		{ type: 'string' },
+	'task':			{ type: 'string' },
+	'platform':		{ type: 'string' },
+	'config':		{ type: 'string' },
+	'runtime-type':	{ type: 'string' },
+	'channel':		{ type: 'string' },
+	'runtime':		{ type: 'string' },
+	'device':		{ type: 'string' },
+	'build-path':	{ type: 'string' },
+	'threads':		{ type: 'string' },
+	'preferences':	{ type: 'string' },
+	'defaults':		{ type: 'string' },
+	'verbose':		{ type: 'boolean' },
+	'help':			{ type: 'boolean', short: 'h' }
+});
+
+/**
+ * Help text for the command-line runner.
+ */
+export const CLI_USAGE = trimIndent(`
+	Usage: constructor build --project <path.yyp> [options]
+
+	Builds a project the same way GMEdit-Constructor would in the editor, using the same runtime,
+	user and project settings. Options not given fall back to the project's settings.
+
+	Options:
+	  --project <path>         Path to the project's YYP file. (required)
+	  --profile <name>         Build profile to take settings from, instead of the project's.
+	  --task <task>            ${TASKS.join(' | ')} (default: Run)
+	  --platform <platform>    ${SUPPORTED_PLATFORMS.join(' | ')}
+	  --config <name>          Build configuration to use.
+	  --runtime-type <type>    ${GMS2_RUNTIME_TYPES.join(' | ')}
+	  --channel <channel>      ${GM_RELEASE_CHANNELS.join(' | ')}
+	  --runtime <version>      Exact runtime version to use. Requires --channel.
+	  --device <name>          Remote device to build to.
+	  --build-path <path>      Directory to build in.
+	  --threads <count>        Number of threads for Igor to compile with.
+	  --preferences <path>     Constructor preferences file to use instead of GMEdit's.
+	  --defaults <path>        Team defaults file, filling in preferences not set in the
+	                           preferences file. (default: beside the preferences file)
+	  --verbose                Also show debug messages.
+	  -h, --help               Show this message.
+`).trim();
+
+/**
+ * Parse the command-line arguments given to the runner.
+ *
+ * @param {string[]} argv Arguments following the script name.
+ * @returns {Result<TCli.Command>}
+ */
+export function cli_args_parse(argv) {
+
+	let parsed;
+
+	try {
+		parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+	} catch (err) {
+		return Err(new BaseError('Invalid arguments', err));
+	}
+
+	const { values, positionals } = parsed;
+
+	if (values.help || positionals.length === 0 || positionals[0] === 'help') {
+		return Ok({ command: 'help' });
+	}
+
+	if (positionals[0] !== 'build' || positionals.length > 1) {
+		return Err(new BaseError(`Unknown command '${positionals.join(' ')}'`));
+	}
+
+	if (values.project === undefined) {
+		return Err(new BaseError('A project must be given with --project'));
+	}
+
+	const task = cli_arg_choice('task', values.task ?? 'Run', TASKS);
+
+	if (!task.ok) {
+		return task;
+	}
+
+	/** @type {GM.SupportedPlatform|undefined} */
+	let platform = undefined;
+
+	if (values.platform !== undefined) {
+
+		const result = cli_arg_choice('platform', values.platform, SUPPORTED_PLATFORMS);
+
+		if (!result.ok) {
+			return result;
+		}
+
+		platform = result.data;
+
+	}
+
+	/** @type {GMS2.RuntimeType|undefined} */
+	let runtimeType = undefined;
+
+	if (values['runtime-type'] !== undefined) {
+
+		const result = cli_arg_choice('runtime-type', values['runtime-type'], GMS2_RUNTIME_TYPES);
+
+		if (!result.ok) {
+			return result;
+		}
+
+		runtimeType = result.data;
+
+	}
+
+	/** @type {GM.ReleaseChannel|undefined} */
+	let channel = undefined;
+
+	if (values.channel !== undefined) {
+
+		const result = cli_arg_choice('channel', values.channel, GM_RELEASE_CHANNELS);
+
+		if (!result.ok) {
+			return result;
+		}
+
+		channel = result.data;
+
+	}
+
+	if (values.runtime !== undefined && channel === undefined) {
+		return Err(new BaseError('--runtime requires a --channel to look the runtime up in'));
+	}
+
+	/** @type {number|undefined} */
+	let threads = undefined;
+
+	if (values.threads !== undefined) {
+
+		threads = Number(values.threads);
+
+		if (!Number.isInteger(threads) || threads < 1) {
+			return Err(new BaseError(`Invalid --threads '${values.threads}', expected a whole number above 0`));
+		}
+
+	}
+
+	return Ok({
+		command: 'build',
+		projectPath: values.project,
+		profileName: values.profile,
+		task: task.data,
+		platform,
+		configName: values.config,
+		runtimeType,
+		channel,
+		runtimeVersion: values.runtime,
+		deviceName: values.device,
+		buildPath: values['build-path'],
+		threads,
+		preferencesPath: values.preferences,
+		defaultsPath: values.defaults,
+		verbose: values.verbose ?? false
+	});
+
+}
+
+/**
+ * Find which of the allowed choices an argument's value is, ignoring case.
+ *
+ * @template {string} T
+ * @param {string} name
+ * @param {string} value
+ * @param {ReadonlyArray<T>} choices
+ * @returns {Result<T>}
+ */
+function cli_arg_choice(name, value, choices) {
+
+	const choice = choices.find(it => it.toLowerCase() === value.toLowerCase());
+
+	if (choice === undefined) {
+		return Err(new BaseError(`Invalid --${name} '${value}', expected one of: ${choices.join(', ')}`));
+	}
+
+	return Ok(choice);
+
+}
@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line entry point, for building projects without GMEdit - such as on CI machines.
+ *
+ * Builds go through the same compile controller, runtime selection and project settings as they
+ * do in the editor, so a build here picks the same runtime and user that the editor would.
+ */
+
+import * as child_process from 'node:child_process';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { CompileControllerImpl } from '../compiler/CompileControllerImpl.js';
+import { GMS2RuntimeIndexerImpl } from '../compiler/GMS2RuntimeIndexerImpl.js';
+import { GMRuntimeVersion, GMVersion } from '../compiler/GMVersion.js';
+import { HOST_PLATFORM } from '../compiler/igor-paths.js';
+import { igor_options_get, igor_options_resolve } from '../compiler/igor-options.js';
+import { job_error_is_fatal } from '../compiler/job/errors/job-error-severity.js';
+import { job_report_track } from '../compiler/reports/job-report.js';
+import { runtime_select } from '../compiler/runtime-selection.js';
+import { UserIndexerImpl } from '../compiler/UserIndexerImpl.js';
+import { build_profile_settings_get, build_profiles_list } from '../preferences/build-profiles.js';
+import { Preferences } from '../preferences/Preferences.js';
+import { ProjectProperties } from '../preferences/ProjectProperties.js';
+import { BaseError } from '../utils/Err.js';
+import { NodeJSDiskIO } from '../utils/io/NodeJSDiskIO.js';
+import { NodeProcessSpawner } from '../utils/process/NodeProcessSpawner.js';
+import * as nodeModulesProvider from '../utils/node/node-import.js';
+import { Err, Ok } from '../utils/Result.js';
+import { yy_parse } from '../utils/yy.js';
+import { cli_args_parse, CLI_USAGE } from './args.js';
+import { cli_launch_options_get } from './launch-options.js';
+import { ConsoleProblemLogger } from './ConsoleProblemLogger.js';
+
+const PLUGIN_NAME = 'GMEdit-Constructor';
+
+/** Exit code for problems before Igor is ever run, such as bad arguments. */
+const EXIT_CODE_SETUP_FAILED = 2;
+
+nodeModulesProvider.inject({ path, child_process });
+
+process.exitCode = await cli_main(process.argv.slice(2));
+
+/**
+ * Run the command-line runner with the given arguments.
+ *
+ * @param {string[]} argv
+ * @returns {Promise<number>} The exit code.
+ */
+async function cli_main(argv) {
+
+	const argsResult = cli_args_parse(argv);
+
+	if (!argsResult.ok) {
+		console.error(`${argsResult.err.message}\n\n${CLI_USAGE}`);
+		return EXIT_CODE_SETUP_FAILED;
+	}
+
+	const args = argsResult.data;
+
+	if (args.command === 'help') {
+		console.log(CLI_USAGE);
+		return 0;
+	}
+
+	const problemLogger = new ConsoleProblemLogger(args.verbose);
+	const diskIO = new NodeJSDiskIO(path.join, fs);
+
+	const preferences = new Preferences(
+		problemLogger,
+		new GMS2RuntimeIndexerImpl(diskIO),
+		new UserIndexerImpl(diskIO),
+		diskIO
+	);
+
+	const preferencesPath = args.preferencesPath ?? cli_gmedit_preferences_path();
+	const defaultsPath = args.defaultsPath ?? path.join(path.dirname(preferencesPath), `${PLUGIN_NAME}-defaults.json`);
+	const prefsLoadResult = await preferences.load(preferencesPath, defaultsPath);
+
+	if (!prefsLoadResult.ok) {
+		problemLogger.error('Failed to load preferences', prefsLoadResult.err);
+		return EXIT_CODE_SETUP_FAILED;
+	}
+
+	const projectResult = await cli_project_read(path.resolve(args.projectPath), diskIO);
+
+	if (!projectResult.ok) {
+		problemLogger.error('Failed to read the project', projectResult.err);
+		return EXIT_CODE_SETUP_FAILED;
+	}
+
+	const { project, projectVersion, portable } = projectResult.data;
+	const local = preferences.getLocalProjectPropertiesStore(project).load();
+
+	/** @type {TPreferences.Project.BuildProfileSettings} */
+	let settings = build_profile_settings_get(portable, local);
+
+	/** @type {TPreferences.Project.BuildProfile|undefined} */
+	let profile = undefined;
+
+	if (args.profileName !== undefined) {
+
+		const profiles = build_profiles_list(portable, local);
+		const stored = profiles.find(({ profile }) => profile.name === args.profileName);
+
+		if (stored === undefined) {
+			const available = profiles.map(({ profile }) => profile.name).join(', ') || 'none';
+			problemLogger.error('Unknown build profile', new BaseError(`No build profile named '${args.profileName}'. Available profiles: ${available}`));
+			return EXIT_CODE_SETUP_FAILED;
+		}
+
+		profile = stored.profile;
+		settings = profile;
+
+	}
+
+	const channel = args.channel ?? settings.runtimeReleaseChannel;
+
+	/** @type {GMRuntimeVersion|undefined} */
+	let runtimeVersion = undefined;
+	const runtimeVersionString = args.runtimeVersion ?? settings.runtimeVersion;
+
+	if (channel !== undefined && runtimeVersionString !== undefined) {
+
+		const result = GMRuntimeVersion.parse(runtimeVersionString);
+
+		if (!result.ok) {
+			problemLogger.error(`Invalid runtime version '${runtimeVersionString}'`, result.err);
+			return EXIT_CODE_SETUP_FAILED;
+		}
+
+		runtimeVersion = result.data;
+
+	}
+
+	const selection = runtime_select(preferences, projectVersion, channel, runtimeVersion);
+
+	if (!selection.ok) {
+		problemLogger.error(selection.err.title, selection.err.error);
+		return EXIT_CODE_SETUP_FAILED;
+	}
+
+	const { runtime, user } = selection.data;
+	const platform = args.platform ?? settings.platform ?? HOST_PLATFORM;
+
+	/** @type {GMS2.RemoteDevice|undefined} */
+	let device = undefined;
+	const devices = preferences.getRemoteDevices(platform);
+
+	if (args.deviceName !== undefined) {
+
+		device = devices.find(it => it.name === args.deviceName);
+
+		if (device === undefined) {
+			problemLogger.error('Unknown remote device', new BaseError(cli_device_missing_message(args.deviceName, platform, devices)));
+			return EXIT_CODE_SETUP_FAILED;
+		}
+
+	} else if (platform === settings.platform) {
+		device = devices.find(it => it.channel === settings.deviceChannel && it.name === settings.device);
+	}
+
+	if (device === undefined && platform !== HOST_PLATFORM) {
+		device = devices[0];
+	}
+
+	const runtimeType = args.runtimeType ?? settings.runtimeType;
+
+	const igorOptions = igor_options_get(local.igor);
+	igorOptions.threads = args.threads ?? igorOptions.threads;
+
+	const igorFlags = igor_options_resolve(igorOptions);
+
+	if (!igorFlags.ok) {
+		problemLogger.error('Invalid Igor options', igorFlags.err);
+		return EXIT_CODE_SETUP_FAILED;
+	}
+
+	const launchOptions = cli_launch_options_get(portable, local, profile);
+
+	if (!launchOptions.ok) {
+		problemLogger.error('Invalid game launch settings', launchOptions.err);
+		return EXIT_CODE_SETUP_FAILED;
+	}
+
+	const compileController = new CompileControllerImpl(project, diskIO, new NodeProcessSpawner(child_process));
+
+	const jobResult = await compileController.start({
+		task: args.task,
+		user,
+		runtime,
+		prefabsPath: preferences.getPrefabsPath(selection.data.channel),
+		buildPath: args.buildPath ?? preferences.getProjectBuildPath(project),
+		platform,
+		device,
+		runtimeType,
+		configName: args.configName ?? settings.configName,
+		...igorFlags.data,
+		runnerArgs: launchOptions.data.args,
+		runnerEnv: launchOptions.data.env
+	});
+
+	if (!jobResult.ok) {
+		problemLogger.error('Failed to run Igor job!', jobResult.err);
+		return EXIT_CODE_SETUP_FAILED;
+	}
+
+	const job = jobResult.data;
+	process.stdout.write(job.header);
+	job.events.on('stdout', (chunk) => process.stdout.write(chunk));
+
+	const reportWritten = job_report_track(job, project.displayName, diskIO, problemLogger);
+	process.once('SIGINT', () => job.stop());
+
+	const { stopType, exitCode, errors } = await job.complete;
+	await reportWritten;
+
+	const fatalErrors = errors.filter(error => job_error_is_fatal(error.data));
+	const warnings = errors.filter(error => !job_error_is_fatal(error.data));
+
+	if (warnings.length > 0) {
+		console.error(`\n${warnings.length} warning(s) found:\n`);
+
+		for (const warning of warnings) {
+			console.error(warning.text.trim() + '\n');
+		}
+	}
+
+	if (fatalErrors.length > 0) {
+		console.error(`\n${fatalErrors.length} error(s) found:\n`);
+
+		for (const error of fatalErrors) {
+			console.error(error.text.trim() + '\n');
+		}
+	}
+
+	console.error(`Job ${stopType.toLowerCase()}${exitCode !== undefined ? ` with exit code ${exitCode}` : ''}.`);
+
+	return exitCode ?? (stopType === 'Finished' ? 0 : 1);
+
+}
+
+/**
+ * Read the parts of a project that a build needs, without GMEdit.
+ *
+ * @param {string} yypPath
+ * @param {DiskIO} diskIO
+ * @returns {Promise<Result<{
+ * 		project: GM.ProjectInfo,
+ * 		projectVersion: GMVersion,
+ * 		portable: Partial<TPreferences.Project.PortableData>
+ * }>>}
+ */
+async function cli_project_read(yypPath, diskIO) {
+
+	const yypFile = await diskIO.readFile(yypPath);
+
+	if (!yypFile.ok) {
+		return Err(new BaseError(`Failed to read the project file '${yypPath}'`, yypFile.err));
+	}
+
+	const yypResult = yy_parse(yypFile.data.toString());
+
+	if (!yypResult.ok) {
+		return Err(new BaseError(`Failed to parse the project file '${yypPath}'`, yypResult.err));
+	}
+
+	const yyp = /** @type {Partial<GM.YY.Project>} */ (yypResult.data);
+	const projectVersion = GMVersion.parse(yyp.MetaData?.IDEVersion ?? '');
+
+	if (!projectVersion.ok) {
+		return Err(new BaseError(`Unsupported project format in '${yypPath}'`, projectVersion.err));
+	}
+
+	const dir = path.dirname(yypPath);
+
+	/** @type {GM.ProjectInfo} */
+	const project = {
+		dir,
+		path: yypPath,
+		displayName: path.basename(yypPath, path.extname(yypPath))
+	};
+
+	// GMEdit keeps per-project plugin settings in this file, so that they travel with the project.
+	const propertiesPath = diskIO.joinPath(dir, '#config', 'properties.json');
+
+	/** @type {Partial<TPreferences.Project.PortableData>} */
+	let portable = {};
+
+	if (diskIO.existsSync(propertiesPath)) {
+
+		const propertiesFile = await diskIO.readFile(propertiesPath);
+
+		if (!propertiesFile.ok) {
+			return Err(new BaseError(`Failed to read the project properties file '${propertiesPath}'`, propertiesFile.err));
+		}
+
+		try {
+			portable = JSON.parse(propertiesFile.data.toString())[PLUGIN_NAME] ?? {};
+		} catch (err) {
+			return Err(new BaseError(`Failed to parse the project properties file '${propertiesPath}'`, err));
+		}
+
+		if (ProjectProperties.migratePortableSchema(portable) === 'plugin-out-of-date') {
+			return Err(new BaseError(`The project's settings were saved by a newer version of ${PLUGIN_NAME}. Please update!`));
+		}
+
+	}
+
+	return Ok({ project, projectVersion: projectVersion.data, portable });
+
+}
+
+/**
+ * Path to the preferences file that Constructor uses within GMEdit.
+ *
+ * @returns {string}
+ */
+function cli_gmedit_preferences_path() {
+
+	/** @type {string} */
+	let userDataPath;
+
+	switch (process.platform) {
+		case 'win32':
+			userDataPath = path.join(process.env.AppData ?? '', 'AceGM');
+		break;
+
+		case 'darwin':
+			userDataPath = path.join(process.env.HOME ?? '', 'Library', 'Application Support', 'AceGM');
+		break;
+
+		default:
+			userDataPath = path.join(process.env.XDG_CONFIG_HOME ?? path.join(process.env.HOME ?? '', '.config'), 'AceGM');
+		break;
+	}
+
+	return path.join(userDataPath, 'GMEdit', 'config', `${PLUGIN_NAME}.json`);
+
+}
+
+/**
+ * Explain that the requested remote device doesn't exist.
+ *
+ * @param {string} deviceName
+ * @param {GM.SupportedPlatform} platform
+ * @param {GMS2.RemoteDevice[]} devices
+ * @returns {string}
+ */
+function cli_device_missing_message(deviceName, platform, devices) {
+
+	if (devices.length === 0) {
+		return `No remote devices are set up for ${platform}, so '${deviceName}' can't be used.`;
+	}
+
+	return `No ${platform} device named '${deviceName}'. Available devices: ${devices.map(it => it.name).join(', ')}`;
+
+}
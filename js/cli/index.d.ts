@@ -0,0 +1,56 @@
+export declare global {
+
+	namespace TCli {
+
+		/**
+		 * What the command-line runner has been asked to do.
+		 */
+		type Command =
+			{ command: 'help' }					|
+			{ command: 'build' } & BuildOptions	;
+
+		/**
+		 * Options for a build. Anything left unset falls back to the project's settings, the same
+		 * way it would in the editor.
+		 */
+		type BuildOptions = {
+			/** Path to the project's YYP file. */
+			projectPath: string;
+
+			/**
+			 * Name of a build profile to take settings from, instead of the project's current
+			 * settings. Other options still override the profile.
+			 */
+			profileName?: string;
+
+			task: GM.Task;
+			platform?: GM.SupportedPlatform;
+			configName?: string;
+			runtimeType?: GMS2.RuntimeType;
+			channel?: GM.ReleaseChannel;
+
+			/** Exact runtime version to build with. Requires a channel. */
+			runtimeVersion?: string;
+
+			/** Name of the remote device to build to. */
+			deviceName?: string;
+
+			/** Base build directory, overriding the preferences. */
+			buildPath?: string;
+
+			/** Number of threads for Igor to compile with, overriding the project's options. */
+			threads?: number;
+
+			/** Path to Constructor's preferences file, overriding GMEdit's. */
+			preferencesPath?: string;
+
+			/** Path to a team defaults file, overriding the one beside the preferences file. */
+			defaultsPath?: string;
+
+			/** Whether to show debug messages. */
+			verbose: boolean;
+		};
+
+	};
+
+};
@@ -0,0 +1,21 @@
+import { launch_options_get, launch_settings_with_profile } from '../compiler/launch-options.js';
+
+/**
+ * Work out how a command-line build launches the game, the same way as the editor would - from
+ * the project's launch settings and those on this computer, with any chosen build profile applied
+ * on top as switching to it in the editor does.
+ *
+ * @param {Partial<TPreferences.Project.PortableData>} portable
+ * @param {Partial<TPreferences.Project.LocalData>} local
+ * @param {TPreferences.Project.BuildProfile} [profile] The build profile chosen to build with.
+ * @returns {Result<TPreferences.Project.LaunchOptions>}
+ */
+export function cli_launch_options_get(portable, local, profile) {
+
+	const localSettings = (profile !== undefined)
+		? launch_settings_with_profile(local, profile)
+		: local;
+
+	return launch_options_get(portable, localSettings);
+
+}
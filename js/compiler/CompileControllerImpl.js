@@ -6,7 +6,6 @@
 import { IgorJob } from './job/IgorJob.js';
 import { HOST_PLATFORM, output_blob_exts } from './igor-paths.js';
 import { InvalidStateErr, SolvableError } from '../utils/Err.js';
-import { child_process } from '../utils/node/node-import.js';
 import { Err, Ok } from '../utils/Result.js';
 import { docString } from '../utils/StringUtils.js';
 import { GMVersion } from './GMVersion.js';
@@ -25,15 +24,28 @@ export class CompileControllerImpl {
 	jobs = [];
 
 	/**
-	 * @param {GMEdit.Project} project
+	 * Build directories of jobs which are still starting, and so aren't in the list of jobs yet,
+	 * by their IDs.
+	 * 
+	 * @type {Map<number, string>}
+	 * @private
+	 */
+	starting = new Map();
+
+	/**
+	 * @param {GM.ProjectInfo} project
 	 * @param {DiskIO} diskIO 
+	 * @param {ProcessSpawner} processSpawner
 	 */
-	constructor(project, diskIO) {
+	constructor(project, diskIO, processSpawner) {
 		/** @private */
 		this.project = project;
 
 		/** @private */
 		this.diskIO = diskIO;
+
+		/** @private */
+		this.processSpawner = processSpawner;
 	}
 
 	async destroyAsync() {
@@ -63,9 +75,28 @@ export class CompileControllerImpl {
 			));
 		}
 
-		const idString = id.toString();
-		settings.buildPath = this.diskIO.joinPath(settings.buildPath, settings.platform, idString);
+		settings.buildPath = this.diskIO.joinPath(settings.buildPath, settings.platform, id.toString());
+
+		// Hold the ID until the job is tracked, so that jobs starting at the same time can't take
+		// it too and share its build directory.
+		this.starting.set(id, settings.buildPath);
+
+		try {
+			return await this.spawnJob(settings, id);
+		} finally {
+			this.starting.delete(id);
+		}
+	}
 
+	/**
+	 * Create the job's build directory and spawn Igor for it.
+	 * 
+	 * @private
+	 * @param {GMS2.IgorSettings} settings
+	 * @param {number} id
+	 * @returns {Promise<Result<IgorJob>>}
+	 */
+	async spawnJob(settings, id) {
 		if (!(await this.diskIO.readDir(settings.buildPath)).ok) {
 			
 			const res = await this.diskIO.createDir(settings.buildPath, true);
@@ -85,12 +116,17 @@ export class CompileControllerImpl {
 		
 		const flags = this.getFlagsForJobSettings(settings);
 
-		const existingJob = this.jobs[id];
+		const existingJob = this.jobs.find(job => job.id === id);
 		await existingJob?.stop();
 
 		/** @type {NodeJS.ProcessEnv} */
 		const env = Object.assign({}, process.env);
 
+		// The game's environment is only for running it, rather than for any other task.
+		if (settings.task === 'Run') {
+			Object.assign(env, settings.runnerEnv);
+		}
+
 		// MacOS Builds currently randomly segfault in dotnet unless JIT optimisations are disabled.
 		// https://github.com/YoYoGames/GameMaker-Bugs/issues/15357
 		if (process.platform === 'darwin') {
@@ -99,20 +135,20 @@ export class CompileControllerImpl {
 			}
 		}
 
-		/** @type {import('node:child_process').SpawnOptionsWithoutStdio} */
+		/** @type {ProcessSpawner.SpawnOptions} */
 		const spawn_opts = {
 			cwd: this.project.dir,
 			detached: (process.platform !== 'win32'),
 			env,
 		};
 		
-		/** @type {import('node:child_process').ChildProcessWithoutNullStreams} */
+		/** @type {ProcessSpawner.Process} */
 		let proc;
 		/** @type {Date} */
 		let startTime;
 
 		try {
-			proc = child_process.spawn(settings.runtime.igorPath, flags, spawn_opts);
+			proc = this.processSpawner.spawn(settings.runtime.igorPath, flags, spawn_opts);
 			
 			startTime = await new Promise((resolve, reject) => {
 				proc.once('spawn', () => resolve(new Date()));
@@ -122,7 +158,7 @@ export class CompileControllerImpl {
 			return Err(new InvalidStateErr('While trying to create the Igor process, the spawn() call failed unexpectedly', err));
 		}
 		
-		const job = new IgorJob(id, settings, proc, this.project, startTime);
+		const job = new IgorJob(id, settings, proc, this.project, startTime, this.processSpawner);
 		
 		this.jobs.push(job);
 		job.events.once('stop', () => this.removeJob(job));
@@ -139,6 +175,20 @@ export class CompileControllerImpl {
 		await Promise.all(this.jobs.map(job => job.stop()));
 	}
 
+	/**
+	 * @type {GM.CompileController['getJobs']}
+	 */
+	getJobs() {
+		return this.jobs;
+	}
+
+	/**
+	 * @type {GM.CompileController['getBuildPathsInUse']}
+	 */
+	getBuildPathsInUse() {
+		return [...this.jobs.map(job => job.settings.buildPath), ...this.starting.values()];
+	}
+
 	/**
 	 * Select the flags for Igor to run the job.
 	 * 
@@ -158,10 +208,13 @@ export class CompileControllerImpl {
 			'/runtime=' + settings.runtimeType,
 			'/cache=' + this.diskIO.joinPath(settings.buildPath, 'cache'),
 			'/of=' + this.diskIO.joinPath(settings.buildPath, 'output', `${projectName}.${blob_extension}`),
-			`/uf=${settings.user.fullPath}`,
-			'/v'
+			`/uf=${settings.user.fullPath}`
 		];
 
+		if (settings.verbose ?? true) {
+			flags.push('/v');
+		}
+
 		if (settings.runtime.version.supportsPrefabsPath()) {
 			if (settings.prefabsPath !== undefined) {
 				flags.push(`/prefabs=${settings.prefabsPath}`);
@@ -169,7 +222,7 @@ export class CompileControllerImpl {
 		}
 
 		// ignore cache, this fixes changes not applying in yyc
-		if (settings.runtimeType === 'YYC') {
+		if (settings.ignoreCache ?? (settings.runtimeType === 'YYC')) {
 			flags.push('/ic');
 		}
 
@@ -202,9 +255,18 @@ export class CompileControllerImpl {
 			break;
 		}
 
+		if (settings.extraArgs !== undefined) {
+			flags.push(...settings.extraArgs);
+		}
+
 		flags.push('--');
 		flags.push(settings.platform, igorVerb);
 
+		// Arguments for the game follow the platform and task, apart from Igor's own options.
+		if (settings.task === 'Run' && settings.runnerArgs !== undefined) {
+			flags.push(...settings.runnerArgs);
+		}
+
 		return flags;
 	}
 
@@ -237,12 +299,16 @@ export class CompileControllerImpl {
 	 * @param {IgorJob} job
 	 */
 	removeJob(job) {
-		this.jobs.splice(this.jobs.indexOf(job), 1);
+		const index = this.jobs.indexOf(job);
+
+		if (index >= 0) {
+			this.jobs.splice(index, 1);
+		}
 	}
 
 	/**
 	 * Retrieve a unique ID number for a job to be created. This value increments from `0`, and is the
-	 * lowest integer that is not currently in use by any other job.
+	 * lowest integer that is not currently in use by any other job, including those still starting.
 	 * 
 	 * This ID system exists for one purpose only: to differentiate parallel-running jobs when the user
 	 * executes multiple at once, so that they have different directories to one another. Initially,
@@ -255,7 +321,7 @@ export class CompileControllerImpl {
 	getNewJobId() {
 		let id = 0;
 
-		while (this.jobs.some(job => job.id === id)) {
+		while (this.jobs.some(job => job.id === id) || this.starting.has(id)) {
 			id ++;
 		}
 
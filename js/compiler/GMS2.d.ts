@@ -122,6 +122,21 @@ export declare global {
 			 */
 			threads?: number;
 
+			/**
+			 * Whether to ignore the build cache. Defaults to ignoring it for YYC builds only.
+			 */
+			ignoreCache?: boolean;
+
+			/**
+			 * Whether Igor should give verbose output - default is true.
+			 */
+			verbose?: boolean;
+
+			/**
+			 * Further arguments for Igor itself, passed before the platform and task.
+			 */
+			extraArgs?: string[];
+
 			/**
 			 * Name of the Build Config to use for this compilation.
 			 */
@@ -132,6 +147,16 @@ export declare global {
 			 */
 			buildPath: string;
 
+			/**
+			 * Arguments passed to the game when running it.
+			 */
+			runnerArgs?: string[];
+
+			/**
+			 * Environment variables set for the game, on top of GMEdit's own.
+			 */
+			runnerEnv?: Record<string, string>;
+
 			/**
 			 * Launch the executable on the target device after building;
 			 * same as the "Create Executable and Launch" option in the IDE
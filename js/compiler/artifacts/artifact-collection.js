@@ -0,0 +1,233 @@
+import { BaseError } from '../../utils/Err.js';
+import { git_commit_short_hash } from '../../utils/node/git.js';
+import { Err, Ok } from '../../utils/Result.js';
+import { output_package_exts } from '../igor-paths.js';
+
+/**
+ * Default template for naming collected artifacts.
+ */
+export const ARTIFACT_NAME_TEMPLATE_DEFAULT = '{project}-{platform}-{config}-{type}-{date}';
+
+/**
+ * Every placeholder an artifact name template may use.
+ *
+ * @type {ReadonlyArray<keyof TArtifacts.NameValues>}
+ */
+export const ARTIFACT_NAME_PLACEHOLDERS = ['project', 'config', 'platform', 'type', 'runtime', 'date', 'time', 'commit'];
+
+/**
+ * Value substituted for `{commit}` when the project's commit can't be found, such as when it isn't
+ * in a git repository.
+ */
+const UNKNOWN_COMMIT = 'unknown';
+
+/**
+ * Characters which aren't allowed in file names on at least one of the platforms we run on.
+ */
+const INVALID_FILE_NAME_CHARS = /[<>:"/\\|?*]/g;
+
+/**
+ * Collect the packaged build of the given job into the release directory once it finishes
+ * successfully. Jobs which aren't packaging, or which fail, are ignored.
+ *
+ * @param {GM.Job} job
+ * @param {TArtifacts.TrackOptions} options
+ * @param {DiskIO} diskIO
+ * @param {ProblemLogger} problemLogger
+ * @returns {Promise<TArtifacts.Artifact|undefined>} Promise that resolves with the collected
+ * artifact, or `undefined` if there was nothing to collect or collecting it failed.
+ */
+export function artifact_track(job, options, diskIO, problemLogger) {
+	return new Promise(resolve => {
+		job.events.once('stop', async ({ stopType }) => {
+
+			if (job.settings.task !== 'Package' || stopType !== 'Finished') {
+				return resolve(undefined);
+			}
+
+			/** @type {string|undefined} */
+			let commit = undefined;
+
+			if (options.nameTemplate.includes('{commit}')) {
+
+				const commitResult = await git_commit_short_hash(options.projectDir);
+
+				if (commitResult.ok) {
+					commit = commitResult.data;
+				} else {
+					problemLogger.debug('Could not find the project\'s current commit for naming the artifact', commitResult.err);
+				}
+
+			}
+
+			const result = await artifact_collect(job.settings, { ...options, commit, time: new Date() }, diskIO);
+
+			if (!result.ok) {
+				problemLogger.warn('Failed to collect the packaged build', result.err);
+				return resolve(undefined);
+			}
+
+			resolve(result.data);
+
+		});
+	});
+}
+
+/**
+ * Copy the packaged build of a finished job into the release directory, named after the given
+ * template. An existing artifact of the same name is replaced, rather than having the new one
+ * copied over it, so that folder packages don't keep files from the previous package.
+ *
+ * @param {GMS2.IgorSettings} settings Settings of the job, whose build directory holds the package.
+ * @param {TArtifacts.CollectOptions} options
+ * @param {DiskIO} diskIO
+ * @returns {Promise<Result<TArtifacts.Artifact>>}
+ */
+export async function artifact_collect(settings, options, diskIO) {
+
+	const outputDir = diskIO.joinPath(settings.buildPath, 'output');
+	const located = await artifact_locate(outputDir, settings.platform, diskIO);
+
+	if (!located.ok) {
+		return located;
+	}
+
+	const { year, month, major, build } = settings.runtime.version;
+
+	const baseName = artifact_name_format(options.nameTemplate, {
+		project: options.projectName,
+		config: settings.configName,
+		platform: settings.platform,
+		type: settings.runtimeType,
+		runtime: `${year}.${month}.${major}.${build}`,
+		date: artifact_date_format(options.time),
+		time: artifact_time_format(options.time),
+		commit: options.commit ?? UNKNOWN_COMMIT
+	});
+
+	if (!baseName.ok) {
+		return baseName;
+	}
+
+	const name = baseName.data + located.data.extension;
+	const path = diskIO.joinPath(options.releaseDir, name);
+
+	if (diskIO.existsSync(path)) {
+
+		const removeResult = await diskIO.remove(path);
+
+		if (!removeResult.ok) {
+			return Err(new BaseError(`Failed to replace the existing packaged build '${path}'`, removeResult.err));
+		}
+
+	}
+
+	const copyResult = await diskIO.copy(located.data.path, path);
+
+	if (!copyResult.ok) {
+		return Err(new BaseError(`Failed to copy the packaged build into the release directory '${options.releaseDir}'`, copyResult.err));
+	}
+
+	return Ok({ path, name });
+
+}
+
+/**
+ * Find the packaged build within a job's output directory. Platforms which package to a folder
+ * have the whole output directory as their package.
+ *
+ * @param {string} outputDir
+ * @param {GM.SupportedPlatform} platform
+ * @param {DiskIO} diskIO
+ * @returns {Promise<Result<TArtifacts.Located>>}
+ */
+export async function artifact_locate(outputDir, platform, diskIO) {
+
+	const entriesResult = await diskIO.readDir(outputDir);
+
+	if (!entriesResult.ok) {
+		return Err(new BaseError(`Failed to read the job's output directory '${outputDir}'`, entriesResult.err));
+	}
+
+	const extensions = output_package_exts[platform];
+
+	if (extensions === undefined) {
+		return Ok({ path: outputDir, extension: '' });
+	}
+
+	for (const extension of extensions) {
+
+		const entry = entriesResult.data.find(it => it.toLowerCase().endsWith(extension));
+
+		if (entry !== undefined) {
+			return Ok({ path: diskIO.joinPath(outputDir, entry), extension });
+		}
+
+	}
+
+	return Err(new BaseError(
+		`No packaged build (${extensions.join(', ')}) was found in the output directory '${outputDir}'`
+	));
+
+}
+
+/**
+ * Fill in a name template with the given values. Values are stripped of characters that can't
+ * appear in file names.
+ *
+ * @param {string} template
+ * @param {TArtifacts.NameValues} values
+ * @returns {Result<string>}
+ */
+export function artifact_name_format(template, values) {
+
+	/** @type {string[]} */
+	const unknown = [];
+
+	const name = template.replaceAll(/\{(\w*)\}/g, (match, key) => {
+
+		const placeholder = /** @type {keyof TArtifacts.NameValues} */ (key);
+
+		if (!ARTIFACT_NAME_PLACEHOLDERS.includes(placeholder)) {
+			unknown.push(match);
+			return match;
+		}
+
+		return values[placeholder];
+
+	}).replaceAll(INVALID_FILE_NAME_CHARS, '_').trim();
+
+	if (unknown.length > 0) {
+		return Err(new BaseError(
+			`Unknown placeholders ${unknown.join(', ')} in the artifact name template '${template}'. ` +
+			`Available placeholders are ${ARTIFACT_NAME_PLACEHOLDERS.map(it => `{${it}}`).join(', ')}.`
+		));
+	}
+
+	if (name.length === 0) {
+		return Err(new BaseError(`The artifact name template '${template}' produced an empty name`));
+	}
+
+	return Ok(name);
+
+}
+
+/**
+ * @param {Date} time
+ * @returns {string}
+ */
+function artifact_date_format(time) {
+	return [time.getFullYear(), time.getMonth() + 1, time.getDate()]
+		.map(it => it.toString().padStart(2, '0'))
+		.join('-');
+}
+
+/**
+ * @param {Date} time
+ * @returns {string}
+ */
+function artifact_time_format(time) {
+	return [time.getHours(), time.getMinutes(), time.getSeconds()]
+		.map(it => it.toString().padStart(2, '0'))
+		.join('-');
+}
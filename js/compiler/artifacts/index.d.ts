@@ -0,0 +1,87 @@
+export declare global {
+
+	namespace TArtifacts {
+
+		/**
+		 * Values that may be substituted into an artifact name template, each written in the
+		 * template as `{key}`.
+		 */
+		type NameValues = {
+			/** Display name of the project. */
+			project: string;
+
+			/** Name of the build configuration. */
+			config: string;
+
+			platform: GM.SupportedPlatform;
+
+			/** Runtime type, i.e. VM or YYC. */
+			type: GMS2.RuntimeType;
+
+			/** Version of the runtime the build was made with. */
+			runtime: string;
+
+			/** Date of the build, as `YYYY-MM-DD`. */
+			date: string;
+
+			/** Time of the build, as `HH-MM-SS`. */
+			time: string;
+
+			/** Short hash of the project repository's current commit. */
+			commit: string;
+		};
+
+		/**
+		 * A packaged build, as it was found in a job's output directory.
+		 */
+		type Located = {
+			path: string;
+
+			/**
+			 * Extension of the packaged file, including the leading dot, or an empty string if
+			 * the package is a folder.
+			 */
+			extension: string;
+		};
+
+		/**
+		 * A packaged build which has been copied to the release directory.
+		 */
+		type Artifact = {
+			/** Full path to the copied artifact. */
+			path: string;
+
+			/** File name the artifact was given. */
+			name: string;
+		};
+
+		/**
+		 * How and where to collect a job's artifact.
+		 */
+		type CollectOptions = {
+			/** Display name of the project being built. */
+			projectName: string;
+
+			/** Directory to copy the artifact into. */
+			releaseDir: string;
+
+			nameTemplate: string;
+
+			/** Short hash of the project's current commit, if known. */
+			commit?: string;
+
+			/** Time to name the artifact after. */
+			time: Date;
+		};
+
+		/**
+		 * How and where to collect the artifact of a job once it finishes.
+		 */
+		type TrackOptions = Omit<CollectOptions, 'commit' | 'time'> & {
+			/** Directory of the project, used to look up its current commit. */
+			projectDir: string;
+		};
+
+	};
+
+};
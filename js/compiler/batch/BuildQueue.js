@@ -0,0 +1,233 @@
+import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
+import { job_error_is_fatal } from '../job/errors/job-error-severity.js';
+
+/**
+ * Runs a list of build targets through a queue, keeping at most a given number of jobs running at
+ * once.
+ *
+ * When stopping on failure, targets which haven't started yet are skipped once any target fails,
+ * but jobs that are already running are left to finish, so that their results are still useful.
+ */
+export class BuildQueue {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<TBuildQueue.EventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['targetChanged', 'finished']);
+
+	/**
+	 * @returns {EventEmitter<TBuildQueue.EventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * Index of the next target to start.
+	 *
+	 * @private
+	 * @type {number}
+	 */
+	nextIndex = 0;
+
+	/**
+	 * Whether no further targets should be started.
+	 *
+	 * @private
+	 * @type {boolean}
+	 */
+	halted = false;
+
+	/**
+	 * Whether the queue was cancelled, so that jobs which were still starting are stopped once
+	 * they start.
+	 *
+	 * @private
+	 * @type {boolean}
+	 */
+	cancelled = false;
+
+	/**
+	 * @private
+	 * @type {Promise<ReadonlyArray<TBuildQueue.TargetState>>|undefined}
+	 */
+	running = undefined;
+
+	/**
+	 * @param {ReadonlyArray<TBuildQueue.Target>} targets
+	 * @param {TBuildQueue.StartJob} startJob
+	 * @param {TBuildQueue.Options} options
+	 */
+	constructor(targets, startJob, options) {
+
+		/**
+		 * @private
+		 * @type {TBuildQueue.TargetState[]}
+		 */
+		this.states = targets.map(target => ({ target, status: 'Pending', errorCount: 0 }));
+
+		/** @private */
+		this.startJob = startJob;
+
+		/** @private */
+		this.parallelism = Math.max(1, Math.floor(options.parallelism));
+
+		/** @private */
+		this.stopOnFailure = options.stopOnFailure;
+
+	}
+
+	/**
+	 * Progress of each target, in the order they were given.
+	 *
+	 * @returns {ReadonlyArray<TBuildQueue.TargetState>}
+	 */
+	getStates() {
+		return this.states;
+	}
+
+	/**
+	 * Run the queue. Calling this again while the queue is running returns the same promise.
+	 *
+	 * @returns {Promise<ReadonlyArray<TBuildQueue.TargetState>>} Promise that resolves with the
+	 * final state of every target once the queue is done.
+	 */
+	run() {
+
+		if (this.running !== undefined) {
+			return this.running;
+		}
+
+		const workerCount = Math.min(this.parallelism, this.states.length);
+		const workers = Array.from({ length: workerCount }, () => this.work());
+
+		this.running = Promise.all(workers).then(() => {
+			this.eventEmitter.emit('finished', { states: this.states });
+			return this.states;
+		});
+
+		return this.running;
+
+	}
+
+	/**
+	 * Skip all targets that haven't started yet, and stop any running jobs, including those which
+	 * are still starting.
+	 *
+	 * @returns {Promise<void>} Promise that resolves once the running jobs have stopped.
+	 */
+	async cancel() {
+
+		this.halt();
+		this.cancelled = true;
+
+		await Promise.all(this.states
+			.filter(state => state.status === 'Running' && state.job !== undefined)
+			.map(state => state.job?.stop())
+		);
+
+		await this.running;
+
+	}
+
+	/**
+	 * Start targets one after another until there are none left.
+	 *
+	 * @private
+	 * @returns {Promise<void>}
+	 */
+	async work() {
+		while (!this.halted && this.nextIndex < this.states.length) {
+
+			const index = this.nextIndex++;
+			const succeeded = await this.buildTarget(index);
+
+			if (!succeeded && this.stopOnFailure) {
+				this.halt();
+			}
+
+		}
+	}
+
+	/**
+	 * Build a single target, and wait for it to finish.
+	 *
+	 * @private
+	 * @param {number} index
+	 * @returns {Promise<boolean>} Whether the target built successfully.
+	 */
+	async buildTarget(index) {
+
+		const state = this.states[index];
+		this.update(index, { status: 'Running', startTime: new Date() });
+
+		const job = await this.startJob(state.target);
+
+		if (job === undefined) {
+			this.update(index, { status: 'Failed', endTime: new Date() });
+			return false;
+		}
+
+		this.update(index, { job });
+
+		if (this.cancelled) {
+			await job.stop();
+		}
+
+		/** @type {Omit<GM.Job.EventMap['stop'], 'errors'> & { errorCount: number }} */
+		const stop = await new Promise(resolve => {
+
+			const jobState = job.getState();
+
+			if (jobState.status === 'stopped') {
+				return resolve({ ...jobState, errorCount: 0 });
+			}
+
+			job.events.once('stop', ({ stopType, exitCode, errors }) => resolve({
+				stopType,
+				exitCode,
+				errorCount: errors.filter(error => job_error_is_fatal(error.data)).length
+			}));
+
+		});
+
+		this.update(index, {
+			status: stop.stopType,
+			exitCode: stop.exitCode,
+			errorCount: stop.errorCount,
+			endTime: new Date()
+		});
+
+		return stop.stopType === 'Finished';
+
+	}
+
+	/**
+	 * Stop starting new targets, and mark those remaining as skipped.
+	 *
+	 * @private
+	 */
+	halt() {
+
+		this.halted = true;
+
+		for (let index = this.nextIndex; index < this.states.length; index++) {
+			this.update(index, { status: 'Skipped' });
+		}
+
+		this.nextIndex = this.states.length;
+
+	}
+
+	/**
+	 * @private
+	 * @param {number} index
+	 * @param {Partial<TBuildQueue.TargetState>} changes
+	 */
+	update(index, changes) {
+		const state = Object.assign(this.states[index], changes);
+		this.eventEmitter.emit('targetChanged', { index, state });
+	}
+
+}
@@ -0,0 +1,65 @@
+export declare global {
+
+	namespace TBuildQueue {
+
+		/**
+		 * A combination of settings to build the project with, as part of a batch.
+		 */
+		type Target = {
+			task: GM.Task;
+			platform: GM.SupportedPlatform;
+			configName: string;
+			runtimeType: GMS2.RuntimeType;
+		};
+
+		type Options = {
+			/** Maximum number of targets to build at once. */
+			parallelism: number;
+
+			/** Whether to give up on the remaining targets once one fails. */
+			stopOnFailure: boolean;
+		};
+
+		/**
+		 * Start a job for the given target. Resolves to `undefined` if the job couldn't be started,
+		 * in which case the reason is expected to already have been reported.
+		 */
+		type StartJob = (target: Target) => Promise<GM.Job|undefined>;
+
+		type Status =
+			'Pending'	|
+			'Running'	|
+			'Finished'	|
+			'Failed'	|
+			'Stopped'	|
+			'Skipped'	;
+
+		/**
+		 * Progress of a single target in the queue.
+		 */
+		type TargetState = {
+			target: Target;
+			status: Status;
+
+			/** The job building this target, once it has started. */
+			job?: GM.Job;
+
+			exitCode?: number;
+			errorCount: number;
+			startTime?: Date;
+			endTime?: Date;
+		};
+
+		interface EventMap {
+			targetChanged: {
+				index: number;
+				state: TargetState;
+			};
+			finished: {
+				states: ReadonlyArray<TargetState>;
+			};
+		};
+
+	};
+
+};
@@ -0,0 +1,387 @@
+import { BaseError } from '../../utils/Err.js';
+import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
+import { Err, Ok } from '../../utils/Result.js';
+
+/**
+ * Manages the per-job build directories of a project, which are laid out as
+ * `<build dir>/<platform>/<job id>`. Each holds Igor's incremental cache for that slot, so
+ * removing them selectively avoids losing caches which are still useful.
+ */
+export class BuildCacheManager {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<TBuildCache.EventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['changed']);
+
+	/**
+	 * @returns {EventEmitter<TBuildCache.EventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * Caches found by the last scan.
+	 *
+	 * @private
+	 * @type {TBuildCache.Entry[]}
+	 */
+	entries = [];
+
+	/**
+	 * Build directories held from removal, with how many holds each has.
+	 *
+	 * @private
+	 * @type {Map<string, number>}
+	 */
+	holds = new Map();
+
+	/**
+	 * @param {() => string} getBuildDir Get the project's build directory, which may change with the
+	 * preferences.
+	 * @param {DiskIO} diskIO
+	 * @param {() => ReadonlyArray<string>} getBusyPaths Get the build directories of jobs which are
+	 * running or still starting, which must not be removed.
+	 */
+	constructor(getBuildDir, diskIO, getBusyPaths) {
+		/** @private */
+		this.getBuildDir = getBuildDir;
+
+		/** @private */
+		this.diskIO = diskIO;
+
+		/** @private */
+		this.getBusyPaths = getBusyPaths;
+	}
+
+	/**
+	 * Caches found by the last scan, largest first.
+	 *
+	 * @returns {ReadonlyArray<TBuildCache.Entry>}
+	 */
+	getEntries() {
+		return this.entries;
+	}
+
+	/**
+	 * Whether the given cache is in use by a running job, or held from removal.
+	 *
+	 * @param {TBuildCache.Entry} entry
+	 * @returns {boolean}
+	 */
+	isBusy(entry) {
+		return this.holds.has(entry.path) || this.getBusyPaths().includes(entry.path);
+	}
+
+	/**
+	 * Keep the given build directory from being removed until the given work is done, such as
+	 * collecting a stopped job's packaged build from it.
+	 *
+	 * @param {string} path
+	 * @param {Promise<unknown>} work
+	 */
+	holdUntil(path, work) {
+
+		this.holds.set(path, (this.holds.get(path) ?? 0) + 1);
+
+		const release = () => {
+
+			const count = (this.holds.get(path) ?? 1) - 1;
+
+			if (count > 0) {
+				this.holds.set(path, count);
+			} else {
+				this.holds.delete(path);
+			}
+
+		};
+
+		work.then(release, release);
+
+	}
+
+	/**
+	 * Find every job directory in the build directory, with their sizes.
+	 *
+	 * @returns {Promise<Result<ReadonlyArray<TBuildCache.Entry>>>}
+	 */
+	async scan() {
+
+		const buildDir = this.getBuildDir();
+
+		/** @type {TBuildCache.Entry[]} */
+		const entries = [];
+
+		if (!this.diskIO.existsSync(buildDir)) {
+			this.setEntries(entries);
+			return Ok(this.entries);
+		}
+
+		const platformsResult = await this.diskIO.readDir(buildDir);
+
+		if (!platformsResult.ok) {
+			return Err(new BaseError(`Failed to list the build directory '${buildDir}'`, platformsResult.err));
+		}
+
+		for (const platform of platformsResult.data) {
+
+			const platformDir = this.diskIO.joinPath(buildDir, platform);
+
+			if (!this.diskIO.isDirectorySync(platformDir)) {
+				continue;
+			}
+
+			const jobDirsResult = await this.diskIO.readDir(platformDir);
+
+			if (!jobDirsResult.ok) {
+				return Err(new BaseError(`Failed to list the platform build directory '${platformDir}'`, jobDirsResult.err));
+			}
+
+			for (const jobDir of jobDirsResult.data) {
+
+				// Anything else, such as collected artifacts, isn't a job's cache.
+				if (!/^\d+$/.test(jobDir)) {
+					continue;
+				}
+
+				const path = this.diskIO.joinPath(platformDir, jobDir);
+
+				if (!this.diskIO.isDirectorySync(path)) {
+					continue;
+				}
+
+				const usage = await this.measure(path);
+
+				if (!usage.ok) {
+					return Err(new BaseError(`Failed to measure the job build directory '${path}'`, usage.err));
+				}
+
+				entries.push({
+					platform,
+					jobId: Number(jobDir),
+					path,
+					size: usage.data.size,
+					lastUsed: usage.data.lastUsed
+				});
+
+			}
+
+		}
+
+		this.setEntries(entries);
+		return Ok(this.entries);
+
+	}
+
+	/**
+	 * Measure the build directory of a single job again, such as once the job has stopped, rather
+	 * than scanning the whole build directory.
+	 *
+	 * @param {Pick<GM.Job, 'platform'|'id'|'buildPath'>} job
+	 * @returns {Promise<Result<ReadonlyArray<TBuildCache.Entry>>>}
+	 */
+	async rescanJob(job) {
+
+		const path = job.buildPath;
+		const others = this.entries.filter(it => it.path !== path);
+
+		if (!this.diskIO.existsSync(path)) {
+			this.setEntries(others);
+			return Ok(this.entries);
+		}
+
+		const usage = await this.measure(path);
+
+		if (!usage.ok) {
+			return Err(new BaseError(`Failed to measure the job build directory '${path}'`, usage.err));
+		}
+
+		this.setEntries([...others, {
+			platform: job.platform,
+			jobId: job.id,
+			path,
+			size: usage.data.size,
+			lastUsed: usage.data.lastUsed
+		}]);
+
+		return Ok(this.entries);
+
+	}
+
+	/**
+	 * Remove the given caches. Caches in use by running jobs are left alone.
+	 *
+	 * @param {ReadonlyArray<TBuildCache.Entry>} entries
+	 * @returns {Promise<Result<void>>}
+	 */
+	async remove(entries) {
+
+		/** @type {BaseError[]} */
+		const errors = [];
+
+		/** @type {Set<string>} */
+		const removed = new Set();
+
+		for (const entry of entries) {
+
+			if (this.isBusy(entry)) {
+				continue;
+			}
+
+			const result = await this.diskIO.remove(entry.path);
+
+			if (result.ok) {
+				removed.add(entry.path);
+			} else {
+				errors.push(result.err);
+			}
+
+		}
+
+		this.setEntries(this.entries.filter(it => !removed.has(it.path)));
+
+		if (errors.length > 0) {
+			return Err(new BaseError(`Failed to remove ${errors.length} of ${entries.length} build caches`, errors[0]));
+		}
+
+		return Ok(undefined);
+
+	}
+
+	/**
+	 * Remove the caches of every platform not in the given list.
+	 *
+	 * @param {ReadonlyArray<string>} platforms Platforms which are still built for.
+	 * @returns {Promise<Result<void>>}
+	 */
+	removePlatformsExcept(platforms) {
+		return this.remove(this.entries.filter(it => !platforms.includes(it.platform)));
+	}
+
+	/**
+	 * Remove caches which are outside of the given limits.
+	 *
+	 * @param {TBuildCache.PruneOptions} options
+	 * @param {Date} [now]
+	 * @returns {Promise<Result<void>>}
+	 */
+	prune(options, now = new Date()) {
+		const available = this.entries.filter(it => !this.isBusy(it));
+		return this.remove(build_cache_select_for_pruning(available, options, now));
+	}
+
+	/**
+	 * @private
+	 * @param {TBuildCache.Entry[]} entries
+	 */
+	setEntries(entries) {
+		this.entries = entries.sort((a, b) => b.size - a.size);
+		this.eventEmitter.emit('changed', { entries: this.entries });
+	}
+
+	/**
+	 * Total up the size of everything in the given directory, and when it was last modified.
+	 * Symbolic links count as themselves, rather than what they point to, so nothing is counted
+	 * twice and links can't loop. The entries of each directory are measured at the same time, as
+	 * caches can hold many thousands of files.
+	 *
+	 * @private
+	 * @param {string} path
+	 * @returns {Promise<Result<{ size: number, lastUsed: Date }>>}
+	 */
+	async measure(path) {
+
+		const statResult = await this.diskIO.stat(path);
+
+		if (!statResult.ok) {
+			return statResult;
+		}
+
+		const stats = statResult.data;
+
+		if (!stats.isDirectory) {
+			return Ok({ size: stats.size, lastUsed: stats.modifiedTime });
+		}
+
+		const childrenResult = await this.diskIO.readDir(path);
+
+		if (!childrenResult.ok) {
+			return childrenResult;
+		}
+
+		const childResults = await Promise.all(childrenResult.data.map(child =>
+			this.measure(this.diskIO.joinPath(path, child))
+		));
+
+		let size = 0;
+		let lastUsed = stats.modifiedTime;
+
+		for (const childResult of childResults) {
+
+			if (!childResult.ok) {
+				return childResult;
+			}
+
+			size += childResult.data.size;
+
+			if (childResult.data.lastUsed > lastUsed) {
+				lastUsed = childResult.data.lastUsed;
+			}
+
+		}
+
+		return Ok({ size, lastUsed });
+
+	}
+
+}
+
+/**
+ * Choose which caches to remove to fit within the given limits. Caches older than the maximum age
+ * are chosen first, then the least recently used until the rest fit in the maximum total size.
+ *
+ * @param {ReadonlyArray<TBuildCache.Entry>} entries
+ * @param {TBuildCache.PruneOptions} options
+ * @param {Date} now
+ * @returns {TBuildCache.Entry[]}
+ */
+export function build_cache_select_for_pruning(entries, options, now) {
+
+	const oldestFirst = [...entries].sort((a, b) => a.lastUsed.getTime() - b.lastUsed.getTime());
+
+	/** @type {TBuildCache.Entry[]} */
+	const selected = [];
+
+	/** @type {TBuildCache.Entry[]} */
+	const kept = [];
+
+	for (const entry of oldestFirst) {
+		if (options.maxAgeMs !== undefined && now.getTime() - entry.lastUsed.getTime() > options.maxAgeMs) {
+			selected.push(entry);
+		} else {
+			kept.push(entry);
+		}
+	}
+
+	if (options.maxTotalSize !== undefined) {
+
+		let totalSize = kept.reduce((total, entry) => total + entry.size, 0);
+
+		for (const entry of kept) {
+
+			if (totalSize <= options.maxTotalSize) {
+				break;
+			}
+
+			selected.push(entry);
+			totalSize -= entry.size;
+
+		}
+
+	}
+
+	return selected;
+
+}
@@ -0,0 +1,44 @@
+export declare global {
+
+	namespace TBuildCache {
+
+		/**
+		 * The build directory of a single job ID on a platform, which holds Igor's cache and
+		 * output for jobs using that ID.
+		 */
+		type Entry = {
+			/** Name of the platform directory, which may be a platform we no longer build for. */
+			platform: string;
+
+			jobId: number;
+			path: string;
+
+			/** Total size of the directory's contents in bytes. */
+			size: number;
+
+			/** When anything in the directory was last modified. */
+			lastUsed: Date;
+		};
+
+		/**
+		 * Limits to prune caches down to. Unset limits aren't applied.
+		 */
+		type PruneOptions = {
+			/** Caches last used longer ago than this are removed. */
+			maxAgeMs?: number;
+
+			/**
+			 * The least recently used caches are removed until all of them together fit within
+			 * this many bytes.
+			 */
+			maxTotalSize?: number;
+		};
+
+		interface EventMap {
+			/** The list of caches changed, after a scan or removal. */
+			changed: { entries: ReadonlyArray<Entry> };
+		};
+
+	};
+
+};
@@ -0,0 +1,119 @@
+import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
+import { crash_fingerprint } from './crash-fingerprint.js';
+
+/**
+ * Groups the runtime crashes of jobs run during this session by their fingerprint, so that a
+ * crash which happens over and over shows up as one issue.
+ */
+export class CrashRegistry {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<TCrashes.EventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['changed']);
+
+	/**
+	 * @returns {EventEmitter<TCrashes.EventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * @private
+	 * @type {Map<string, TCrashes.Group>}
+	 */
+	groups = new Map();
+
+	/**
+	 * Jobs which each group has occurred in, so that each job is only counted once.
+	 *
+	 * @private
+	 * @type {Map<string, WeakSet<GM.Job>>}
+	 */
+	groupJobs = new Map();
+
+	/**
+	 * Record the runtime crashes of the given job until it stops.
+	 *
+	 * @param {GM.Job} job
+	 */
+	track(job) {
+
+		const group = job.events.createGroup({
+			error: (error) => this.record(job, error.data)
+		});
+
+		job.events.once('stop', () => group.destroy());
+
+	}
+
+	/**
+	 * Record an error which occurred in a job. Errors other than runtime crashes are ignored.
+	 *
+	 * @param {GM.Job} job
+	 * @param {GM.Job.ErrorData} data
+	 * @param {Date} [time]
+	 */
+	record(job, data, time = new Date()) {
+
+		if (data.kind !== 'runtime') {
+			return;
+		}
+
+		const fingerprint = crash_fingerprint(data);
+		let group = this.groups.get(fingerprint);
+		let jobs = this.groupJobs.get(fingerprint);
+
+		if (group === undefined || jobs === undefined) {
+
+			group = {
+				fingerprint,
+				data,
+				occurrences: 0,
+				jobCount: 0,
+				firstSeen: time,
+				lastSeen: time
+			};
+
+			jobs = new WeakSet();
+
+			this.groups.set(fingerprint, group);
+			this.groupJobs.set(fingerprint, jobs);
+
+		}
+
+		group.data = data;
+		group.occurrences ++;
+		group.lastSeen = time;
+
+		if (!jobs.has(job)) {
+			jobs.add(job);
+			group.jobCount ++;
+		}
+
+		this.eventEmitter.emit('changed', undefined);
+
+	}
+
+	/**
+	 * Get every group of crashes, most recently seen first.
+	 *
+	 * @returns {TCrashes.Group[]}
+	 */
+	getGroups() {
+		return [...this.groups.values()]
+			.sort((a, b) => b.lastSeen.getTime() - a.lastSeen.getTime());
+	}
+
+	/**
+	 * Forget every crash seen so far.
+	 */
+	clear() {
+		this.groups.clear();
+		this.groupJobs.clear();
+		this.eventEmitter.emit('changed', undefined);
+	}
+
+}
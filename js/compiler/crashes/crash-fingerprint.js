@@ -0,0 +1,40 @@
+import { fnv1aHash } from '../../utils/StringUtils.js';
+
+/**
+ * Number of innermost stack frames which identify a crash. Frames further out tend to differ
+ * between occurrences of the same crash, depending on where it was called from.
+ */
+export const CRASH_FINGERPRINT_FRAMES = 3;
+
+/**
+ * Create a fingerprint identifying a runtime crash, from its exception message and innermost
+ * stack frames. Numbers in the message are ignored, since they are usually instance IDs or values
+ * which change between runs. Digits within names, such as `obj_enemy2`, are kept.
+ *
+ * @param {GM.Job.ErrorData} data
+ * @returns {string}
+ */
+export function crash_fingerprint(data) {
+
+	const message = crash_message_normalise(data.message);
+
+	const frames = data.stackFrames
+		.slice(0, CRASH_FINGERPRINT_FRAMES)
+		.map(frame => `${frame.script}:${frame.line}`);
+
+	return fnv1aHash([message, ...frames].join('\n'));
+
+}
+
+/**
+ * Reduce a crash message to the parts which stay the same between occurrences.
+ *
+ * @param {string} message
+ * @returns {string}
+ */
+export function crash_message_normalise(message) {
+	return message
+		.replaceAll(/\b(?:0x[0-9a-f]+|\d+)\b/gi, (match) => /^0x/i.test(match) ? '0x#' : '#')
+		.replaceAll(/\s+/g, ' ')
+		.trim();
+}
@@ -0,0 +1,31 @@
+export declare global {
+
+	namespace TCrashes {
+
+		/**
+		 * Runtime errors which share a fingerprint, and so are likely the same crash.
+		 */
+		type Group = {
+			fingerprint: string;
+
+			/** Details of the most recent occurrence. */
+			data: GM.Job.ErrorData;
+
+			/** How many times the crash has occurred. */
+			occurrences: number;
+
+			/** How many separate jobs the crash has occurred in. */
+			jobCount: number;
+
+			firstSeen: Date;
+			lastSeen: Date;
+		};
+
+		interface EventMap {
+			/** A crash was recorded, or the groups were cleared. */
+			changed: void;
+		};
+
+	};
+
+};
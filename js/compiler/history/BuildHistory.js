@@ -0,0 +1,329 @@
+import { BaseError } from '../../utils/Err.js';
+import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
+import { Err, Ok } from '../../utils/Result.js';
+import { fnv1aHash } from '../../utils/StringUtils.js';
+import { job_error_is_fatal } from '../job/errors/job-error-severity.js';
+
+const BUILD_HISTORY_SCHEMA_VERSION = 1;
+
+/**
+ * Maximum number of records kept per project. The oldest records are dropped first.
+ */
+const MAX_RECORDS = 200;
+
+/**
+ * Maximum number of characters of a job's output we keep in its record. We keep the end of the
+ * log, since that's where both compile failures and the game's final output end up.
+ */
+export const MAX_RECORD_LOG_LENGTH = 32 * 1024;
+
+/**
+ * Persistent history of finished jobs for a single project.
+ *
+ * Each project's history lives in its own file, so that opening a project only ever touches its
+ * own records.
+ */
+export class BuildHistory {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<TBuildHistory.EventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['changed']);
+
+	/**
+	 * @returns {EventEmitter<TBuildHistory.EventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * Records, oldest first.
+	 *
+	 * @private
+	 * @type {TBuildHistory.Record[]}
+	 */
+	records = [];
+
+	/**
+	 * Resolves once the history has been loaded, which saves wait for so that they don't write
+	 * over records which haven't been read yet.
+	 *
+	 * @private
+	 * @type {Promise<unknown>}
+	 */
+	loaded = Promise.resolve();
+
+	/**
+	 * @param {string} historyDir Directory that all projects' history files are stored in.
+	 * @param {string} projectPath Path to the project's YYP file.
+	 * @param {DiskIO} diskIO
+	 * @param {ProblemLogger} problemLogger
+	 */
+	constructor(historyDir, projectPath, diskIO, problemLogger) {
+		/** @private */
+		this.historyDir = historyDir;
+
+		/** @private */
+		this.dataPath = diskIO.joinPath(historyDir, build_history_file_name(projectPath));
+
+		/**
+		 * Where the history was kept before, which is read if there's no history at `dataPath`.
+		 * 
+		 * @private
+		 */
+		this.legacyDataPath = diskIO.joinPath(historyDir, `${projectPath.replaceAll(/[^A-Za-z0-9.-]/g, '_')}.json`);
+
+		/** @private */
+		this.diskIO = diskIO;
+
+		/** @private */
+		this.problemLogger = problemLogger;
+	}
+
+	/**
+	 * Load the history from disk. A missing file is treated as an empty history. Records added
+	 * while loading are kept, after those loaded.
+	 *
+	 * @returns {Promise<Result<void>>}
+	 */
+	load() {
+		const loading = this.read();
+		this.loaded = loading;
+
+		return loading;
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<Result<void>>}
+	 */
+	async read() {
+
+		const path = [this.dataPath, this.legacyDataPath].find(it => this.diskIO.existsSync(it));
+
+		if (path === undefined) {
+			return Ok(undefined);
+		}
+
+		const readResult = await this.diskIO.readFile(path);
+
+		if (!readResult.ok) {
+			return Err(new BaseError(`Failed to read the build history file '${path}'`, readResult.err));
+		}
+
+		/** @type {Partial<TBuildHistory.Data>} */
+		let data;
+
+		try {
+			data = JSON.parse(readResult.data.toString());
+		} catch (err) {
+			return Err(new BaseError(`Failed to parse the build history file '${path}'`, err));
+		}
+
+		if (data.version !== BUILD_HISTORY_SCHEMA_VERSION || !Array.isArray(data.records)) {
+			return Err(new BaseError(`Build history file '${path}' has an unrecognised format (version ${data.version})`));
+		}
+
+		this.records = [...data.records, ...this.records].slice(-MAX_RECORDS);
+		this.eventEmitter.emit('changed', undefined);
+
+		return Ok(undefined);
+
+	}
+
+	/**
+	 * Record the given job in the history once it stops.
+	 *
+	 * @param {GM.Job} job
+	 * @returns {Promise<TBuildHistory.Record>} Promise that resolves with the job's record once it
+	 * has been added.
+	 */
+	track(job) {
+
+		let output = job.header.slice(-MAX_RECORD_LOG_LENGTH);
+
+		const group = job.events.createGroup({
+			stdout: (chunk) => { output = (output + chunk).slice(-MAX_RECORD_LOG_LENGTH); }
+		});
+
+		return new Promise(resolve => {
+			job.events.once('stop', ({ stopType, exitCode, errors }) => {
+
+				group.destroy();
+
+				/** @type {TBuildHistory.Record} */
+				const record = {
+					settings: BuildHistory.serializeSettings(job.settings),
+					startTime: job.startTime.getTime(),
+					endTime: Date.now(),
+					stopType,
+					exitCode,
+					errors: errors.filter(it => job_error_is_fatal(it.data)).map(it => it.text),
+					log: output
+				};
+
+				this.add(record);
+				resolve(record);
+
+			});
+		});
+
+	}
+
+	/**
+	 * Add a record to the history, and save it to disk.
+	 *
+	 * @param {TBuildHistory.Record} record
+	 * @returns {Promise<Result<void>>}
+	 */
+	async add(record) {
+
+		this.records.push(record);
+
+		if (this.records.length > MAX_RECORDS) {
+			this.records.splice(0, this.records.length - MAX_RECORDS);
+		}
+
+		this.eventEmitter.emit('changed', undefined);
+
+		return this.saveOrReport();
+
+	}
+
+	/**
+	 * Attach the artifact collected from a job to its record, and save the history.
+	 *
+	 * @param {TBuildHistory.Record} record
+	 * @param {TArtifacts.Artifact} artifact
+	 * @returns {Promise<Result<void>>}
+	 */
+	async setArtifact(record, artifact) {
+
+		record.artifact = artifact;
+
+		if (!this.records.includes(record)) {
+			// The history was cleared while the artifact was being collected.
+			return Ok(undefined);
+		}
+
+		this.eventEmitter.emit('changed', undefined);
+
+		return this.saveOrReport();
+
+	}
+
+	/**
+	 * Remove all records from the history.
+	 *
+	 * @returns {Promise<Result<void>>}
+	 */
+	async clear() {
+		await this.loaded;
+
+		this.records.length = 0;
+		this.eventEmitter.emit('changed', undefined);
+
+		return this.saveOrReport();
+	}
+
+	/**
+	 * Get the records matching the given filter, newest first.
+	 *
+	 * @param {TBuildHistory.Filter} [filter]
+	 * @returns {TBuildHistory.Record[]}
+	 */
+	getRecords(filter = {}) {
+		return this.records
+			.filter(({ settings, stopType }) =>
+				(filter.task === undefined || settings.task === filter.task) &&
+				(filter.platform === undefined || settings.platform === filter.platform) &&
+				(filter.configName === undefined || settings.configName === filter.configName) &&
+				(filter.stopType === undefined || stopType === filter.stopType)
+			)
+			.reverse();
+	}
+
+	/**
+	 * @param {GMS2.IgorSettings} settings
+	 * @returns {TBuildHistory.JobSettings}
+	 */
+	static serializeSettings(settings) {
+		return {
+			platform: settings.platform,
+			task: settings.task,
+			runtimeType: settings.runtimeType,
+			configName: settings.configName,
+			buildPath: settings.buildPath,
+			runtimeVersion: settings.runtime.version.toString(),
+			userName: settings.user.name,
+			deviceName: settings.device?.name
+		};
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<Result<void>>}
+	 */
+	async saveOrReport() {
+
+		const result = await this.save();
+
+		if (!result.ok) {
+			this.problemLogger.warn('Failed to save build history', result.err);
+		}
+
+		return result;
+
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<Result<void>>}
+	 */
+	async save() {
+
+		await this.loaded;
+
+		if (!this.diskIO.existsSync(this.historyDir)) {
+
+			const createResult = await this.diskIO.createDir(this.historyDir, true);
+
+			if (!createResult.ok) {
+				return Err(new BaseError(`Failed to create the build history directory '${this.historyDir}'`, createResult.err));
+			}
+
+		}
+
+		/** @type {TBuildHistory.Data} */
+		const data = {
+			version: BUILD_HISTORY_SCHEMA_VERSION,
+			records: this.records
+		};
+
+		const writeResult = await this.diskIO.writeFile(this.dataPath, JSON.stringify(data));
+
+		if (!writeResult.ok) {
+			return Err(new BaseError(`Failed to write the build history file '${this.dataPath}'`, writeResult.err));
+		}
+
+		return Ok(undefined);
+
+	}
+
+}
+
+/**
+ * Name of the file a project's history is kept in. The project's file name keeps it readable, and
+ * a hash of its whole path tells apart projects with the same name.
+ *
+ * @param {string} projectPath
+ * @returns {string}
+ */
+function build_history_file_name(projectPath) {
+	const fileName = projectPath.split(/[\\/]/).at(-1) ?? '';
+	const name = fileName.replace(/\.yyp$/i, '').replaceAll(/[^A-Za-z0-9.-]/g, '_').slice(0, 64);
+
+	return `${name}-${fnv1aHash(projectPath)}.json`;
+}
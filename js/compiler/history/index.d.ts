@@ -0,0 +1,72 @@
+export declare global {
+
+	namespace TBuildHistory {
+
+		/**
+		 * Structure of a project's build history file on disk.
+		 */
+		type Data = {
+			/** Schema version of the history file. */
+			version: number;
+
+			/** Recorded jobs, in the order they finished. */
+			records: Record[];
+		};
+
+		/**
+		 * A serialisable form of {@link GMS2.IgorSettings}, as we can't store the live runtime and
+		 * user objects.
+		 */
+		type JobSettings = {
+			platform: GM.SupportedPlatform;
+			task: GM.Task;
+			runtimeType: GMS2.RuntimeType;
+			configName: string;
+			buildPath: string;
+			runtimeVersion: string;
+			userName: string;
+			deviceName?: string;
+		};
+
+		/**
+		 * A record of a single job which has finished.
+		 */
+		type Record = {
+			settings: JobSettings;
+
+			/** Time the job began, in milliseconds since the epoch. */
+			startTime: number;
+
+			/** Time the job stopped, in milliseconds since the epoch. */
+			endTime: number;
+
+			stopType: GM.Job.StopType;
+			exitCode?: number;
+
+			/** The text of each error parsed from the job's output. Warnings aren't kept. */
+			errors: string[];
+
+			/** The tail end of the job's output, trimmed to a reasonable size. */
+			log: string;
+
+			/** The packaged build collected from the job, if any. */
+			artifact?: TArtifacts.Artifact;
+		};
+
+		/**
+		 * Criteria to narrow down a list of records. Unset fields match any record.
+		 */
+		type Filter = {
+			task?: GM.Task;
+			platform?: GM.SupportedPlatform;
+			configName?: string;
+			stopType?: GM.Job.StopType;
+		};
+
+		interface EventMap {
+			changed: void;
+		};
+
+	};
+
+};
@@ -0,0 +1,95 @@
+import { BaseError, SolvableError } from '../utils/Err.js';
+import { Err, Ok } from '../utils/Result.js';
+import { launch_args_parse } from './launch-options.js';
+
+/**
+ * @type {Readonly<TPreferences.Project.IgorVerbosity[]>}
+ */
+export const IGOR_VERBOSITY_LEVELS = ['normal', 'verbose'];
+
+/**
+ * Igor options Constructor sets itself, which can't be given again as extra arguments.
+ */
+const IGOR_MANAGED_FLAGS = [
+	'/project',
+	'/config',
+	'/rp',
+	'/runtime',
+	'/cache',
+	'/of',
+	'/uf',
+	'/v',
+	'/ic',
+	'/j',
+	'/prefabs',
+	'/df',
+	'/device'
+];
+
+/**
+ * @typedef {Pick<GMS2.IgorSettings, 'threads'|'ignoreCache'|'verbose'|'extraArgs'>} IgorFlagSettings
+ */
+
+/**
+ * Fill in the Igor options left unset with their defaults.
+ *
+ * @param {Partial<TPreferences.Project.IgorOptions>|undefined} stored
+ * @returns {TPreferences.Project.IgorOptions}
+ */
+export function igor_options_get(stored) {
+	return {
+		threads: stored?.threads ?? undefined,
+		ignoreCache: stored?.ignoreCache ?? undefined,
+		verbosity: stored?.verbosity ?? 'verbose',
+		extraArgs: stored?.extraArgs ?? ''
+	};
+}
+
+/**
+ * Check the advanced Igor options chosen for a project, and turn them into the settings for a job.
+ *
+ * @param {TPreferences.Project.IgorOptions} options The chosen options.
+ * @returns {Result<IgorFlagSettings>}
+ */
+export function igor_options_resolve(options) {
+
+	const { threads, ignoreCache, verbosity } = options;
+
+	if (threads !== undefined && (!Number.isInteger(threads) || threads < 1)) {
+		return Err(new BaseError(`The thread count must be a whole number above 0, not ${threads}`));
+	}
+
+	const extraArgs = launch_args_parse(options.extraArgs);
+
+	if (!extraArgs.ok) {
+		return Err(new BaseError('The extra Igor arguments are invalid', extraArgs.err));
+	}
+
+	for (const arg of extraArgs.data) {
+
+		if (arg === '--') {
+			return Err(new SolvableError(
+				`The extra Igor arguments can't include '--'`,
+				'Set arguments for the game itself in the game arguments instead.'
+			));
+		}
+
+		const name = arg.split('=', 1)[0].toLowerCase();
+
+		if (IGOR_MANAGED_FLAGS.includes(name)) {
+			return Err(new SolvableError(
+				`The extra Igor arguments can't include '${arg}', as Constructor sets it already`,
+				`Remove '${arg}' from the extra Igor arguments, and use the matching option instead.`
+			));
+		}
+
+	}
+
+	return Ok({
+		threads,
+		ignoreCache,
+		verbose: verbosity === 'verbose',
+		extraArgs: extraArgs.data
+	});
+
+}
@@ -85,13 +85,22 @@ const IGOR_PLATFORM_INFO_MAP = {
 };
 
 /**
- * Mappings of Igor targets to output file extensions. TODO: other targets
- * @type {{[K in GM.SupportedPlatform]?: string}}
+ * Every platform that Constructor can build to.
+ * @type {ReadonlyArray<GM.SupportedPlatform>}
+ */
+export const SUPPORTED_PLATFORMS = ['Windows', 'Mac', 'Linux', 'OperaGX', 'HTML5', 'Android'];
+
+/**
+ * Mappings of Igor targets to the file extensions a packaged build may have, in order of
+ * preference. Targets without an entry package to a folder rather than a single file.
+ * @type {{[K in GM.SupportedPlatform]?: ReadonlyArray<string>}}
 */
 export const output_package_exts = {
-	Windows: '.zip',
-	Mac: '.zip',
-	Linux: '.appimage',
+	Windows: ['.zip'],
+	Mac: ['.zip', '.dmg'],
+	Linux: ['.appimage', '.zip'],
+	OperaGX: ['.zip'],
+	Android: ['.apk', '.aab'],
 };
 
 /**
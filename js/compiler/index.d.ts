@@ -111,6 +111,30 @@ export declare global {
 
 		};
 
+		/**
+		 * The parts of a project that running jobs on it needs. Kept minimal so that jobs can be run
+		 * on projects which aren't open in GMEdit.
+		 */
+		type ProjectInfo = Pick<GMEdit.Project, 'dir' | 'path' | 'displayName'>;
+
+		/**
+		 * The runtime, and the user to run it as, chosen for building a project.
+		 */
+		type RuntimeSelection = {
+			runtime: GMS2.RuntimeInfo;
+			channel: ReleaseChannel;
+			user: User;
+		};
+
+		/**
+		 * Reason that a runtime or user couldn't be chosen for building a project.
+		 */
+		type RuntimeSelectionError = {
+			/** Short summary of the problem. */
+			title: string;
+			error: import('../utils/Err.js').SolvableError;
+		};
+
 		/**
 		 * Controller object for running compilation jobs!
 		 */
@@ -133,6 +157,16 @@ export declare global {
 			 * @returns Promise that resolves when all jobs have stopped.
 			 */
 			async stopAll(): Promise<void>;
+
+			/**
+			 * Get the jobs which are currently running.
+			 */
+			getJobs(): ReadonlyArray<Job>;
+
+			/**
+			 * Get the build directories of jobs which are running or still starting.
+			 */
+			getBuildPathsInUse(): ReadonlyArray<string>;
 		};
 
 		namespace CompileController {
@@ -148,10 +182,21 @@ export declare global {
 
 			type Project = File & {
 				configs: BuildConfig;
+				resources: ResourceRef[];
 				MetaData: {
 					IDEVersion: string;
 				};
 			};
+
+			/**
+			 * An asset listed by a project, such as `{ name: 'obj_player', path: 'objects/obj_player/obj_player.yy' }`.
+			 */
+			type ResourceRef = {
+				id: {
+					name: string;
+					path: string;
+				};
+			};
 		
 			type BuildConfig = {
 				children: BuildConfig[];
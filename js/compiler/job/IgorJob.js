@@ -1,10 +1,12 @@
 import { delay } from '../../utils/delay.js';
 import { BaseError } from '../../utils/Err.js';
 import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
-import { child_process, path } from '../../utils/node/node-import.js';
-import { killRecursive } from '../../utils/node/process-handling.js';
+import { path } from '../../utils/node/node-import.js';
 import { Err, Ok } from '../../utils/Result.js';
-import { job_parse_stdout } from './output-parsing/parse-stdout.js';
+import { job_create_output_parser } from './output-parsing/parse-stdout.js';
+import { JobPhaseTracker } from './output-parsing/JobPhaseTracker.js';
+import { LineBuffer } from '../../utils/LineBuffer.js';
+import { JobStreamSplitter } from './output-parsing/JobStreamSplitter.js';
 
 /**
  * Wrapper for an Igor job.
@@ -12,6 +14,11 @@ import { job_parse_stdout } from './output-parsing/parse-stdout.js';
  */
 export class IgorJob {
 
+	/**
+	 * How long to wait for the job's processes to stop when asked, before killing them forcefully.
+	 */
+	static stopTimeoutMs = 2000;
+
 	/** 
 	 * Identifier number of this job. This value is incremented from `0` and is the lowest available
 	 * integer at the time the job was begun.
@@ -23,22 +30,56 @@ export class IgorJob {
 	/** @type {GMS2.IgorSettings} */
 	settings;
 
-	/** @type {import('node:child_process').ChildProcess} */
+	/** @type {ProcessSpawner.Process} */
 	process;
 	
-	/** @type {GMEdit.Project} */
+	/** @type {GM.ProjectInfo} */
 	project;
 
-	stdout = '';
-
 	/** @type {GM.Job.State} */
 	state = { status: 'running' };
 
+	/**
+	 * The command line the job was started with, which begins its output.
+	 * 
+	 * @type {string}
+	 */
+	header;
+
 	/**
 	 * @private
 	 * @type {EventEmitterImpl<GM.Job.EventMap>}
 	 */
-	eventEmitter = new EventEmitterImpl(['stdout', 'output', 'stopping', 'stop']);
+	eventEmitter = new EventEmitterImpl(['stdout', 'streamOutput', 'error', 'output', 'phase', 'stopping', 'stop']);
+
+	/**
+	 * Parser recognising errors as the job's output arrives.
+	 * 
+	 * @private
+	 */
+	outputParser = job_create_output_parser();
+
+	/**
+	 * Tracker following which phase of the build the job is in.
+	 * 
+	 * @private
+	 */
+	phaseTracker = new JobPhaseTracker();
+
+	/**
+	 * Splitter separating the game's output from Igor's.
+	 * 
+	 * @private
+	 */
+	streamSplitter = new JobStreamSplitter();
+
+	/**
+	 * @private
+	 */
+	lineBuffer = new LineBuffer((line) => {
+		this.phaseTracker.feedLine(line);
+		this.streamSplitter.feedLine(line);
+	});
 
 	/**
 	 * @returns {EventEmitter<GM.Job.EventMap>}
@@ -58,11 +99,12 @@ export class IgorJob {
 	/**
 	 * @param {number} id
 	 * @param {GMS2.IgorSettings} settings
-	 * @param {import('node:child_process').ChildProcess} process
-	 * @param {GMEdit.Project} project
+	 * @param {ProcessSpawner.Process} process
+	 * @param {GM.ProjectInfo} project
 	 * @param {Date} startTime
+	 * @param {ProcessSpawner} processSpawner Used to stop the job's processes.
 	 */
-	constructor(id, settings, process, project, startTime) {
+	constructor(id, settings, process, project, startTime, processSpawner) {
 		
 		this.id = id;
 		this.settings = settings;
@@ -70,7 +112,16 @@ export class IgorJob {
 		this.project = project;
 		this.startTime = startTime;
 
-		this.stdout += this.process.spawnargs.join(' ') + '\n\n';
+		/** @private */
+		this.processSpawner = processSpawner;
+
+		this.outputParser.events.on('error', (error) => this.eventEmitter.emit('error', error));
+		this.phaseTracker.events.on('phase', (event) => this.eventEmitter.emit('phase', event));
+		this.streamSplitter.events.on('output', (chunk) => this.eventEmitter.emit('streamOutput', chunk));
+
+		// Written before anyone can listen for output, so listeners start from `header` instead.
+		this.header = this.process.spawnargs.join(' ') + '\n\n';
+		this.parseOutput(this.header);
 
 		this.process.once('exit', this.onProcessExit);
 		this.process.stdout?.on('data', this.#onStdoutData);
@@ -87,9 +138,26 @@ export class IgorJob {
 			.toString()
 			.replaceAll(/\r/g, '');
 		
-		this.stdout += str;
-		this.eventEmitter.emit('stdout', this.stdout);
+		this.appendOutput(str);
+
+	}
+
+	/**
+	 * @private
+	 * @param {string} str
+	 */
+	appendOutput(str) {
+		this.parseOutput(str);
+		this.eventEmitter.emit('stdout', str);
+	}
 
+	/**
+	 * @private
+	 * @param {string} str
+	 */
+	parseOutput(str) {
+		this.outputParser.feed(str);
+		this.lineBuffer.feed(str);
 	}
 
 	/**
@@ -120,10 +188,14 @@ export class IgorJob {
 			
 		}
 		
+		this.outputParser.flush();
+		this.lineBuffer.flush();
+		this.phaseTracker.finish();
+
 		this.eventEmitter.emit('stop', {
 			stopType: this.state.stopType,
 			exitCode: this.state.exitCode,
-			errors: job_parse_stdout(this.stdout),
+			errors: this.outputParser.errors,
 		});
 
 		this.process.removeAllListeners();
@@ -134,6 +206,14 @@ export class IgorJob {
 		return this.state;
 	}
 
+	getPhase() {
+		return this.phaseTracker.phase;
+	}
+
+	getPhaseTimings() {
+		return this.phaseTracker.getTimings();
+	}
+
 	get buildPath() {
 		return this.settings.buildPath;
 	}
@@ -157,8 +237,6 @@ export class IgorJob {
 	 */
 	stop = async () => {
 
-		const MAX_WAIT_MS = 2000;
-
 		if (this.state.status === 'stopped') {
 			return Ok(await this.complete);
 		}
@@ -177,7 +255,7 @@ export class IgorJob {
 			return killResult;
 		}
 
-		const stopInfo = await Promise.race([this.complete, delay(MAX_WAIT_MS)]);
+		const stopInfo = await Promise.race([this.complete, delay(IgorJob.stopTimeoutMs)]);
 
 		if (stopInfo !== undefined) {
 			return Ok(stopInfo);
@@ -244,7 +322,7 @@ export class IgorJob {
 						'gradlew.bat'
 					);
 
-					await new Promise(resolve => child_process
+					await new Promise(resolve => this.processSpawner
 						.spawn(gradlewPath, ['--stop'], { shell: true })
 						.once('exit', resolve)
 					);
@@ -252,7 +330,7 @@ export class IgorJob {
 				}
 
 				if (pid !== undefined) {
-					return killRecursive(pid, true);
+					return this.processSpawner.killTree(pid, true);
 				}
 
 			break;
@@ -277,10 +355,10 @@ export class IgorJob {
 
 				try {
 
-					const proc = child_process.spawn('pgrep', ['-f', debug_log_path]);
+					const proc = this.processSpawner.spawn('pgrep', ['-f', debug_log_path], {});
 
 					let output = '';
-					proc.stdout.on('data', chunk => { output += chunk.toString('utf-8'); });
+					proc.stdout?.on('data', chunk => { output += chunk.toString('utf-8'); });
 
 					await new Promise(resolve => proc.once('exit', resolve));
 
@@ -288,7 +366,7 @@ export class IgorJob {
 						.split('\n')
 						.map(parseInt)
 						.filter(it => !isNaN(it))
-						.forEach(it => killRecursive(it, force));
+						.forEach(it => this.processSpawner.killTree(it, force));
 
 				} catch (err) {
 					return Err(new BaseError(
@@ -301,7 +379,7 @@ export class IgorJob {
 
 			case 'linux':
 				if (pid !== undefined) {
-					return killRecursive(pid, force);
+					return this.processSpawner.killTree(pid, force);
 				}
 			break;
 			
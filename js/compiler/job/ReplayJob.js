@@ -0,0 +1,145 @@
+import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
+import { path } from '../../utils/node/node-import.js';
+import { Err, Ok } from '../../utils/Result.js';
+import { BaseError } from '../../utils/Err.js';
+import { job_create_output_parser } from './output-parsing/parse-stdout.js';
+import { JobStreamSplitter } from './output-parsing/JobStreamSplitter.js';
+import { LineBuffer } from '../../utils/LineBuffer.js';
+
+/**
+ * A saved job log played back as if the job had just run, so that it can be viewed in an output log
+ * with its errors found again.
+ *
+ * @implements {GM.Job.OutputSource}
+ */
+export class ReplayJob {
+
+	/**
+	 * Number of replays opened so far, used to tell them apart.
+	 *
+	 * @private
+	 */
+	static replayCount = 0;
+
+	/** @type {GM.Job.State} */
+	state = { status: 'running' };
+
+	/**
+	 * Replays have no header of their own, as the saved log already starts with the job's.
+	 */
+	header = '';
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<GM.Job.EventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['stdout', 'streamOutput', 'error', 'output', 'phase', 'stopping', 'stop']);
+
+	/**
+	 * @returns {EventEmitter<GM.Job.EventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * A promise that resolves once the log has been played back.
+	 *
+	 * @readonly
+	 * @type {Promise<GM.Job.EventMap['stop']>}
+	 */
+	complete = new Promise(resolve => this.events.once('stop', resolve));
+
+	/**
+	 * @param {string} log The saved output of the job.
+	 * @param {string} buildPath Directory the log was saved in.
+	 * @param {Date} [startTime]
+	 */
+	constructor(log, buildPath, startTime = new Date()) {
+
+		this.id = ReplayJob.replayCount ++;
+		this.log = log;
+		this.buildPath = buildPath;
+		this.startTime = startTime;
+
+		// Played back once whoever opened the replay has had the chance to listen for output.
+		queueMicrotask(this.replay);
+
+	}
+
+	/**
+	 * Open a log file saved from an earlier job.
+	 *
+	 * @param {string} filePath
+	 * @param {DiskIO} diskIO
+	 * @returns {Promise<Result<ReplayJob>>}
+	 */
+	static async open(filePath, diskIO) {
+
+		const file = await diskIO.readFile(filePath);
+
+		if (!file.ok) {
+			return Err(new BaseError(`Failed to read the log '${filePath}'`, file.err));
+		}
+
+		return Ok(new ReplayJob(file.data.toString(), path.dirname(filePath)));
+
+	}
+
+	/**
+	 * @private
+	 */
+	replay = () => {
+
+		const outputParser = job_create_output_parser();
+		outputParser.events.on('error', (error) => this.eventEmitter.emit('error', error));
+
+		const streamSplitter = new JobStreamSplitter();
+		streamSplitter.events.on('output', (chunk) => this.eventEmitter.emit('streamOutput', chunk));
+
+		const lineBuffer = new LineBuffer((line) => streamSplitter.feedLine(line));
+
+		outputParser.feed(this.log);
+		this.eventEmitter.emit('stdout', this.log);
+		lineBuffer.feed(this.log);
+
+		outputParser.flush();
+		lineBuffer.flush();
+
+		this.state = { status: 'stopped', stopType: 'Finished' };
+
+		this.eventEmitter.emit('stop', {
+			stopType: this.state.stopType,
+			errors: outputParser.errors
+		});
+
+	}
+
+	getState() {
+		return this.state;
+	}
+
+	/**
+	 * Replays don't know how long the job spent in each phase.
+	 *
+	 * @returns {undefined}
+	 */
+	getPhase() {
+		return undefined;
+	}
+
+	/**
+	 * @returns {ReadonlyArray<GM.Job.PhaseTiming>}
+	 */
+	getPhaseTimings() {
+		return [];
+	}
+
+	/**
+	 * @returns {Promise<Result<GM.Job.EventMap['stop']>>}
+	 */
+	stop = async () => {
+		return Ok(await this.complete);
+	}
+
+}
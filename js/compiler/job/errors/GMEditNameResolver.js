@@ -0,0 +1,116 @@
+import { project_asset_names_get, project_current_get } from '../../../utils/project.js';
+
+/**
+ * Looks names up through GMEdit's knowledge of the open project.
+ * 
+ * @implements {GMS2.ErrorUtils.NameResolver}
+ */
+export class GMEditNameResolver {
+
+	/**
+	 * The project whose asset names are cached.
+	 * 
+	 * @private
+	 * @type {GMEdit.Project|undefined}
+	 */
+	cachedProject = undefined;
+
+	/**
+	 * Names of the cached project's assets, by the folder they're in.
+	 * 
+	 * @private
+	 * @type {Map<string, Set<string>>}
+	 */
+	cachedAssetNames = new Map();
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['scriptOfFunction']}
+	 */
+	scriptOfFunction(functionName) {
+		// Look up the identifier as a script's top-level function via GMEdit's linter.
+		const apiEntry = GmlAPI.gmlLookup[functionName];
+
+		if (apiEntry === undefined) {
+			return undefined;
+		}
+
+		// TODO: is there a nice way in GMEdit to get the script *name*, not path??
+		return apiEntry.path
+			.slice(apiEntry.path.lastIndexOf('/') + 1)
+			.replace('.gml', '');
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['eventName']}
+	 */
+	eventName(eventType, eventNumber) {
+		const GmlEvent = $gmedit['parsers.GmlEvent'];
+		const eventTypeIndex = GmlEvent.sc2t[eventType];
+
+		if (eventTypeIndex === undefined) {
+			return undefined;
+		}
+
+		return GmlEvent.i2s[eventTypeIndex]?.[eventNumber];
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['keyName']}
+	 */
+	keyName(keyCode) {
+		return $gmedit['parsers.GmlKeycode'].toName(keyCode);
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['isObject']}
+	 */
+	isObject(name) {
+		return this.assetNames('objects').has(name);
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['isScript']}
+	 */
+	isScript(name) {
+		return this.assetNames('scripts').has(name);
+	}
+
+	/**
+	 * Forget the asset names read so far, so that assets added to the project since are found.
+	 */
+	clearCache() {
+		this.cachedProject = undefined;
+		this.cachedAssetNames.clear();
+	}
+
+	/**
+	 * Names of the open project's assets in the given folder. The project file is only read once
+	 * until the cache is cleared, as a single crash looks up many names.
+	 * 
+	 * @private
+	 * @param {string} folder
+	 * @returns {Set<string>}
+	 */
+	assetNames(folder) {
+		const project = project_current_get();
+
+		if (project === undefined || !project.isGMS23) {
+			return new Set();
+		}
+
+		if (project !== this.cachedProject) {
+			this.cachedProject = project;
+			this.cachedAssetNames.clear();
+		}
+
+		let names = this.cachedAssetNames.get(folder);
+
+		if (names === undefined) {
+			names = project_asset_names_get(project, folder);
+			this.cachedAssetNames.set(folder, names);
+		}
+
+		return names;
+	}
+
+}
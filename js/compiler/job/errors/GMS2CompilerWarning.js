@@ -0,0 +1,33 @@
+import * as ui from '../../../ui/ui-wrappers.js';
+import { errorPositionAsHTML } from './errorPositionAsHTML.js';
+import { line_from_compiler } from './line-mapping.js';
+
+/**
+ * A warning from the GML compiler about a line of code, such as calling a deprecated function or
+ * a variable which is only referenced once.
+ * @type {GM.Job.ErrorDescriptor}
+ */
+export const GMS2CompilerWarning = {
+
+	regex: /^Warning : (?<scriptString>gml_[a-zA-Z_][a-zA-Z0-9_@]*)\((?<lineNumber>[0-9]+)\) : (?<message>.+)$/m,
+
+	asHTML: ({ scriptString, lineNumber, message }) => {
+		const group = document.createElement('div');
+
+		group.append(ui.b('Warning'), ' in ');
+		errorPositionAsHTML(group, scriptString, line_from_compiler(lineNumber));
+		group.append(' - ');
+		group.appendChild(ui.code(message));
+
+		return group;
+	},
+
+	asData: ({ scriptString, lineNumber, message }) => ({
+		kind: 'warning',
+		message,
+		script: scriptString,
+		line: line_from_compiler(lineNumber),
+		stackFrames: []
+	})
+
+};
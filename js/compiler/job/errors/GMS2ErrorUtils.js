@@ -1,16 +1,29 @@
 import { BaseError } from '../../../utils/Err.js';
 import { Err, Ok } from '../../../utils/Result.js';
+import { GMEditNameResolver } from './GMEditNameResolver.js';
 
-const GmlEvent = $gmedit['parsers.GmlEvent'];
-const GmlKeyCode = $gmedit['parsers.GmlKeycode'];
+/**
+ * Names are looked up in GMEdit's open project unless told otherwise.
+ */
+const GMEDIT_NAME_RESOLVER = new GMEditNameResolver();
 
 export class GMS2ErrorUtils {
 	/**
+	 * Forget the names of the open project's assets looked up so far, such as when a job starts,
+	 * so that assets added since are found.
+	 */
+	static clearNameCache() {
+		GMEDIT_NAME_RESOLVER.clearCache();
+	}
+
+	/**
+	 * Work out which asset a script name reported by the compiler or runner refers to.
 	 *
 	 * @param {string} fullName
+	 * @param {GMS2.ErrorUtils.NameResolver} [resolver] How to look up names in the project.
 	 * @returns {Result<GMS2.ErrorUtils.ScriptInfo>}
 	 */
-	static parseScriptName(fullName) {
+	static parseScriptName(fullName, resolver = GMEDIT_NAME_RESOLVER) {
 		let rest = fullName.substring('gml_'.length);
 		const typeSplitPos = rest.indexOf('_');
 
@@ -30,16 +43,10 @@ export class GMS2ErrorUtils {
 
 			case 'Script':
 				if (!rest.includes('@')) {
-					// Try looking up the identifier as a script's top-level function via GMEdit's
-					// linter.
-					const apiEntry = GmlAPI.gmlLookup[rest];
-
-					if (apiEntry !== undefined) {
-						// TODO: is there a nice way in GMEdit to get the script *name*, not path??
-						const scriptName = apiEntry.path
-							.slice(apiEntry.path.lastIndexOf('/') + 1)
-							.replace('.gml', '');
+					// Try looking up the identifier as a script's top-level function.
+					const scriptName = resolver.scriptOfFunction(rest);
 
+					if (scriptName !== undefined) {
 						return Ok({
 							type: 'Script',
 							name: rest,
@@ -50,7 +57,19 @@ export class GMS2ErrorUtils {
 						});
 					}
 
-					return Err(new BaseError('TODO: best-effort parsing of LTS-style script identifiers'));
+					// Otherwise it may be a script asset named the same as the function it declares, as
+					// scripts from before 2.3 are.
+					if (resolver.isScript(rest)) {
+						return Ok({
+							type: 'GlobalScript',
+							name: rest
+						});
+					}
+
+					// LTS-style runtimes join a function's name to its parent's with an underscore, and
+					// give anonymous functions their parent's name and an index, e.g.
+					// `gml_Script_anon_gml_Object_obj_game_Create_0_67_gml_Object_obj_game_Create_0`.
+					return this.parseJoinedFunctionName(rest, resolver);
 				}
 
 				/** @type {string} */
@@ -82,6 +101,10 @@ export class GMS2ErrorUtils {
 					parentName = rest.substring(parentSplitPos + 1);
 				}
 
+				if (parentName === '') {
+					return Err(new BaseError(`Expected script line \`${fullName}\` to have a parent script name!`));
+				}
+
 				if (!parentName.startsWith('gml_') && parentName.includes('@')) {
 					// Nested methods/constructors!
 					const parentStack = parentName.split('@');
@@ -92,7 +115,7 @@ export class GMS2ErrorUtils {
 				let parent;
 
 				if (parentName.startsWith('gml_')) {
-					const parentRes = this.parseScriptName(parentName);
+					const parentRes = this.parseScriptName(parentName, resolver);
 
 					if (!parentRes.ok) {
 						return Err(new BaseError(`Failed to parse function \`${name}\`'s parent script name`, parentRes.err));
@@ -117,7 +140,39 @@ export class GMS2ErrorUtils {
 
 			case 'Object':
 				if (rest.includes('_Collision_')) {
-					return Err(new BaseError('Don\'t know how to parse when `_Collision_` appears due to ambiguous naming :('));
+					// Either object's name could itself contain `_Collision_`, so find the one way of
+					// splitting the name where both are objects in the project.
+					/** @type {Array<{ objectName: string; otherName: string }>} */
+					const candidates = [];
+
+					for (
+						let splitPos = rest.indexOf('_Collision_');
+						splitPos >= 0;
+						splitPos = rest.indexOf('_Collision_', splitPos + 1)
+					) {
+						const objectName = rest.substring(0, splitPos);
+						const otherName = rest.substring(splitPos + '_Collision_'.length);
+
+						if (resolver.isObject(objectName) && resolver.isObject(otherName)) {
+							candidates.push({ objectName, otherName });
+						}
+					}
+
+					if (candidates.length !== 1) {
+						return Err(new BaseError(candidates.length === 0
+							? `Couldn't find the objects colliding in \`${fullName}\` in the project`
+							: `\`${fullName}\` could be a collision between ${candidates.length} different pairs of objects`
+						));
+					}
+
+					const { objectName, otherName } = candidates[0];
+
+					return Ok({
+						type: 'Object',
+						objectName,
+						internalEventName: `collision:${otherName}`,
+						formattedEventName: `Collision:${otherName}`
+					});
 				}
 
 				const subEventUnderscorePos = rest.lastIndexOf('_');
@@ -127,13 +182,21 @@ export class GMS2ErrorUtils {
 				const eventRawName = rest.substring(eventUnderscorePos + 1, subEventUnderscorePos);
 				const subEventName = Number(rest.substring(subEventUnderscorePos + 1));
 
-				/** @type {string} */
+				/** @type {string|undefined} */
 				let internalEventName;
 
 				if (eventRawName.startsWith('Key')) {
-					internalEventName = `${eventRawName.toLowerCase()}:${GmlKeyCode.toName(subEventName)}`;
+					const keyName = resolver.keyName(subEventName);
+
+					if (keyName !== undefined) {
+						internalEventName = `${eventRawName.toLowerCase()}:${keyName}`;
+					}
 				} else {
-					internalEventName = GmlEvent.i2s[GmlEvent.sc2t[eventRawName]][subEventName];
+					internalEventName = resolver.eventName(eventRawName, subEventName);
+				}
+
+				if (internalEventName === undefined) {
+					return Err(new BaseError(`Unknown event \`${eventRawName}\` number ${subEventName} in \`${fullName}\``));
 				}
 
 				return Ok({
@@ -149,4 +212,83 @@ export class GMS2ErrorUtils {
 
 		return Err(new BaseError(`Unknown script type \`${type}\``));
 	}
+
+	/**
+	 * Parse an LTS-style function name, joined to its parent's name with an underscore. Both the
+	 * function's and parent's names can contain `_gml_` themselves, so each place it could be split
+	 * is tried, preferring one whose parent is in the project.
+	 *
+	 * @private
+	 * @param {string} joinedName The name following `gml_Script_`.
+	 * @param {GMS2.ErrorUtils.NameResolver} resolver
+	 * @returns {Result<GMS2.ErrorUtils.ScriptInfo>}
+	 */
+	static parseJoinedFunctionName(joinedName, resolver) {
+
+		/** @type {GMS2.ErrorUtils.ScriptInfo|undefined} */
+		let fallback = undefined;
+
+		for (
+			let splitPos = joinedName.indexOf('_gml_');
+			splitPos >= 0;
+			splitPos = joinedName.indexOf('_gml_', splitPos + 1)
+		) {
+			let functionName = joinedName.substring(0, splitPos);
+			const parentName = joinedName.substring(splitPos + 1);
+
+			// Anonymous functions repeat their parent's name, followed by their index.
+			const anonMatch = /^anon_(gml_.+)_(\d+)$/.exec(functionName);
+
+			if (functionName === 'anon' || (functionName.startsWith('anon_gml_') && anonMatch?.[1] !== parentName)) {
+				continue;
+			}
+
+			const parentRes = this.parseScriptName(parentName, resolver);
+
+			if (!parentRes.ok) {
+				continue;
+			}
+
+			if (anonMatch !== null) {
+				functionName = `<anon function ${anonMatch[2]}>`;
+			}
+
+			/** @type {GMS2.ErrorUtils.ScriptInfo} */
+			const info = {
+				type: 'Script',
+				name: functionName,
+				definedIn: parentRes.data
+			};
+
+			if (this.isInProject(parentRes.data, resolver)) {
+				return Ok(info);
+			}
+
+			fallback = info;
+		}
+
+		if (fallback === undefined) {
+			return Err(new BaseError(`Couldn't find the function \`${joinedName}\` or a script named so in the project`));
+		}
+
+		return Ok(fallback);
+
+	}
+
+	/**
+	 * Whether the object or script asset the given script belongs to is in the project.
+	 *
+	 * @private
+	 * @param {GMS2.ErrorUtils.ScriptInfo} info
+	 * @param {GMS2.ErrorUtils.NameResolver} resolver
+	 * @returns {boolean}
+	 */
+	static isInProject(info, resolver) {
+		switch (info.type) {
+			case 'Object': return resolver.isObject(info.objectName);
+			case 'GlobalScript': return resolver.isScript(info.name);
+			case 'Script': return this.isInProject(info.definedIn, resolver);
+		}
+	}
+
 }
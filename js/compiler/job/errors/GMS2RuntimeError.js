@@ -1,8 +1,6 @@
 import * as ui from '../../../ui/ui-wrappers.js';
 import { errorPositionAsHTML } from './errorPositionAsHTML.js';
 
-const OpenDeclaration = $gmedit['ui.OpenDeclaration'];
-
 /** 
  * An error that occurred at runtime.
  * @type {GM.Job.ErrorDescriptor} 
@@ -13,7 +11,10 @@ export const GMS2RuntimeError = {
 	 * Some silly regex that captures an error in either the 2024.400<= or 2024.600+ format, since
 	 * they randomly changed it ever-so-slightly.
 	 */
-	regex: /^ERROR!!! :: #+\nERROR in\saction number 1\sof (?<event>[A-Za-z0-9 ]+?)\sfor object (?<object>\S+?):\n+(?<exception>[\s\S]+?)(\n at [^\n]+)?\n#+\n(?<stackTrace>(?:gml_.+?\n)+)/m,
+	start: /^ERROR!!! :: #+$/,
+	end: /^gml_/,
+
+	regex: /^ERROR!!! :: #+\nERROR in\saction number 1\sof +(?<event>[A-Za-z0-9 ]+?)\sfor object (?<object>\S+?):\n+(?<exception>[\s\S]+?)(\n at [^\n]+)?\n#+\n(?<stackTrace>(?:gml_.+?\n)+)/m,
 
 	asHTML: ({ event, object, stackTrace, exception }) => {
 
@@ -28,27 +29,17 @@ export const GMS2RuntimeError = {
 
 		group.appendChild(exceptionElement);
 
-		const stackTraceInfo = stackTrace
-			.split('\n')
-			.map(line => line.match(/(?<scriptName>gml_\S+) \(line (?<lineNumber>[0-9]+)\)(?:\s-\s+(?<sourceLine>.+))?/))
-			.filter(matches => matches !== null)
-			.map(matches => matches.groups)
-			.filter(groups => groups !== undefined)
-			.map(groups => ({
-				rawScriptName: groups.scriptName,
-				lineNumber: Number(groups.lineNumber),
-				sourceLine: groups.sourceLine ?? undefined
-			}));
+		const stackFrames = parseStackTrace(stackTrace);
 
 		group.appendChild(document.createElement('hr'));
 
-		for (const info of stackTraceInfo) {
+		for (const frame of stackFrames) {
 			const element = document.createElement('div');
-			errorPositionAsHTML(element, info.rawScriptName, info.lineNumber);
+			errorPositionAsHTML(element, frame.script, frame.line);
 
-			if (info.sourceLine !== undefined) {
+			if (frame.source !== undefined) {
 				element.append(' - ');
-				element.appendChild(ui.code(info.sourceLine));
+				element.appendChild(ui.code(frame.source));
 			}
 
 			group.appendChild(element);
@@ -56,6 +47,42 @@ export const GMS2RuntimeError = {
 
 		return group;
 
+	},
+
+	asData: ({ event, object, stackTrace, exception }) => {
+
+		const stackFrames = parseStackTrace(stackTrace);
+
+		return {
+			kind: 'runtime',
+			message: exception.trim(),
+			script: stackFrames[0]?.script,
+			object: (object !== '<undefined>') ? object : undefined,
+			event,
+			line: stackFrames[0]?.line,
+			stackFrames
+		};
+
 	}
 
 };
+
+/**
+ * Parse the call stack printed with a runtime error.
+ * 
+ * @param {string} stackTrace
+ * @returns {GM.Job.StackFrame[]}
+ */
+function parseStackTrace(stackTrace) {
+	return stackTrace
+		.split('\n')
+		.map(line => line.match(/(?<scriptName>gml_\S+) \(line (?<lineNumber>[0-9]+)\)(?:\s-\s+(?<sourceLine>.+))?/))
+		.filter(matches => matches !== null)
+		.map(matches => matches.groups)
+		.filter(groups => groups !== undefined)
+		.map(groups => ({
+			script: groups.scriptName,
+			line: Number(groups.lineNumber),
+			source: groups.sourceLine ?? undefined
+		}));
+}
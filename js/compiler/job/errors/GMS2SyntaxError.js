@@ -1,5 +1,6 @@
 import * as ui from '../../../ui/ui-wrappers.js';
 import { errorPositionAsHTML } from './errorPositionAsHTML.js';
+import { line_from_compiler } from './line-mapping.js';
 
 /** 
  * A syntax error encountered by the GMS2 compiler.
@@ -7,17 +8,24 @@ import { errorPositionAsHTML } from './errorPositionAsHTML.js';
  */
 export const GMS2SyntaxError = {
 
-	regex: /^Error : (?<scriptString>gml_[a-zA-Z_][a-zA-Z0-9_]*)\((?<lineNumber>[0-9]+)\) : (?<message>.+)$/m,
+	regex: /^Error : (?<scriptString>gml_[a-zA-Z_][a-zA-Z0-9_@]*)\((?<lineNumber>[0-9]+)\) : (?<message>.+)$/m,
 
 	asHTML: ({ scriptString, lineNumber, message }) => {
 		const group = document.createElement('div');
-		const actualLineNumber = Number(lineNumber) + 1;
 
-		errorPositionAsHTML(group, scriptString, actualLineNumber);
+		errorPositionAsHTML(group, scriptString, line_from_compiler(lineNumber));
 		group.append(' - ');
 		group.appendChild(ui.code(message));
 
 		return group;
-	}
+	},
+
+	asData: ({ scriptString, lineNumber, message }) => ({
+		kind: 'syntax',
+		message,
+		script: scriptString,
+		line: line_from_compiler(lineNumber),
+		stackFrames: []
+	})
 
 };
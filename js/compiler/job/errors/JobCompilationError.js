@@ -26,6 +26,12 @@ export const JobCompilationError = {
 
 		return fragment;
 
-	}
+	},
+
+	asData: ({ error }) => ({
+		kind: 'compile',
+		message: error,
+		stackFrames: []
+	})
 
 };
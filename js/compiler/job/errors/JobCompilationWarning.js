@@ -0,0 +1,37 @@
+import * as ui from '../../../ui/ui-wrappers.js';
+
+/**
+ * A generic warning while compiling, such as a missing asset.
+ * @type {GM.Job.ErrorDescriptor}
+ */
+export const JobCompilationWarning = {
+
+	/**
+	 * Capture a compile-time warning in the format:
+	 * ```
+	 * Warning : some warning
+	 * ```
+	 */
+	regex: /^Warning : (?<warning>.+)/m,
+
+	asHTML: ({ warning }) => {
+
+		const fragment = new DocumentFragment();
+		const group = ui.group(fragment, 'Compilation Warning');
+
+		const body = document.createElement('pre');
+		body.textContent = warning;
+
+		group.appendChild(body);
+
+		return fragment;
+
+	},
+
+	asData: ({ warning }) => ({
+		kind: 'warning',
+		message: warning,
+		stackFrames: []
+	})
+
+};
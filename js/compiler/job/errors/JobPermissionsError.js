@@ -30,6 +30,12 @@ export const JobPermissionsError = {
 
 		return fragment;
 
-	}
+	},
+
+	asData: ({ error }) => ({
+		kind: 'permissions',
+		message: error,
+		stackFrames: []
+	})
 
 };
@@ -0,0 +1,32 @@
+import * as ui from '../../../ui/ui-wrappers.js';
+
+/**
+ * A sprite or texture group that doesn't fit on its texture pages, which the asset compiler
+ * reports as it packs them rather than through the compiler's `Warning :` lines.
+ * @type {GM.Job.ErrorDescriptor}
+ */
+export const JobTexturePageWarning = {
+
+	regex: /^(?:Warning\s*:+\s*)?(?<message>(?=.*\btexture ?pages?\b)(?=.*\b(?:too (?:big|large)|(?:does not|doesn't|won't|cannot|can't) fit|overflow)).+)$/im,
+
+	asHTML: ({ message }) => {
+
+		const fragment = new DocumentFragment();
+		const group = ui.group(fragment, 'Texture Page Warning');
+
+		const body = document.createElement('pre');
+		body.textContent = message;
+
+		group.appendChild(body);
+
+		return fragment;
+
+	},
+
+	asData: ({ message }) => ({
+		kind: 'texture-page',
+		message: message.trim(),
+		stackFrames: []
+	})
+
+};
@@ -0,0 +1,55 @@
+import { GMS2ErrorUtils } from './GMS2ErrorUtils.js';
+import { Ok } from '../../../utils/Result.js';
+
+/**
+ * Describe where in the project a position reported by the compiler or runner is, and which GMEdit
+ * file it belongs to.
+ * 
+ * @param {string} scriptString Raw name of the script, such as `gml_Object_obj_player_Step_0`.
+ * @param {number} lineNumber Line number in the script, starting from 1.
+ * @param {GMS2.ErrorUtils.NameResolver} [resolver] How to look up names in the project.
+ * @returns {Result<GMS2.ErrorUtils.Position>}
+ */
+export function error_position_describe(scriptString, lineNumber, resolver) {
+
+	const infoRes = GMS2ErrorUtils.parseScriptName(scriptString, resolver);
+
+	if (!infoRes.ok) {
+		return infoRes;
+	}
+
+	const info = infoRes.data;
+
+	switch (info.type) {
+		case 'GlobalScript': return Ok({
+			label: `${info.name}, line ${lineNumber}`,
+			location: { file: info.name, line: lineNumber }
+		});
+
+		case 'Script':
+			let rootParent = info.definedIn;
+
+			while (rootParent.type === 'Script') {
+				rootParent = rootParent.definedIn;
+			}
+
+			switch (rootParent.type) {
+				case 'GlobalScript': return Ok({
+					label: `Function ${info.name} (in Script ${rootParent.name}), line ${lineNumber}`,
+					location: { file: rootParent.name, line: lineNumber }
+				});
+
+				case 'Object': return Ok({
+					label: `Function ${info.name} (in ${rootParent.objectName}'s ${rootParent.formattedEventName} Event), line ${lineNumber}`,
+					location: { file: rootParent.objectName, event: rootParent.internalEventName, line: lineNumber }
+				});
+			}
+			break;
+
+		case 'Object': return Ok({
+			label: `${info.objectName}'s ${info.formattedEventName} Event, line ${lineNumber}`,
+			location: { file: info.objectName, event: info.internalEventName, line: lineNumber }
+		});
+	}
+
+}
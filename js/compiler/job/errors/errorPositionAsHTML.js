@@ -1,65 +1,30 @@
 import * as ui from '../../../ui/ui-wrappers.js';
-import { GMS2ErrorUtils } from './GMS2ErrorUtils.js';
+import { editor_location_open } from '../../../ui/editor-annotations/editor-annotation-locate.js';
+import { error_position_describe } from './error-position.js';
 
-const OpenDeclaration = $gmedit['ui.OpenDeclaration'];
-
-// FIXME: this is really gross, give it a refactor :P
 /**
+ * Show where an error happened, as a link to go to it if the position could be understood.
  * 
  * @param {HTMLElement} group
  * @param {string} scriptString 
  * @param {number} lineNumber
  */
 export function errorPositionAsHTML(group, scriptString, lineNumber) {
-	const infoRes = GMS2ErrorUtils.parseScriptName(scriptString);
-
-	if (infoRes.ok) {
-		const info = infoRes.data;
-
-		switch (info.type) {
-			case 'GlobalScript':
-				group.appendChild(ui.textButton(`${info.name}, line ${lineNumber}`, () =>
-					OpenDeclaration.openLink(`${info.name}:${lineNumber}`, null)
-				));
-			break;
-
-			case 'Script':
-				let rootParent = info.definedIn;
-
-				while (rootParent.type === 'Script') {
-					rootParent = rootParent.definedIn;
-				}
-
-				switch (rootParent.type) {
-					case 'GlobalScript':
-						group.appendChild(ui.textButton(`Function ${info.name} (in Script ${rootParent.name}), line ${lineNumber}`, () =>
-							OpenDeclaration.openLink(`${rootParent.name}:${lineNumber}`, null)
-						));
-					break;
+	const positionRes = error_position_describe(scriptString, lineNumber);
 
-					case 'Object':
-						// FIXME: mysteriously we're getting off-by-one line numbers but only sometimes??? Is GMEdit doing this???
-						group.appendChild(ui.textButton(`Function ${info.name} (in ${rootParent.objectName}'s ${rootParent.formattedEventName} Event), line ${lineNumber}`, () =>
-							OpenDeclaration.openLink(`${rootParent.objectName}(${rootParent.internalEventName}):${lineNumber}`, null)
-						));
-					break;
-				}
-			break;
+	if (positionRes.ok) {
+		const { label, location } = positionRes.data;
 
-			case 'Object':
-				// FIXME: mysteriously we're getting off-by-one line numbers but only sometimes??? Is GMEdit doing this???
-				group.appendChild(ui.textButton(`${info.objectName}'s ${info.formattedEventName} Event, line ${lineNumber}`, () =>
-					OpenDeclaration.openLink(`${info.objectName}(${info.internalEventName}):${lineNumber}`, null)
-				));
-			break;
-		}
+		group.appendChild(ui.textButton(label, () =>
+			editor_location_open(location)
+		));
 	} else {
 		// Fallback to no link, with tooltip explanation. :(
 		const locationElement = document.createElement('span');
 		locationElement.appendChild(ui.code(scriptString));
 		locationElement.append(`, line ${lineNumber}`);
 		
-		group.title = `No go-to-line, sorry:\n${infoRes.err}`;
+		group.title = `No go-to-line, sorry:\n${positionRes.err}`;
 		group.classList.add('gm-constructor-give-tooltip-indicator');
 		group.appendChild(locationElement);
 	}
@@ -32,5 +32,48 @@ export declare global {
 				name: string;
 			};
 		};
+
+		/**
+		 * Looks up the names GMEdit gives to parts of a project, which script names reported by the
+		 * compiler and runner can't be read without.
+		 */
+		interface NameResolver {
+			/**
+			 * Name of the script asset which declares the given top-level function, if known.
+			 */
+			scriptOfFunction(functionName: string): string | undefined;
+
+			/**
+			 * GMEdit's name for an object event, such as `step` for the compiler's `Step` event
+			 * type, number `0`.
+			 */
+			eventName(eventType: string, eventNumber: number): string | undefined;
+
+			/**
+			 * GMEdit's name for a keyboard key code, such as `vk_space` for `32`.
+			 */
+			keyName(keyCode: number): string | undefined;
+
+			/**
+			 * Whether the project has an object of the given name.
+			 */
+			isObject(name: string): boolean;
+
+			/**
+			 * Whether the project has a script asset of the given name.
+			 */
+			isScript(name: string): boolean;
+		};
+
+		/**
+		 * A position in the project, described for the user.
+		 */
+		type Position = {
+			/** Description of where the position is, such as `obj_player's Step Event, line 4`. */
+			label: string;
+
+			/** The GMEdit file and line of the position. */
+			location: TEditorAnnotations.Location;
+		};
 	};
 };
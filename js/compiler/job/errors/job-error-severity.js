@@ -0,0 +1,33 @@
+/**
+ * Severity of each kind of error.
+ *
+ * @type {Readonly<Record<GM.Job.ErrorKind, GM.Job.Severity>>}
+ */
+const ERROR_KIND_SEVERITY = {
+	'syntax': 'error',
+	'compile': 'error',
+	'permissions': 'error',
+	'runtime': 'error',
+	'warning': 'warning',
+	'texture-page': 'warning'
+};
+
+/**
+ * Get how serious an error found in a job's output is.
+ *
+ * @param {Pick<GM.Job.ErrorData, 'kind'>} data
+ * @returns {GM.Job.Severity}
+ */
+export function job_error_severity(data) {
+	return ERROR_KIND_SEVERITY[data.kind];
+}
+
+/**
+ * Whether an error found in a job's output is serious enough to fail it, rather than a warning.
+ *
+ * @param {Pick<GM.Job.ErrorData, 'kind'>} data
+ * @returns {boolean}
+ */
+export function job_error_is_fatal(data) {
+	return job_error_severity(data) === 'error';
+}
@@ -0,0 +1,56 @@
+/**
+ * Turn a line number reported by the compiler into one counted from 1, as the runner and GMEdit
+ * count them. The compiler counts from 0.
+ *
+ * @param {number|string} reportedLine The line number as written in the compiler's output.
+ * @returns {number}
+ */
+export function line_from_compiler(reportedLine) {
+	return Number(reportedLine) + 1;
+}
+
+/**
+ * Find the editor row (starting from 0) showing a line of a script or event's file.
+ *
+ * Scripts are shown as they are in their file. Objects show every event one after another in a
+ * combined view, each starting with an `#event` header line. Where an event's file starts with a
+ * `/// @description`, GMEdit moves the description onto the end of the header line rather than
+ * showing it as code, so that event's lines start on the header itself.
+ *
+ * @param {string[]} lines The lines of code in the editor.
+ * @param {TEditorAnnotations.Location} location
+ * @returns {number|undefined} The row, or `undefined` if the location isn't in this code.
+ */
+export function line_to_editor_row(lines, location) {
+
+	let firstRow = 0;
+	let rowCount = lines.length;
+
+	if (location.event !== undefined) {
+
+		const header = `#event ${location.event}`;
+
+		const headerRow = lines.findIndex(line => {
+			const trimmed = line.trimEnd();
+			return trimmed === header || trimmed.startsWith(`${header} `);
+		});
+
+		if (headerRow < 0) {
+			return undefined;
+		}
+
+		const hasDescription = lines[headerRow].trimEnd() !== header;
+		firstRow = hasDescription ? headerRow : headerRow + 1;
+
+		const nextHeaderRow = lines.findIndex((line, row) => row > headerRow && line.startsWith('#event '));
+		rowCount = ((nextHeaderRow < 0) ? lines.length : nextHeaderRow) - firstRow;
+
+	}
+
+	if (location.line < 1 || location.line > rowCount) {
+		return undefined;
+	}
+
+	return firstRow + location.line - 1;
+
+}
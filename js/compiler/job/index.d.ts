@@ -16,6 +16,11 @@ export declare global {
 			 */
 			readonly buildPath: string;
 
+			/**
+			 * The settings the job was started with.
+			 */
+			readonly settings: GMS2.IgorSettings;
+
 			/**
 			 * The platform the job is building for.
 			 */
@@ -36,6 +41,13 @@ export declare global {
 			 */
 			readonly startTime: Date;
 
+			/**
+			 * Output the job starts with, written before anyone could listen for `stdout` - such
+			 * as the command line it was started with. Its `stdout` follows on from this, and
+			 * error offsets count it.
+			 */
+			readonly header: string;
+
 			/**
 			 * Events a job will emit during its execution.
 			 */
@@ -46,6 +58,17 @@ export declare global {
 			 */
 			getState(): Job.State;
 
+			/**
+			 * Get the phase the job is currently in, if one has been recognised yet.
+			 */
+			getPhase(): Job.Phase|undefined;
+
+			/**
+			 * Get how long each phase the job has passed through took, in order. The current
+			 * phase has no end time until the job moves on, or stops.
+			 */
+			getPhaseTimings(): ReadonlyArray<Job.PhaseTiming>;
+
 			/**
 			 * Stop the job.
 			 * 
@@ -56,9 +79,37 @@ export declare global {
 		};
 
 		namespace Job {
+			/**
+			 * What an output log needs of a job to follow its output, which replays of a saved
+			 * log have too.
+			 */
+			type OutputSource = Pick<Job,
+				'id'				|
+				'buildPath'			|
+				'startTime'			|
+				'header'			|
+				'events'			|
+				'getState'			|
+				'getPhase'			|
+				'getPhaseTimings'	|
+				'stop'
+			>;
+
 			interface EventMap {
+				/**
+				 * Output written by the job since the last event, following on from its `header`.
+				 * Jobs don't keep their output, so listeners keep as much of it as they need.
+				 */
 				stdout: string;
+
+				/**
+				 * Complete lines of output, split by whether Igor or the running game wrote them.
+				 * Each line is also part of `stdout`.
+				 */
+				streamOutput: StreamChunk;
+				error: Error;
 				output: string;
+				phase: PhaseTrackerEventMap['phase'];
 				stopping: void;
 				stop: {
 					stopType: StopType;
@@ -67,6 +118,70 @@ export declare global {
 				};
 			};
 
+			interface OutputParserEventMap {
+				error: Error;
+			};
+
+			interface StreamSplitterEventMap {
+				output: StreamChunk;
+			};
+
+			interface PhaseTrackerEventMap {
+				phase: {
+					phase: Phase;
+					previous?: Phase;
+				};
+			};
+
+			/**
+			 * A distinct stage of building or running a job.
+			 */
+			type Phase =
+				'assetCompile'	|
+				'gmlCompile'	|
+				'yycCompile'	|
+				'packaging'		|
+				'runnerLaunch'	|
+				'running'		;
+
+			/**
+			 * Where a line of a job's output came from - Igor building the game, or the game
+			 * itself once the runner has launched it.
+			 */
+			type Stream =
+				'build'	|
+				'game'	;
+
+			type StreamChunk = {
+				stream: Stream;
+				text: string;
+			};
+
+			/**
+			 * How important an entry of the game's structured log is, least important first.
+			 */
+			type GameLogLevel =
+				'debug'	|
+				'info'	|
+				'warn'	|
+				'error'	;
+
+			/**
+			 * A line of the game's output written in the structured format, a JSON object such as
+			 * `{"level":"warn","category":"ai","message":"No path to target"}`.
+			 */
+			type GameLogEntry = {
+				level: GameLogLevel;
+				category?: string;
+				message: string;
+			};
+
+			type PhaseTiming = {
+				phase: Phase;
+				startTime: Date;
+				endTime?: Date;
+			};
+
 			type StopType =
 				'Failed'	|
 				'Stopped'	|
@@ -87,12 +202,34 @@ export declare global {
 				 */
 				readonly regex: RegExp;
 
+				/**
+				 * For errors spanning multiple lines, a pattern matching just the first line of the
+				 * error, so that it can be recognised before the rest of it has been output.
+				 * 
+				 * Descriptors without a start pattern are matched against single lines.
+				 */
+				readonly start?: RegExp;
+
+				/**
+				 * For errors spanning multiple lines, a pattern matching each of the lines the
+				 * error ends with, such as the frames of a stack trace. The full pattern is then only
+				 * tried once a line that doesn't match follows one that does, rather than on every
+				 * line of the error.
+				 */
+				readonly end?: RegExp;
+
 				/**
 				 * Create a HTML representation of the given error that may be appended
 				 * somewhere we want to display it.
 				 */
 				asHTML(groups: Record<string, string>): Node;
 
+				/**
+				 * Create a structured representation of the given error, for tools which need to
+				 * know about it without reading the job's output.
+				 */
+				asData(groups: Record<string, string>): ErrorData;
+
 			};
 
 			/**
@@ -110,13 +247,77 @@ export declare global {
 				 */
 				readonly length: number;
 
+				/**
+				 * The text of the error as it appeared in the output stream.
+				 */
+				readonly text: string;
+
+				/**
+				 * Structured information about this error.
+				 */
+				readonly data: ErrorData;
+
 				/**
 				 * Create a HTML representation of this error that may be appended
 				 * somewhere we want to display it.
 				 */
 				asHTML(): Node;
 
-			}
+			};
+
+			/**
+			 * The kinds of errors we recognise in a job's output. Despite the name, some kinds
+			 * are only warnings - see `Severity`.
+			 */
+			type ErrorKind =
+				'syntax'		|
+				'compile'		|
+				'permissions'	|
+				'runtime'		|
+				'warning'		|
+				'texture-page'	;
+
+			/**
+			 * How serious an error is. Warnings don't stop a build, and can be hidden or ignored.
+			 */
+			type Severity =
+				'error'		|
+				'warning'	;
+
+			/**
+			 * Structured, serialisable information about an error. Fields which don't apply to
+			 * the kind of error, or which Igor didn't tell us, are omitted.
+			 */
+			type ErrorData = {
+				kind: ErrorKind;
+				message: string;
+
+				/** Raw name of the script the error occurred in, such as `gml_Script_foo`. */
+				script?: string;
+
+				/** Name of the object whose event the error occurred in. */
+				object?: string;
+
+				/** Name of the event the error occurred in, as given by the runner. */
+				event?: string;
+
+				/** Line number in the script, starting from 1. */
+				line?: number;
+
+				/** Call stack of a runtime error, innermost frame first. */
+				stackFrames: StackFrame[];
+			};
+
+			/**
+			 * A single frame of a runtime error's call stack.
+			 */
+			type StackFrame = {
+				script: string;
+				line: number;
+
+				/** The line of code being executed, if the runner included it. */
+				source?: string;
+			};
 		};
 	}
 }
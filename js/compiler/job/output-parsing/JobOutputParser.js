@@ -0,0 +1,217 @@
+import { EventEmitterImpl } from '../../../utils/EventEmitterImpl.js';
+import { LineBuffer } from '../../../utils/LineBuffer.js';
+
+/**
+ * The most lines we'll hold onto waiting for a multi-line error to complete before deciding that
+ * the line that started it wasn't an error after all.
+ */
+const MAX_PENDING_LINES = 500;
+
+/**
+ * Incremental parser for the output of a job, which recognises errors as the output arrives,
+ * rather than re-scanning the entire log each time.
+ *
+ * Output is consumed line-by-line. Each line is checked against the descriptors in order, so the
+ * descriptors should be ordered in descending specificity. Descriptors with a `start` pattern may
+ * span multiple lines - once their first line is seen, following lines are collected until the
+ * descriptor's full pattern matches and a line arrives that isn't part of the match.
+ */
+export class JobOutputParser {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<GM.Job.OutputParserEventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['error']);
+
+	/**
+	 * @returns {EventEmitter<GM.Job.OutputParserEventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * Every error recognised so far, in the order they appeared.
+	 *
+	 * @readonly
+	 * @type {GM.Job.Error[]}
+	 */
+	errors = [];
+
+	/**
+	 * Offset into the output of the start of the next line.
+	 *
+	 * @private
+	 */
+	offset = 0;
+
+	/**
+	 * @private
+	 */
+	lineBuffer = new LineBuffer((line) => {
+		this.processLine(line, this.offset);
+		this.offset += line.length + 1;
+	});
+
+	/**
+	 * A multi-line error we've seen the start of, which is waiting for more lines.
+	 *
+	 * @private
+	 * @type {{ descriptor: GM.Job.ErrorDescriptor, lines: string[], text: string, offset: number }|undefined}
+	 */
+	pending = undefined;
+
+	/**
+	 * @param {ReadonlyArray<GM.Job.ErrorDescriptor>} descriptors Recognised error types, in
+	 * descending specificity.
+	 */
+	constructor(descriptors) {
+		/** @private */
+		this.descriptors = descriptors;
+	}
+
+	/**
+	 * Consume the next chunk of output.
+	 *
+	 * @param {string} chunk
+	 */
+	feed(chunk) {
+		this.lineBuffer.feed(chunk);
+	}
+
+	/**
+	 * Finish parsing, treating any remaining text as complete. Call this once the output has ended.
+	 */
+	flush() {
+
+		this.lineBuffer.flush();
+
+		const pending = this.pending;
+
+		if (pending === undefined) {
+			return;
+		}
+
+		this.pending = undefined;
+		const match = pending.text.match(pending.descriptor.regex);
+
+		if (match !== null && match.index === 0) {
+			this.addError(pending.descriptor, match, pending.offset);
+			return;
+		}
+
+		this.abandonPending(pending);
+		this.flush();
+
+	}
+
+	/**
+	 * @private
+	 * @param {string} line
+	 * @param {number} offset Offset into the output that the line begins at.
+	 */
+	processLine(line, offset) {
+
+		const pending = this.pending;
+
+		if (pending !== undefined) {
+
+			const { descriptor } = pending;
+			const previousLine = pending.lines[pending.lines.length - 1];
+			const previousText = pending.text;
+
+			pending.lines.push(line);
+			pending.text += line + '\n';
+
+			// Without knowing which lines the error ends with, any line might be the one after it.
+			const mayHaveEnded = (descriptor.end === undefined)
+				|| (descriptor.end.test(previousLine) && !descriptor.end.test(line));
+
+			const match = mayHaveEnded ? pending.text.match(descriptor.regex) : null;
+
+			if (match !== null && match.index === 0 && match[0].length <= previousText.length) {
+				// The error ended before this line, so this line is free to be something else.
+				this.pending = undefined;
+				this.addError(descriptor, match, pending.offset);
+				this.processLine(line, offset);
+
+				return;
+			}
+
+			if (pending.lines.length > MAX_PENDING_LINES) {
+				this.pending = undefined;
+				this.abandonPending(pending);
+			}
+
+			return;
+
+		}
+
+		for (const descriptor of this.descriptors) {
+
+			if (descriptor.start !== undefined) {
+
+				if (descriptor.start.test(line)) {
+					this.pending = { descriptor, lines: [line], text: line + '\n', offset };
+					return;
+				}
+
+				continue;
+
+			}
+
+			const match = line.match(descriptor.regex);
+
+			if (match !== null && match.index === 0) {
+				this.addError(descriptor, match, offset);
+				return;
+			}
+
+		}
+
+	}
+
+	/**
+	 * Give up on a multi-line error that never completed, and parse the lines following its first
+	 * line as normal.
+	 *
+	 * @private
+	 * @param {NonNullable<JobOutputParser['pending']>} pending
+	 */
+	abandonPending(pending) {
+
+		let offset = pending.offset + pending.lines[0].length + 1;
+
+		for (const line of pending.lines.slice(1)) {
+			this.processLine(line, offset);
+			offset += line.length + 1;
+		}
+
+	}
+
+	/**
+	 * @private
+	 * @param {GM.Job.ErrorDescriptor} descriptor
+	 * @param {RegExpMatchArray} match
+	 * @param {number} offset
+	 */
+	addError(descriptor, match, offset) {
+
+		const groups = match.groups ?? {};
+
+		/** @type {GM.Job.Error} */
+		const error = {
+			offset,
+			length: match[0].length,
+			text: match[0],
+			data: descriptor.asData(groups),
+			asHTML: () => descriptor.asHTML(groups)
+		};
+
+		this.errors.push(error);
+		this.eventEmitter.emit('error', error);
+
+	}
+
+}
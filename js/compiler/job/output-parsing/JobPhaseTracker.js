@@ -0,0 +1,145 @@
+import { EventEmitterImpl } from '../../../utils/EventEmitterImpl.js';
+
+/**
+ * The phases of a job, in the order they happen. Not every job passes through every phase - VM
+ * builds skip the C++ compile, and only packaging jobs package.
+ *
+ * @type {ReadonlyArray<GM.Job.Phase>}
+ */
+export const JOB_PHASES = [
+	'assetCompile',
+	'gmlCompile',
+	'yycCompile',
+	'packaging',
+	'runnerLaunch',
+	'running'
+];
+
+/**
+ * Human-readable names of each phase.
+ *
+ * @type {Readonly<Record<GM.Job.Phase, string>>}
+ */
+export const JOB_PHASE_NAMES = {
+	assetCompile: 'Asset Compile',
+	gmlCompile: 'GML Compile',
+	yycCompile: 'YYC C++ Compile',
+	packaging: 'Packaging',
+	runnerLaunch: 'Runner Launch',
+	running: 'Running'
+};
+
+/**
+ * Lines of Igor's (and the runner's) output which mark the beginning of each phase.
+ *
+ * These are based on the output of recent runtimes. Igor isn't consistent about what it prints
+ * between toolchains and platforms, so we match a few possible markers for each phase, and a phase
+ * that we never see a marker for is simply skipped.
+ *
+ * @type {Readonly<Record<GM.Job.Phase, RegExp>>}
+ */
+export const JOB_PHASE_START_PATTERNS = {
+	assetCompile: /^(?:\[Compile\] Run asset compiler|Looking for built-in fonts|Reading project file)/,
+	gmlCompile: /^(?:Compile Constants|Compile Scripts)\.\.\./,
+	yycCompile: /^(?:\[Compile\] .*YYC|Compiling .+\.cpp|.*\b(?:clang\+\+|cl\.exe|MSBuild\.exe)\b)/i,
+	packaging: /^(?:\[Package\]|Packaging\b|Creating (?:zip|installer|package)|Zipping\b)/i,
+	runnerLaunch: /^(?:\[Run\]|Running game\b)/,
+	running: /^(?:Entering main loop\.|Setting scheduler resolution|Total memory used|DirectX11: Using hardware device|OpenGL: )/
+};
+
+/**
+ * Follows along with a job's output, line-by-line, to figure out which phase of building or running
+ * the job is in, and how long each phase took.
+ */
+export class JobPhaseTracker {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<GM.Job.PhaseTrackerEventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['phase']);
+
+	/**
+	 * @returns {EventEmitter<GM.Job.PhaseTrackerEventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * Timings of each phase the job has entered, in order.
+	 *
+	 * @private
+	 * @type {GM.Job.PhaseTiming[]}
+	 */
+	timings = [];
+
+	/**
+	 * The current phase, if any has been recognised yet.
+	 *
+	 * @returns {GM.Job.Phase|undefined}
+	 */
+	get phase() {
+		return this.timings.at(-1)?.phase;
+	}
+
+	/**
+	 * @returns {ReadonlyArray<GM.Job.PhaseTiming>}
+	 */
+	getTimings() {
+		return this.timings;
+	}
+
+	/**
+	 * Consume the next complete line of output.
+	 *
+	 * @param {string} line
+	 * @param {Date} [time] The time the line was output.
+	 */
+	feedLine(line, time = new Date()) {
+
+		const current = this.phase;
+		const nextPhaseIndex = (current === undefined) ? 0 : (JOB_PHASES.indexOf(current) + 1);
+
+		// Phases only move forwards, so earlier phases' markers showing up again (such as the
+		// asset compiler running a second time) don't send us backwards.
+		for (const phase of JOB_PHASES.slice(nextPhaseIndex)) {
+			if (JOB_PHASE_START_PATTERNS[phase].test(line)) {
+				this.enterPhase(phase, time);
+				return;
+			}
+		}
+
+	}
+
+	/**
+	 * Mark the job as finished, ending the current phase.
+	 *
+	 * @param {Date} [time] The time the job finished.
+	 */
+	finish(time = new Date()) {
+
+		const timing = this.timings.at(-1);
+
+		if (timing !== undefined && timing.endTime === undefined) {
+			timing.endTime = time;
+		}
+
+	}
+
+	/**
+	 * @private
+	 * @param {GM.Job.Phase} phase
+	 * @param {Date} time
+	 */
+	enterPhase(phase, time) {
+
+		const previous = this.phase;
+		this.finish(time);
+
+		this.timings.push({ phase, startTime: time });
+		this.eventEmitter.emit('phase', { phase, previous });
+
+	}
+
+}
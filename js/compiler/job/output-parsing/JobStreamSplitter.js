@@ -0,0 +1,58 @@
+import { EventEmitterImpl } from '../../../utils/EventEmitterImpl.js';
+import { JOB_PHASE_START_PATTERNS } from './JobPhaseTracker.js';
+
+/**
+ * Lines Igor prints once the game has closed, which mark the end of the game's output.
+ */
+export const JOB_STREAM_END_PATTERN = /^(?:Igor complete\.|elapsed time\b)/;
+
+/**
+ * Follows along with a job's output, line-by-line, to split it into what Igor printed while building
+ * the game, and what the game printed once the runner launched it.
+ */
+export class JobStreamSplitter {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<GM.Job.StreamSplitterEventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['output']);
+
+	/**
+	 * @returns {EventEmitter<GM.Job.StreamSplitterEventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * The stream the next line belongs to.
+	 * 
+	 * @type {GM.Job.Stream}
+	 */
+	stream = 'build';
+
+	/**
+	 * Consume the next complete line of output.
+	 *
+	 * @param {string} line
+	 */
+	feedLine(line) {
+
+		/** @type {GM.Job.Stream} */
+		const stream = (this.stream === 'game' && JOB_STREAM_END_PATTERN.test(line))
+			? 'build'
+			: this.stream;
+
+		this.eventEmitter.emit('output', { stream, text: line + '\n' });
+
+		// The launch line is Igor's own, so the game's output starts after it.
+		if (stream === 'build' && JOB_PHASE_START_PATTERNS.runnerLaunch.test(line)) {
+			this.stream = 'game';
+		} else {
+			this.stream = stream;
+		}
+
+	}
+
+}
@@ -0,0 +1,62 @@
+import { None, Some } from '../../../utils/Option.js';
+
+/**
+ * Levels of the game's structured log, least important first.
+ *
+ * @type {ReadonlyArray<GM.Job.GameLogLevel>}
+ */
+export const GAME_LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Read a line of the game's output written in the structured format - a JSON object with a `level`,
+ * a `message` and optionally a `category`, for example:
+ * 
+ * ```json
+ * {"level":"warn","category":"ai","message":"No path to target"}
+ * ```
+ * 
+ * The level is case-insensitive. Any other fields are ignored.
+ *
+ * @param {string} line
+ * @returns {Option<GM.Job.GameLogEntry>} The entry, or `None` if the line isn't one.
+ */
+export function game_log_parse_line(line) {
+
+	const trimmed = line.trim();
+
+	if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) {
+		return None;
+	}
+
+	/** @type {unknown} */
+	let json;
+
+	try {
+		json = JSON.parse(trimmed);
+	} catch {
+		return None;
+	}
+
+	if (typeof json !== 'object' || json === null) {
+		return None;
+	}
+
+	const { level, category, message } = /** @type {Record<string, unknown>} */ (json);
+
+	if (typeof level !== 'string' || typeof message !== 'string') {
+		return None;
+	}
+
+	const normalizedLevel = /** @type {GM.Job.GameLogLevel} */ (level.toLowerCase());
+
+	if (!GAME_LOG_LEVELS.includes(normalizedLevel)) {
+		return None;
+	}
+
+	if (typeof category === 'string' && category !== '') {
+		return Some({ level: normalizedLevel, category, message });
+	}
+
+	return Some({ level: normalizedLevel, message });
+
+}
@@ -2,24 +2,28 @@ import { GMS2SyntaxError } from '../errors/GMS2SyntaxError.js';
 import { JobCompilationError } from '../errors/JobCompilationError.js';
 import { JobPermissionsError } from '../errors/JobPermissionsError.js';
 import { GMS2RuntimeError } from '../errors/GMS2RuntimeError.js';
+import { GMS2CompilerWarning } from '../errors/GMS2CompilerWarning.js';
+import { JobTexturePageWarning } from '../errors/JobTexturePageWarning.js';
+import { JobCompilationWarning } from '../errors/JobCompilationWarning.js';
+import { JobOutputParser } from './JobOutputParser.js';
 
 /**
- * List of recognised error types to iterate over discovering.
+ * List of recognised error and warning types to iterate over discovering.
  * 
  * These are intentionally ordered in descending specificity,
  * where the types at the top of the list are more specific, i.e.,
  * less likely to conflict with less specific ones.
  * 
- * There's no doubt a way better way of doing this whole setup but
- * hey, it works, and I'm a bit busy to do a better solution now.
- * 
  * @type {GM.Job.ErrorDescriptor[]}
  */
 const errorDescriptors = [
 	GMS2RuntimeError,
 	JobPermissionsError,
 	GMS2SyntaxError,
-	JobCompilationError
+	JobCompilationError,
+	GMS2CompilerWarning,
+	JobTexturePageWarning,
+	JobCompilationWarning
 ];
 
 /**
@@ -30,54 +34,20 @@ const errorDescriptors = [
  */
 export function job_parse_stdout(stdout) {
 
-	/** @type {GM.Job.Error[]} */
-	const errors = [];
-
-	let string = stdout;
-
-	for (const errorDescriptor of errorDescriptors) {
-		while (string.length > 0) {
-
-			const entry = parseJobError(string, errorDescriptor);
-
-			if (entry === undefined) {
-				break;
-			}
+	const parser = job_create_output_parser();
 
-			errors.push(entry);
+	parser.feed(stdout);
+	parser.flush();
 
-			string =
-				string.slice(0, entry.offset - 1) +
-				string.slice(entry.offset + entry.length);
-
-		}
-	}
-
-	return errors;
+	return parser.errors;
 
 }
 
 /**
- * Parse the next {@link JobError} of the given descriptor type, if any more exist.
+ * Create a parser to incrementally recognise errors in the output of an Igor job.
  * 
- * @param {string} string The string - probably `stdout` or `stderr` - to search in.
- * @param {GM.Job.ErrorDescriptor} errorDescriptor The descriptor for the error type to search for.
- * @returns {GM.Job.Error|undefined}
+ * @returns {JobOutputParser}
  */
-function parseJobError(string, errorDescriptor) {
-	
-	const match = string.match(errorDescriptor.regex);
-	
-	if (match === null || match.groups === undefined || match.index === undefined) {
-		return undefined;
-	}
-
-	const groups = match.groups;
-
-	return {
-		offset: match.index,
-		length: match[0].length,
-		asHTML: () => errorDescriptor.asHTML(groups)
-	};
-
+export function job_create_output_parser() {
+	return new JobOutputParser(errorDescriptors);
 }
@@ -0,0 +1,166 @@
+import { BaseError } from '../utils/Err.js';
+import { Err, Ok } from '../utils/Result.js';
+
+/**
+ * Pattern for a valid environment variable name.
+ */
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Split arguments for the game written as they would be on a command line, such as
+ * `-skipintro -level "Forest Path"`, into the separate arguments.
+ * 
+ * Arguments are separated by whitespace, except inside single or double quotes. Inside double
+ * quotes, a backslash escapes a following double quote or backslash.
+ * 
+ * @param {string} text
+ * @returns {Result<string[]>}
+ */
+export function launch_args_parse(text) {
+
+	/** @type {string[]} */
+	const args = [];
+
+	/** @type {string|undefined} */
+	let current = undefined;
+
+	/** @type {'"'|"'"|undefined} */
+	let quote = undefined;
+
+	for (let i = 0; i < text.length; i ++) {
+
+		const char = text[i];
+
+		if (quote !== undefined) {
+
+			if (char === quote) {
+				quote = undefined;
+			} else if (quote === '"' && char === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+				current += text[++ i];
+			} else {
+				current += char;
+			}
+
+			continue;
+
+		}
+
+		if (/\s/.test(char)) {
+
+			if (current !== undefined) {
+				args.push(current);
+				current = undefined;
+			}
+
+			continue;
+
+		}
+
+		current ??= '';
+
+		if (char === '"' || char === '\'') {
+			quote = char;
+		} else {
+			current += char;
+		}
+
+	}
+
+	if (quote !== undefined) {
+		return Err(new BaseError(`Missing a closing ${quote} in '${text}'`));
+	}
+
+	if (current !== undefined) {
+		args.push(current);
+	}
+
+	return Ok(args);
+
+}
+
+/**
+ * Read environment variables for the game written as `NAME=value` pairs separated by whitespace,
+ * such as `DEBUG_OVERLAY=1 PLAYER_NAME="Test Player"`. Values are quoted the same way as arguments.
+ * 
+ * @param {string} text
+ * @returns {Result<Record<string, string>>}
+ */
+export function launch_env_parse(text) {
+
+	const pairs = launch_args_parse(text);
+
+	if (!pairs.ok) {
+		return pairs;
+	}
+
+	/** @type {Record<string, string>} */
+	const env = {};
+
+	for (const pair of pairs.data) {
+
+		const separatorIndex = pair.indexOf('=');
+		const name = (separatorIndex < 0) ? pair : pair.slice(0, separatorIndex);
+
+		if (separatorIndex < 0 || !ENV_NAME_PATTERN.test(name)) {
+			return Err(new BaseError(`'${pair}' isn't an environment variable - write it as NAME=value`));
+		}
+
+		env[name] = pair.slice(separatorIndex + 1);
+
+	}
+
+	return Ok(env);
+
+}
+
+/**
+ * The arguments and environment variables to run the game with, from the project's shared launch
+ * settings and those on this computer. Arguments set on this computer come after the project's,
+ * and its environment variables take precedence.
+ * 
+ * @param {Partial<TPreferences.Project.LaunchSettings>} portable
+ * @param {Partial<TPreferences.Project.LaunchSettings>} local
+ * @returns {Result<TPreferences.Project.LaunchOptions>}
+ */
+export function launch_options_get(portable, local) {
+
+	/** @type {TPreferences.Project.LaunchOptions} */
+	const options = { args: [], env: {} };
+
+	for (const [settings, where] of /** @type {const} */ ([[portable, 'the project'], [local, 'this computer']])) {
+
+		const args = launch_args_parse(settings.runnerArgs ?? '');
+
+		if (!args.ok) {
+			return Err(new BaseError(`The game arguments set for ${where} are invalid`, args.err));
+		}
+
+		const env = launch_env_parse(settings.runnerEnv ?? '');
+
+		if (!env.ok) {
+			return Err(new BaseError(`The environment variables set for ${where} are invalid`, env.err));
+		}
+
+		options.args.push(...args.data);
+		Object.assign(options.env, env.data);
+
+	}
+
+	return Ok(options);
+
+}
+
+/**
+ * The launch settings on this computer once the given build profile is applied. Settings the
+ * profile defines replace those on this computer, and the rest are kept.
+ * 
+ * @param {Partial<TPreferences.Project.LaunchSettings>} local
+ * @param {Pick<TPreferences.Project.BuildProfileSettings, 'runnerArgs'|'runnerEnv'>} profile
+ * @returns {Partial<TPreferences.Project.LaunchSettings>}
+ */
+export function launch_settings_with_profile(local, profile) {
+	return {
+		runnerArgs: profile.runnerArgs ?? local.runnerArgs,
+		runnerEnv: profile.runnerEnv ?? local.runnerEnv
+	};
+}
@@ -0,0 +1,108 @@
+import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
+import { job_error_is_fatal } from '../job/errors/job-error-severity.js';
+
+/**
+ * Decides which errors found in a project's jobs are shown to the user. Errors are always shown,
+ * while warnings are hidden if the user has turned them off, or has ignored them for the project.
+ *
+ * @implements {Destroyable}
+ */
+export class DiagnosticFilter {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<TProblems.FilterEventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['changed']);
+
+	/**
+	 * @returns {EventEmitter<TProblems.FilterEventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * @param {import('../../preferences/Preferences.js').Preferences} preferences
+	 * @param {import('../../preferences/ProjectProperties.js').ProjectProperties} projectProperties
+	 */
+	constructor(preferences, projectProperties) {
+
+		/** @private */
+		this.preferences = preferences;
+
+		/** @private */
+		this.projectProperties = projectProperties;
+
+		this.preferences.events.on('setShowWarnings', this.onChanged);
+		this.projectProperties.events.on('setIgnoredWarnings', this.onChanged);
+
+	}
+
+	destroy() {
+		this.preferences.events.off('setShowWarnings', this.onChanged);
+		this.projectProperties.events.off('setIgnoredWarnings', this.onChanged);
+	}
+
+	/**
+	 * Whether warnings are shown at all.
+	 */
+	get showWarnings() {
+		return this.preferences.showWarnings;
+	}
+
+	set showWarnings(value) {
+		this.preferences.showWarnings = value;
+	}
+
+	/**
+	 * Whether the given error should be shown.
+	 *
+	 * @param {GM.Job.ErrorData} data
+	 * @returns {boolean}
+	 */
+	isShown(data) {
+
+		if (job_error_is_fatal(data)) {
+			return true;
+		}
+
+		return this.showWarnings && !diagnostic_is_ignored(data, this.projectProperties.getIgnoredWarnings());
+
+	}
+
+	/**
+	 * Ignore the given warning, and any others with the same message, for this project.
+	 *
+	 * @param {GM.Job.ErrorData} data
+	 */
+	ignore(data) {
+		this.projectProperties.ignoreWarning(data.message);
+	}
+
+	/**
+	 * @private
+	 */
+	onChanged = () => {
+		this.eventEmitter.emit('changed', undefined);
+	};
+
+}
+
+/**
+ * Whether a warning is in a list of ignored warnings. Errors can't be ignored.
+ *
+ * @param {GM.Job.ErrorData} data
+ * @param {ReadonlyArray<string>} ignoredWarnings Text that ignored warnings contain.
+ * @returns {boolean}
+ */
+export function diagnostic_is_ignored(data, ignoredWarnings) {
+
+	if (job_error_is_fatal(data)) {
+		return false;
+	}
+
+	const message = data.message.toLowerCase();
+	return ignoredWarnings.some(text => text.trim() !== '' && message.includes(text.trim().toLowerCase()));
+
+}
@@ -0,0 +1,179 @@
+import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
+import { job_error_severity } from '../job/errors/job-error-severity.js';
+
+/**
+ * Every problem found in the output of a project's jobs, running or finished, in the order they
+ * were found. Keeps a cursor for stepping through them one at a time.
+ */
+export class ProblemList {
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<TProblems.EventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['changed', 'selected']);
+
+	/**
+	 * @returns {EventEmitter<TProblems.EventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * @private
+	 * @type {TProblems.Problem[]}
+	 */
+	problems = [];
+
+	/**
+	 * Whether the given problem is shown, rather than filtered out.
+	 *
+	 * @param {TProblems.Problem} problem
+	 * @returns {boolean}
+	 */
+	isShown(problem) {
+		return this.filter(problem.data);
+	}
+
+	/**
+	 * Index of the problem last stepped to, or -1 if none has been yet.
+	 *
+	 * @private
+	 */
+	cursor = -1;
+
+	/**
+	 * @param {(data: GM.Job.ErrorData) => boolean} [filter] Decides which problems are shown, and
+	 * so are stepped through. Every problem is shown if not given.
+	 */
+	constructor(filter = () => true) {
+		/** @private */
+		this.filter = filter;
+	}
+
+	/**
+	 * Collect the errors of the given job until it stops.
+	 *
+	 * @param {GM.Job} job
+	 */
+	track(job) {
+
+		const jobName = `${job.platform} ${job.task} #${job.id}`;
+
+		const group = job.events.createGroup({
+			error: (error) => this.add({
+				severity: job_error_severity(error.data),
+				jobName,
+				data: error.data,
+				time: new Date()
+			})
+		});
+
+		job.events.once('stop', () => group.destroy());
+
+	}
+
+	/**
+	 * @param {TProblems.Problem} problem
+	 */
+	add(problem) {
+		this.problems.push(problem);
+		this.eventEmitter.emit('changed', undefined);
+	}
+
+	/**
+	 * @returns {ReadonlyArray<TProblems.Problem>}
+	 */
+	getProblems() {
+		return this.problems;
+	}
+
+	/**
+	 * Index of the problem last stepped to, or -1 if none has been yet.
+	 *
+	 * @returns {number}
+	 */
+	getSelectedIndex() {
+		return this.cursor;
+	}
+
+	/**
+	 * Step to the problem at the given index.
+	 *
+	 * @param {number} index
+	 * @returns {TProblems.Problem|undefined}
+	 */
+	select(index) {
+
+		const problem = this.problems[index];
+
+		if (problem === undefined) {
+			return undefined;
+		}
+
+		this.cursor = index;
+		this.eventEmitter.emit('selected', { index });
+
+		return problem;
+
+	}
+
+	/**
+	 * Step to the next shown problem, wrapping around to the first after the last.
+	 *
+	 * @returns {TProblems.Problem|undefined}
+	 */
+	next() {
+		return this.step(1);
+	}
+
+	/**
+	 * Step to the previous shown problem, wrapping around to the last before the first.
+	 *
+	 * @returns {TProblems.Problem|undefined}
+	 */
+	previous() {
+		return this.step(-1);
+	}
+
+	/**
+	 * Step through the problems in the given direction until reaching one which is shown.
+	 *
+	 * @private
+	 * @param {1|-1} direction
+	 * @returns {TProblems.Problem|undefined}
+	 */
+	step(direction) {
+
+		const count = this.problems.length;
+		let index = this.cursor;
+
+		if (index < 0 && direction < 0) {
+			index = count;
+		}
+
+		for (let i = 0; i < count; i ++) {
+
+			index = (index + direction + count) % count;
+
+			if (this.isShown(this.problems[index])) {
+				return this.select(index);
+			}
+
+		}
+
+		return undefined;
+
+	}
+
+	/**
+	 * Forget every problem found so far.
+	 */
+	clear() {
+		this.problems = [];
+		this.cursor = -1;
+		this.eventEmitter.emit('changed', undefined);
+	}
+
+}
@@ -0,0 +1,33 @@
+export declare global {
+
+	namespace TProblems {
+
+		/**
+		 * An error found in the output of one of the project's jobs.
+		 */
+		type Problem = {
+			severity: GM.Job.Severity;
+
+			/** Short name of the job the problem was found in, such as `Windows Run #1`. */
+			jobName: string;
+
+			data: GM.Job.ErrorData;
+			time: Date;
+		};
+
+		interface EventMap {
+			/** Problems were added or cleared. */
+			changed: void;
+
+			/** The problem at the given index was stepped to. */
+			selected: { index: number };
+		};
+
+		interface FilterEventMap {
+			/** Which problems are shown has changed, so they should be filtered again. */
+			changed: void;
+		};
+
+	};
+
+};
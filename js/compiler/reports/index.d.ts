@@ -0,0 +1,65 @@
+export declare global {
+
+	namespace TJobReport {
+
+		/**
+		 * Machine-readable summary of a finished job, written alongside its build output.
+		 */
+		type Report = {
+			/** Schema version of the report. */
+			version: number;
+
+			/** Display name of the project that was built. */
+			project: string;
+
+			settings: TBuildHistory.JobSettings;
+
+			/** Time the job began, as an ISO 8601 string. */
+			startTime: string;
+
+			/** Time the job stopped, as an ISO 8601 string. */
+			endTime: string;
+
+			durationMs: number;
+			stopType: GM.Job.StopType;
+			exitCode?: number;
+
+			/** How long each phase the job passed through took, in order. */
+			phases: Phase[];
+
+			/** Errors and warnings found in the job's output. */
+			errors: Error[];
+		};
+
+		type Phase = {
+			phase: GM.Job.Phase;
+			durationMs?: number;
+		};
+
+		type Error = GM.Job.ErrorData & {
+			severity: GM.Job.Severity;
+
+			/** The text of the error as it appeared in the job's output. */
+			text: string;
+		};
+
+		/**
+		 * A job's log file, being written as the job's output arrives.
+		 */
+		type LogFile = {
+			/**
+			 * Resolves once the job has stopped and all of its output has been written, or failed
+			 * to.
+			 */
+			written: Promise<void>;
+
+			/**
+			 * Read back the output written so far, once the output received so far has been
+			 * written.
+			 */
+			read(): Promise<Result<string>>;
+		};
+
+	};
+
+};
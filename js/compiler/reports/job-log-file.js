@@ -0,0 +1,151 @@
+import { job_error_severity } from '../job/errors/job-error-severity.js';
+import { BaseError } from '../../utils/Err.js';
+import { Err, Ok } from '../../utils/Result.js';
+
+/**
+ * Name of the file a job's whole output is written to, in its build directory. Jobs reuse the
+ * build directories of earlier ones, so each is named after when its job started.
+ *
+ * @param {Date} startTime When the job started.
+ * @returns {string}
+ */
+export function job_log_file_name(startTime) {
+	return `constructor-log-${startTime.toISOString().replaceAll(/[:.]/g, '-')}.txt`;
+}
+
+/**
+ * Extension given to logs saved by the user.
+ */
+export const JOB_LOG_SAVED_EXTENSION = 'log';
+
+/**
+ * Write the output of the given job to a file in its build directory as it arrives, so that the
+ * whole of it is kept even once the log has dropped its oldest lines.
+ *
+ * Output arriving while a write is in progress is collected and written in one go afterwards,
+ * rather than queueing a write per chunk.
+ *
+ * @param {GM.Job} job
+ * @param {DiskIO} diskIO
+ * @param {ProblemLogger} problemLogger
+ * @returns {TJobReport.LogFile}
+ */
+export function job_log_file_track(job, diskIO, problemLogger) {
+
+	const path = diskIO.joinPath(job.settings.buildPath, job_log_file_name(job.startTime));
+
+	let pendingOutput = '';
+	let writeQueued = false;
+
+	/** @type {Promise<Result<void>>} */
+	let writing = diskIO.createDir(job.settings.buildPath, true)
+		.then(result => result.ok ? diskIO.writeFile(path, '') : result);
+
+	/**
+	 * @param {string} chunk
+	 */
+	const onStdout = (chunk) => {
+
+		pendingOutput += chunk;
+
+		if (writeQueued) {
+			return;
+		}
+
+		writeQueued = true;
+
+		writing = writing.then(result => {
+
+			writeQueued = false;
+
+			// Once a write has failed, give up on the rest rather than leaving holes in the file.
+			if (!result.ok) {
+				return result;
+			}
+
+			const output = pendingOutput;
+			pendingOutput = '';
+
+			return diskIO.appendFile(path, output);
+
+		});
+
+	};
+
+	onStdout(job.header);
+	job.events.on('stdout', onStdout);
+
+	/** @type {Promise<void>} */
+	const written = new Promise(resolve => {
+		job.events.once('stop', async () => {
+
+			job.events.off('stdout', onStdout);
+
+			const result = await writing;
+
+			if (!result.ok) {
+				problemLogger.warn('Failed to write the job\'s log file', result.err);
+			}
+
+			resolve();
+
+		});
+	});
+
+	/** @type {TJobReport.LogFile['read']} */
+	const read = async () => {
+
+		const writeResult = await writing;
+
+		if (!writeResult.ok) {
+			return Err(new BaseError(`Failed to write the log file '${path}'`, writeResult.err));
+		}
+
+		const readResult = await diskIO.readFile(path);
+
+		if (!readResult.ok) {
+			return Err(new BaseError(`Failed to read the log file '${path}'`, readResult.err));
+		}
+
+		return Ok(readResult.data.toString());
+
+	};
+
+	return { written, read };
+
+}
+
+/**
+ * Mark the start of a log which has dropped its oldest lines, so that whoever reads it knows
+ * they're missing.
+ *
+ * @param {string} log The lines of the log that were kept.
+ * @param {number} droppedCount How many lines were dropped from the start of the log.
+ * @returns {string}
+ */
+export function job_log_with_dropped_lines(log, droppedCount) {
+
+	if (droppedCount <= 0) {
+		return log;
+	}
+
+	return `[${droppedCount} earlier line(s) of output were dropped from the log, and are missing here]\n${log}`;
+
+}
+
+/**
+ * Add a list of the errors found in a job's output to the end of its log, for exporting the log to
+ * someone who can't see the errors highlighted.
+ *
+ * @param {string} log
+ * @param {ReadonlyArray<GM.Job.Error>} errors
+ * @returns {string}
+ */
+export function job_log_with_errors(log, errors) {
+
+	const heading = `==================== ${errors.length} problem(s) ====================`;
+	const problems = errors.map(error => `[${job_error_severity(error.data)}] ${error.text.trim()}`);
+
+	return [log.trimEnd(), heading, ...problems].join('\n\n') + '\n';
+
+}
@@ -0,0 +1,202 @@
+import { BaseError } from '../../utils/Err.js';
+import { Err, Ok } from '../../utils/Result.js';
+import { BuildHistory } from '../history/BuildHistory.js';
+import { job_error_severity } from '../job/errors/job-error-severity.js';
+
+const JOB_REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Name of the JSON report file, in the job's build directory.
+ */
+export const JOB_REPORT_JSON_FILE_NAME = 'constructor-report.json';
+
+/**
+ * Name of the JUnit XML report file, in the job's build directory.
+ */
+export const JOB_REPORT_JUNIT_FILE_NAME = 'constructor-report.junit.xml';
+
+/**
+ * Write reports for the given job into its build directory once it stops.
+ *
+ * @param {GM.Job} job
+ * @param {string} projectName Display name of the project the job is building.
+ * @param {DiskIO} diskIO
+ * @param {ProblemLogger} problemLogger
+ * @returns {Promise<void>} Promise that resolves once the reports have been written, or failed to.
+ */
+export function job_report_track(job, projectName, diskIO, problemLogger) {
+	return new Promise(resolve => {
+		job.events.once('stop', async (stop) => {
+
+			const report = job_report_create(job, projectName, stop, new Date());
+			const result = await job_report_write(report, diskIO);
+
+			if (!result.ok) {
+				problemLogger.warn('Failed to write the job\'s build reports', result.err);
+			}
+
+			resolve();
+
+		});
+	});
+}
+
+/**
+ * Create a report for a job which has stopped.
+ *
+ * @param {GM.Job} job
+ * @param {string} projectName
+ * @param {GM.Job.EventMap['stop']} stop
+ * @param {Date} endTime
+ * @returns {TJobReport.Report}
+ */
+export function job_report_create(job, projectName, stop, endTime) {
+	return {
+		version: JOB_REPORT_SCHEMA_VERSION,
+		project: projectName,
+		settings: BuildHistory.serializeSettings(job.settings),
+		startTime: job.startTime.toISOString(),
+		endTime: endTime.toISOString(),
+		durationMs: endTime.getTime() - job.startTime.getTime(),
+		stopType: stop.stopType,
+		exitCode: stop.exitCode,
+		phases: job.getPhaseTimings().map(({ phase, startTime, endTime }) => ({
+			phase,
+			durationMs: (endTime !== undefined) ? (endTime.getTime() - startTime.getTime()) : undefined
+		})),
+		errors: stop.errors.map(error => ({ ...error.data, severity: job_error_severity(error.data), text: error.text }))
+	};
+}
+
+/**
+ * Write the JSON and JUnit forms of a report into the build directory of its job.
+ *
+ * @param {TJobReport.Report} report
+ * @param {DiskIO} diskIO
+ * @returns {Promise<Result<void>>}
+ */
+export async function job_report_write(report, diskIO) {
+
+	const files = [
+		{ name: JOB_REPORT_JSON_FILE_NAME, content: job_report_to_json(report) },
+		{ name: JOB_REPORT_JUNIT_FILE_NAME, content: job_report_to_junit(report) }
+	];
+
+	for (const { name, content } of files) {
+
+		const path = diskIO.joinPath(report.settings.buildPath, name);
+		const result = await diskIO.writeFile(path, content);
+
+		if (!result.ok) {
+			return Err(new BaseError(`Failed to write the build report '${path}'`, result.err));
+		}
+
+	}
+
+	return Ok(undefined);
+
+}
+
+/**
+ * @param {TJobReport.Report} report
+ * @returns {string}
+ */
+export function job_report_to_json(report) {
+	return JSON.stringify(report, undefined, '\t');
+}
+
+/**
+ * Format a report as JUnit XML, which most CI systems know how to display.
+ *
+ * The job itself is one test case, which fails if the job failed. Each error found in the output
+ * is then its own failing test case, pointing at the script and line it happened at, if known.
+ *
+ * @param {TJobReport.Report} report
+ * @returns {string}
+ */
+export function job_report_to_junit(report) {
+
+	const { settings } = report;
+	const suiteName = `${report.project}: ${settings.task} ${settings.platform} ${settings.configName} (${settings.runtimeType})`;
+	const seconds = (report.durationMs / 1000).toFixed(3);
+
+	const jobCase = [
+		`\t\t<testcase classname="${xml_escape(report.project)}" name="${xml_escape(`${settings.task} ${settings.platform}`)}" time="${seconds}">`
+	];
+
+	switch (report.stopType) {
+		case 'Failed':
+			jobCase.push(`\t\t\t<failure message="${xml_escape(`Job failed${report.exitCode !== undefined ? ` with exit code ${report.exitCode}` : ''}`)}" type="Failed"/>`);
+		break;
+
+		case 'Stopped':
+			jobCase.push('\t\t\t<skipped message="Job was stopped before finishing"/>');
+		break;
+	}
+
+	jobCase.push('\t\t</testcase>');
+
+	// JUnit has no notion of warnings, and they shouldn't fail a CI run.
+	const fatalErrors = report.errors.filter(error => error.severity === 'error');
+
+	const errorCases = fatalErrors.map(error => {
+
+		const location = (error.script !== undefined)
+			? `${error.script}${error.line !== undefined ? `:${error.line}` : ''}`
+			: error.kind;
+
+		const fileAttributes = (error.script !== undefined)
+			? ` file="${xml_escape(error.script)}"${error.line !== undefined ? ` line="${error.line}"` : ''}`
+			: '';
+
+		return [
+			`\t\t<testcase classname="${xml_escape(`${report.project}.${error.kind}`)}" name="${xml_escape(location)}"${fileAttributes}>`,
+			`\t\t\t<failure message="${xml_escape(error.message)}" type="${error.kind}">${xml_escape(error.text)}</failure>`,
+			'\t\t</testcase>'
+		].join('\n');
+
+	});
+
+	const tests = 1 + fatalErrors.length;
+	const failures = fatalErrors.length + ((report.stopType === 'Failed') ? 1 : 0);
+	const skipped = (report.stopType === 'Stopped') ? 1 : 0;
+
+	const properties = [
+		['runtime', settings.runtimeVersion],
+		['user', settings.userName],
+		['buildPath', settings.buildPath],
+		...(settings.deviceName !== undefined ? [['device', settings.deviceName]] : [])
+	].map(([name, value]) => `\t\t\t<property name="${name}" value="${xml_escape(value)}"/>`);
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites name="GMEdit-Constructor" tests="${tests}" failures="${failures}" time="${seconds}">`,
+		`\t<testsuite name="${xml_escape(suiteName)}" tests="${tests}" failures="${failures}" errors="0" skipped="${skipped}" timestamp="${report.startTime}" time="${seconds}">`,
+		'\t\t<properties>',
+		...properties,
+		'\t\t</properties>',
+		...jobCase,
+		...errorCases,
+		'\t</testsuite>',
+		'</testsuites>',
+		''
+	].join('\n');
+
+}
+
+/**
+ * Escape text for use in XML attributes and content.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function xml_escape(text) {
+	return text
+		.replaceAll('&', '&amp;')
+		.replaceAll('<', '&lt;')
+		.replaceAll('>', '&gt;')
+		.replaceAll('"', '&quot;')
+		.replaceAll('\'', '&apos;')
+		// Control characters other than tabs and newlines aren't allowed in XML at all.
+		.replaceAll(/[^\t\n\r\P{Cc}]/gu, '');
+}
@@ -0,0 +1,142 @@
+import { SolvableError } from '../utils/Err.js';
+import { Err, Ok } from '../utils/Result.js';
+import { docString } from '../utils/StringUtils.js';
+import { GMRuntimeVersion } from './GMVersion.js';
+
+/**
+ * Choose the runtime and user to build a project with.
+ *
+ * If the project specifies a runtime version, that exact version is required. Otherwise, the
+ * most stable installed runtime compatible with the project's version is picked, limited to the
+ * project's chosen channel if it has one.
+ *
+ * @param {import('../preferences/Preferences.js').Preferences} preferences
+ * @param {import('./GMVersion.js').GMVersion} projectVersion Version of the project's format.
+ * @param {GM.ReleaseChannel|undefined} chosenChannel The project's chosen release channel, if any.
+ * @param {GMRuntimeVersion|undefined} chosenVersion The project's chosen runtime, if any. This is
+ * only meaningful when a channel is also chosen.
+ * @returns {Result<GM.RuntimeSelection, GM.RuntimeSelectionError>}
+ */
+export function runtime_select(preferences, projectVersion, chosenChannel, chosenVersion) {
+
+	/** @type {GMS2.RuntimeInfo} */
+	let runtime;
+
+	/** @type {GM.ReleaseChannel} */
+	let channel;
+
+	if (chosenChannel !== undefined && chosenVersion !== undefined) {
+		channel = chosenChannel;
+		const result = preferences.getRuntimeInfo(channel, chosenVersion);
+
+		if (!result.ok) {
+			return Err({
+				title: 'Project\'s selected Runtime is not installed.',
+				error: new SolvableError(
+					docString(`
+						This project specifies the runtime version '${chosenVersion}', but this
+						version doesn't appear to be installed!
+					`),
+					docString(`
+						Install the specified runtime in the IDE and reload GMEdit if this is the
+						intended runtime version, otherwise you may change the value to an installed
+						runtime.
+					`),
+					result.err
+				)
+			});
+		}
+
+		runtime = result.data;
+	} else {
+		const result = GMRuntimeVersion.findCompatibleRuntime(preferences, projectVersion, chosenChannel);
+
+		if (!result.ok) {
+			switch (result.err.type) {
+
+				case 'none-compatible':
+
+					if (result.err.channel !== undefined) {
+						return Err({
+							title: 'No compatible runtimes found!',
+							error: new SolvableError(
+								docString(`
+									None of your installed runtimes in the ${result.err.channel}
+									channel are compatible with its version (${projectVersion}), to
+									Constructor's knowledge.
+								`),
+								docString(`
+									a) Install a runtime that's compatible with the project via the
+									IDE and reload Constructor.
+
+									b) Choose a different channel, or clear the channel preference
+									for this project.
+
+									c) Manually pick a runtime you know to be compatible. Feel free
+									to make a bug report about this too! :D
+								`)
+							)
+						});
+					}
+
+					return Err({
+						title: 'No compatible runtimes found!',
+						error: new SolvableError(
+							docString(`
+								None of your installed runtimes are compatible with its version
+								(${projectVersion}), to Constructor's knowledge.
+							`),
+							docString(`
+								a) Install a runtime that's compatible with the project via the
+								IDE and reload Constructor.
+
+								b) Manually pick a runtime you know to be compatible. Feel free
+								to make a bug report about this too! :D
+							`)
+						)
+					});
+
+				case 'channel-empty':
+					return Err({
+						title: 'No runtimes installed in this channel.',
+						error: new SolvableError(
+							docString(`
+								There don't seem to be any ${result.err.channel} runtimes installed
+								at your chosen installation path, or that path is otherwise
+								incorrect.
+							`),
+							docString(`
+								Try specifying a different runtime channel type, or check the
+								runtime search path for ${result.err.channel} runtimes.
+							`)
+						)
+					});
+
+			}
+		}
+
+		runtime = result.data.runtime;
+		channel = result.data.channel;
+	}
+
+	const user = preferences.getDefaultUser(channel);
+
+	if (user === undefined) {
+		return Err({
+			title: 'No user found to compile with.',
+			error: new SolvableError(
+				docString(`
+					Constructor couldn't find any users at the data path specified for the
+					${channel} installation.
+				`),
+				docString(`
+					Try specifying a different runtime channel type, or check that the
+					installation data path for ${channel} is correct.
+				`)
+			)
+		});
+	}
+
+	return Ok({ runtime, channel, user });
+
+}
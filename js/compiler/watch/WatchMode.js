@@ -0,0 +1,308 @@
+import { BaseError } from '../../utils/Err.js';
+import { EventEmitterImpl } from '../../utils/EventEmitterImpl.js';
+
+/**
+ * Phases of a run in which the game has been built, and a change would need a new build.
+ * 
+ * @type {ReadonlyArray<GM.Job.Phase|undefined>}
+ */
+const BUILT_PHASES = ['runnerLaunch', 'running'];
+
+/**
+ * Rebuilds and re-runs the project when its files change, so that the game is always running the
+ * latest code.
+ *
+ * Changes are debounced, so that saving several files at once only rebuilds once. A change seen
+ * while the game is still compiling doesn't interrupt the compile - the rebuild waits for it to
+ * finish instead.
+ */
+export class WatchMode {
+
+	/**
+	 * How long to wait for saving to settle down before rebuilding.
+	 */
+	static debounceMs = 750;
+
+	/**
+	 * @private
+	 * @type {EventEmitterImpl<TWatchMode.EventMap>}
+	 */
+	eventEmitter = new EventEmitterImpl(['status']);
+
+	/**
+	 * @returns {EventEmitter<TWatchMode.EventMap>}
+	 */
+	get events() {
+		return this.eventEmitter;
+	}
+
+	/**
+	 * @private
+	 * @type {TWatchMode.Status}
+	 */
+	status = 'off';
+
+	/**
+	 * The project's latest run, if any.
+	 * 
+	 * @private
+	 * @type {GM.Job|undefined}
+	 */
+	job = undefined;
+
+	/**
+	 * Listeners on the latest run's progress.
+	 * 
+	 * @private
+	 * @type {Destroyable|undefined}
+	 */
+	jobEventGroup = undefined;
+
+	/**
+	 * Timeout for the rebuild once saving has settled down, if a change has been seen.
+	 * 
+	 * @private
+	 * @type {ReturnType<typeof setTimeout>|undefined}
+	 */
+	debounceTimeoutId = undefined;
+
+	/**
+	 * Whether a rebuild is waiting for the compile in progress to finish.
+	 * 
+	 * @private
+	 */
+	rebuildQueued = false;
+
+	/**
+	 * Whether the previous run is being stopped and the next started.
+	 * 
+	 * @private
+	 */
+	restarting = false;
+
+	/**
+	 * Whether files being saved are part of starting a run, rather than changes.
+	 * 
+	 * @private
+	 */
+	savingForRun = false;
+
+	/**
+	 * @param {TWatchMode.StartRun} startRun
+	 * @param {ProblemLogger} problemLogger Logger to report failed rebuilds to.
+	 * @param {number} [debounceMs]
+	 */
+	constructor(startRun, problemLogger, debounceMs = WatchMode.debounceMs) {
+
+		/** @private */
+		this.startRun = startRun;
+
+		/** @private */
+		this.problemLogger = problemLogger;
+
+		/** @private */
+		this.debounceMs = debounceMs;
+
+	}
+
+	/**
+	 * @returns {TWatchMode.Status}
+	 */
+	getStatus() {
+		return this.status;
+	}
+
+	get enabled() {
+		return this.status !== 'off';
+	}
+
+	/**
+	 * Turn watching for changes on or off.
+	 * 
+	 * @param {boolean} enabled
+	 */
+	setEnabled(enabled) {
+
+		if (enabled === this.enabled) {
+			return;
+		}
+
+		if (!enabled) {
+			clearTimeout(this.debounceTimeoutId);
+			this.debounceTimeoutId = undefined;
+			this.rebuildQueued = false;
+
+			this.setStatus('off');
+			return;
+		}
+
+		this.setStatus(this.isCompiling() ? 'rebuilding' : 'watching');
+
+	}
+
+	/**
+	 * Follow a run of the project, whoever started it, so that it can be stopped to rebuild, and
+	 * so that changes wait for it to finish compiling.
+	 * 
+	 * @param {GM.Job} job
+	 */
+	track(job) {
+
+		if (job === this.job) {
+			return;
+		}
+
+		this.jobEventGroup?.destroy();
+
+		this.job = job;
+		this.jobEventGroup = job.events.createGroup({
+			phase: this.onJobProgress,
+			stop: this.onJobProgress
+		});
+
+		// The new run is built from every change saved before it started.
+		clearTimeout(this.debounceTimeoutId);
+		this.debounceTimeoutId = undefined;
+		this.rebuildQueued = false;
+
+		if (this.enabled && !this.restarting) {
+			this.setStatus(this.isCompiling() ? 'rebuilding' : 'watching');
+		}
+
+	}
+
+	/**
+	 * Save files as part of starting a run, such as the open files being saved before it starts,
+	 * without the saves counting as changes to rebuild for.
+	 * 
+	 * @param {() => void} save Function saving the files, which have all been saved once it returns.
+	 */
+	saveForRun(save) {
+
+		this.savingForRun = true;
+
+		try {
+			save();
+		} finally {
+			this.savingForRun = false;
+		}
+
+	}
+
+	/**
+	 * Note that a file of the project has changed, rebuilding once saving has settled down.
+	 */
+	fileChanged() {
+
+		// Starting a run saves any open files, which is no reason to rebuild again.
+		if (!this.enabled || this.restarting || this.savingForRun) {
+			return;
+		}
+
+		clearTimeout(this.debounceTimeoutId);
+		this.debounceTimeoutId = setTimeout(this.rebuild, this.debounceMs);
+
+		this.setStatus('pending');
+
+	}
+
+	destroy() {
+		this.setEnabled(false);
+		this.jobEventGroup?.destroy();
+		this.jobEventGroup = undefined;
+	}
+
+	/**
+	 * Stop the latest run and start a new one, unless it is still compiling.
+	 * 
+	 * @private
+	 */
+	rebuild = async () => {
+
+		this.debounceTimeoutId = undefined;
+
+		if (!this.enabled) {
+			return;
+		}
+
+		if (this.restarting || this.isCompiling()) {
+			this.rebuildQueued = true;
+			return;
+		}
+
+		this.rebuildQueued = false;
+		this.restarting = true;
+		this.setStatus('rebuilding');
+
+		try {
+
+			if (this.job !== undefined && this.job.getState().status !== 'stopped') {
+				await this.job.stop();
+			}
+
+			const job = await this.startRun(this.job);
+
+			if (job !== undefined) {
+				this.track(job);
+			}
+
+		} catch (err) {
+			this.problemLogger.error('Watch mode failed to rebuild the project', new BaseError('Restarting the game failed unexpectedly', err));
+		} finally {
+			this.restarting = false;
+		}
+
+		this.onJobProgress();
+
+	}
+
+	/**
+	 * Check whether the latest run is still building the game.
+	 * 
+	 * @private
+	 * @returns {boolean}
+	 */
+	isCompiling() {
+		return this.job !== undefined
+			&& this.job.getState().status !== 'stopped'
+			&& !BUILT_PHASES.includes(this.job.getPhase());
+	}
+
+	/**
+	 * Callback on the latest run moving on from compiling, or stopping.
+	 * 
+	 * @private
+	 */
+	onJobProgress = () => {
+
+		if (!this.enabled || this.restarting || this.isCompiling()) {
+			return;
+		}
+
+		if (this.rebuildQueued) {
+			this.rebuild();
+			return;
+		}
+
+		if (this.debounceTimeoutId === undefined) {
+			this.setStatus('watching');
+		}
+
+	}
+
+	/**
+	 * @private
+	 * @param {TWatchMode.Status} status
+	 */
+	setStatus(status) {
+
+		if (status === this.status) {
+			return;
+		}
+
+		this.status = status;
+		this.eventEmitter.emit('status', { status });
+
+	}
+
+}
@@ -0,0 +1,33 @@
+export declare global {
+
+	namespace TWatchMode {
+
+		/**
+		 * Start a new run of the project in place of the previous one, if any. Resolves to
+		 * `undefined` if the job couldn't be started, in which case the reason is expected to
+		 * already have been reported.
+		 */
+		type StartRun = (previous: GM.Job|undefined) => Promise<GM.Job|undefined>;
+
+		/**
+		 * What watch mode is doing.
+		 * 
+		 * - `off`: not watching for changes.
+		 * - `watching`: waiting for a change.
+		 * - `pending`: a change was seen, and a rebuild will start once saving settles down, or
+		 *   once the compile in progress has finished.
+		 * - `rebuilding`: a rebuild has been started, and is still compiling.
+		 */
+		type Status =
+			'off'			|
+			'watching'		|
+			'pending'		|
+			'rebuilding'	;
+
+		interface EventMap {
+			status: { status: Status };
+		};
+
+	};
+
+};
@@ -1,9 +1,19 @@
 import { ConstructorPlugin } from './ConstructorPlugin';
+import { BuildHistory } from './compiler/history/BuildHistory';
+import { BuildCacheManager } from './compiler/cache/BuildCacheManager';
+import { CrashRegistry } from './compiler/crashes/CrashRegistry';
+import { ProblemList } from './compiler/problems/ProblemList';
+import { DiagnosticFilter } from './compiler/problems/DiagnosticFilter';
+import { BuildQueue } from './compiler/batch/BuildQueue';
+import { BatchBuildMenu } from './ui/BatchBuildMenu';
 import { ProjectProperties } from './preferences/ProjectProperties';
 import { ConfigTreeUi } from './ui/ConfigTreeUi';
+import { EditorAnnotations } from './ui/editor-annotations/EditorAnnotations';
 import { SidebarLogDisplay } from './ui/job-output/SidebarLogDisplay';
 import { ProjectPropertiesMenu } from './ui/ProjectPropertiesMenu';
 import { BaseError } from './utils/Err';
+import { WatchMode } from './compiler/watch/WatchMode';
+import { WatchModeIndicator } from './ui/WatchModeIndicator';
 
 export declare global {
 
@@ -89,9 +99,38 @@ export declare global {
 		};
 		configTreeUi: ConfigTreeUi;
 		compileController: GM.CompileController;
+		buildHistory: BuildHistory;
+		buildCache: BuildCacheManager;
+		crashRegistry: CrashRegistry;
+		diagnosticFilter: DiagnosticFilter;
+		editorAnnotations: EditorAnnotations;
+		problemList: ProblemList;
+		batchBuildMenu: BatchBuildMenu;
+		watchMode: WatchMode;
+		watchModeIndicator: WatchModeIndicator;
+
+		/** Listeners keeping the build profiles in the hamburger menu up to date. */
+		profileMenuListeners: Destroyable;
+
+		/** The batch build currently running for the project, if any. */
+		batchQueue?: BuildQueue;
+
 		sidebarLogDisplay?: SidebarLogDisplay;
 	};
 
+	/**
+	 * Settings to run a task with in place of the project's current choices.
+	 */
+	type TaskOverrides = {
+		platform?: GM.SupportedPlatform;
+		configName?: string;
+		runtimeType?: GMS2.RuntimeType;
+		reuseOutputTab?: boolean;
+
+		/** A stopped job whose output display the new job takes over, whatever the preference. */
+		replacesJob?: GM.Job;
+	};
+
 	/**
 	 * Global actions that may be ran by the user.
 	 */
@@ -101,6 +140,12 @@ export declare global {
 		runCurrentProject(): void;
 		cleanCurrentProject(): void;
 		packageCurrentProject(): void;
+		batchBuildCurrentProject(): void;
+		nextBuildError(): void;
+		previousBuildError(): void;
+		openSavedLog(): void;
+		toggleWatchMode(): void;
+		switchBuildProfile(name: string): void;
 	};
 
 	interface Window {
@@ -4,6 +4,7 @@
  */
 
 import { def_global_build_path, def_runtime_paths, def_user_paths, IGOR_PLATFORM_INFO } from '../compiler/igor-paths.js';
+import { ARTIFACT_NAME_TEMPLATE_DEFAULT } from '../compiler/artifacts/artifact-collection.js';
 import { BaseError, SolvableError } from '../utils/Err.js';
 import { deep_assign } from '../utils/object.js';
 import { GMRuntimeVersion } from '../compiler/GMVersion.js';
@@ -12,6 +13,7 @@ import { Err, Ok } from '../utils/Result.js';
 import { docString } from '../utils/StringUtils.js';
 import { asNonEmptyArray } from '../utils/ArrayUtils.js';
 import { flattenOptionArray, None, Some } from '../utils/Option.js';
+import { PREFERENCES_SECTIONS, preferences_sections_pick } from './preferences-sections.js';
 
 /**
  * List of recognised GameMaker IDE/Runtime channel types.
@@ -22,7 +24,7 @@ export const GM_RELEASE_CHANNELS = ['Beta', 'Monthly', 'LTS 2026', 'LTS 2022'];
 /** @type {NonEmptyArray<GMS2.RuntimeType>} */
 export const GMS2_RUNTIME_TYPES = ['VM', 'YYC',];
 
-const PREFERENCES_SCHEMA_VERSION = 1;
+const PREFERENCES_SCHEMA_VERSION = 2;
 
 /** @type {Readonly<TPreferences.Data>} */
 const PREFS_DEFAULT = {
@@ -60,6 +62,15 @@ const PREFS_DEFAULT = {
 	showTooltipHints: true,
 	outputPosition: 'fullTab',
 	shouldFocusOutput: true,
+	showWarnings: true,
+	logScrollbackLines: 20000,
+	spillLogToFile: false,
+	structuredGameLog: false,
+	collectArtifacts: true,
+	artifactsPath: '',
+	artifactNameTemplate: ARTIFACT_NAME_TEMPLATE_DEFAULT,
+	cacheMaxAgeDays: 0,
+	cacheMaxSizeMB: 0,
 };
 
 const MAX_LOAD_TRIES = 3;
@@ -87,7 +98,17 @@ export class Preferences {
 		'setShowTooltipHints',
 		'setOutputPosition',
 		'setShouldFocusOutput',
+		'setShowWarnings',
+		'setLogScrollbackLines',
+		'setSpillLogToFile',
+		'setStructuredGameLog',
 		'setPrefabsPath',
+		'setCollectArtifacts',
+		'setArtifactsPath',
+		'setArtifactNameTemplate',
+		'setCacheMaxAgeDays',
+		'setCacheMaxSizeMB',
+		'projectLocalDataChanged',
 	]);
 
 	/**
@@ -106,6 +127,39 @@ export class Preferences {
 	*/
 	prefs = structuredClone(PREFS_DEFAULT);
 
+	/**
+	 * Only the preferences the user has set, which is what is saved. A preference stays set once
+	 * chosen, even to the same value as the defaults, until it is reset.
+	 * 
+	 * @private
+	 * @type {TPreferences.UserData}
+	 */
+	userPrefs = {};
+
+	/**
+	 * Values used for preferences the user hasn't set - the built-in defaults, with any team
+	 * defaults on top.
+	 * 
+	 * @private
+	 * @type {TPreferences.Data}
+	 */
+	defaults = structuredClone(PREFS_DEFAULT);
+
+	/**
+	 * Path team defaults are read from, if any.
+	 * 
+	 * @type {string|undefined}
+	 * @private
+	 */
+	defaultsPath = undefined;
+
+	/**
+	 * Whether a team defaults file was found and loaded.
+	 * 
+	 * @private
+	 */
+	defaultsLoaded = false;
+
 	/**
 	 * Path preferences are saved to.
 	 * 
@@ -182,13 +236,83 @@ export class Preferences {
 		return (this.dataPath === undefined);
 	}
 
+	/**
+	 * Where team defaults are read from, which fill in the preferences the user hasn't set.
+	 */
+	get teamDefaultsPath() {
+		return this.defaultsPath;
+	}
+
+	/**
+	 * Whether team defaults were found and are filling in unset preferences.
+	 */
+	get usingTeamDefaults() {
+		return this.defaultsLoaded;
+	}
+
+	/**
+	 * The preferences as they are saved, leaving out those the user hasn't set so that changes to
+	 * the defaults still apply to them.
+	 * 
+	 * @private
+	 * @returns {string}
+	 */
+	serialize() {
+		return JSON.stringify({
+			...this.userPrefs,
+			version: PREFERENCES_SCHEMA_VERSION
+		});
+	}
+
+	/**
+	 * Rebuild the preferences in use from the defaults, with those the user has set on top.
+	 * 
+	 * @private
+	 */
+	applyUserPrefs() {
+		this.prefs = structuredClone(this.defaults);
+		deep_assign(this.prefs, structuredClone(this.userPrefs));
+	}
+
+	/**
+	 * Set a preference as chosen by the user, and save it.
+	 * 
+	 * @private
+	 * @template {Exclude<keyof TPreferences.Data, 'version'|'runtime_opts'|'projectLocalData'>} K
+	 * @param {K} key
+	 * @param {TPreferences.Data[K]} value
+	 */
+	setUserPref(key, value) {
+		this.prefs[key] = value;
+		this.userPrefs[key] = value;
+		this.save();
+	}
+
+	/**
+	 * Set a preference of a release channel as chosen by the user, and save it.
+	 * 
+	 * @private
+	 * @template {keyof TPreferences.Data['runtime_opts']['type_opts'][GM.ReleaseChannel]} K
+	 * @param {GM.ReleaseChannel} channel
+	 * @param {K} key
+	 * @param {TPreferences.Data['runtime_opts']['type_opts'][GM.ReleaseChannel][K]} value
+	 */
+	setUserChannelPref(channel, key, value) {
+		this.prefs.runtime_opts.type_opts[channel][key] = value;
+
+		const userTypeOpts = ((this.userPrefs.runtime_opts ??= {}).type_opts ??= {});
+		(userTypeOpts[channel] ??= {})[key] = value;
+
+		this.save();
+	}
+
 	/**
 	 * Save preferences back to the file.
 	 * @private
 	 */
 	save() {
 		if (this.dataPath !== undefined) {
-			const result = this.diskIO.writeFileSync(this.dataPath, JSON.stringify(this.prefs));
+			const result = this.diskIO.writeFileSync(this.dataPath, this.serialize());
 
 			if (result.ok) {
 				return;
@@ -202,16 +326,22 @@ export class Preferences {
 	 * Load the preferences, runtimes, and user information from the provided path.
 	 * 
 	 * @param {string} dataPath Path to where the preferences data is stored.
+	 * @param {string} [defaultsPath] Path to a team defaults file, which is used to fill in
+	 * preferences the user hasn't set if it exists.
 	 * @returns {Promise<Result<void>>}
 	 */
-	async load(dataPath) {
+	async load(dataPath, defaultsPath) {
 
 		this.loadTries ++;
 
 		if (this.dataPath !== undefined) {
 			// Reset the existing state.
 			this.prefs = structuredClone(PREFS_DEFAULT);
+			this.userPrefs = {};
+			this.defaults = structuredClone(PREFS_DEFAULT);
 			this.dataPath = undefined;
+			this.defaultsPath = undefined;
+			this.defaultsLoaded = false;
 			this.loadTries = 0;
 		}
 
@@ -225,7 +355,7 @@ export class Preferences {
 		const prefsFile = await this.diskIO.readFile(dataPath);
 
 		if (!prefsFile.ok) {
-			const ioResult = this.diskIO.writeFileSync(dataPath, JSON.stringify(this.prefs));
+			const ioResult = this.diskIO.writeFileSync(dataPath, this.serialize());
 
 			if (!ioResult.ok) {
 				return Err(new BaseError(
@@ -234,7 +364,7 @@ export class Preferences {
 				));
 			}
 
-			return this.load(dataPath);
+			return this.load(dataPath, defaultsPath);
 		}
 
 		/** @type {Partial<TPreferences.Data>} */
@@ -255,8 +385,22 @@ export class Preferences {
 
 		this.dataPath = dataPath;
 
+		if (defaultsPath !== undefined) {
+
+			this.defaultsPath = defaultsPath;
+			const defaultsResult = await this.loadTeamDefaults(defaultsPath);
+
+			if (!defaultsResult.ok) {
+				this.problemLogger.warn('Failed to load the team defaults', defaultsResult.err);
+			}
+
+		}
+
 		Preferences.migrateSchema(loadedPrefs);
-		deep_assign(this.prefs, loadedPrefs);
+
+		delete loadedPrefs.version;
+		this.userPrefs = loadedPrefs;
+		this.applyUserPrefs();
 
 		const loadRequests = GM_RELEASE_CHANNELS.map(async channel => {
 
@@ -332,16 +476,243 @@ export class Preferences {
 			loadedPrefs.version = 1;
 		}
 
+		if (loadedPrefs.version === 1) {
+			// Every preference used to be saved, with nothing to tell which were chosen by the
+			// user, so they are all kept as set until reset to the defaults.
+			loadedPrefs.version = 2;
+		}
+
 		// (Any future migrations here, one after another.)
-		// if (loadedPrefs.version === 1) {
+		// if (loadedPrefs.version === 2) {
 		// 		// ...
 		// }
 	}
 
+	/**
+	 * Load the team defaults file, if there is one, to fill in the preferences the user hasn't set.
+	 * 
+	 * @private
+	 * @param {string} defaultsPath
+	 * @returns {Promise<Result<void>>}
+	 */
+	async loadTeamDefaults(defaultsPath) {
+
+		if (!this.diskIO.existsSync(defaultsPath)) {
+			return { ok: true };
+		}
+
+		const defaultsResult = await this.readSharedFile(defaultsPath);
+
+		if (!defaultsResult.ok) {
+			return defaultsResult;
+		}
+
+		deep_assign(this.defaults, defaultsResult.data);
+		this.defaultsLoaded = true;
+
+		return { ok: true };
+
+	}
+
+	/**
+	 * Read preferences shared from elsewhere, such as team defaults or an export from another
+	 * computer.
+	 * 
+	 * @private
+	 * @param {string} path
+	 * @returns {Promise<Result<Partial<TPreferences.Data>>>}
+	 */
+	async readSharedFile(path) {
+
+		const file = await this.diskIO.readFile(path);
+
+		if (!file.ok) {
+			return Err(new BaseError(`Failed to read the preferences file '${path}'`, file.err));
+		}
+
+		/** @type {unknown} */
+		let data;
+
+		try {
+			data = JSON.parse(file.data.toString());
+		} catch (err) {
+			return Err(new SolvableError(
+				`The preferences file '${path}' is not valid JSON`,
+				'Check the file for syntax errors, or export it again.',
+				err
+			));
+		}
+
+		if (!(data instanceof Object) || Array.isArray(data)) {
+			return Err(new BaseError(`The file '${path}' does not hold Constructor preferences`));
+		}
+
+		const prefs = /** @type {Partial<TPreferences.Data>} */ (data);
+
+		if ((prefs.version ?? 0) > PREFERENCES_SCHEMA_VERSION) {
+			return Err(new SolvableError(
+				`The preferences file '${path}' is from a newer version of Constructor`,
+				'Update Constructor to the latest version to use these preferences.'
+			));
+		}
+
+		Preferences.migrateSchema(prefs);
+		return Ok(prefs);
+
+	}
+
+	/**
+	 * Write the chosen sections of the preferences to a file, to import elsewhere or to use as
+	 * team defaults.
+	 * 
+	 * @param {string} path
+	 * @param {ReadonlyArray<TPreferences.Section>} sections
+	 * @returns {Promise<Result<void>>}
+	 */
+	async exportTo(path, sections) {
+		const exported = preferences_sections_pick(this.prefs, sections);
+		return this.diskIO.writeFile(path, JSON.stringify(exported, undefined, '\t'));
+	}
+
+	/**
+	 * Replace the chosen sections of the preferences with those from an exported file. Sections
+	 * the file doesn't have are left as they are.
+	 * 
+	 * @param {string} path
+	 * @param {ReadonlyArray<TPreferences.Section>} sections
+	 * @returns {Promise<Result<void>>}
+	 */
+	async importFrom(path, sections) {
+
+		if (this.readonly) {
+			return Err(new BaseError('Preferences can\'t be imported, as they failed to load'));
+		}
+
+		const fileResult = await this.readSharedFile(path);
+
+		if (!fileResult.ok) {
+			return fileResult;
+		}
+
+		const { projectLocalData, ...imported } = preferences_sections_pick(fileResult.data, sections);
+		const previous = structuredClone(this.prefs);
+
+		delete imported.version;
+
+		deep_assign(this.userPrefs, imported);
+
+		// Each project's settings are replaced as a whole, so that lists such as build profiles
+		// aren't merged.
+		Object.assign(this.userPrefs.projectLocalData ??= {}, projectLocalData);
+
+		this.applyUserPrefs();
+		this.save();
+		await this.emitChanges(previous);
+
+		return { ok: true };
+
+	}
+
+	/**
+	 * Forget the preferences the user has set in the chosen sections, so that the defaults apply
+	 * to them again.
+	 * 
+	 * @param {ReadonlyArray<TPreferences.Section>} sections
+	 * @returns {Promise<Result<void>>}
+	 */
+	async resetSections(sections) {
+
+		if (this.readonly) {
+			return Err(new BaseError('Preferences can\'t be reset, as they failed to load'));
+		}
+
+		const previous = structuredClone(this.prefs);
+
+		for (const section of sections) {
+			for (const key of PREFERENCES_SECTIONS[section].keys) {
+				delete this.userPrefs[key];
+			}
+		}
+
+		this.applyUserPrefs();
+		this.save();
+		await this.emitChanges(previous);
+
+		return { ok: true };
+
+	}
+
+	/**
+	 * Let listeners know of each preference which changed from those given, such as after an
+	 * import.
+	 * 
+	 * @private
+	 * @param {TPreferences.Data} previous
+	 */
+	async emitChanges(previous) {
+
+		const prefs = this.prefs;
+
+		/** @type {Array<[Exclude<keyof TPreferences.Data, 'runtime_opts'|'projectLocalData'>, () => void]>} */
+		const events = [
+			['check_for_updates', () => this.eventEmitter.emit('setCheckForUpdates', { checkForUpdates: prefs.check_for_updates })],
+			['save_on_run_task', () => this.eventEmitter.emit('setSaveOnRun', { saveOnRun: prefs.save_on_run_task })],
+			['reuse_compiler_tab', () => this.eventEmitter.emit('setReuseOutputTab', { reuseOutputTab: prefs.reuse_compiler_tab })],
+			['use_global_build', () => this.eventEmitter.emit('setUseGlobalBuildPath', { useGlobalBuildPath: prefs.use_global_build })],
+			['global_build_path', () => this.eventEmitter.emit('setGlobalBuildPath', { globalBuildPath: prefs.global_build_path })],
+			['showTooltipHints', () => this.eventEmitter.emit('setShowTooltipHints', { showTooltipHints: prefs.showTooltipHints })],
+			['outputPosition', () => this.eventEmitter.emit('setOutputPosition', prefs.outputPosition)],
+			['shouldFocusOutput', () => this.eventEmitter.emit('setShouldFocusOutput', prefs.shouldFocusOutput)],
+			['showWarnings', () => this.eventEmitter.emit('setShowWarnings', { showWarnings: prefs.showWarnings })],
+			['logScrollbackLines', () => this.eventEmitter.emit('setLogScrollbackLines', { logScrollbackLines: prefs.logScrollbackLines })],
+			['spillLogToFile', () => this.eventEmitter.emit('setSpillLogToFile', { spillLogToFile: prefs.spillLogToFile })],
+			['structuredGameLog', () => this.eventEmitter.emit('setStructuredGameLog', { structuredGameLog: prefs.structuredGameLog })],
+			['collectArtifacts', () => this.eventEmitter.emit('setCollectArtifacts', { collectArtifacts: prefs.collectArtifacts })],
+			['artifactsPath', () => this.eventEmitter.emit('setArtifactsPath', { artifactsPath: prefs.artifactsPath })],
+			['artifactNameTemplate', () => this.eventEmitter.emit('setArtifactNameTemplate', { artifactNameTemplate: prefs.artifactNameTemplate })],
+			['cacheMaxAgeDays', () => this.eventEmitter.emit('setCacheMaxAgeDays', { cacheMaxAgeDays: prefs.cacheMaxAgeDays })],
+			['cacheMaxSizeMB', () => this.eventEmitter.emit('setCacheMaxSizeMB', { cacheMaxSizeMB: prefs.cacheMaxSizeMB })],
+		];
+
+		for (const [key, emit] of events) {
+			if (prefs[key] !== previous[key]) {
+				emit();
+			}
+		}
+
+		for (const channel of GM_RELEASE_CHANNELS) {
+
+			const options = this.getRuntimeOptions(channel);
+			const previousOptions = previous.runtime_opts.type_opts[channel];
+
+			if (options.prefabsPath !== previousOptions.prefabsPath) {
+				this.eventEmitter.emit('setPrefabsPath', { channel, prefabsPath: options.prefabsPath });
+			}
+
+			if (options.search_path !== previousOptions.search_path) {
+				await this.reloadRuntimeList(channel);
+			}
+
+			if (options.users_path !== previousOptions.users_path || options.user !== previousOptions.user) {
+				await this.reloadUserList(channel);
+			}
+
+		}
+
+		const projectPaths = Object.keys(prefs.projectLocalData).filter(projectPath =>
+			JSON.stringify(prefs.projectLocalData[projectPath]) !== JSON.stringify(previous.projectLocalData[projectPath])
+		);
+
+		if (projectPaths.length > 0) {
+			this.eventEmitter.emit('projectLocalDataChanged', { projectPaths });
+		}
+
+	}
+
 	/**
 	 * Get a local properties store for the given project.
 	 * 
-	 * @param {GMEdit.Project} project 
+	 * @param {Pick<GM.ProjectInfo, 'path'>} project 
 	 * @returns {TPreferences.LocalProjectPropertiesStore}
 	 */
 	getLocalProjectPropertiesStore(project) {
@@ -364,6 +735,7 @@ export class Preferences {
 			 */
 			save(localProps) {
 				preferences.prefs.projectLocalData[project.path] = localProps;
+				(preferences.userPrefs.projectLocalData ??= {})[project.path] = structuredClone(localProps);
 				preferences.save();
 			}
 
@@ -381,8 +753,7 @@ export class Preferences {
 
 	set reuseOutputTab(value) {
 
-		this.prefs.reuse_compiler_tab = value;
-		this.save();
+		this.setUserPref('reuse_compiler_tab', value);
 
 		this.eventEmitter.emit('setReuseOutputTab', { reuseOutputTab: value });
 
@@ -398,8 +769,7 @@ export class Preferences {
 
 	set saveOnRun(value) {
 		
-		this.prefs.save_on_run_task = value;
-		this.save();
+		this.setUserPref('save_on_run_task', value);
 
 		this.eventEmitter.emit('setSaveOnRun', { saveOnRun: value });
 
@@ -415,8 +785,7 @@ export class Preferences {
 
 	set checkForUpdates(value) {
 		
-		this.prefs.check_for_updates = value;
-		this.save();
+		this.setUserPref('check_for_updates', value);
 
 		this.eventEmitter.emit('setCheckForUpdates', { checkForUpdates: value });
 
@@ -431,8 +800,7 @@ export class Preferences {
 
 	set useGlobalBuildPath(value) {
 		
-		this.prefs.use_global_build = value;
-		this.save();
+		this.setUserPref('use_global_build', value);
 
 		this.eventEmitter.emit('setUseGlobalBuildPath', { useGlobalBuildPath: value });
 
@@ -448,13 +816,137 @@ export class Preferences {
 
 	set globalBuildPath(value) {
 		
-		this.prefs.global_build_path = value;
-		this.save();
+		this.setUserPref('global_build_path', value);
 
 		this.eventEmitter.emit('setGlobalBuildPath', { globalBuildPath: value });
 
 	}
 
+	/**
+	 * Get the directory to build the given project in.
+	 * 
+	 * @param {GM.ProjectInfo} project 
+	 * @returns {string}
+	 */
+	getProjectBuildPath(project) {
+		
+		if (this.useGlobalBuildPath) {
+			return this.diskIO.joinPath(this.globalBuildPath, project.displayName);
+		}
+
+		return this.diskIO.joinPath(project.dir, 'build');
+
+	}
+
+	/**
+	 * Whether to collect the packaged build of successful Package jobs.
+	 */
+	get collectArtifacts() {
+		return this.prefs.collectArtifacts;
+	}
+
+	set collectArtifacts(value) {
+
+		this.setUserPref('collectArtifacts', value);
+
+		this.eventEmitter.emit('setCollectArtifacts', { collectArtifacts: value });
+
+	}
+
+	/**
+	 * The directory to collect packaged builds into, or an empty string to use each project's
+	 * build directory.
+	 */
+	get artifactsPath() {
+		return this.prefs.artifactsPath;
+	}
+
+	set artifactsPath(value) {
+
+		this.setUserPref('artifactsPath', value);
+
+		this.eventEmitter.emit('setArtifactsPath', { artifactsPath: value });
+
+	}
+
+	/**
+	 * The template to name collected packaged builds after.
+	 */
+	get artifactNameTemplate() {
+		return this.prefs.artifactNameTemplate;
+	}
+
+	set artifactNameTemplate(value) {
+
+		this.setUserPref('artifactNameTemplate', value);
+
+		this.eventEmitter.emit('setArtifactNameTemplate', { artifactNameTemplate: value });
+
+	}
+
+	/**
+	 * Number of days after which unused build caches are removed, or `0` to keep them.
+	 */
+	get cacheMaxAgeDays() {
+		return this.prefs.cacheMaxAgeDays;
+	}
+
+	set cacheMaxAgeDays(value) {
+
+		this.setUserPref('cacheMaxAgeDays', value);
+
+		this.eventEmitter.emit('setCacheMaxAgeDays', { cacheMaxAgeDays: value });
+
+	}
+
+	/**
+	 * Total size in megabytes that a project's build caches are pruned down to, or `0` for no
+	 * limit.
+	 */
+	get cacheMaxSizeMB() {
+		return this.prefs.cacheMaxSizeMB;
+	}
+
+	set cacheMaxSizeMB(value) {
+
+		this.setUserPref('cacheMaxSizeMB', value);
+
+		this.eventEmitter.emit('setCacheMaxSizeMB', { cacheMaxSizeMB: value });
+
+	}
+
+	/**
+	 * Get the limits to automatically prune build caches down to.
+	 * 
+	 * @returns {TBuildCache.PruneOptions}
+	 */
+	getCachePruneOptions() {
+		return {
+			maxAgeMs: (this.cacheMaxAgeDays > 0)
+				? this.cacheMaxAgeDays * 24 * 60 * 60 * 1000
+				: undefined,
+			maxTotalSize: (this.cacheMaxSizeMB > 0)
+				? this.cacheMaxSizeMB * 1024 * 1024
+				: undefined
+		};
+	}
+
+	/**
+	 * Get the directory to collect the given project's packaged builds into.
+	 * 
+	 * @param {GM.ProjectInfo} project 
+	 * @returns {string}
+	 */
+	getProjectArtifactsPath(project) {
+
+		if (this.artifactsPath === '') {
+			return this.diskIO.joinPath(this.getProjectBuildPath(project), 'releases');
+		}
+
+		return this.diskIO.joinPath(this.artifactsPath, project.displayName);
+
+	}
+
 	/**
 	 * Whether to show visual hints on options that have tooltips.
 	 */
@@ -463,8 +955,7 @@ export class Preferences {
 	}
 
 	set showTooltipHints(value) {
-		this.prefs.showTooltipHints = value;
-		this.save();
+		this.setUserPref('showTooltipHints', value);
 		
 		this.eventEmitter.emit('setShowTooltipHints', { showTooltipHints: value });
 	}
@@ -477,8 +968,7 @@ export class Preferences {
 	}
 
 	set outputPosition(value) {
-		this.prefs.outputPosition = value;
-		this.save();
+		this.setUserPref('outputPosition', value);
 		
 		this.eventEmitter.emit('setOutputPosition', value);
 	}
@@ -491,12 +981,64 @@ export class Preferences {
 	}
 
 	set shouldFocusOutput(value) {
-		this.prefs.shouldFocusOutput = value;
-		this.save();
+		this.setUserPref('shouldFocusOutput', value);
 
 		this.eventEmitter.emit('setShouldFocusOutput', value);
 	}
 
+	/**
+	 * Whether to show warnings found in a job's output alongside its errors.
+	 */
+	get showWarnings() {
+		return this.prefs.showWarnings;
+	}
+
+	set showWarnings(value) {
+		this.setUserPref('showWarnings', value);
+
+		this.eventEmitter.emit('setShowWarnings', { showWarnings: value });
+	}
+
+	/**
+	 * Most lines of a job's output to keep in its log, or `0` for no limit.
+	 */
+	get logScrollbackLines() {
+		return this.prefs.logScrollbackLines;
+	}
+
+	set logScrollbackLines(value) {
+		this.setUserPref('logScrollbackLines', value);
+
+		this.eventEmitter.emit('setLogScrollbackLines', { logScrollbackLines: value });
+	}
+
+	/**
+	 * Whether to write the whole of each job's output to a file in its build directory.
+	 */
+	get spillLogToFile() {
+		return this.prefs.spillLogToFile;
+	}
+
+	set spillLogToFile(value) {
+		this.setUserPref('spillLogToFile', value);
+
+		this.eventEmitter.emit('setSpillLogToFile', { spillLogToFile: value });
+	}
+
+	/**
+	 * Whether to read lines of the game's output written as JSON objects as structured log
+	 * entries, which can be filtered by level and category.
+	 */
+	get structuredGameLog() {
+		return this.prefs.structuredGameLog;
+	}
+
+	set structuredGameLog(value) {
+		this.setUserPref('structuredGameLog', value);
+
+		this.eventEmitter.emit('setStructuredGameLog', { structuredGameLog: value });
+	}
+
 	/**
 	 * Get information regarding a particular runtime version.
 	 * 
@@ -581,8 +1123,7 @@ export class Preferences {
 	 * @param {GM.User|undefined} user
 	 */
 	setDefaultUser(channel, user) {
-		this.prefs.runtime_opts.type_opts[channel].user = user?.directoryName ?? undefined;
-		this.save();
+		this.setUserChannelPref(channel, 'user', user?.directoryName ?? undefined);
 	}
 
 	/**
@@ -640,8 +1181,7 @@ export class Preferences {
 	 * @param {string} prefabsPath
 	 */
 	setPrefabsPath(channel, prefabsPath) {
-		this.prefs.runtime_opts.type_opts[channel].prefabsPath = prefabsPath;
-		this.save();
+		this.setUserChannelPref(channel, 'prefabsPath', prefabsPath);
 
 		this.eventEmitter.emit('setPrefabsPath', { channel, prefabsPath });
 	}
@@ -674,8 +1214,19 @@ export class Preferences {
 	 */
 	async setRuntimeSearchPath(channel, search_path) {
 
-		this.prefs.runtime_opts.type_opts[channel].search_path = search_path;
-		this.save();
+		this.setUserChannelPref(channel, 'search_path', search_path);
+
+		await this.reloadRuntimeList(channel);
+
+	}
+
+	/**
+	 * Load the list of runtimes for a channel again, letting listeners know of the new list.
+	 * 
+	 * @private
+	 * @param {GM.ReleaseChannel} channel 
+	 */
+	async reloadRuntimeList(channel) {
 
 		this.runtimesInChannels[channel] = undefined;
 		const res = await this.loadRuntimeList(channel);
@@ -715,8 +1266,19 @@ export class Preferences {
 	 */
 	async setUserSearchPath(channel, users_path) {
 
-		this.prefs.runtime_opts.type_opts[channel].users_path = users_path;
-		this.save();
+		this.setUserChannelPref(channel, 'users_path', users_path);
+
+		await this.reloadUserList(channel);
+
+	}
+
+	/**
+	 * Load the list of users for a channel again, letting listeners know of the new list.
+	 * 
+	 * @private
+	 * @param {GM.ReleaseChannel} channel 
+	 */
+	async reloadUserList(channel) {
 
 		this.usersInChannels[channel] = undefined;
 
@@ -725,7 +1287,7 @@ export class Preferences {
 		if (!userListRes.ok) {
 
 			this.problemLogger.error(`Failed to load ${channel} user list`, new SolvableError(
-				`An error occured while loading the list of users for ${channel} from "${users_path}".`,
+				`An error occured while loading the list of users for ${channel} from "${this.getUserSearchPath(channel)}".`,
 				'Make sure the users path is valid!',
 				userListRes.err,
 			));
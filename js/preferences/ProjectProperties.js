@@ -7,13 +7,15 @@ import { HOST_PLATFORM } from '../compiler/igor-paths.js';
 import { BaseError, SolvableError } from '../utils/Err.js';
 import { EventEmitterImpl } from '../utils/EventEmitterImpl.js';
 import { project_config_tree_get } from '../utils/project.js';
+import { Err, Ok } from '../utils/Result.js';
 import { docString } from '../utils/StringUtils.js';
+import { launch_options_get, launch_settings_with_profile } from '../compiler/launch-options.js';
+import { igor_options_get } from '../compiler/igor-options.js';
+import { build_profile_create, build_profile_matches, build_profile_settings_get, build_profiles_list } from './build-profiles.js';
 import { Preferences } from './Preferences.js';
 
-const GMEditProjectProperties = $gmedit['ui.project.ProjectProperties'];
-
 /** Current version of the portable preferences schema. */
-const PORTABLE_PREFS_SCHEMA_VERSION = 1;
+const PORTABLE_PREFS_SCHEMA_VERSION = 2;
 
 /**
  * @implements {Destroyable}
@@ -80,6 +82,12 @@ export class ProjectProperties {
 		'setPlatform',
 		'setDevice',
 		'setReuseOutputTab',
+		'setLaunchSettings',
+		'setRuntimeType',
+		'setBatchOptions',
+		'setIgorOptions',
+		'setProfiles',
+		'setIgnoredWarnings',
 	]);
 
 	/**
@@ -139,7 +147,7 @@ export class ProjectProperties {
 					break;
 			}
 		} else {
-			this.portable = {};
+			this.portable = { version: PORTABLE_PREFS_SCHEMA_VERSION, profiles: [] };
 		}
 
 		this.local = this.localProjectPropertiesStore.load();
@@ -149,7 +157,6 @@ export class ProjectProperties {
 	/**
 	 * Migrate the schema of the loaded portable preferences to the current version.
 	 * 
-	 * @private
 	 * @param {Partial<TPreferences.Project.PortableData>} portable
 	 * @returns {'up-to-date' | 'plugin-out-of-date' | 'migrated'}
 	 */
@@ -177,8 +184,14 @@ export class ProjectProperties {
 			portable.version = 1;
 		}
 
+		if (portable.version === 1) {
+			// Build profiles were added.
+			portable.profiles = [];
+			portable.version = 2;
+		}
+
 		// (Any future migrations here, one after another.)
-		// if (portable.version === 1) {
+		// if (portable.version === 2) {
 		// 		// ...
 		// }
 
@@ -243,8 +256,12 @@ export class ProjectProperties {
 	 * @param {GMS2.RuntimeType} runner 
 	 */
 	set runtimeBuildType(runner) {
+		
 		this.local.runtimeType = runner;
 		this.saveLocalProps();
+
+		this.eventEmitter.emit('setRuntimeType', { runtimeType: runner });
+
 	}
 
 	/**
@@ -276,6 +293,56 @@ export class ProjectProperties {
 		
 	}
 
+	/**
+	 * How the game is launched, as written by the user, either for everyone working on the project
+	 * or just on this computer.
+	 * 
+	 * @param {TPreferences.Project.BuildProfileStorage} storage
+	 * @returns {TPreferences.Project.LaunchSettings}
+	 */
+	getLaunchSettings(storage) {
+		const data = (storage === 'portable') ? this.portable : this.local;
+
+		return {
+			runnerArgs: data.runnerArgs ?? '',
+			runnerEnv: data.runnerEnv ?? ''
+		};
+	}
+
+	/**
+	 * Change how the game is launched, either for everyone working on the project or just on this
+	 * computer.
+	 * 
+	 * @param {TPreferences.Project.BuildProfileStorage} storage
+	 * @param {Partial<TPreferences.Project.LaunchSettings>} settings
+	 */
+	setLaunchSettings(storage, settings) {
+		const { runnerArgs, runnerEnv } = { ...this.getLaunchSettings(storage), ...settings };
+		const data = (storage === 'portable') ? this.portable : this.local;
+
+		// Empty settings are left out, the same as never having been set.
+		data.runnerArgs = runnerArgs.trim() || undefined;
+		data.runnerEnv = runnerEnv.trim() || undefined;
+
+		if (storage === 'portable') {
+			this.savePortableProps();
+		} else {
+			this.saveLocalProps();
+		}
+
+		this.eventEmitter.emit('setLaunchSettings', { storage, settings: this.getLaunchSettings(storage) });
+	}
+
+	/**
+	 * The arguments and environment variables to run the game with, from both the project's shared
+	 * settings and those on this computer.
+	 * 
+	 * @returns {Result<TPreferences.Project.LaunchOptions>}
+	 */
+	getLaunchOptions() {
+		return launch_options_get(this.getLaunchSettings('portable'), this.getLaunchSettings('local'));
+	}
+
 	/**
 	 * Get the desired runtime channel type for this project (without falling back to the global option).
 	 * @returns {GM.ReleaseChannel|undefined}
@@ -404,6 +471,200 @@ export class ProjectProperties {
 		this.eventEmitter.emit('setRuntimeVersion', { version });
 	}
 
+	/**
+	 * Settings for building several targets of this project at once.
+	 * 
+	 * @returns {TPreferences.Project.BatchOptions}
+	 */
+	getBatchOptions() {
+		return {
+			targets: this.portable.batch?.targets ?? [],
+			parallelism: this.portable.batch?.parallelism ?? 1,
+			stopOnFailure: this.portable.batch?.stopOnFailure ?? true
+		};
+	}
+
+	/**
+	 * Change some of the batch build settings.
+	 * 
+	 * @param {Partial<TPreferences.Project.BatchOptions>} options 
+	 */
+	setBatchOptions(options) {
+		this.portable.batch = { ...this.getBatchOptions(), ...options };
+
+		this.savePortableProps();
+		this.eventEmitter.emit('setBatchOptions', this.getBatchOptions());
+	}
+
+	/**
+	 * Advanced options for how Igor compiles this project on this computer.
+	 * 
+	 * @returns {TPreferences.Project.IgorOptions}
+	 */
+	getIgorOptions() {
+		return igor_options_get(this.local.igor);
+	}
+
+	/**
+	 * Change some of the advanced Igor options.
+	 * 
+	 * @param {Partial<TPreferences.Project.IgorOptions>} options 
+	 */
+	setIgorOptions(options) {
+		this.local.igor = { ...this.getIgorOptions(), ...options };
+
+		this.saveLocalProps();
+		this.eventEmitter.emit('setIgorOptions', this.getIgorOptions());
+	}
+
+	/**
+	 * Text of warnings that are ignored for this project.
+	 * 
+	 * @returns {ReadonlyArray<string>}
+	 */
+	getIgnoredWarnings() {
+		return this.portable.ignoredWarnings ?? [];
+	}
+
+	/**
+	 * Ignore warnings containing the given text. Ignoring the same text twice has no effect.
+	 * 
+	 * @param {string} text 
+	 */
+	ignoreWarning(text) {
+		const ignoredWarnings = this.getIgnoredWarnings();
+
+		if (ignoredWarnings.includes(text)) {
+			return;
+		}
+
+		this.setIgnoredWarnings([...ignoredWarnings, text]);
+	}
+
+	/**
+	 * Replace the list of ignored warnings.
+	 * 
+	 * @param {ReadonlyArray<string>} ignoredWarnings 
+	 */
+	setIgnoredWarnings(ignoredWarnings) {
+		this.portable.ignoredWarnings = [...ignoredWarnings];
+
+		this.savePortableProps();
+		this.eventEmitter.emit('setIgnoredWarnings', { ignoredWarnings: this.getIgnoredWarnings() });
+	}
+
+	/**
+	 * The build profiles available to this project, with portable profiles first.
+	 * 
+	 * @returns {TPreferences.Project.StoredBuildProfile[]}
+	 */
+	getProfiles() {
+		return build_profiles_list(this.portable, this.local);
+	}
+
+	/**
+	 * The profile whose settings are exactly those currently selected, if any.
+	 * 
+	 * @returns {TPreferences.Project.StoredBuildProfile|undefined}
+	 */
+	getActiveProfile() {
+		const settings = build_profile_settings_get(this.portable, this.local);
+		return this.getProfiles().find(({ profile }) => build_profile_matches(profile, settings));
+	}
+
+	/**
+	 * Save the currently selected settings as a profile, replacing any existing profile with the
+	 * same name.
+	 * 
+	 * @param {string} name
+	 * @param {TPreferences.Project.BuildProfileStorage} storage
+	 */
+	saveProfile(name, storage) {
+
+		const profile = build_profile_create(name, build_profile_settings_get(this.portable, this.local));
+		this.removeProfile(name);
+
+		if (storage === 'portable') {
+			this.portable.profiles = [...(this.portable.profiles ?? []), profile];
+		} else {
+			this.local.profiles = [...(this.local.profiles ?? []), profile];
+		}
+
+		this.savePortableProps();
+		this.saveLocalProps();
+
+		this.eventEmitter.emit('setProfiles', { profiles: this.getProfiles() });
+
+	}
+
+	/**
+	 * Delete the profile with the given name.
+	 * 
+	 * @param {string} name
+	 */
+	deleteProfile(name) {
+
+		this.removeProfile(name);
+
+		this.savePortableProps();
+		this.saveLocalProps();
+
+		this.eventEmitter.emit('setProfiles', { profiles: this.getProfiles() });
+
+	}
+
+	/**
+	 * Switch to the settings of the profile with the given name.
+	 * 
+	 * @param {string} name
+	 * @returns {Result<void>}
+	 */
+	applyProfile(name) {
+
+		const stored = this.getProfiles().find(({ profile }) => profile.name === name);
+
+		if (stored === undefined) {
+			return Err(new BaseError(`There is no build profile named '${name}'.`));
+		}
+
+		const { profile } = stored;
+
+		// The channel goes first, as changing it deselects the runtime version.
+		this.runtimeReleaseChannel = profile.runtimeReleaseChannel ?? undefined;
+
+		const version = (profile.runtimeVersion != undefined)
+			? GMRuntimeVersion.parse(profile.runtimeVersion)
+			: undefined;
+
+		this.setRuntimeVersion(version?.ok ? version.data : undefined);
+
+		this.platform = profile.platform ?? undefined;
+
+		this.local.device = profile.device ?? undefined;
+		this.local.deviceChannel = profile.deviceChannel ?? undefined;
+		this.saveLocalProps();
+		this.eventEmitter.emit('setDevice', { device: this.device });
+
+		this.buildConfigName = profile.configName;
+		this.runtimeBuildType = profile.runtimeType;
+
+		this.setLaunchSettings('local', launch_settings_with_profile(this.getLaunchSettings('local'), profile));
+
+		return Ok(undefined);
+
+	}
+
+	/**
+	 * Remove the profile with the given name from wherever it is stored, without saving.
+	 * 
+	 * @private
+	 * @param {string} name
+	 */
+	removeProfile(name) {
+		this.portable.profiles = this.portable.profiles?.filter(profile => profile.name !== name);
+		this.local.profiles = this.local.profiles?.filter(profile => profile.name !== name);
+	}
+
 	/**
 	 * Save the portable project properties.
 	 * @private
@@ -422,6 +683,8 @@ export class ProjectProperties {
 			}
 		}
 
+		const GMEditProjectProperties = $gmedit['ui.project.ProjectProperties'];
+
 		this.project.properties['GMEdit-Constructor'] = this.portable;
 		GMEditProjectProperties.save(this.project, this.project.properties);
 
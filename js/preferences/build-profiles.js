@@ -0,0 +1,97 @@
+/**
+ * Helpers for named build profiles, which bundle the settings that decide what a build targets.
+ */
+
+/**
+ * Every setting a profile holds, besides its name.
+ *
+ * @type {ReadonlyArray<keyof TPreferences.Project.BuildProfileSettings>}
+ */
+const BUILD_PROFILE_SETTINGS_KEYS = [
+	'platform',
+	'device',
+	'deviceChannel',
+	'configName',
+	'runtimeType',
+	'runtimeReleaseChannel',
+	'runtimeVersion',
+	'runnerArgs',
+	'runnerEnv'
+];
+
+/**
+ * Get the build settings a project currently has selected, from where each is stored.
+ *
+ * @param {Partial<TPreferences.Project.PortableData>} portable
+ * @param {Partial<TPreferences.Project.LocalData>} local
+ * @returns {TPreferences.Project.BuildProfileSettings}
+ */
+export function build_profile_settings_get(portable, local) {
+	return {
+		platform: local.platform ?? undefined,
+		device: local.device ?? undefined,
+		deviceChannel: local.deviceChannel ?? undefined,
+		configName: local.buildConfig ?? 'Default',
+		runtimeType: local.runtimeType ?? 'VM',
+		runtimeReleaseChannel: portable.runtimeReleaseChannel ?? undefined,
+		runtimeVersion: (portable.runtimeReleaseChannel != undefined)
+			? (portable.runtimeVersion ?? undefined)
+			: undefined,
+		runnerArgs: local.runnerArgs || undefined,
+		runnerEnv: local.runnerEnv || undefined
+	};
+}
+
+/**
+ * Create a profile with the given name and settings. Unset settings are left out, so that the
+ * profile is stored the same way no matter how the settings were given.
+ *
+ * @param {string} name
+ * @param {TPreferences.Project.BuildProfileSettings} settings
+ * @returns {TPreferences.Project.BuildProfile}
+ */
+export function build_profile_create(name, settings) {
+
+	/** @type {TPreferences.Project.BuildProfile} */
+	const profile = {
+		name,
+		configName: settings.configName,
+		runtimeType: settings.runtimeType
+	};
+
+	for (const key of BUILD_PROFILE_SETTINGS_KEYS) {
+		if (settings[key] != undefined) {
+			// @ts-expect-error Each key is copied to the same key.
+			profile[key] = settings[key];
+		}
+	}
+
+	return profile;
+
+}
+
+/**
+ * Whether the given settings are exactly those of a profile.
+ *
+ * @param {TPreferences.Project.BuildProfile} profile
+ * @param {TPreferences.Project.BuildProfileSettings} settings
+ * @returns {boolean}
+ */
+export function build_profile_matches(profile, settings) {
+	// GMEdit saves unset properties as `null`, which we treat the same as a missing key.
+	return BUILD_PROFILE_SETTINGS_KEYS.every(key => (profile[key] ?? undefined) === (settings[key] ?? undefined));
+}
+
+/**
+ * List the profiles available to a project, with portable profiles first.
+ *
+ * @param {Partial<TPreferences.Project.PortableData>} portable
+ * @param {Partial<TPreferences.Project.LocalData>} local
+ * @returns {TPreferences.Project.StoredBuildProfile[]}
+ */
+export function build_profiles_list(portable, local) {
+	return [
+		...(portable.profiles ?? []).map(profile => ({ profile, storage: /** @type {const} */ ('portable') })),
+		...(local.profiles ?? []).map(profile => ({ profile, storage: /** @type {const} */ ('local') }))
+	];
+}
@@ -86,8 +86,72 @@ export declare global {
 			 * Whether to focus the output when starting a job.
 			 */
 			shouldFocusOutput: boolean;
+
+			/**
+			 * Whether to show warnings found in a job's output alongside its errors.
+			 */
+			showWarnings: boolean;
+
+			/**
+			 * Most lines of a job's output to keep in its log, dropping the oldest beyond that.
+			 * `0` for no limit.
+			 */
+			logScrollbackLines: number;
+
+			/**
+			 * Whether to write the whole of each job's output to a file in its build directory, so
+			 * that lines dropped from the log aren't lost.
+			 */
+			spillLogToFile: boolean;
+
+			/**
+			 * Whether to read lines of the game's output written as JSON objects, such as
+			 * `{"level":"warn","category":"ai","message":"No path"}`, as structured log entries.
+			 */
+			structuredGameLog: boolean;
+
+			/**
+			 * Whether to copy the packaged build of successful Package jobs to the release
+			 * directory.
+			 */
+			collectArtifacts: boolean;
+
+			/**
+			 * Directory to copy packaged builds to, in a folder per project. Empty to use the
+			 * `releases` folder of each project's build directory.
+			 */
+			artifactsPath: string;
+
+			/**
+			 * Template to name packaged builds after, using placeholders such as `{project}`.
+			 */
+			artifactNameTemplate: string;
+
+			/**
+			 * Build caches unused for more than this many days are removed automatically. `0` to
+			 * keep them regardless of age.
+			 */
+			cacheMaxAgeDays: number;
+
+			/**
+			 * The least recently used build caches of a project are removed automatically once
+			 * they total more than this many megabytes. `0` for no limit.
+			 */
+			cacheMaxSizeMB: number;
 		}
 
+		/**
+		 * The preferences the user has set, which is what is saved. Those missing are filled in
+		 * from the defaults.
+		 */
+		type UserData = Partial<Omit<Data, 'runtime_opts'>> & {
+			runtime_opts?: {
+				type_opts?: {
+					[key in GM.ReleaseChannel]?: Partial<Data['runtime_opts']['type_opts'][key]>;
+				};
+			};
+		};
+
 		/**
 		 * Project-specific data.
 		 */
@@ -111,6 +175,140 @@ export declare global {
 				 * Chosen runtime version to use in that channel, if specified.
 				 */
 				runtimeVersion?: string;
+
+				/**
+				 * Settings for building several targets at once, shared so that everyone packages
+				 * a release the same way.
+				 */
+				batch?: Partial<BatchOptions>;
+
+				/**
+				 * Build profiles shared with everyone working on the project.
+				 */
+				profiles: BuildProfile[];
+
+				/**
+				 * Text of warnings the team has chosen to ignore. A warning is ignored if its
+				 * message contains any of these, regardless of case.
+				 */
+				ignoredWarnings?: string[];
+
+				/**
+				 * Arguments passed to the game when running it, for everyone working on the
+				 * project, written as on a command line. Arguments set locally come after these.
+				 */
+				runnerArgs?: string;
+
+				/**
+				 * Environment variables set for the game for everyone working on the project,
+				 * written as `NAME=value` pairs. Variables set locally take precedence.
+				 */
+				runnerEnv?: string;
+			};
+
+			/**
+			 * The settings that decide what a build targets, which a profile bundles together.
+			 */
+			type BuildProfileSettings = {
+				/** Platform to build for. The host platform is used if not given. */
+				platform?: GM.SupportedPlatform;
+
+				/** Name of the remote device to build to. */
+				device?: string;
+
+				/** Release channel the remote device is configured in. */
+				deviceChannel?: GM.ReleaseChannel;
+
+				configName: string;
+				runtimeType: GMS2.RuntimeType;
+
+				/** Release channel to use. The channel is picked automatically if not given. */
+				runtimeReleaseChannel?: GM.ReleaseChannel;
+
+				/** Runtime version to use in that channel. The latest compatible is used if not given. */
+				runtimeVersion?: string;
+
+				/** Arguments passed to the game when running it, written as on a command line. */
+				runnerArgs?: string;
+
+				/** Environment variables set for the game, written as `NAME=value` pairs. */
+				runnerEnv?: string;
+			};
+
+			/**
+			 * A named set of build settings that can be switched to at once.
+			 */
+			type BuildProfile = BuildProfileSettings & {
+				name: string;
+			};
+
+			/**
+			 * Where a profile is saved - alongside the project, or only on this computer.
+			 */
+			type BuildProfileStorage =
+				'portable'	|
+				'local'		;
+
+			type StoredBuildProfile = {
+				profile: BuildProfile;
+				storage: BuildProfileStorage;
+			};
+
+			/**
+			 * How the game is launched when running it, as written by the user.
+			 */
+			type LaunchSettings = {
+				runnerArgs: string;
+				runnerEnv: string;
+			};
+
+			/**
+			 * How the game is launched when running it, ready to pass to the game.
+			 */
+			type LaunchOptions = {
+				args: string[];
+				env: Record<string, string>;
+			};
+
+			/**
+			 * How much Igor writes about what it's doing.
+			 */
+			type IgorVerbosity =
+				'normal'	|
+				'verbose'	;
+
+			/**
+			 * Advanced options for how Igor compiles the project on this computer.
+			 */
+			type IgorOptions = {
+				/** Number of threads to compile with (`/j`). Igor decides if not given. */
+				threads?: number;
+
+				/**
+				 * Whether to ignore the build cache (`/ic`). If not given, the cache is ignored
+				 * for YYC builds only, as changes otherwise don't always apply.
+				 */
+				ignoreCache?: boolean;
+
+				/** How much output Igor gives. */
+				verbosity: IgorVerbosity;
+
+				/** Further arguments for Igor, written as on a command line. */
+				extraArgs: string;
+			};
+
+			/**
+			 * Settings for batch builds of the project.
+			 */
+			type BatchOptions = {
+				/** Targets to build, in order. */
+				targets: TBuildQueue.Target[];
+
+				/** Maximum number of targets to build at once. */
+				parallelism: number;
+
+				/** Whether to skip the remaining targets once one fails. */
+				stopOnFailure: boolean;
 			};
 
 			/**
@@ -148,10 +346,49 @@ export declare global {
 				 */
 				reuseOutputTab: boolean;
 
+				/**
+				 * Build profiles only available on this computer.
+				 */
+				profiles: BuildProfile[];
+
+				/**
+				 * Arguments passed to the game when running it on this computer, written as on a
+				 * command line.
+				 */
+				runnerArgs?: string;
+
+				/**
+				 * Environment variables set for the game on this computer, written as `NAME=value`
+				 * pairs.
+				 */
+				runnerEnv?: string;
+
+				/**
+				 * Advanced options for Igor, tuned to this computer.
+				 */
+				igor?: Partial<IgorOptions>;
+
 			};
 
 		}
 
+		/**
+		 * A part of the preferences which can be exported and imported on its own.
+		 */
+		type Section =
+			'runtimes'	|
+			'behaviour'	|
+			'builds'	|
+			'projects'	;
+
+		type SectionInfo = {
+			/** Description of the section for the user. */
+			label: string;
+
+			/** The preferences the section holds. */
+			keys: ReadonlyArray<Exclude<keyof Data, 'version'>>;
+		};
+
 		/**
 		 * Where Constructor should display job output to.
 		 */
@@ -170,6 +407,15 @@ export declare global {
 			setShowTooltipHints: { showTooltipHints: boolean };
 			setOutputPosition: OutputPosition;
 			setShouldFocusOutput: boolean;
+			setShowWarnings: { showWarnings: boolean };
+			setLogScrollbackLines: { logScrollbackLines: number };
+			setSpillLogToFile: { spillLogToFile: boolean };
+			setStructuredGameLog: { structuredGameLog: boolean };
+			setCollectArtifacts: { collectArtifacts: boolean };
+			setArtifactsPath: { artifactsPath: string };
+			setArtifactNameTemplate: { artifactNameTemplate: string };
+			setCacheMaxAgeDays: { cacheMaxAgeDays: number };
+			setCacheMaxSizeMB: { cacheMaxSizeMB: number };
 
 			/**
 			 * Fires when the list of runtimes is modified for a given release channel.
@@ -234,6 +480,15 @@ export declare global {
 				prefabsPath: string;
 			};
 
+			/**
+			 * Fires when the settings kept on this computer for some projects are replaced, such
+			 * as by importing preferences.
+			 */
+			projectLocalDataChanged: {
+				/** Paths of the projects whose settings were replaced. */
+				projectPaths: string[];
+			};
+
 		}
 		
 		interface ProjectPropertiesEventMap {
@@ -263,6 +518,30 @@ export declare global {
 				reuseOutputTab?: boolean;
 			};
 
+			setLaunchSettings: {
+				storage: Project.BuildProfileStorage;
+				settings: Project.LaunchSettings;
+			};
+
+			setRuntimeType: {
+				runtimeType: GMS2.RuntimeType;
+			};
+
+			setBatchOptions: Project.BatchOptions;
+
+			setIgorOptions: Project.IgorOptions;
+
+			/**
+			 * Fires when a build profile is saved or deleted.
+			 */
+			setProfiles: {
+				profiles: ReadonlyArray<Project.StoredBuildProfile>;
+			};
+
+			setIgnoredWarnings: {
+				ignoredWarnings: ReadonlyArray<string>;
+			};
+
 		}
 
 	};
@@ -0,0 +1,73 @@
+/**
+ * The parts of the preferences which can be exported and imported on their own, each with the
+ * preferences it holds and a description for the user.
+ * 
+ * @type {Readonly<Record<TPreferences.Section, TPreferences.SectionInfo>>}
+ */
+export const PREFERENCES_SECTIONS = {
+	runtimes: {
+		label: 'Runtime, user and prefab paths for each release channel',
+		keys: ['runtime_opts']
+	},
+	behaviour: {
+		label: 'Plugin behaviour and job output',
+		keys: [
+			'check_for_updates',
+			'save_on_run_task',
+			'reuse_compiler_tab',
+			'showTooltipHints',
+			'outputPosition',
+			'shouldFocusOutput',
+			'showWarnings',
+			'logScrollbackLines',
+			'spillLogToFile',
+			'structuredGameLog'
+		]
+	},
+	builds: {
+		label: 'Build directories, packaged builds and build caches',
+		keys: [
+			'use_global_build',
+			'global_build_path',
+			'collectArtifacts',
+			'artifactsPath',
+			'artifactNameTemplate',
+			'cacheMaxAgeDays',
+			'cacheMaxSizeMB'
+		]
+	},
+	projects: {
+		label: 'Project settings kept on this computer',
+		keys: ['projectLocalData']
+	}
+};
+
+/**
+ * @type {ReadonlyArray<TPreferences.Section>}
+ */
+export const PREFERENCES_SECTION_NAMES = ['runtimes', 'behaviour', 'builds', 'projects'];
+
+/**
+ * Take only the chosen sections of some preferences, such as to export them.
+ * 
+ * @param {Partial<TPreferences.Data>} prefs The preferences to take from.
+ * @param {ReadonlyArray<TPreferences.Section>} sections The sections to take.
+ * @returns {Partial<TPreferences.Data>}
+ */
+export function preferences_sections_pick(prefs, sections) {
+
+	/** @type {Partial<TPreferences.Data>} */
+	const picked = { version: prefs.version };
+
+	for (const section of sections) {
+		for (const key of PREFERENCES_SECTIONS[section].keys) {
+			if (prefs[key] !== undefined) {
+				// @ts-expect-error Each key is copied to the same key.
+				picked[key] = structuredClone(prefs[key]);
+			}
+		}
+	}
+
+	return picked;
+
+}
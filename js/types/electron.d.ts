@@ -64,8 +64,28 @@ declare global {
 		
 		interface Dialog {
 			showMessageBox: (options: DialogMessageOptions) => number;
+			showOpenDialogSync: (options: DialogOpenOptions) => string[] | undefined;
+			showSaveDialogSync: (options: DialogSaveOptions) => string | undefined;
 		}
 
+		type DialogFileFilter = {
+			name: string,
+			extensions: string[],
+		};
+
+		type DialogOpenOptions = {
+			title?: string,
+			defaultPath?: string,
+			filters?: DialogFileFilter[],
+			properties?: Array<'openFile' | 'openDirectory' | 'multiSelections'>,
+		};
+
+		type DialogSaveOptions = {
+			title?: string,
+			defaultPath?: string,
+			filters?: DialogFileFilter[],
+		};
+
 		type DialogMessageOptions = {
 
 			/**
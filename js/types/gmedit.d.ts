@@ -603,6 +603,11 @@ export declare global {
 		static readonly gmlLookup: Record<string, GMEdit.GmlLookup|undefined>;
 	}
 	
+	/**
+	 * GMEdit's code editor, shared by every open code tab.
+	 */
+	const aceEditor: AceAjax.Editor;
+
 	const $gmedit: {
 		'ui.Preferences': typeof GMEdit.Preferences;
 		'ui.MainMenu': GMEdit.MainMenu;
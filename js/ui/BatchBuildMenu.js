@@ -0,0 +1,279 @@
+import { HOST_PLATFORM, SUPPORTED_PLATFORMS } from '../compiler/igor-paths.js';
+import { GMS2_RUNTIME_TYPES } from '../preferences/Preferences.js';
+import { project_config_tree_flatten } from '../utils/project.js';
+import { formatDuration } from '../utils/StringUtils.js';
+import { Some } from '../utils/Option.js';
+import { Checkbox } from './components/Checkbox.js';
+import { Dropdown } from './components/Dropdown.js';
+import * as ui from './ui-wrappers.js';
+
+/**
+ * Choices for how many targets may build at once. Igor is fairly heavy, so running many at once
+ * rarely helps.
+ */
+const PARALLELISM_CHOICES = [1, 2, 3, 4];
+
+/**
+ * User interface for setting up the batch build targets of a project, and viewing the results of
+ * the current or last batch.
+ *
+ * @implements {Destroyable}
+ */
+export class BatchBuildMenu {
+
+	/**
+	 * @readonly
+	 * @type {HTMLDivElement}
+	 */
+	element = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {HTMLDivElement}
+	 */
+	targetsElement = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {HTMLDivElement}
+	 */
+	resultsElement = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {HTMLAnchorElement}
+	 */
+	cancelButton;
+
+	/**
+	 * The queue whose results are being shown, if a batch has been run.
+	 *
+	 * @private
+	 * @type {import('../compiler/batch/BuildQueue.js').BuildQueue|undefined}
+	 */
+	queue = undefined;
+
+	/**
+	 * @private
+	 * @type {Destroyable|undefined}
+	 */
+	queueListeners = undefined;
+
+	/**
+	 * @param {import('../preferences/ProjectProperties.js').ProjectProperties} properties
+	 * @param {() => void} runBatch Start a batch build with the current settings.
+	 */
+	constructor(properties, runBatch) {
+
+		/** @private */
+		this.properties = properties;
+
+		const options = this.properties.getBatchOptions();
+
+		this.element.appendChild(ui.em(
+			'Build several combinations of platform, configuration and runtime type in one go.'
+		));
+
+		this.element.appendChild(this.targetsElement);
+		this.element.appendChild(ui.textButton('Add Target', this.addTarget));
+
+		new Dropdown('Targets to build at once',
+				Some(options.parallelism),
+				(parallelism) => this.properties.setBatchOptions({ parallelism }),
+				PARALLELISM_CHOICES.map(value => ({ label: value.toString(), value }))
+			)
+			.singleline()
+			.appendTo(this.element);
+
+		new Checkbox('Skip remaining targets after a failure',
+				options.stopOnFailure,
+				(stopOnFailure) => this.properties.setBatchOptions({ stopOnFailure })
+			)
+			.appendTo(this.element);
+
+		this.element.appendChild(ui.textButton('Run Batch Build', runBatch));
+
+		this.cancelButton = ui.textButton('Cancel', () => this.queue?.cancel());
+		this.cancelButton.hidden = true;
+		this.element.appendChild(this.cancelButton);
+
+		this.element.appendChild(this.resultsElement);
+
+		this.properties.events.on('setBatchOptions', this.renderTargets);
+		this.renderTargets();
+
+	}
+
+	destroy() {
+		this.properties.events.off('setBatchOptions', this.renderTargets);
+		this.queueListeners?.destroy();
+	}
+
+	/**
+	 * Show the progress and results of the given batch.
+	 *
+	 * @param {import('../compiler/batch/BuildQueue.js').BuildQueue} queue
+	 */
+	setQueue(queue) {
+
+		this.queueListeners?.destroy();
+		this.queue = queue;
+
+		this.queueListeners = queue.events.createGroup({
+			targetChanged: this.renderResults,
+			finished: this.renderResults
+		});
+
+		this.renderResults();
+
+	}
+
+	/**
+	 * @private
+	 */
+	addTarget = () => {
+
+		/** @type {TBuildQueue.Target} */
+		const target = {
+			task: 'Package',
+			platform: this.properties.platform ?? HOST_PLATFORM,
+			configName: this.properties.buildConfigName,
+			runtimeType: this.properties.runtimeBuildType
+		};
+
+		this.properties.setBatchOptions({
+			targets: [...this.properties.getBatchOptions().targets, target]
+		});
+
+	};
+
+	/**
+	 * @private
+	 */
+	renderTargets = () => {
+
+		this.targetsElement.replaceChildren();
+
+		const { targets } = this.properties.getBatchOptions();
+
+		if (targets.length === 0) {
+			this.targetsElement.appendChild(ui.p('No targets yet.'));
+			return;
+		}
+
+		const configNames = project_config_tree_flatten(this.properties.rootBuildConfig);
+
+		targets.forEach((target, index) => {
+
+			/**
+			 * @param {Partial<TBuildQueue.Target>} changes
+			 */
+			const update = (changes) => this.properties.setBatchOptions({
+				targets: targets.map((it, i) => (i === index) ? { ...it, ...changes } : it)
+			});
+
+			const row = document.createElement('div');
+			row.classList.add('gm-constructor-batch-target');
+
+			new Dropdown('Task', Some(target.task), (task) => update({ task }),
+					/** @type {GM.Task[]} */ (['Run', 'Package'])
+				)
+				.singleline()
+				.appendTo(row);
+
+			new Dropdown('Platform', Some(target.platform), (platform) => update({ platform }), SUPPORTED_PLATFORMS)
+				.singleline()
+				.appendTo(row);
+
+			new Dropdown('Configuration', Some(target.configName), (configName) => update({ configName }), configNames)
+				.singleline()
+				.appendTo(row);
+
+			new Dropdown('Runtime', Some(target.runtimeType), (runtimeType) => update({ runtimeType }), GMS2_RUNTIME_TYPES)
+				.singleline()
+				.appendTo(row);
+
+			row.appendChild(ui.textButton('Remove', () => this.properties.setBatchOptions({
+				targets: targets.filter((_, i) => i !== index)
+			})));
+
+			this.targetsElement.appendChild(row);
+
+		});
+
+	};
+
+	/**
+	 * Render the table of results for the current batch.
+	 *
+	 * @private
+	 */
+	renderResults = () => {
+
+		this.resultsElement.replaceChildren();
+
+		if (this.queue === undefined) {
+			return;
+		}
+
+		const states = this.queue.getStates();
+		const table = document.createElement('table');
+		table.classList.add('gm-constructor-batch-results');
+
+		const header = table.createTHead().insertRow();
+
+		for (const title of ['Target', 'Status', 'Duration', 'Errors', 'Exit Code']) {
+			const cell = document.createElement('th');
+			cell.textContent = title;
+			header.appendChild(cell);
+		}
+
+		const body = table.createTBody();
+
+		for (const state of states) {
+
+			const { target } = state;
+			const row = body.insertRow();
+			row.classList.add(`gm-constructor-batch-${state.status.toLowerCase()}`);
+
+			const duration = (state.startTime !== undefined)
+				? formatDuration((state.endTime ?? new Date()).getTime() - state.startTime.getTime())
+				: '';
+
+			for (const text of [
+				`${target.task} ${target.platform} ${target.configName} (${target.runtimeType})`,
+				state.status,
+				duration,
+				(state.job !== undefined) ? state.errorCount.toString() : '',
+				state.exitCode?.toString() ?? ''
+			]) {
+				row.insertCell().textContent = text;
+			}
+
+		}
+
+		this.resultsElement.appendChild(table);
+
+		const done = states.every(state => state.status !== 'Pending' && state.status !== 'Running');
+		this.cancelButton.hidden = done;
+
+		if (done) {
+
+			/** @type {Partial<Record<TBuildQueue.Status, number>>} */
+			const counts = {};
+
+			for (const state of states) {
+				counts[state.status] = (counts[state.status] ?? 0) + 1;
+			}
+
+			const summary = Object.entries(counts)
+				.map(([status, count]) => `${count} ${status.toLowerCase()}`)
+				.join(', ');
+
+			this.resultsElement.appendChild(ui.p(`Batch complete: ${summary}.`));
+
+		}
+
+	};
+
+}
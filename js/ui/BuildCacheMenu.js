@@ -0,0 +1,186 @@
+import { HOST_PLATFORM } from '../compiler/igor-paths.js';
+import { docString, formatSize } from '../utils/StringUtils.js';
+import * as ui from './ui-wrappers.js';
+
+/**
+ * User interface for viewing the build caches of a project, and removing them selectively rather
+ * than cleaning the whole build directory.
+ *
+ * @implements {Destroyable}
+ */
+export class BuildCacheMenu {
+
+	/**
+	 * @readonly
+	 * @type {HTMLDivElement}
+	 */
+	element = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {HTMLDivElement}
+	 */
+	entriesElement = document.createElement('div');
+
+	/**
+	 * @param {import('../compiler/cache/BuildCacheManager.js').BuildCacheManager} cacheManager
+	 * @param {import('../preferences/ProjectProperties.js').ProjectProperties} properties
+	 * @param {import('../preferences/Preferences.js').Preferences} preferences
+	 * @param {ProblemLogger} problemLogger
+	 */
+	constructor(cacheManager, properties, preferences, problemLogger) {
+
+		/** @private */
+		this.cacheManager = cacheManager;
+
+		/** @private */
+		this.properties = properties;
+
+		/** @private */
+		this.preferences = preferences;
+
+		/** @private */
+		this.problemLogger = problemLogger;
+
+		this.element.appendChild(ui.em(docString(`
+			Each platform keeps a build directory per parallel job, holding Igor's incremental
+			cache. Remove the ones you no longer need without losing the rest.
+		`)));
+
+		this.element.appendChild(ui.textButton('Refresh', this.refresh));
+
+		const removeUnusedButton = ui.textButton('Remove Unused Platforms', () => this.report(
+			this.cacheManager.removePlatformsExcept(this.getUsedPlatforms())
+		));
+
+		removeUnusedButton.title = docString(`
+			Remove the caches of platforms which aren't selected, in a batch build target, or in a
+			build profile.
+		`);
+
+		this.element.appendChild(removeUnusedButton);
+
+		const pruneButton = ui.textButton('Prune Now', () => this.report(
+			this.cacheManager.prune(this.preferences.getCachePruneOptions())
+		));
+
+		pruneButton.title = 'Remove caches outside of the age and size limits set in the preferences.';
+		this.element.appendChild(pruneButton);
+
+		this.element.appendChild(this.entriesElement);
+
+		this.cacheManager.events.on('changed', this.render);
+		this.render();
+
+	}
+
+	destroy() {
+		this.cacheManager.events.off('changed', this.render);
+	}
+
+	/**
+	 * @private
+	 */
+	refresh = () => {
+		this.report(this.cacheManager.scan());
+	};
+
+	/**
+	 * Report the failure of a cache operation, if it fails.
+	 *
+	 * @private
+	 * @param {Promise<Result<unknown>|Result<void>>} operation
+	 */
+	async report(operation) {
+
+		const result = await operation;
+
+		if (!result.ok) {
+			this.problemLogger.warn('Failed to manage the build caches', result.err);
+		}
+
+	}
+
+	/**
+	 * Platforms the project still builds for, whose caches are worth keeping.
+	 *
+	 * @private
+	 * @returns {string[]}
+	 */
+	getUsedPlatforms() {
+
+		/** @type {Set<string>} */
+		const platforms = new Set([this.properties.platform ?? HOST_PLATFORM]);
+
+		for (const target of this.properties.getBatchOptions().targets) {
+			platforms.add(target.platform);
+		}
+
+		for (const { profile } of this.properties.getProfiles()) {
+			platforms.add(profile.platform ?? HOST_PLATFORM);
+		}
+
+		return [...platforms];
+
+	}
+
+	/**
+	 * @private
+	 */
+	render = () => {
+
+		this.entriesElement.replaceChildren();
+
+		const entries = this.cacheManager.getEntries();
+
+		if (entries.length === 0) {
+			this.entriesElement.appendChild(ui.p('No build caches found.'));
+			return;
+		}
+
+		const table = document.createElement('table');
+		table.classList.add('gm-constructor-cache-table');
+
+		const header = table.createTHead().insertRow();
+
+		for (const title of ['Platform', 'Job', 'Size', 'Last Used', '']) {
+			const cell = document.createElement('th');
+			cell.textContent = title;
+			header.appendChild(cell);
+		}
+
+		const body = table.createTBody();
+
+		for (const entry of entries) {
+
+			const row = body.insertRow();
+
+			for (const text of [
+				entry.platform,
+				entry.jobId.toString(),
+				formatSize(entry.size),
+				entry.lastUsed.toLocaleString()
+			]) {
+				row.insertCell().textContent = text;
+			}
+
+			const actions = row.insertCell();
+
+			if (this.cacheManager.isBusy(entry)) {
+				actions.appendChild(ui.em('In use'));
+			} else {
+				actions.appendChild(ui.textButton('Remove', () => this.report(this.cacheManager.remove([entry]))));
+			}
+
+			actions.appendChild(ui.textButton('Show in Folder', () => Electron_Shell.showItemInFolder(entry.path)));
+
+		}
+
+		this.entriesElement.appendChild(table);
+
+		const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+		this.entriesElement.appendChild(ui.p(`${entries.length} caches, ${formatSize(totalSize)} in total.`));
+
+	};
+
+}
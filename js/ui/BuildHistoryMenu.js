@@ -0,0 +1,268 @@
+import { job_parse_stdout } from '../compiler/job/output-parsing/parse-stdout.js';
+import { Some } from '../utils/Option.js';
+import { Dropdown } from './components/Dropdown.js';
+import * as ui from './ui-wrappers.js';
+
+/**
+ * Number of records rendered at once, to avoid building a huge DOM for long histories.
+ */
+const MAX_SHOWN_RECORDS = 50;
+
+/**
+ * Number of the most recent artifacts listed.
+ */
+const MAX_SHOWN_ARTIFACTS = 10;
+
+/**
+ * User interface for browsing the build history of a project.
+ *
+ * @implements {Destroyable}
+ */
+export class BuildHistoryMenu {
+
+	/**
+	 * @readonly
+	 * @type {HTMLDivElement}
+	 */
+	element = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {TBuildHistory.Filter}
+	 */
+	filter = {};
+
+	/**
+	 * @private
+	 * @type {HTMLDivElement}
+	 */
+	recordsElement = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {HTMLDivElement}
+	 */
+	artifactsElement = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {UI.Dropdown<GM.SupportedPlatform|undefined>}
+	 */
+	platformDropdown;
+
+	/**
+	 * @private
+	 * @type {UI.Dropdown<string|undefined>}
+	 */
+	configDropdown;
+
+	/**
+	 * @param {import('../compiler/history/BuildHistory.js').BuildHistory} history
+	 */
+	constructor(history) {
+
+		/** @private */
+		this.history = history;
+
+		ui.group(this.element, 'Packaged Builds').appendChild(this.artifactsElement);
+
+		this.element.appendChild(ui.em('Jobs which have previously run for this project.'));
+
+		new Dropdown('Task',
+				Some(undefined),
+				(value) => { this.filter.task = value; this.render(); },
+				/** @type {ReadonlyArray<UI.Dropdown.Entry<GM.Task|undefined>>} */ ([
+					{ label: 'Any', value: undefined },
+					'Run',
+					'Package'
+				])
+			)
+			.singleline()
+			.appendTo(this.element);
+
+		this.platformDropdown = new Dropdown('Platform',
+				Some(undefined),
+				(value) => { this.filter.platform = value; this.render(); },
+				/** @type {ReadonlyArray<UI.Dropdown.Entry<GM.SupportedPlatform|undefined>>} */ ([
+					{ label: 'Any', value: undefined }
+				])
+			)
+			.singleline()
+			.appendTo(this.element);
+
+		this.configDropdown = new Dropdown('Build Configuration',
+				Some(undefined),
+				(value) => { this.filter.configName = value; this.render(); },
+				/** @type {ReadonlyArray<UI.Dropdown.Entry<string|undefined>>} */ ([
+					{ label: 'Any', value: undefined }
+				])
+			)
+			.singleline()
+			.appendTo(this.element);
+
+		new Dropdown('Outcome',
+				Some(undefined),
+				(value) => { this.filter.stopType = value; this.render(); },
+				/** @type {ReadonlyArray<UI.Dropdown.Entry<GM.Job.StopType|undefined>>} */ ([
+					{ label: 'Any', value: undefined },
+					'Finished',
+					'Failed',
+					'Stopped'
+				])
+			)
+			.singleline()
+			.appendTo(this.element);
+
+		this.element.appendChild(ui.textButton('Clear History', () => this.history.clear()));
+		this.element.appendChild(this.recordsElement);
+
+		this.history.events.on('changed', this.onHistoryChanged);
+		this.onHistoryChanged();
+
+	}
+
+	destroy() {
+		this.history.events.off('changed', this.onHistoryChanged);
+	}
+
+	/**
+	 * @private
+	 */
+	onHistoryChanged = () => {
+
+		const records = this.history.getRecords();
+
+		const platforms = new Set(records.map(it => it.settings.platform));
+		const configNames = new Set(records.map(it => it.settings.configName));
+
+		if (this.filter.platform !== undefined && !platforms.has(this.filter.platform)) {
+			delete this.filter.platform;
+		}
+
+		if (this.filter.configName !== undefined && !configNames.has(this.filter.configName)) {
+			delete this.filter.configName;
+		}
+
+		this.platformDropdown.setOptions([{ label: 'Any', value: undefined }, ...platforms], this.filter.platform);
+		this.configDropdown.setOptions([{ label: 'Any', value: undefined }, ...configNames], this.filter.configName);
+
+		this.renderArtifacts(records);
+		this.render();
+
+	};
+
+	/**
+	 * @private
+	 */
+	render() {
+
+		this.recordsElement.replaceChildren();
+
+		const records = this.history.getRecords(this.filter);
+
+		if (records.length === 0) {
+			this.recordsElement.appendChild(ui.p('No matching jobs.'));
+			return;
+		}
+
+		for (const record of records.slice(0, MAX_SHOWN_RECORDS)) {
+			this.renderRecord(record);
+		}
+
+		if (records.length > MAX_SHOWN_RECORDS) {
+			this.recordsElement.appendChild(ui.em(`${records.length - MAX_SHOWN_RECORDS} older jobs not shown.`));
+		}
+
+	}
+
+	/**
+	 * List the most recent packaged builds collected from the given records.
+	 * 
+	 * @private
+	 * @param {TBuildHistory.Record[]} records Records, newest first.
+	 */
+	renderArtifacts(records) {
+
+		this.artifactsElement.replaceChildren();
+
+		const packaged = records.filter(it => it.artifact !== undefined);
+
+		if (packaged.length === 0) {
+			this.artifactsElement.appendChild(ui.p('No packaged builds have been collected yet.'));
+			return;
+		}
+
+		for (const record of packaged.slice(0, MAX_SHOWN_ARTIFACTS)) {
+
+			const artifact = /** @type {TArtifacts.Artifact} */ (record.artifact);
+			const row = document.createElement('div');
+
+			row.classList.add('gm-constructor-artifact');
+			row.appendChild(ui.b(artifact.name));
+			row.appendChild(ui.em(` ${new Date(record.endTime).toLocaleString()} `));
+			row.appendChild(this.showInFolderButton(artifact));
+
+			this.artifactsElement.appendChild(row);
+
+		}
+
+	}
+
+	/**
+	 * @private
+	 * @param {TArtifacts.Artifact} artifact
+	 * @returns {HTMLAnchorElement}
+	 */
+	showInFolderButton(artifact) {
+		const button = ui.textButton('Show in Folder', () => Electron_Shell.showItemInFolder(artifact.path));
+		button.title = artifact.path;
+
+		return button;
+	}
+
+	/**
+	 * @private
+	 * @param {TBuildHistory.Record} record
+	 */
+	renderRecord(record) {
+
+		const { settings } = record;
+		const startDate = new Date(record.startTime);
+		const durationSecs = Math.round((record.endTime - record.startTime) / 1000);
+
+		const group = ui.group(this.recordsElement,
+			`${startDate.toLocaleString()}: ${settings.task} ${settings.platform} ${settings.configName} (${settings.runtimeType}) - ${record.stopType}`
+		);
+
+		group.classList.add('collapsed');
+
+		if (record.stopType === 'Failed') {
+			group.classList.add('gm-constructor-error');
+		}
+
+		group.appendChild(ui.p(`Built with ${settings.runtimeVersion} as user ${settings.userName}${settings.deviceName !== undefined ? `, device ${settings.deviceName}` : ''}.`));
+		group.appendChild(ui.p(`Took ${durationSecs} seconds${record.exitCode !== undefined ? `, exit code ${record.exitCode}` : ''}.`));
+
+		if (record.artifact !== undefined) {
+			const artifactLine = ui.p(`Packaged as ${record.artifact.name}. `);
+			artifactLine.appendChild(this.showInFolderButton(record.artifact));
+			group.appendChild(artifactLine);
+		}
+
+		if (record.errors.length > 0) {
+			const errorsGroup = ui.group(group, `Errors (${record.errors.length})`);
+
+			for (const errorText of record.errors) {
+				for (const error of job_parse_stdout(errorText)) {
+					errorsGroup.appendChild(error.asHTML());
+				}
+			}
+		}
+
+		const logGroup = ui.group(group, 'Log (click to expand)');
+		logGroup.classList.add('collapsed');
+		logGroup.appendChild(ui.pre(record.log));
+
+	}
+
+}
@@ -0,0 +1,119 @@
+import { errorPositionAsHTML } from '../compiler/job/errors/errorPositionAsHTML.js';
+import { docString } from '../utils/StringUtils.js';
+import * as ui from './ui-wrappers.js';
+
+/**
+ * User interface listing the runtime crashes seen this session, with repeats of the same crash
+ * grouped together.
+ *
+ * @implements {Destroyable}
+ */
+export class CrashTriageMenu {
+
+	/**
+	 * @readonly
+	 * @type {HTMLDivElement}
+	 */
+	element = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {HTMLDivElement}
+	 */
+	groupsElement = document.createElement('div');
+
+	/**
+	 * @param {import('../compiler/crashes/CrashRegistry.js').CrashRegistry} crashRegistry
+	 */
+	constructor(crashRegistry) {
+
+		/** @private */
+		this.crashRegistry = crashRegistry;
+
+		this.element.appendChild(ui.em(docString(`
+			Runtime crashes from this session's runs, grouped by their message and where in the
+			code they happened.
+		`)));
+
+		this.element.appendChild(ui.textButton('Clear', () => this.crashRegistry.clear()));
+		this.element.appendChild(this.groupsElement);
+
+		this.crashRegistry.events.on('changed', this.render);
+		this.render();
+
+	}
+
+	destroy() {
+		this.crashRegistry.events.off('changed', this.render);
+	}
+
+	/**
+	 * @private
+	 */
+	render = () => {
+
+		this.groupsElement.replaceChildren();
+
+		const groups = this.crashRegistry.getGroups();
+
+		if (groups.length === 0) {
+			this.groupsElement.appendChild(ui.p('No crashes so far.'));
+			return;
+		}
+
+		for (const group of groups) {
+			this.groupsElement.appendChild(this.renderGroup(group));
+		}
+
+	};
+
+	/**
+	 * @private
+	 * @param {TCrashes.Group} group
+	 * @returns {HTMLElement}
+	 */
+	renderGroup(group) {
+
+		const element = document.createElement('div');
+		element.classList.add('gm-constructor-crash-group');
+
+		const { data } = group;
+
+		const header = document.createElement('div');
+
+		if (data.object !== undefined && data.event !== undefined) {
+			header.append(ui.b(data.event), ' of object ', ui.code(data.object), ' ');
+		}
+
+		header.appendChild(ui.code(`#${group.fingerprint}`));
+		element.appendChild(header);
+
+		element.appendChild(ui.pre(data.message));
+
+		const occurrences = (group.occurrences === 1) ? '1 occurrence' : `${group.occurrences} occurrences`;
+		const jobs = (group.jobCount === 1) ? '1 run' : `${group.jobCount} runs`;
+
+		element.appendChild(ui.p(docString(`
+			${occurrences} in ${jobs}, first seen ${group.firstSeen.toLocaleTimeString()},
+			last seen ${group.lastSeen.toLocaleTimeString()}.
+		`)));
+
+		for (const frame of data.stackFrames) {
+
+			const frameElement = document.createElement('div');
+			errorPositionAsHTML(frameElement, frame.script, frame.line);
+
+			if (frame.source !== undefined) {
+				frameElement.append(' - ');
+				frameElement.appendChild(ui.code(frame.source));
+			}
+
+			element.appendChild(frameElement);
+
+		}
+
+		return element;
+
+	}
+
+}
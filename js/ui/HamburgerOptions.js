@@ -9,9 +9,12 @@ const MainMenu = $gmedit['ui.MainMenu'];
 const DEFAULT_BINDS = {
 	controlPanel: 'Ctrl+`',
 	package: 'Ctrl+F5',
+	batchBuild: 'Ctrl+Shift+F5',
 	stop: 'F6',
 	clean: 'Ctrl+F7',
-	run: 'F5'
+	run: 'F5',
+	nextBuildError: 'F8',
+	previousBuildError: 'Shift+F8'
 };
 
 /**
@@ -39,6 +42,9 @@ export class HamburgerOptions {
 	 */
 	constructor(commands, pluginPath) {
 
+		/** @private */
+		this.commands = commands;
+
 		this.shortcuts = [
 			{
 				name: 'constructor-panel',
@@ -52,6 +58,12 @@ export class HamburgerOptions {
 				bindKey: { win: DEFAULT_BINDS.package, mac: DEFAULT_BINDS.package },
 				exec: commands.packageCurrentProject
 			},
+			{
+				name: 'constructor-batch-build',
+				title: 'Constructor - Batch Build',
+				bindKey: { win: DEFAULT_BINDS.batchBuild, mac: DEFAULT_BINDS.batchBuild },
+				exec: commands.batchBuildCurrentProject
+			},
 			{
 				name: 'constructor-clean',
 				title: 'Constructor - Clean',
@@ -69,6 +81,18 @@ export class HamburgerOptions {
 				title: 'Constructor - Run',
 				bindKey: { win: DEFAULT_BINDS.run, mac: DEFAULT_BINDS.run },
 				exec: commands.runCurrentProject
+			},
+			{
+				name: 'constructor-next-build-error',
+				title: 'Constructor - Next Build Error',
+				bindKey: { win: DEFAULT_BINDS.nextBuildError, mac: DEFAULT_BINDS.nextBuildError },
+				exec: commands.nextBuildError
+			},
+			{
+				name: 'constructor-previous-build-error',
+				title: 'Constructor - Previous Build Error',
+				bindKey: { win: DEFAULT_BINDS.previousBuildError, mac: DEFAULT_BINDS.previousBuildError },
+				exec: commands.previousBuildError
 			}
 		];
 
@@ -113,6 +137,21 @@ export class HamburgerOptions {
 				click: commands.packageCurrentProject,
 				enabled: false
 			},
+			{
+				id: 'constructor-project-batch_build',
+				label: 'Batch Build',
+				icon: path.join(iconsPath, 'package.png'),
+				accelerator: DEFAULT_BINDS.batchBuild,
+				click: commands.batchBuildCurrentProject,
+				enabled: false
+			},
+			{
+				id: 'constructor-project-profile',
+				label: 'Build Profile',
+				type: 'submenu',
+				submenu: [],
+				enabled: false
+			},
 			{
 				id: 'constructor-project-run',
 				label: 'Run',
@@ -120,6 +159,39 @@ export class HamburgerOptions {
 				accelerator: DEFAULT_BINDS.run,
 				click: commands.runCurrentProject,
 				enabled: false
+			},
+			{
+				id: 'constructor-project-watch_mode',
+				label: 'Watch Mode',
+				type: 'checkbox',
+				checked: false,
+				click: commands.toggleWatchMode,
+				enabled: false
+			},
+			{
+				id: 'constructor-separator-problems',
+				type: 'separator',
+				label: ''
+			},
+			{
+				id: 'constructor-project-next_build_error',
+				label: 'Next Build Error',
+				accelerator: DEFAULT_BINDS.nextBuildError,
+				click: commands.nextBuildError,
+				enabled: false
+			},
+			{
+				id: 'constructor-project-previous_build_error',
+				label: 'Previous Build Error',
+				accelerator: DEFAULT_BINDS.previousBuildError,
+				click: commands.previousBuildError,
+				enabled: false
+			},
+			{
+				id: 'constructor-project-open_saved_log',
+				label: 'Open Saved Log...',
+				click: commands.openSavedLog,
+				enabled: false
 			}
 		];
 
@@ -180,6 +252,60 @@ export class HamburgerOptions {
 
 	}
 
+	/**
+	 * Show the given build profiles in the menu to switch between, marking the active one.
+	 * 
+	 * @param {ReadonlyArray<{ name: string, active: boolean }>} profiles
+	 */
+	setBuildProfiles(profiles) {
+
+		const submenu = this.menu.submenu?.items
+			.find(item => item.id === 'constructor-project-profile')
+			?.submenu;
+
+		if (submenu === undefined) {
+			return;
+		}
+
+		submenu.clear();
+
+		if (profiles.length === 0) {
+			submenu.append(new Electron_MenuItem({
+				id: 'constructor-profile-none',
+				label: 'No profiles saved',
+				enabled: false
+			}));
+			return;
+		}
+
+		for (const { name, active } of profiles) {
+			submenu.append(new Electron_MenuItem({
+				id: `constructor-profile-${name}`,
+				label: name,
+				type: 'radio',
+				checked: active,
+				click: () => this.commands.switchBuildProfile(name)
+			}));
+		}
+
+	}
+
+	/**
+	 * Tick the watch mode item to match whether watch mode is on, as it can also be turned off
+	 * from elsewhere.
+	 * 
+	 * @param {boolean} enabled
+	 */
+	setWatchModeEnabled(enabled) {
+
+		const item = this.menu.submenu?.items.find(item => item.id === 'constructor-project-watch_mode');
+
+		if (item !== undefined) {
+			item.checked = enabled;
+		}
+
+	}
+
 	/**
 	 * @param {boolean} enabled
 	 */
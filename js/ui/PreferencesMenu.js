@@ -10,6 +10,67 @@ import { mapToOption, Some } from '../utils/Option.js';
 import { TextField } from './components/TextField.js';
 import { docString } from '../utils/StringUtils.js';
 import { Checkbox } from './components/Checkbox.js';
+import { ARTIFACT_NAME_PLACEHOLDERS, artifact_name_format } from '../compiler/artifacts/artifact-collection.js';
+import { PREFERENCES_SECTION_NAMES, PREFERENCES_SECTIONS } from '../preferences/preferences-sections.js';
+
+/**
+ * Choices for how many days unused build caches are kept for.
+ * 
+ * @type {ReadonlyArray<UI.Dropdown.Entry<number>>}
+ */
+const CACHE_MAX_AGE_CHOICES = [
+	{ label: 'Never', value: 0 },
+	{ label: '1 day', value: 1 },
+	{ label: '1 week', value: 7 },
+	{ label: '30 days', value: 30 },
+	{ label: '90 days', value: 90 },
+];
+
+/**
+ * Choices for the total size a project's build caches are limited to, in megabytes.
+ * 
+ * @type {ReadonlyArray<UI.Dropdown.Entry<number>>}
+ */
+const CACHE_MAX_SIZE_CHOICES = [
+	{ label: 'No limit', value: 0 },
+	{ label: '1 GB', value: 1024 },
+	{ label: '5 GB', value: 5 * 1024 },
+	{ label: '10 GB', value: 10 * 1024 },
+	{ label: '25 GB', value: 25 * 1024 },
+];
+
+/**
+ * Choices for how many lines of a job's output are kept in its log.
+ * 
+ * @type {ReadonlyArray<UI.Dropdown.Entry<number>>}
+ */
+const LOG_SCROLLBACK_CHOICES = [
+	{ label: '5,000 lines', value: 5000 },
+	{ label: '20,000 lines', value: 20000 },
+	{ label: '100,000 lines', value: 100000 },
+	{ label: 'No limit', value: 0 },
+];
+
+/**
+ * Values used to check that an artifact name template can be filled in.
+ * 
+ * @type {TArtifacts.NameValues}
+ */
+const ARTIFACT_NAME_SAMPLE_VALUES = {
+	project: 'Project',
+	config: 'Default',
+	platform: 'Windows',
+	type: 'VM',
+	runtime: '2024.11.0.0',
+	date: '2025-01-01',
+	time: '00-00-00',
+	commit: 'abc1234'
+};
+
+/**
+ * File type of exported preferences.
+ */
+const PREFERENCES_EXPORT_FILTERS = [{ name: 'Constructor Preferences', extensions: ['json'] }];
 
 /**
  * @implements {Destroyable}
@@ -49,13 +110,25 @@ export class PreferencesMenu {
 		'LTS 2026': {},
 	};
 
+	/**
+	 * Sections of the preferences chosen to export or import.
+	 * 
+	 * @private
+	 * @type {Set<TPreferences.Section>}
+	 */
+	transferSections = new Set(PREFERENCES_SECTION_NAMES.filter(section => section !== 'projects'));
+
 	/**
 	 * @param {Preferences} preferences The preferences instance to bind to.
+	 * @param {ProblemLogger} problemLogger Logger to report failed imports and exports to.
 	 */
-	constructor(preferences) {
+	constructor(preferences, problemLogger) {
 
 		this.preferences = preferences;
 
+		/** @private */
+		this.problemLogger = problemLogger;
+
 		use(document.createElement('section')).also(section => {
 
 			section.appendChild(ui.h3('Plugin Behaviour'));
@@ -129,6 +202,50 @@ export class PreferencesMenu {
 					foreground. If you'd rather the job run in the background, disable this.
 				`))
 				.appendTo(section);
+
+			this.showWarningsCheckbox = new Checkbox('Show warnings',
+					this.preferences.showWarnings,
+					(value) => { this.preferences.showWarnings = value }
+				)
+				.tooltip(docString(`
+					Whether to show warnings from the compiler, such as deprecated functions or
+					oversized textures, alongside errors. Warnings can also be ignored one by one
+					from the Build Problems list in the Control Panel.
+				`))
+				.appendTo(section);
+
+			this.logScrollbackDropdown = new Dropdown('Keep in the log',
+					Some(this.preferences.logScrollbackLines),
+					(value) => { this.preferences.logScrollbackLines = value },
+					LOG_SCROLLBACK_CHOICES
+				)
+				.tooltip(docString(`
+					How many lines of a job's output to keep in its log. The oldest lines are
+					dropped beyond this, which keeps GMEdit responsive when a game prints a lot.
+				`))
+				.singleline()
+				.appendTo(section);
+
+			this.spillLogToFileCheckbox = new Checkbox('Write the full log to a file',
+					this.preferences.spillLogToFile,
+					(value) => { this.preferences.spillLogToFile = value }
+				)
+				.tooltip(docString(`
+					Whether to write the whole of each job's output to a constructor-log file
+					in its build directory, including lines dropped from the log.
+				`))
+				.appendTo(section);
+
+			this.structuredGameLogCheckbox = new Checkbox('Read structured game output',
+					this.preferences.structuredGameLog,
+					(value) => { this.preferences.structuredGameLog = value }
+				)
+				.tooltip(docString(`
+					Whether to read lines the game prints as JSON objects with a level and
+					category, such as {"level":"warn","category":"ai","message":"No path"}, so
+					that the game's output can be filtered by them.
+				`))
+				.appendTo(section);
 		
 		}).also(it => this.element.appendChild(it));
 
@@ -211,6 +328,109 @@ export class PreferencesMenu {
 		
 		}).also(it => this.element.appendChild(it));
 
+		use(document.createElement('section')).also(section => {
+
+			section.appendChild(ui.h3('Packaged Builds'));
+
+			this.collectArtifactsCheckbox = new Checkbox('Collect packaged builds',
+					this.preferences.collectArtifacts,
+					(value) => { this.preferences.collectArtifacts = value }
+				)
+				.tooltip(docString(`
+					Whether to copy the result of each successful Package job into a release
+					directory, so that packaged builds aren't lost when the build directory is
+					reused.
+				`))
+				.appendTo(section);
+
+			this.artifactsPathInput = new TextField('Release Directory',
+					this.preferences.artifactsPath,
+					(value) => { this.preferences.artifactsPath = value.trim() }
+				)
+				.tooltip(docString(`
+					Directory to copy packaged builds to, in a folder per project. Leave empty to
+					use the 'releases' folder in each project's build directory.
+				`))
+				.appendTo(section);
+
+			this.artifactNameTemplateInput = new TextField('Name Template',
+					this.preferences.artifactNameTemplate,
+					this.onArtifactNameTemplateChanged
+				)
+				.tooltip(docString(`
+					Name to give packaged builds, without the file extension. Available
+					placeholders are ${ARTIFACT_NAME_PLACEHOLDERS.map(it => `{${it}}`).join(', ')}.
+				`))
+				.appendTo(section);
+
+		}).also(it => this.element.appendChild(it));
+
+		use(document.createElement('section')).also(section => {
+
+			section.appendChild(ui.h3('Build Cache'));
+
+			this.cacheMaxAgeDropdown = new Dropdown('Remove caches unused for',
+					Some(this.preferences.cacheMaxAgeDays),
+					(value) => { this.preferences.cacheMaxAgeDays = value },
+					CACHE_MAX_AGE_CHOICES
+				)
+				.tooltip(docString(`
+					Each platform keeps a build directory per parallel job, holding Igor's cache.
+					Directories which haven't been used for this long are removed automatically
+					after a job finishes.
+				`))
+				.singleline()
+				.appendTo(section);
+
+			this.cacheMaxSizeDropdown = new Dropdown('Limit project caches to',
+					Some(this.preferences.cacheMaxSizeMB),
+					(value) => { this.preferences.cacheMaxSizeMB = value },
+					CACHE_MAX_SIZE_CHOICES
+				)
+				.tooltip(docString(`
+					Once a project's build caches total more than this, the least recently used
+					are removed automatically after a job finishes.
+				`))
+				.singleline()
+				.appendTo(section);
+
+		}).also(it => this.element.appendChild(it));
+
+		use(document.createElement('section')).also(section => {
+
+			section.appendChild(ui.h3('Import and Export'));
+
+			for (const sectionName of PREFERENCES_SECTION_NAMES) {
+				new Checkbox(PREFERENCES_SECTIONS[sectionName].label,
+						this.transferSections.has(sectionName),
+						(value) => {
+							if (value) {
+								this.transferSections.add(sectionName);
+							} else {
+								this.transferSections.delete(sectionName);
+							}
+						}
+					)
+					.appendTo(section);
+			}
+
+			section.appendChild(ui.textButton('Export...', this.exportPreferences));
+			section.append(' ');
+			section.appendChild(ui.textButton('Import...', this.importPreferences));
+			section.append(' ');
+			section.appendChild(ui.textButton('Reset to Defaults', this.resetPreferences));
+
+			const teamDefaultsPath = this.preferences.teamDefaultsPath;
+
+			if (teamDefaultsPath !== undefined) {
+				section.appendChild(ui.p(this.preferences.usingTeamDefaults
+					? `Preferences you haven't set are filled in from the team defaults in ${teamDefaultsPath}.`
+					: `To share defaults with your team, place an exported file at ${teamDefaultsPath}. It fills in the preferences each person hasn't set.`
+				));
+			}
+
+		}).also(it => this.element.appendChild(it));
+
 		this.onSetShowTooltipHints({ showTooltipHints: this.preferences.showTooltipHints });
 
 		/** @private */
@@ -221,9 +441,18 @@ export class PreferencesMenu {
 			setShowTooltipHints: this.onSetShowTooltipHints,
 			setOutputPosition: this.onSetOutputPosition,
 			setShouldFocusOutput: this.onSetShouldFocusOutput,
+			setShowWarnings: this.onSetShowWarnings,
+			setLogScrollbackLines: this.onSetLogScrollbackLines,
+			setSpillLogToFile: this.onSetSpillLogToFile,
+			setStructuredGameLog: this.onSetStructuredGameLog,
 			setUseGlobalBuildPath: this.onSetUseGlobalBuildPath,
 			setGlobalBuildPath: this.onSetGlobalBuildPath,
 			setPrefabsPath: this.onSetPrefabsPath,
+			setCollectArtifacts: this.onSetCollectArtifacts,
+			setArtifactsPath: this.onSetArtifactsPath,
+			setArtifactNameTemplate: this.onSetArtifactNameTemplate,
+			setCacheMaxAgeDays: this.onSetCacheMaxAgeDays,
+			setCacheMaxSizeMB: this.onSetCacheMaxSizeMB,
 			userListChanged: this.onUserListChanged,
 			runtimeListChanged: this.onRuntimeListChanged
 		});
@@ -286,6 +515,38 @@ export class PreferencesMenu {
 		this.shouldFocusOutputCheckbox.value = shouldFocusOutput;
 	}
 
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setShowWarnings']} event
+	 */
+	onSetShowWarnings = ({ showWarnings }) => {
+		this.showWarningsCheckbox.value = showWarnings;
+	}
+
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setLogScrollbackLines']} event
+	 */
+	onSetLogScrollbackLines = ({ logScrollbackLines }) => {
+		this.logScrollbackDropdown.setSelectedOption(logScrollbackLines);
+	}
+
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setSpillLogToFile']} event
+	 */
+	onSetSpillLogToFile = ({ spillLogToFile }) => {
+		this.spillLogToFileCheckbox.value = spillLogToFile;
+	}
+
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setStructuredGameLog']} event
+	 */
+	onSetStructuredGameLog = ({ structuredGameLog }) => {
+		this.structuredGameLogCheckbox.value = structuredGameLog;
+	}
+
 	/**
 	 * @private
 	 * @param {TPreferences.PreferencesEventMap['setUseGlobalBuildPath']} event
@@ -310,6 +571,139 @@ export class PreferencesMenu {
 		this.channelWidgets[channel].prefabsDirInput.value = prefabsPath;
 	}
 
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setCollectArtifacts']} event
+	 */
+	onSetCollectArtifacts = ({ collectArtifacts }) => {
+		this.collectArtifactsCheckbox.value = collectArtifacts;
+	}
+
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setArtifactsPath']} event
+	 */
+	onSetArtifactsPath = ({ artifactsPath }) => {
+		this.artifactsPathInput.value = artifactsPath;
+	}
+
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setArtifactNameTemplate']} event
+	 */
+	onSetArtifactNameTemplate = ({ artifactNameTemplate }) => {
+		this.artifactNameTemplateInput.value = artifactNameTemplate;
+		this.artifactNameTemplateInput.hasError(false);
+	}
+
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setCacheMaxAgeDays']} event
+	 */
+	onSetCacheMaxAgeDays = ({ cacheMaxAgeDays }) => {
+		this.cacheMaxAgeDropdown.setSelectedOption(cacheMaxAgeDays);
+	}
+
+	/**
+	 * @private
+	 * @param {TPreferences.PreferencesEventMap['setCacheMaxSizeMB']} event
+	 */
+	onSetCacheMaxSizeMB = ({ cacheMaxSizeMB }) => {
+		this.cacheMaxSizeDropdown.setSelectedOption(cacheMaxSizeMB);
+	}
+
+	/**
+	 * Only save name templates which can be filled in, so that a typo doesn't break packaging.
+	 * 
+	 * @private
+	 * @param {string} template
+	 */
+	onArtifactNameTemplateChanged = (template) => {
+
+		const result = artifact_name_format(template, ARTIFACT_NAME_SAMPLE_VALUES);
+		this.artifactNameTemplateInput.hasError(!result.ok);
+
+		if (result.ok) {
+			this.preferences.artifactNameTemplate = template;
+		}
+
+	}
+
+	/**
+	 * Ask where to export the chosen sections of the preferences to, and export them there.
+	 * 
+	 * @private
+	 */
+	exportPreferences = async () => {
+
+		const filePath = Electron_Dialog.showSaveDialogSync({
+			title: 'Export Constructor Preferences',
+			defaultPath: 'GMEdit-Constructor-preferences.json',
+			filters: PREFERENCES_EXPORT_FILTERS
+		});
+
+		if (filePath === undefined) {
+			return;
+		}
+
+		const result = await this.preferences.exportTo(filePath, [...this.transferSections]);
+
+		if (!result.ok) {
+			this.problemLogger.error('Failed to export preferences', result.err);
+		}
+
+	}
+
+	/**
+	 * Ask for an exported preferences file, and import the chosen sections of it.
+	 * 
+	 * @private
+	 */
+	importPreferences = async () => {
+
+		const filePaths = Electron_Dialog.showOpenDialogSync({
+			title: 'Import Constructor Preferences',
+			filters: PREFERENCES_EXPORT_FILTERS,
+			properties: ['openFile']
+		});
+
+		if (filePaths === undefined || filePaths.length === 0) {
+			return;
+		}
+
+		const result = await this.preferences.importFrom(filePaths[0], [...this.transferSections]);
+
+		if (!result.ok) {
+			this.problemLogger.error('Failed to import preferences', result.err);
+		}
+
+	}
+
+	/**
+	 * Once confirmed, reset the chosen sections of the preferences so that the defaults apply to
+	 * them again.
+	 * 
+	 * @private
+	 */
+	resetPreferences = async () => {
+
+		const choice = Electron_Dialog.showMessageBox({
+			message: 'Reset the chosen sections of your preferences to the defaults?',
+			buttons: ['Reset', 'Cancel']
+		});
+
+		if (choice !== 0) {
+			return;
+		}
+
+		const result = await this.preferences.resetSections([...this.transferSections]);
+
+		if (!result.ok) {
+			this.problemLogger.error('Failed to reset preferences', result.err);
+		}
+
+	}
+
 	/**
 	 * Update the user dropdown when the list of users change for that channel.
 	 * 
@@ -319,6 +713,7 @@ export class PreferencesMenu {
 	onUserListChanged = ({ channel, usersInfo }) => {
 		
 		const { userDropdown, installDataDirInput } = this.channelWidgets[channel];
+		installDataDirInput.value = this.preferences.getUserSearchPath(channel);
 
 		if (usersInfo === undefined) {
 			userDropdown.visible(false);
@@ -345,6 +740,7 @@ export class PreferencesMenu {
 	 */
 	onRuntimeListChanged = ({ channel, runtimesInfo }) => {
 		const { runtimesDirInput } = this.channelWidgets[channel];
+		runtimesDirInput.value = this.preferences.getRuntimeSearchPath(channel);
 		runtimesDirInput.hasError(runtimesInfo === undefined);
 	}
 
@@ -0,0 +1,178 @@
+import { errorPositionAsHTML } from '../compiler/job/errors/errorPositionAsHTML.js';
+import { docString } from '../utils/StringUtils.js';
+import { editor_error_open } from './editor-annotations/editor-annotation-locate.js';
+import { Checkbox } from './components/Checkbox.js';
+import * as ui from './ui-wrappers.js';
+
+/**
+ * User interface listing the problems found by every job of the current project in one place.
+ *
+ * @implements {Destroyable}
+ */
+export class ProblemsMenu {
+
+	/**
+	 * @readonly
+	 * @type {HTMLDivElement}
+	 */
+	element = document.createElement('div');
+
+	/**
+	 * @private
+	 * @type {HTMLDivElement}
+	 */
+	problemsElement = document.createElement('div');
+
+	/**
+	 * Rows of the table, by the index of the problem they show.
+	 *
+	 * @private
+	 * @type {Map<number, HTMLTableRowElement>}
+	 */
+	rows = new Map();
+
+	/**
+	 * @param {import('../compiler/problems/ProblemList.js').ProblemList} problemList
+	 * @param {import('../compiler/problems/DiagnosticFilter.js').DiagnosticFilter} filter
+	 */
+	constructor(problemList, filter) {
+
+		/** @private */
+		this.problemList = problemList;
+
+		/** @private */
+		this.filter = filter;
+
+		this.element.appendChild(ui.em(docString(`
+			Errors and warnings from every build and run of this project. Use the "Next Build
+			Error" and "Previous Build Error" commands to step through them.
+		`)));
+
+		this.element.appendChild(ui.textButton('Clear', () => this.problemList.clear()));
+
+		/** @private */
+		this.showWarningsCheckbox = new Checkbox('Show warnings',
+				this.filter.showWarnings,
+				(value) => { this.filter.showWarnings = value }
+			)
+			.appendTo(this.element);
+
+		this.element.appendChild(this.problemsElement);
+
+		this.problemList.events.on('changed', this.render);
+		this.problemList.events.on('selected', this.onSelected);
+		this.filter.events.on('changed', this.onFilterChanged);
+		this.render();
+
+	}
+
+	destroy() {
+		this.problemList.events.off('changed', this.render);
+		this.problemList.events.off('selected', this.onSelected);
+		this.filter.events.off('changed', this.onFilterChanged);
+	}
+
+	/**
+	 * @private
+	 */
+	onFilterChanged = () => {
+		this.showWarningsCheckbox.value = this.filter.showWarnings;
+		this.render();
+	};
+
+	/**
+	 * @private
+	 */
+	render = () => {
+
+		this.problemsElement.replaceChildren();
+		this.rows.clear();
+
+		const problems = this.problemList.getProblems();
+		const hiddenCount = problems.filter(problem => !this.problemList.isShown(problem)).length;
+
+		if (hiddenCount > 0) {
+			this.problemsElement.appendChild(ui.p(`${hiddenCount} hidden or ignored warning(s).`));
+		}
+
+		if (problems.length === hiddenCount) {
+			this.problemsElement.appendChild(ui.p('No problems found.'));
+			return;
+		}
+
+		const table = document.createElement('table');
+		table.classList.add('gm-constructor-problems-table');
+
+		const header = table.createTHead().insertRow();
+
+		for (const title of ['Severity', 'Location', 'Job', 'Message']) {
+			const cell = document.createElement('th');
+			cell.textContent = title;
+			header.appendChild(cell);
+		}
+
+		const body = table.createTBody();
+
+		problems.forEach((problem, index) => {
+
+			if (!this.problemList.isShown(problem)) {
+				return;
+			}
+
+			const row = body.insertRow();
+			row.classList.add(`gm-constructor-problem-${problem.severity}`);
+
+			row.insertCell().textContent = problem.severity;
+
+			const locationCell = row.insertCell();
+			const { script, line } = problem.data;
+
+			if (script !== undefined && line !== undefined) {
+				errorPositionAsHTML(locationCell, script, line);
+			}
+
+			row.insertCell().textContent = problem.jobName;
+			const messageCell = row.insertCell();
+			messageCell.appendChild(ui.code(problem.data.message));
+
+			if (problem.severity === 'warning') {
+
+				const ignoreButton = ui.textButton('Ignore', () => this.filter.ignore(problem.data));
+				ignoreButton.title = 'Ignore warnings with this message in this project, for everyone working on it.';
+
+				messageCell.append(' ', ignoreButton);
+
+			}
+
+			row.addEventListener('click', (event) => {
+
+				this.problemList.select(index);
+
+				// The location's own link opens it already.
+				if (!(event.target instanceof Element && event.target.closest('a') !== null)) {
+					editor_error_open(problem.data);
+				}
+
+			});
+
+			this.rows.set(index, row);
+
+		});
+
+		this.problemsElement.appendChild(table);
+		this.onSelected({ index: this.problemList.getSelectedIndex() });
+
+	};
+
+	/**
+	 * Highlight the problem which was stepped to.
+	 *
+	 * @private
+	 * @param {TProblems.EventMap['selected']} event
+	 */
+	onSelected = ({ index }) => {
+		this.rows.forEach((row, rowIndex) => row.classList.toggle('gm-constructor-problem-selected', rowIndex === index));
+		this.rows.get(index)?.scrollIntoView({ block: 'nearest' });
+	};
+
+}
@@ -9,6 +9,17 @@ import { docString } from '../utils/StringUtils.js';
 import { HOST_PLATFORM } from '../compiler/igor-paths.js';
 import { SolvableError } from '../utils/Err.js';
 import { TextField } from './components/TextField.js';
+import { launch_args_parse, launch_env_parse } from '../compiler/launch-options.js';
+import { IGOR_VERBOSITY_LEVELS, igor_options_get, igor_options_resolve } from '../compiler/igor-options.js';
+
+/**
+ * @type {ReadonlyArray<UI.Dropdown.NormalizedEntry<boolean|undefined>>}
+ */
+const IGNORE_CACHE_CHOICES = [
+	{ label: 'Automatic (YYC only)', value: undefined },
+	{ label: 'Always', value: true },
+	{ label: 'Never', value: false }
+];
 
 /**
  * @type {UI.Dropdown.NormalizedEntry<undefined>}
@@ -43,6 +54,18 @@ export class ProjectPropertiesMenu {
 	 */
 	element = document.createElement('div');
 
+	/**
+	 * @private
+	 * @type {UI.Dropdown<string|undefined>}
+	 */
+	profileDropdown;
+
+	/**
+	 * @private
+	 * @type {TextField}
+	 */
+	profileNameField;
+
 	/**
 	 * @private
 	 * @type {UI.Dropdown<string>}
@@ -85,6 +108,39 @@ export class ProjectPropertiesMenu {
 	 */
 	reuseOutputTabDropdown;
 
+	/**
+	 * Fields for the arguments and environment variables of the game, for each place they are
+	 * stored.
+	 * 
+	 * @private
+	 * @type {Record<TPreferences.Project.BuildProfileStorage, { runnerArgs: TextField, runnerEnv: TextField }>}
+	 */
+	launchFields;
+
+	/**
+	 * @private
+	 * @type {TextField}
+	 */
+	threadsField;
+
+	/**
+	 * @private
+	 * @type {UI.Dropdown<boolean|undefined>}
+	 */
+	ignoreCacheDropdown;
+
+	/**
+	 * @private
+	 * @type {UI.Dropdown<TPreferences.Project.IgorVerbosity>}
+	 */
+	verbosityDropdown;
+
+	/**
+	 * @private
+	 * @type {TextField}
+	 */
+	igorArgsField;
+
 	/**
 	 * @param {ProjectProperties} properties
 	 * @param {Preferences} preferences 
@@ -104,6 +160,37 @@ export class ProjectPropertiesMenu {
 
 		// ------------------------------------------------------------------------------
 
+		this.profileDropdown = new Dropdown('Build Profile',
+				None,
+				(name) => this.onSelectProfile(name),
+				/** @type {ReadonlyArray<UI.Dropdown.Entry<string|undefined>>} */ ([])
+			)
+			.singleline()
+			.tooltip(docString(`
+				Profiles bundle the platform, device, build configuration, runtime type, release
+				channel, runtime version, and the game's arguments and environment variables set
+				on this computer together, so you can switch between them at once.
+
+				Profiles saved to the project are shared with anyone else working on it, while
+				local profiles are only kept on this computer.
+			`))
+			.appendTo(this.element);
+
+		this.profileNameField = new TextField('Profile Name', '', () => {})
+			.appendTo(this.element);
+
+		this.element.appendChild(ui.textButton('Save to Project', () => this.saveProfile('portable')));
+		this.element.appendChild(ui.textButton('Save Locally', () => this.saveProfile('local')));
+		this.element.appendChild(ui.textButton('Delete Profile', () => {
+			const name = this.profileNameField.value.trim();
+
+			if (name !== '') {
+				this.properties.deleteProfile(name);
+			}
+		}));
+
+		// ------------------------------------------------------------------------------
+
 		this.buildConfigDropdown = new Dropdown('Build Configuration',
 				Some(this.properties.buildConfigName),
 				(config_name) => { this.properties.buildConfigName = config_name },
@@ -201,16 +288,125 @@ export class ProjectPropertiesMenu {
 
 		// ------------------------------------------------------------------------------
 
+		this.launchFields = {
+			local: {
+				runnerArgs: new TextField('Game Arguments',
+						'',
+						(runnerArgs) => this.properties.setLaunchSettings('local', { runnerArgs })
+					)
+					.tooltip(docString(`
+						Arguments passed to the game when running it on this computer, such as
+						-skipintro -debuglevel 2. Quote arguments containing spaces.
+						These are saved in build profiles.
+					`))
+					.appendTo(this.element),
+				runnerEnv: new TextField('Environment Variables',
+						'',
+						(runnerEnv) => this.properties.setLaunchSettings('local', { runnerEnv })
+					)
+					.tooltip(docString(`
+						Environment variables set for the game on this computer, written as
+						NAME=value pairs separated by spaces. These are saved in build profiles.
+					`))
+					.appendTo(this.element)
+			},
+			portable: {
+				runnerArgs: new TextField('Shared Game Arguments',
+						'',
+						(runnerArgs) => this.properties.setLaunchSettings('portable', { runnerArgs })
+					)
+					.tooltip(docString(`
+						Arguments passed to the game for everyone working on the project, before
+						those set for this computer.
+					`))
+					.appendTo(this.element),
+				runnerEnv: new TextField('Shared Environment Variables',
+						'',
+						(runnerEnv) => this.properties.setLaunchSettings('portable', { runnerEnv })
+					)
+					.tooltip(docString(`
+						Environment variables set for the game for everyone working on the project.
+						Those set for this computer take precedence.
+					`))
+					.appendTo(this.element)
+			}
+		};
+
+		for (const storage of /** @type {const} */ (['local', 'portable'])) {
+			this.onSetLaunchSettings({ storage, settings: this.properties.getLaunchSettings(storage) });
+		}
+
+		// ------------------------------------------------------------------------------
+
+		const advancedGroup = ui.group(this.element, 'Advanced Compiler Options');
+		const igorOptions = this.properties.getIgorOptions();
+
+		this.threadsField = new TextField('Threads',
+				igorOptions.threads?.toString() ?? '',
+				(value) => this.onChangeThreads(value)
+			)
+			.tooltip(docString(`
+				How many threads Igor compiles with on this computer. Leave empty to let Igor decide.
+				Older runtimes don't support this.
+			`))
+			.singleline()
+			.appendTo(advancedGroup);
+
+		this.ignoreCacheDropdown = new Dropdown('Ignore Build Cache',
+				Some(igorOptions.ignoreCache),
+				(ignoreCache) => this.properties.setIgorOptions({ ignoreCache }),
+				IGNORE_CACHE_CHOICES
+			)
+			.tooltip(docString(`
+				Whether Igor ignores the build cache, rebuilding everything. By default, the cache
+				is ignored for YYC builds, as changes don't always apply otherwise. Newer runtimes
+				can build YYC incrementally, which is much faster.
+			`))
+			.singleline()
+			.appendTo(advancedGroup);
+
+		this.verbosityDropdown = new Dropdown('Igor Output',
+				Some(igorOptions.verbosity),
+				(verbosity) => this.properties.setIgorOptions({ verbosity }),
+				IGOR_VERBOSITY_LEVELS
+			)
+			.tooltip(docString(`
+				How much Igor writes about what it's doing. Build progress is shown in less detail
+				without verbose output.
+			`))
+			.singleline()
+			.appendTo(advancedGroup);
+
+		this.igorArgsField = new TextField('Extra Igor Arguments',
+				igorOptions.extraArgs,
+				(extraArgs) => this.properties.setIgorOptions({ extraArgs })
+			)
+			.tooltip(docString(`
+				Further arguments for Igor itself, written as on a command line, such as
+				/someflag=value. Options Constructor already sets can't be given here.
+			`))
+			.appendTo(advancedGroup);
+
+		this.updateIgorOptionErrors();
+
+		// ------------------------------------------------------------------------------
+
 		this.onSetShowTooltipHints({ showTooltipHints: this.preferences.showTooltipHints });
 		this.onGlobalSetReuseOutputTab({ reuseOutputTab: this.preferences.reuseOutputTab });
+		this.updateProfileList();
 
 		/** @private */
 		this.propertiesEventGroup = this.properties.events.createGroup({
 			setBuildConfig: this.onSetBuildConfig,
 			setRuntimeChannel: this.onSetRuntimeChannel,
+			setRuntimeVersion: this.onSetRuntimeVersion,
+			setRuntimeType: this.onSetRuntimeType,
 			setPlatform: this.onSetPlatform,
 			setDevice: this.onSetDevice,
-			setReuseOutputTab: this.onSetReuseOutputTab
+			setReuseOutputTab: this.onSetReuseOutputTab,
+			setLaunchSettings: this.onSetLaunchSettings,
+			setIgorOptions: this.onSetIgorOptions,
+			setProfiles: this.onSetProfiles
 		});
 
 		/** @private */
@@ -235,6 +431,7 @@ export class ProjectPropertiesMenu {
 	 */
 	onSetBuildConfig = ({ current }) => {
 		this.buildConfigDropdown.setSelectedOption(current);
+		this.updateProfileList();
 	};
 
 	/**
@@ -243,6 +440,25 @@ export class ProjectPropertiesMenu {
 	 */
 	onSetRuntimeChannel = ({ channel }) => {
 		this.updateRuntimeVersionList(channel);
+		this.updateProfileList();
+	};
+
+	/**
+	 * @private
+	 * @param {TPreferences.ProjectPropertiesEventMap['setRuntimeVersion']} event
+	 */
+	onSetRuntimeVersion = ({ version }) => {
+		this.runtimeVersionDropdown.setSelectedOption(version);
+		this.updateProfileList();
+	};
+
+	/**
+	 * @private
+	 * @param {TPreferences.ProjectPropertiesEventMap['setRuntimeType']} event
+	 */
+	onSetRuntimeType = ({ runtimeType }) => {
+		this.gms2RuntimeTypeDropdown.setSelectedOption(runtimeType);
+		this.updateProfileList();
 	};
 
 	/**
@@ -250,6 +466,7 @@ export class ProjectPropertiesMenu {
 	 */
 	onSetPlatform = () => {
 		this.updatePlatformDeviceCombo();
+		this.updateProfileList();
 	};
 
 	/**
@@ -257,8 +474,154 @@ export class ProjectPropertiesMenu {
 	 */
 	onSetDevice = () => {
 		this.updatePlatformDeviceCombo();
+		this.updateProfileList();
 	};
 
+	/**
+	 * @private
+	 * @param {TPreferences.ProjectPropertiesEventMap['setLaunchSettings']} event
+	 */
+	onSetLaunchSettings = ({ storage, settings }) => {
+		const fields = this.launchFields[storage];
+
+		fields.runnerArgs.value = settings.runnerArgs;
+		fields.runnerArgs.hasError(!launch_args_parse(settings.runnerArgs).ok);
+
+		fields.runnerEnv.value = settings.runnerEnv;
+		fields.runnerEnv.hasError(!launch_env_parse(settings.runnerEnv).ok);
+
+		if (storage === 'local') {
+			this.updateProfileList();
+		}
+	};
+
+	/**
+	 * @private
+	 * @param {TPreferences.ProjectPropertiesEventMap['setIgorOptions']} options
+	 */
+	onSetIgorOptions = (options) => {
+		this.threadsField.value = options.threads?.toString() ?? '';
+		this.ignoreCacheDropdown.setSelectedOption(options.ignoreCache);
+		this.verbosityDropdown.setSelectedOption(options.verbosity);
+		this.igorArgsField.value = options.extraArgs;
+
+		this.updateIgorOptionErrors();
+	};
+
+	/**
+	 * Save the thread count typed in, if it's a valid count.
+	 * 
+	 * @private
+	 * @param {string} value
+	 */
+	onChangeThreads(value) {
+
+		if (value.trim() === '') {
+			this.properties.setIgorOptions({ threads: undefined });
+			return;
+		}
+
+		const threads = Number(value);
+
+		if (!Number.isInteger(threads) || threads < 1) {
+			this.threadsField.hasError(true);
+			return;
+		}
+
+		this.properties.setIgorOptions({ threads });
+
+	}
+
+	/**
+	 * Highlight the advanced Igor options that aren't valid.
+	 * 
+	 * @private
+	 */
+	updateIgorOptionErrors() {
+
+		const options = this.properties.getIgorOptions();
+
+		/**
+		 * @param {Partial<TPreferences.Project.IgorOptions>} option
+		 */
+		const isInvalid = (option) => !igor_options_resolve(igor_options_get(option)).ok;
+
+		this.threadsField.hasError(isInvalid({ threads: options.threads }));
+		this.ignoreCacheDropdown.hasError(isInvalid({ ignoreCache: options.ignoreCache }));
+		this.igorArgsField.hasError(isInvalid({ extraArgs: options.extraArgs }));
+
+	}
+
+	/**
+	 * @private
+	 */
+	onSetProfiles = () => {
+		this.updateProfileList();
+	};
+
+	/**
+	 * @private
+	 * @param {string|undefined} name
+	 */
+	onSelectProfile(name) {
+
+		if (name === undefined) {
+			return;
+		}
+
+		const result = this.properties.applyProfile(name);
+
+		if (!result.ok) {
+			this.logger.error('Failed to switch build profile', result.err);
+		}
+
+	}
+
+	/**
+	 * Save the current settings as a profile with the entered name.
+	 * 
+	 * @private
+	 * @param {TPreferences.Project.BuildProfileStorage} storage
+	 */
+	saveProfile(storage) {
+
+		const name = this.profileNameField.value.trim();
+
+		if (name === '') {
+			this.logger.warn('Profile needs a name', new SolvableError(
+				'A build profile can\'t be saved without a name.',
+				'Enter a name for the profile in the "Profile Name" field, then save it again.'
+			));
+			return;
+		}
+
+		this.properties.saveProfile(name, storage);
+
+	}
+
+	/**
+	 * Refresh the list of profiles, selecting the one matching the current settings.
+	 * 
+	 * @private
+	 */
+	updateProfileList() {
+
+		const active = this.properties.getActiveProfile();
+
+		this.profileDropdown.setOptions([
+			{ label: 'Custom', value: undefined },
+			...this.properties.getProfiles().map(({ profile, storage }) => ({
+				label: (storage === 'local') ? `${profile.name} (local)` : profile.name,
+				value: profile.name
+			}))
+		], active?.profile.name);
+
+		if (active !== undefined) {
+			this.profileNameField.value = active.profile.name;
+		}
+
+	}
+
 	/**
 	 * @private
 	 * @param {TPreferences.ProjectPropertiesEventMap['setReuseOutputTab']} event
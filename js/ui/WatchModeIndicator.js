@@ -0,0 +1,60 @@
+/**
+ * What to tell the user about each status of watch mode.
+ * 
+ * @type {Readonly<Record<TWatchMode.Status, string>>}
+ */
+const STATUS_TEXT = {
+	off: '',
+	watching: 'Watching for changes',
+	pending: 'Change seen, rebuilding soon',
+	rebuilding: 'Rebuilding'
+};
+
+/**
+ * A small badge in the corner of the window showing what watch mode is doing, while it is on.
+ * Clicking it turns watch mode off.
+ * 
+ * @implements {Destroyable}
+ */
+export class WatchModeIndicator {
+
+	/**
+	 * @private
+	 */
+	element = document.createElement('div');
+
+	/**
+	 * @param {import('../compiler/watch/WatchMode.js').WatchMode} watchMode
+	 */
+	constructor(watchMode) {
+
+		/** @private */
+		this.watchMode = watchMode;
+
+		this.element.classList.add('gm-constructor-watch-status');
+		this.element.title = 'Watch mode rebuilds the game when you save. Click to turn it off.';
+		this.element.addEventListener('click', () => this.watchMode.setEnabled(false));
+
+		this.watchMode.events.on('status', this.onStatusChanged);
+		this.onStatusChanged({ status: this.watchMode.getStatus() });
+
+		document.body.appendChild(this.element);
+
+	}
+
+	destroy() {
+		this.watchMode.events.off('status', this.onStatusChanged);
+		this.element.remove();
+	}
+
+	/**
+	 * @private
+	 * @param {TWatchMode.EventMap['status']} event
+	 */
+	onStatusChanged = ({ status }) => {
+		this.element.hidden = (status === 'off');
+		this.element.dataset.status = status;
+		this.element.textContent = STATUS_TEXT[status];
+	}
+
+}
@@ -1,4 +1,6 @@
 import { BaseError } from '../../utils/Err.js';
+import { BatchBuildMenu } from '../BatchBuildMenu.js';
+import { BuildHistoryMenu } from '../BuildHistoryMenu.js';
 import { PreferencesMenu } from '../PreferencesMenu.js';
 import { ProjectPropertiesMenu } from '../ProjectPropertiesMenu.js';
 import { ControlPanelTab } from './ControlPanelTab.js';
@@ -47,6 +49,46 @@ export class ControlPanelImpl {
 	 */
 	projectPropertiesMenu = undefined;
 
+	/**
+	 * The build history menu for the current project, if any.
+	 * 
+	 * @private
+	 * @type {BuildHistoryMenu|undefined}
+	 */
+	buildHistoryMenu = undefined;
+
+	/**
+	 * The batch build menu for the current project, if any.
+	 * 
+	 * @private
+	 * @type {BatchBuildMenu|undefined}
+	 */
+	batchBuildMenu = undefined;
+
+	/**
+	 * The build cache menu for the current project, if any.
+	 * 
+	 * @private
+	 * @type {import('../BuildCacheMenu.js').BuildCacheMenu|undefined}
+	 */
+	buildCacheMenu = undefined;
+
+	/**
+	 * The crash triage menu for the current project, if any.
+	 * 
+	 * @private
+	 * @type {import('../CrashTriageMenu.js').CrashTriageMenu|undefined}
+	 */
+	crashTriageMenu = undefined;
+
+	/**
+	 * The build problems menu for the current project, if any.
+	 * 
+	 * @private
+	 * @type {import('../ProblemsMenu.js').ProblemsMenu|undefined}
+	 */
+	problemsMenu = undefined;
+
 	/**
 	 * @private
 	 * @type {ControlPanel.Problem[]}
@@ -102,6 +144,146 @@ export class ControlPanelImpl {
 		}
 	}
 
+	/**
+	 * @type {ControlPanel['setBuildHistoryMenu']}
+	 */
+	setBuildHistoryMenu(buildHistoryMenu) {
+
+		if (this.buildHistoryMenu !== undefined) {
+			this.clearBuildHistoryMenu();
+		}
+
+		this.buildHistoryMenu = buildHistoryMenu;
+		this.tab?.setupBuildHistoryMenu(this.buildHistoryMenu.element);
+
+	}
+
+	/**
+	 * @type {ControlPanel['clearBuildHistoryMenu']}
+	 */
+	clearBuildHistoryMenu() {
+		if (this.buildHistoryMenu !== undefined) {
+			
+			this.tab?.removeBuildHistoryMenu();
+			this.buildHistoryMenu.destroy();
+
+			delete this.buildHistoryMenu;
+			
+		}
+	}
+
+	/**
+	 * @type {ControlPanel['setBatchBuildMenu']}
+	 */
+	setBatchBuildMenu(batchBuildMenu) {
+
+		if (this.batchBuildMenu !== undefined) {
+			this.clearBatchBuildMenu();
+		}
+
+		this.batchBuildMenu = batchBuildMenu;
+		this.tab?.setupBatchBuildMenu(this.batchBuildMenu.element);
+
+	}
+
+	/**
+	 * @type {ControlPanel['clearBatchBuildMenu']}
+	 */
+	clearBatchBuildMenu() {
+		if (this.batchBuildMenu !== undefined) {
+			
+			this.tab?.removeBatchBuildMenu();
+			this.batchBuildMenu.destroy();
+
+			delete this.batchBuildMenu;
+			
+		}
+	}
+
+	/**
+	 * @type {ControlPanel['setBuildCacheMenu']}
+	 */
+	setBuildCacheMenu(buildCacheMenu) {
+
+		if (this.buildCacheMenu !== undefined) {
+			this.clearBuildCacheMenu();
+		}
+
+		this.buildCacheMenu = buildCacheMenu;
+		this.tab?.setupBuildCacheMenu(this.buildCacheMenu.element);
+
+	}
+
+	/**
+	 * @type {ControlPanel['clearBuildCacheMenu']}
+	 */
+	clearBuildCacheMenu() {
+		if (this.buildCacheMenu !== undefined) {
+			
+			this.tab?.removeBuildCacheMenu();
+			this.buildCacheMenu.destroy();
+
+			delete this.buildCacheMenu;
+			
+		}
+	}
+
+	/**
+	 * @type {ControlPanel['setCrashTriageMenu']}
+	 */
+	setCrashTriageMenu(crashTriageMenu) {
+
+		if (this.crashTriageMenu !== undefined) {
+			this.clearCrashTriageMenu();
+		}
+
+		this.crashTriageMenu = crashTriageMenu;
+		this.tab?.setupCrashTriageMenu(this.crashTriageMenu.element);
+
+	}
+
+	/**
+	 * @type {ControlPanel['clearCrashTriageMenu']}
+	 */
+	clearCrashTriageMenu() {
+		if (this.crashTriageMenu !== undefined) {
+			
+			this.tab?.removeCrashTriageMenu();
+			this.crashTriageMenu.destroy();
+
+			delete this.crashTriageMenu;
+			
+		}
+	}
+
+	/**
+	 * @type {ControlPanel['setProblemsMenu']}
+	 */
+	setProblemsMenu(problemsMenu) {
+
+		if (this.problemsMenu !== undefined) {
+			this.clearProblemsMenu();
+		}
+
+		this.problemsMenu = problemsMenu;
+		this.tab?.setupProblemsMenu(this.problemsMenu.element);
+
+	}
+
+	/**
+	 * @type {ControlPanel['clearProblemsMenu']}
+	 */
+	clearProblemsMenu() {
+		if (this.problemsMenu !== undefined) {
+			
+			this.tab?.removeProblemsMenu();
+			this.problemsMenu.destroy();
+
+			delete this.problemsMenu;
+			
+		}
+	}
+
 	open() {
 
 		const GmlFile = $gmedit['gml.file.GmlFile'];
@@ -128,6 +310,26 @@ export class ControlPanelImpl {
 			this._tab.setupProjectPropertiesMenu(this.projectPropertiesMenu.element);
 		}
 
+		if (this.buildHistoryMenu !== undefined) {
+			this._tab.setupBuildHistoryMenu(this.buildHistoryMenu.element);
+		}
+
+		if (this.batchBuildMenu !== undefined) {
+			this._tab.setupBatchBuildMenu(this.batchBuildMenu.element);
+		}
+
+		if (this.buildCacheMenu !== undefined) {
+			this._tab.setupBuildCacheMenu(this.buildCacheMenu.element);
+		}
+
+		if (this.crashTriageMenu !== undefined) {
+			this._tab.setupCrashTriageMenu(this.crashTriageMenu.element);
+		}
+
+		if (this.problemsMenu !== undefined) {
+			this._tab.setupProblemsMenu(this.problemsMenu.element);
+		}
+
 		return this._tab;
 
 	}
@@ -143,6 +345,21 @@ export class ControlPanelImpl {
 		this.projectPropertiesMenu?.destroy();
 		delete this.projectPropertiesMenu;
 
+		this.buildHistoryMenu?.destroy();
+		delete this.buildHistoryMenu;
+
+		this.batchBuildMenu?.destroy();
+		delete this.batchBuildMenu;
+
+		this.buildCacheMenu?.destroy();
+		delete this.buildCacheMenu;
+
+		this.crashTriageMenu?.destroy();
+		delete this.crashTriageMenu;
+
+		this.problemsMenu?.destroy();
+		delete this.problemsMenu;
+
 		this.clearAllProblems();
 
 	}
@@ -12,6 +12,7 @@ import { ControlPanelImpl } from './ControlPanelImpl.js';
  * - Showing errors and warnings to the user.
  * - Configuring global preferences.
  * - Configuring project-specific preferences.
+ * - Browsing the build history of the current project.
  * 
  * The latter two tasks are also possible through GMEdit's own UI for the respective functions, but
  * the first task is most important to provide feedback for configuration issues, or plugin logic
@@ -52,6 +53,66 @@ export class ControlPanelTab extends ConstructorTab {
 	 */
 	projectPropertiesMenuElement = undefined;
 
+	/**
+	 * @private
+	 * @type {UI.Group}
+	 */
+	buildHistoryGroupElement;
+
+	/**
+	 * @private
+	 * @type {HTMLElement|undefined}
+	 */
+	buildHistoryMenuElement = undefined;
+
+	/**
+	 * @private
+	 * @type {UI.Group}
+	 */
+	batchBuildGroupElement;
+
+	/**
+	 * @private
+	 * @type {HTMLElement|undefined}
+	 */
+	batchBuildMenuElement = undefined;
+
+	/**
+	 * @private
+	 * @type {UI.Group}
+	 */
+	buildCacheGroupElement;
+
+	/**
+	 * @private
+	 * @type {HTMLElement|undefined}
+	 */
+	buildCacheMenuElement = undefined;
+
+	/**
+	 * @private
+	 * @type {UI.Group}
+	 */
+	crashTriageGroupElement;
+
+	/**
+	 * @private
+	 * @type {HTMLElement|undefined}
+	 */
+	crashTriageMenuElement = undefined;
+
+	/**
+	 * @private
+	 * @type {UI.Group}
+	 */
+	buildProblemsGroupElement;
+
+	/**
+	 * @private
+	 * @type {HTMLElement|undefined}
+	 */
+	buildProblemsMenuElement = undefined;
+
 	/**
 	 * @private
 	 * @type {Map<ControlPanel.Problem, HTMLElement>}
@@ -83,6 +144,25 @@ export class ControlPanelTab extends ConstructorTab {
 		this.projectPropertiesGroupElement = ui.group(this.element, 'Project Settings');
 		this.projectPropertiesGroupElement.hidden = true;
 
+		this.batchBuildGroupElement = ui.group(this.element, 'Batch Build');
+		this.batchBuildGroupElement.classList.add('collapsed');
+		this.batchBuildGroupElement.hidden = true;
+
+		this.buildHistoryGroupElement = ui.group(this.element, 'Build History');
+		this.buildHistoryGroupElement.classList.add('collapsed');
+		this.buildHistoryGroupElement.hidden = true;
+
+		this.buildProblemsGroupElement = ui.group(this.element, 'Build Problems');
+		this.buildProblemsGroupElement.hidden = true;
+
+		this.crashTriageGroupElement = ui.group(this.element, 'Crashes');
+		this.crashTriageGroupElement.classList.add('collapsed');
+		this.crashTriageGroupElement.hidden = true;
+
+		this.buildCacheGroupElement = ui.group(this.element, 'Build Cache');
+		this.buildCacheGroupElement.classList.add('collapsed');
+		this.buildCacheGroupElement.hidden = true;
+
 		this.preferencesGroupElement = ui.group(this.element, 'Global Settings');
 
 	}
@@ -187,6 +267,141 @@ export class ControlPanelTab extends ConstructorTab {
 
 	}
 
+	/**
+	 * @param {HTMLElement} buildHistoryMenuElement
+	 */
+	setupBuildHistoryMenu(buildHistoryMenuElement) {
+
+		if (this.buildHistoryMenuElement !== undefined) {
+			this.buildHistoryGroupElement.removeChild(this.buildHistoryMenuElement);
+		}
+
+		this.buildHistoryMenuElement = buildHistoryMenuElement;
+
+		this.buildHistoryGroupElement.appendChild(this.buildHistoryMenuElement);
+		this.buildHistoryGroupElement.hidden = false;
+
+	}
+
+	removeBuildHistoryMenu() {
+
+		this.buildHistoryGroupElement.hidden = true;
+
+		if (this.buildHistoryMenuElement !== undefined) {
+			this.buildHistoryGroupElement.removeChild(this.buildHistoryMenuElement);
+			delete this.buildHistoryMenuElement;
+		}
+
+	}
+
+	/**
+	 * @param {HTMLElement} batchBuildMenuElement
+	 */
+	setupBatchBuildMenu(batchBuildMenuElement) {
+
+		if (this.batchBuildMenuElement !== undefined) {
+			this.batchBuildGroupElement.removeChild(this.batchBuildMenuElement);
+		}
+
+		this.batchBuildMenuElement = batchBuildMenuElement;
+
+		this.batchBuildGroupElement.appendChild(this.batchBuildMenuElement);
+		this.batchBuildGroupElement.hidden = false;
+
+	}
+
+	removeBatchBuildMenu() {
+
+		this.batchBuildGroupElement.hidden = true;
+
+		if (this.batchBuildMenuElement !== undefined) {
+			this.batchBuildGroupElement.removeChild(this.batchBuildMenuElement);
+			delete this.batchBuildMenuElement;
+		}
+
+	}
+
+	/**
+	 * @param {HTMLElement} buildCacheMenuElement
+	 */
+	setupBuildCacheMenu(buildCacheMenuElement) {
+
+		if (this.buildCacheMenuElement !== undefined) {
+			this.buildCacheGroupElement.removeChild(this.buildCacheMenuElement);
+		}
+
+		this.buildCacheMenuElement = buildCacheMenuElement;
+
+		this.buildCacheGroupElement.appendChild(this.buildCacheMenuElement);
+		this.buildCacheGroupElement.hidden = false;
+
+	}
+
+	removeBuildCacheMenu() {
+
+		this.buildCacheGroupElement.hidden = true;
+
+		if (this.buildCacheMenuElement !== undefined) {
+			this.buildCacheGroupElement.removeChild(this.buildCacheMenuElement);
+			delete this.buildCacheMenuElement;
+		}
+
+	}
+
+	/**
+	 * @param {HTMLElement} crashTriageMenuElement
+	 */
+	setupCrashTriageMenu(crashTriageMenuElement) {
+
+		if (this.crashTriageMenuElement !== undefined) {
+			this.crashTriageGroupElement.removeChild(this.crashTriageMenuElement);
+		}
+
+		this.crashTriageMenuElement = crashTriageMenuElement;
+
+		this.crashTriageGroupElement.appendChild(this.crashTriageMenuElement);
+		this.crashTriageGroupElement.hidden = false;
+
+	}
+
+	removeCrashTriageMenu() {
+
+		this.crashTriageGroupElement.hidden = true;
+
+		if (this.crashTriageMenuElement !== undefined) {
+			this.crashTriageGroupElement.removeChild(this.crashTriageMenuElement);
+			delete this.crashTriageMenuElement;
+		}
+
+	}
+
+	/**
+	 * @param {HTMLElement} problemsMenuElement
+	 */
+	setupProblemsMenu(problemsMenuElement) {
+
+		if (this.buildProblemsMenuElement !== undefined) {
+			this.buildProblemsGroupElement.removeChild(this.buildProblemsMenuElement);
+		}
+
+		this.buildProblemsMenuElement = problemsMenuElement;
+
+		this.buildProblemsGroupElement.appendChild(this.buildProblemsMenuElement);
+		this.buildProblemsGroupElement.hidden = false;
+
+	}
+
+	removeProblemsMenu() {
+
+		this.buildProblemsGroupElement.hidden = true;
+
+		if (this.buildProblemsMenuElement !== undefined) {
+			this.buildProblemsGroupElement.removeChild(this.buildProblemsMenuElement);
+			delete this.buildProblemsMenuElement;
+		}
+
+	}
+
 	destroy() {
 		super.destroy();
 		this.invalid = true;
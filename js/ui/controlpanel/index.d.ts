@@ -1,5 +1,10 @@
 import { BaseError } from '../../utils/Err';
+import { BatchBuildMenu } from '../BatchBuildMenu';
+import { BuildCacheMenu } from '../BuildCacheMenu';
+import { BuildHistoryMenu } from '../BuildHistoryMenu';
+import { CrashTriageMenu } from '../CrashTriageMenu';
 import { PreferencesMenu } from '../PreferencesMenu';
+import { ProblemsMenu } from '../ProblemsMenu';
 import { ProjectPropertiesMenu } from '../ProjectPropertiesMenu';
 
 export declare global {
@@ -22,6 +27,56 @@ export declare global {
 		 */
 		clearProjectPropertiesMenu();
 
+		/**
+		 * Provide the build history menu for the current project, to be shown on the control panel.
+		 */
+		setBuildHistoryMenu(buildHistoryMenu: BuildHistoryMenu);
+
+		/**
+		 * Remove the build history menu, as the project it belongs to has closed.
+		 */
+		clearBuildHistoryMenu();
+
+		/**
+		 * Provide the batch build menu for the current project, to be shown on the control panel.
+		 */
+		setBatchBuildMenu(batchBuildMenu: BatchBuildMenu);
+
+		/**
+		 * Remove the batch build menu, as the project it belongs to has closed.
+		 */
+		clearBatchBuildMenu();
+
+		/**
+		 * Provide the build cache menu for the current project, to be shown on the control panel.
+		 */
+		setBuildCacheMenu(buildCacheMenu: BuildCacheMenu);
+
+		/**
+		 * Remove the build cache menu, as the project it belongs to has closed.
+		 */
+		clearBuildCacheMenu();
+
+		/**
+		 * Provide the crash triage menu for the current project, to be shown on the control panel.
+		 */
+		setCrashTriageMenu(crashTriageMenu: CrashTriageMenu);
+
+		/**
+		 * Remove the crash triage menu, as the project it belongs to has closed.
+		 */
+		clearCrashTriageMenu();
+
+		/**
+		 * Provide the build problems menu for the current project, to be shown on the control panel.
+		 */
+		setProblemsMenu(problemsMenu: ProblemsMenu);
+
+		/**
+		 * Remove the build problems menu, as the project it belongs to has closed.
+		 */
+		clearProblemsMenu();
+
 	};
 
 	namespace ControlPanel {
@@ -0,0 +1,262 @@
+import { line_to_editor_row } from '../../compiler/job/errors/line-mapping.js';
+import { editor_annotations_for_error } from './editor-annotation-locate.js';
+
+/**
+ * Class name of the gutter decoration and line marker for each severity.
+ *
+ * @type {Record<TEditorAnnotations.Annotation['severity'], { gutter: string, marker: string }>}
+ */
+const SEVERITY_CLASSES = {
+	error: { gutter: 'gm-constructor-gutter-error', marker: 'gm-constructor-marker-error' },
+	warning: { gutter: 'gm-constructor-gutter-warning', marker: 'gm-constructor-marker-warning' },
+	info: { gutter: 'gm-constructor-gutter-info', marker: 'gm-constructor-marker-info' }
+};
+
+/**
+ * Shows the errors of a project's jobs in GMEdit's code editors, as gutter markers, underlines and
+ * annotations on the lines they happened at. Files opened later are annotated as they open, and
+ * everything is cleared when the next build starts.
+ *
+ * @implements {Destroyable}
+ */
+export class EditorAnnotations {
+
+	/**
+	 * Annotations for each error, kept with the error so that they can be filtered.
+	 *
+	 * @private
+	 * @type {Array<{ data: GM.Job.ErrorData, annotations: TEditorAnnotations.Annotation[] }>}
+	 */
+	annotations = [];
+
+	/**
+	 * What has been added to each editor session, so it can be taken away again.
+	 *
+	 * @private
+	 * @type {Map<AceAjax.IEditSession, { markerIds: number[], gutters: Array<[number, string]>, annotations: AceAjax.Annotation[] }>}
+	 */
+	applied = new Map();
+
+	/**
+	 * @param {import('../../compiler/problems/DiagnosticFilter.js').DiagnosticFilter} filter Decides
+	 * which errors are annotated.
+	 */
+	constructor(filter) {
+
+		/** @private */
+		this.filter = filter;
+
+		GMEdit.on('fileOpen', this.onFileChanged);
+		GMEdit.on('fileReload', this.onFileChanged);
+		GMEdit.on('fileClose', this.onFileClose);
+		this.filter.events.on('changed', this.onFilterChanged);
+
+	}
+
+	destroy() {
+
+		GMEdit.off('fileOpen', this.onFileChanged);
+		GMEdit.off('fileReload', this.onFileChanged);
+		GMEdit.off('fileClose', this.onFileClose);
+		this.filter.events.off('changed', this.onFilterChanged);
+
+		this.clear();
+
+	}
+
+	/**
+	 * Annotate the errors of the given job as they are found.
+	 *
+	 * @param {GM.Job} job
+	 */
+	track(job) {
+
+		const group = job.events.createGroup({
+			error: (error) => this.add(error.data)
+		});
+
+		job.events.once('stop', () => group.destroy());
+
+	}
+
+	/**
+	 * Remove every annotation, such as when a new build starts.
+	 */
+	clear() {
+
+		this.annotations = [];
+
+		for (const session of this.applied.keys()) {
+			this.unapply(session);
+		}
+
+	}
+
+	/**
+	 * @private
+	 * @param {GM.Job.ErrorData} data
+	 */
+	add(data) {
+
+		const annotations = editor_annotations_for_error(data);
+
+		if (annotations.length === 0) {
+			return;
+		}
+
+		this.annotations.push({ data, annotations });
+
+		const files = new Set(annotations.map(annotation => annotation.location.file));
+
+		$gmedit['ui.ChromeTabs'].getTabs().forEach(tab => {
+			if (files.has(tab.gmlFile.name)) {
+				this.apply(tab.gmlFile);
+			}
+		});
+
+	}
+
+	/**
+	 * @private
+	 * @param {GMEdit.PluginEventMap['fileOpen']} event
+	 */
+	onFileChanged = ({ file }) => {
+		this.apply(file);
+	};
+
+	/**
+	 * Annotate the open files again once which errors are shown has changed.
+	 *
+	 * @private
+	 */
+	onFilterChanged = () => {
+		$gmedit['ui.ChromeTabs'].getTabs().forEach(tab => this.apply(tab.gmlFile));
+	};
+
+	/**
+	 * @private
+	 * @param {GMEdit.PluginEventMap['fileClose']} event
+	 */
+	onFileClose = ({ file }) => {
+
+		const session = this.getSession(file);
+
+		if (session !== undefined) {
+			this.applied.delete(session);
+		}
+
+	};
+
+	/**
+	 * Get the Ace session of a file, if it is edited as code.
+	 *
+	 * @private
+	 * @param {GMEdit.GmlFile} file
+	 * @returns {AceAjax.IEditSession|undefined}
+	 */
+	getSession(file) {
+
+		if (!(file.editor instanceof $gmedit['editors.EditCode'])) {
+			return undefined;
+		}
+
+		return file.editor.session;
+
+	}
+
+	/**
+	 * Show the annotations belonging to a file in its editor, replacing any shown before.
+	 *
+	 * @private
+	 * @param {GMEdit.GmlFile} file
+	 */
+	apply(file) {
+
+		const session = this.getSession(file);
+
+		if (session === undefined) {
+			return;
+		}
+
+		this.unapply(session);
+
+		const annotations = this.annotations
+			.filter(({ data }) => this.filter.isShown(data))
+			.flatMap(({ annotations }) => annotations)
+			.filter(annotation => annotation.location.file === file.name);
+
+		if (annotations.length === 0) {
+			return;
+		}
+
+		const Range = ace.require('ace/range').Range;
+		const lines = session.getDocument().getAllLines();
+
+		/** @type {{ markerIds: number[], gutters: Array<[number, string]>, annotations: AceAjax.Annotation[] }} */
+		const applied = { markerIds: [], gutters: [], annotations: [] };
+
+		for (const annotation of annotations) {
+
+			const row = line_to_editor_row(lines, annotation.location);
+
+			if (row === undefined) {
+				continue;
+			}
+
+			const classes = SEVERITY_CLASSES[annotation.severity];
+
+			session.addGutterDecoration(row, classes.gutter);
+			applied.gutters.push([row, classes.gutter]);
+
+			applied.markerIds.push(session.addMarker(
+				new Range(row, 0, row, lines[row].length),
+				classes.marker,
+				'text',
+				false
+			));
+
+			applied.annotations.push({
+				row,
+				column: 0,
+				text: annotation.text,
+				type: annotation.severity
+			});
+
+		}
+
+		session.setAnnotations([...session.getAnnotations(), ...applied.annotations]);
+		this.applied.set(session, applied);
+
+	}
+
+	/**
+	 * Remove what was shown in an editor session.
+	 *
+	 * @private
+	 * @param {AceAjax.IEditSession} session
+	 */
+	unapply(session) {
+
+		const applied = this.applied.get(session);
+
+		if (applied === undefined) {
+			return;
+		}
+
+		for (const markerId of applied.markerIds) {
+			session.removeMarker(markerId);
+		}
+
+		for (const [row, className] of applied.gutters) {
+			session.removeGutterDecoration(row, className);
+		}
+
+		/** @type {AceAjax.Annotation[]} */
+		const annotations = session.getAnnotations();
+		session.setAnnotations(annotations.filter(annotation => !applied.annotations.includes(annotation)));
+
+		this.applied.delete(session);
+
+	}
+
+}
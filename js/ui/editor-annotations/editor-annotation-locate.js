@@ -0,0 +1,122 @@
+import { error_position_describe } from '../../compiler/job/errors/error-position.js';
+import { job_error_severity } from '../../compiler/job/errors/job-error-severity.js';
+import { line_to_editor_row } from '../../compiler/job/errors/line-mapping.js';
+import { Ok } from '../../utils/Result.js';
+
+/**
+ * Find which GMEdit file and line a script reported by the compiler or runner refers to.
+ *
+ * @param {string} script Raw name of the script, such as `gml_Object_obj_player_Step_0`.
+ * @param {number} line Line number in the script, starting from 1.
+ * @returns {Result<TEditorAnnotations.Location>}
+ */
+export function editor_annotation_locate(script, line) {
+
+	const positionRes = error_position_describe(script, line);
+
+	if (!positionRes.ok) {
+		return positionRes;
+	}
+
+	return Ok(positionRes.data.location);
+
+}
+
+/**
+ * Turn the errors parsed from a job into annotations for the lines they happened at. Runtime errors
+ * annotate each frame of their call stack. Errors whose script can't be found are left out.
+ *
+ * @param {GM.Job.ErrorData} data
+ * @returns {TEditorAnnotations.Annotation[]}
+ */
+export function editor_annotations_for_error(data) {
+
+	/** @type {TEditorAnnotations.Annotation[]} */
+	const annotations = [];
+
+	if (data.stackFrames.length > 0) {
+
+		data.stackFrames.forEach((frame, index) => {
+
+			const location = editor_annotation_locate(frame.script, frame.line);
+
+			if (!location.ok) {
+				return;
+			}
+
+			annotations.push({
+				location: location.data,
+				text: (index === 0) ? data.message : `Called in the stack of: ${data.message}`,
+				severity: (index === 0) ? 'error' : 'info'
+			});
+
+		});
+
+		return annotations;
+
+	}
+
+	if (data.script !== undefined && data.line !== undefined) {
+
+		const location = editor_annotation_locate(data.script, data.line);
+
+		if (location.ok) {
+			annotations.push({ location: location.data, text: data.message, severity: job_error_severity(data) });
+		}
+
+	}
+
+	return annotations;
+
+}
+
+/**
+ * Open the editor for a location, and go to its line as GMEdit shows it.
+ *
+ * @param {TEditorAnnotations.Location} location
+ * @returns {boolean} Whether GMEdit found the file to open.
+ */
+export function editor_location_open(location) {
+
+	const OpenDeclaration = $gmedit['ui.OpenDeclaration'];
+
+	const target = (location.event !== undefined)
+		? `${location.file}(${location.event})`
+		: location.file;
+
+	if (!OpenDeclaration.openLink(target, null)) {
+		return false;
+	}
+
+	const file = $gmedit['gml.file.GmlFile'].current;
+
+	if (file?.name !== location.file || !(file.editor instanceof $gmedit['editors.EditCode'])) {
+		return true;
+	}
+
+	const row = line_to_editor_row(file.editor.session.getDocument().getAllLines(), location);
+
+	if (row !== undefined) {
+		aceEditor.gotoLine(row + 1, 0, false);
+	}
+
+	return true;
+
+}
+
+/**
+ * Open the editor at the line an error happened at, if it is known.
+ *
+ * @param {GM.Job.ErrorData} data
+ * @returns {boolean} Whether the error's location was found and opened.
+ */
+export function editor_error_open(data) {
+
+	if (data.script === undefined || data.line === undefined) {
+		return false;
+	}
+
+	const location = editor_annotation_locate(data.script, data.line);
+	return location.ok && editor_location_open(location.data);
+
+}
@@ -0,0 +1,35 @@
+export declare global {
+
+	namespace TEditorAnnotations {
+
+		/**
+		 * Where in GMEdit's editors an error belongs.
+		 */
+		type Location = {
+			/** Name of the GMEdit file, which is the name of the script or object asset. */
+			file: string;
+
+			/** For objects, the GMEdit name of the event, as written after `#event`. */
+			event?: string;
+
+			/** Line number in the script or event, starting from 1. */
+			line: number;
+		};
+
+		/**
+		 * An error to be shown on a line of an editor.
+		 */
+		type Annotation = {
+			location: Location;
+			text: string;
+
+			/**
+			 * Errors and warnings are where the problem is, info marks the outer frames of a
+			 * runtime error's call stack.
+			 */
+			severity: GM.Job.Severity | 'info';
+		};
+
+	};
+
+};
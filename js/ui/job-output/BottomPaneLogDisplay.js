@@ -135,4 +135,13 @@ export class BottomPaneLogDisplay {
 		this.errorsTab.content.appendChild(error.asHTML());
 		this.bottomPane.showTab(this.errorsTab);
 	}
+
+	/**
+	 * @type {UI.OutputLogDisplay['clearErrors']}
+	 */
+	clearErrors() {
+		if (this.errorsTab !== undefined) {
+			this.errorsTab.content.textContent = '';
+		}
+	}
 }
@@ -77,11 +77,7 @@ export class OutputLogTab extends ConstructorTab {
 		this.client = client;
 		this.element.prepend(client.getContent());
 		
-		this.errorsGroup
-			.querySelectorAll(':scope > :not(legend)')
-			.forEach(error => error.remove());
-
-		this.errorsGroup.hidden = true;
+		this.clearErrors();
 	}
 
 	/**
@@ -132,6 +128,17 @@ export class OutputLogTab extends ConstructorTab {
 		this.errorsGroup.hidden = false;
 	}
 
+	/**
+	 * @type {UI.OutputLogDisplay['clearErrors']}
+	 */
+	clearErrors() {
+		this.errorsGroup
+			.querySelectorAll(':scope > :not(legend)')
+			.forEach(error => error.remove());
+
+		this.errorsGroup.hidden = true;
+	}
+
 	/**
 	 * Create and open a new tab.
 	 * @returns {OutputLogTab}
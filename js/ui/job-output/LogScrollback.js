@@ -0,0 +1,76 @@
+/**
+ * The lines of a job's output kept for its log, dropping the oldest once there are too many. Rows
+ * are counted from the start of the job's whole output, so they stay the same as lines are dropped.
+ */
+export class LogScrollback {
+
+	/**
+	 * The lines kept, the last of which is still being written to.
+	 *
+	 * @private
+	 * @type {string[]}
+	 */
+	lines = [''];
+
+	/**
+	 * Row of the first line kept, which is how many lines have been dropped.
+	 */
+	firstRow = 0;
+
+	/**
+	 * @param {number} maxLines Most lines to keep, or `0` for no limit.
+	 */
+	constructor(maxLines) {
+		this.maxLines = maxLines;
+	}
+
+	/**
+	 * Add output to the end of the log.
+	 *
+	 * @param {string} text
+	 * @returns {number} How many of the oldest lines were dropped to make room.
+	 */
+	append(text) {
+
+		const [first, ...rest] = text.split('\n');
+		this.lines[this.lines.length - 1] += first;
+
+		for (const line of rest) {
+			this.lines.push(line);
+		}
+
+		if (this.maxLines <= 0 || this.lines.length <= this.maxLines) {
+			return 0;
+		}
+
+		const dropCount = this.lines.length - this.maxLines;
+
+		this.lines.splice(0, dropCount);
+		this.firstRow += dropCount;
+
+		return dropCount;
+
+	}
+
+	/**
+	 * Row of the last line kept, which is still being written to.
+	 */
+	get lastRow() {
+		return this.firstRow + this.lines.length - 1;
+	}
+
+	/**
+	 * @returns {ReadonlyArray<string>}
+	 */
+	getLines() {
+		return this.lines;
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	getText() {
+		return this.lines.join('\n');
+	}
+
+}
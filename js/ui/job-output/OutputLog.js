@@ -1,8 +1,39 @@
 import { IgorJob } from '../../compiler/job/IgorJob.js';
 import { use } from '../../utils/scope-extensions/use.js';
+import { JOB_PHASE_NAMES } from '../../compiler/job/output-parsing/JobPhaseTracker.js';
+import { formatDuration } from '../../utils/StringUtils.js';
+import { Checkbox } from '../components/Checkbox.js';
+import { TextField } from '../components/TextField.js';
+import { igor_log_mode } from './igor-log-mode.js';
+import { log_filter_apply, log_filter_create, log_filter_update } from './log-filter.js';
+import { LogScrollback } from './LogScrollback.js';
+import { ReplayJob } from '../../compiler/job/ReplayJob.js';
+import { JOB_LOG_SAVED_EXTENSION, job_log_with_dropped_lines, job_log_with_errors } from '../../compiler/reports/job-log-file.js';
+import { isNone, isSome, None, Some } from '../../utils/Option.js';
+import { Dropdown } from '../components/Dropdown.js';
+import { game_log_filter_create, game_log_format_line } from './game-log-filter.js';
 
 const PreferencesUI = $gmedit['ui.Preferences'];
 
+/**
+ * @type {ReadonlyArray<UI.Dropdown.NormalizedEntry<TJobOutput.View>>}
+ */
+const VIEW_CHOICES = [
+	{ label: 'All output', value: 'all' },
+	{ label: 'Build', value: 'build' },
+	{ label: 'Game', value: 'game' }
+];
+
+/**
+ * @type {ReadonlyArray<UI.Dropdown.NormalizedEntry<GM.Job.GameLogLevel>>}
+ */
+const GAME_LOG_LEVEL_CHOICES = [
+	{ label: 'All', value: 'debug' },
+	{ label: 'Info and above', value: 'info' },
+	{ label: 'Warnings and above', value: 'warn' },
+	{ label: 'Errors only', value: 'error' }
+];
+
 /**
  * @implements {UI.OutputLogDisplay.Client}
  */
@@ -12,6 +43,14 @@ export class JobOutputLog {
 	 */
 	static scrollGrabLines = 1;
 
+	/**
+	 * How long to collect the job's output for before showing it, so that a game printing every
+	 * frame doesn't have us updating the editor every frame too.
+	 * 
+	 * @private
+	 */
+	static renderIntervalMs = 100;
+
 	/**
 	 * @type {JobOutputLog[]}
 	 */
@@ -28,6 +67,25 @@ export class JobOutputLog {
 	 */
 	jobNameHeading = document.createElement('h4');
 
+	/**
+	 * Summary of how long each phase of the job took.
+	 * 
+	 * @private
+	 */
+	phaseTimingsElement = use(document.createElement('span'))
+		.also(it => it.classList.add('gm-constructor-phase-timings'))
+		.value;
+
+	/**
+	 * Note of how many of the oldest lines of output the log has dropped.
+	 * 
+	 * @private
+	 */
+	droppedLinesElement = use(document.createElement('span'))
+		.also(it => it.classList.add('gm-constructor-dropped-lines'))
+		.also(it => { it.hidden = true; })
+		.value;
+
 	/**
 	 * Ace instance which shows log output.
 	 * 
@@ -43,30 +101,184 @@ export class JobOutputLog {
 			linter: false
 		}))
 		.also(it => it.setReadOnly(true))
+		.also(it => it.session.setMode(igor_log_mode()))
 		.also(it => it.setOption('scrollPastEnd', 0))
 		.also(it => it.renderer.setShowGutter(false))
 		.also(it => it.renderer.setShowPrintMargin(false))
 		.value;
 
 	/**
+	 * Every error found in the job's output so far, including those which aren't shown.
+	 * 
+	 * @private
+	 * @type {GM.Job.Error[]}
+	 */
+	errors = [];
+
+	/**
+	 * Which of the job's output is shown.
+	 * 
+	 * @private
+	 * @type {TJobOutput.View}
+	 */
+	view = 'all';
+
+	/**
+	 * Output received for each view since the log was last updated.
+	 * 
 	 * @private
-	 * @param {GM.Job} job 
+	 * @type {Record<TJobOutput.View, string>}
+	 */
+	pendingOutput = { all: '', build: '', game: '' };
+
+	/**
+	 * Timeout for the next update of the log, if one is due.
+	 * 
+	 * @private
+	 * @type {ReturnType<typeof setTimeout>|undefined}
+	 */
+	renderTimeoutId = undefined;
+
+	/**
+	 * Matcher for the lines to show, or `None` to show every line.
+	 * 
+	 * @private
+	 * @type {Option<TJobOutput.LineMatcher>}
+	 */
+	lineMatcher = None;
+
+	/**
+	 * Matcher for the lines of the game's output to show by their structured log level and
+	 * category, or `None` to show every line.
+	 * 
+	 * @private
+	 * @type {Option<TJobOutput.LineMatcher>}
+	 */
+	gameLineMatcher = None;
+
+	/**
+	 * The row in the whole output of each row shown in the editor, or `undefined` when every line
+	 * kept is shown.
+	 * 
+	 * @private
+	 * @type {number[]|undefined}
+	 */
+	shownRows = undefined;
+
+	/**
+	 * Rows of the output the user has pinned in each view. Pinned lines are always shown, even when
+	 * they don't match the filter.
+	 * 
+	 * @private
+	 * @type {Record<TJobOutput.View, Set<number>>}
+	 */
+	pinnedRowsByView = { all: new Set(), build: new Set(), game: new Set() };
+
+	/**
+	 * Ace markers highlighting the pinned lines.
+	 * 
+	 * @private
+	 * @type {number[]}
+	 */
+	pinMarkerIds = [];
+
+	/**
+	 * @private
+	 * @param {GM.Job.OutputSource} job 
 	 * @param {UI.OutputLogDisplay} display 
+	 * @param {TJobOutput.LogOptions} options
 	 */
-	constructor(job, display) {
+	constructor(job, display, options) {
 		this.job = job;
 		this.display = display;
+		this.name = options.name;
+		this.filter = options.filter;
+
+		/** @private */
+		this.diskIO = options.diskIO;
+
+		/** @private */
+		this.problemLogger = options.problemLogger;
+
+		/** @private */
+		this.structuredGameLog = options.structuredGameLog;
+
+		/** @private */
+		this.logFile = options.logFile;
+
+		/**
+		 * The lines of the job's output kept for each view, of which the editor may only be
+		 * showing the lines matching the filter.
+		 * 
+		 * @private
+		 * @type {Record<TJobOutput.View, LogScrollback>}
+		 */
+		this.scrollbacks = {
+			all: new LogScrollback(options.scrollbackLines),
+			build: new LogScrollback(options.scrollbackLines),
+			game: new LogScrollback(options.scrollbackLines)
+		};
 
 		this.updateTitle();
 
 		const header = document.createElement('header');
 		header.appendChild(this.jobNameHeading);
+		header.appendChild(this.phaseTimingsElement);
+		header.appendChild(this.droppedLinesElement);
 
 		const navButtonsGroup = document.createElement('nav');
 		PreferencesUI.addButton(navButtonsGroup, 'Stop', this.stopJob);
 		PreferencesUI.addButton(navButtonsGroup, 'Go to bottom', this.goToBottom);
 		PreferencesUI.addButton(navButtonsGroup, 'Show directory', this.showDirectory);
+		PreferencesUI.addButton(navButtonsGroup, 'Save log', this.saveLog);
+		PreferencesUI.addButton(navButtonsGroup, 'Export with errors', this.exportLogWithErrors);
+
+		/** @private */
+		this.showWarningsCheckbox = new Checkbox('Show warnings',
+				this.filter.showWarnings,
+				(value) => { this.filter.showWarnings = value }
+			)
+			.appendTo(navButtonsGroup);
+
 		header.appendChild(navButtonsGroup);
+
+		const filterBar = document.createElement('div');
+		filterBar.classList.add('gm-constructor-log-filter');
+
+		new Dropdown('Show', Some(this.view), this.setView, VIEW_CHOICES)
+			.tooltip('Show all of the output, or only Igor\'s build output, or only the game\'s own output.')
+			.singleline()
+			.appendTo(filterBar);
+
+		/** @private */
+		this.filterField = new TextField('Filter', '', this.updateLineMatcher)
+			.tooltip('Show only the lines containing this text. Press Enter to apply.')
+			.singleline()
+			.appendTo(filterBar);
+
+		/** @private */
+		this.filterRegexCheckbox = new Checkbox('Regex', false, this.updateLineMatcher)
+			.tooltip('Treat the filter as a regular expression.')
+			.appendTo(filterBar);
+
+		PreferencesUI.addButton(filterBar, 'Pin line', this.togglePin);
+		PreferencesUI.addButton(filterBar, 'Next pin', this.goToNextPin);
+
+		/** @private */
+		this.gameLogLevelDropdown = new Dropdown('Level', Some(GAME_LOG_LEVEL_CHOICES[0].value), this.updateGameLineMatcher, GAME_LOG_LEVEL_CHOICES)
+			.tooltip('The least important level of the game\'s structured log to show.')
+			.singleline()
+			.visible(false)
+			.appendTo(filterBar);
+
+		/** @private */
+		this.gameLogCategoryField = new TextField('Category', '', this.updateGameLineMatcher)
+			.tooltip('Show only the game\'s structured log entries in this category. Press Enter to apply.')
+			.singleline()
+			.visible(false)
+			.appendTo(filterBar);
+
+		header.appendChild(filterBar);
 		
 		this.content.appendChild(header);
 		this.content.appendChild(this.logAceEditor.container);
@@ -74,10 +286,18 @@ export class JobOutputLog {
 		/** @private */
 		this.jobEventGroup = job.events.createGroup({
 			stdout: this.onJobStdout,
+			streamOutput: this.onJobStreamOutput,
+			error: this.onJobError,
 			stop: this.onJobStop,
+			phase: this.updateTitle,
 			stopping: this.updateTitle
 		});
 
+		this.onJobStdout(job.header);
+		this.onJobStreamOutput({ stream: 'build', text: job.header });
+
+		this.filter.events.on('changed', this.onFilterChanged);
+
 		/** @private */
 		this.tickIntervalId = setInterval(this.updateTitle, 1000);
 	}
@@ -91,8 +311,10 @@ export class JobOutputLog {
 
 		JobOutputLog.instances.splice(instanceIndex, 1);
 		clearInterval(this.tickIntervalId);
+		clearTimeout(this.renderTimeoutId);
 
 		this.jobEventGroup.destroy();
+		this.filter.events.off('changed', this.onFilterChanged);
 		this.job.stop();
 
 		this.logAceEditor.destroy();
@@ -148,38 +370,524 @@ export class JobOutputLog {
 	}
 
 	/**
-	 * Callback on updates to the output of the attached Job.
+	 * Callback on new output from the attached Job.
+	 * 
+	 * @private
+	 * @param {string} chunk Output written since the last update.
+	 */
+	onJobStdout = (chunk) => {
+		this.pendingOutput.all += chunk;
+		this.renderTimeoutId ??= setTimeout(this.flushOutput, JobOutputLog.renderIntervalMs);
+	}
+
+	/**
+	 * Callback on new lines of one of the attached Job's streams.
 	 * 
 	 * @private
-	 * @param {string} content The content of the Job's STDOUT.
+	 * @param {GM.Job.EventMap['streamOutput']} chunk
 	 */
-	onJobStdout = (content) => {
+	onJobStreamOutput = ({ stream, text }) => {
+		this.pendingOutput[stream] += (stream === 'game' && this.structuredGameLog)
+			? text.replaceAll(/[^\n]+/g, (line) => game_log_format_line(line))
+			: text;
+
+		this.renderTimeoutId ??= setTimeout(this.flushOutput, JobOutputLog.renderIntervalMs);
+	}
+
+	/**
+	 * Add the output received since the last update to the log.
+	 * 
+	 * @private
+	 */
+	flushOutput = () => {
+		clearTimeout(this.renderTimeoutId);
+		this.renderTimeoutId = undefined;
+
+		let output = '';
+		let droppedCount = 0;
+		let fromRow = 0;
+
+		// Every view is kept up to date, so that switching between them is instant.
+		for (const { value: view } of VIEW_CHOICES) {
+			const pendingOutput = this.pendingOutput[view];
+
+			if (pendingOutput === '') {
+				continue;
+			}
+
+			this.pendingOutput[view] = '';
+
+			const scrollback = this.scrollbacks[view];
+			const viewFromRow = scrollback.lastRow;
+			const viewDroppedCount = scrollback.append(pendingOutput);
+			const pinnedRows = this.pinnedRowsByView[view];
+
+			for (const pinnedRow of pinnedRows) {
+				if (pinnedRow < scrollback.firstRow) {
+					pinnedRows.delete(pinnedRow);
+				}
+			}
+
+			if (view === this.view) {
+				output = pendingOutput;
+				droppedCount = viewDroppedCount;
+				fromRow = viewFromRow;
+			}
+		}
+
+		this.updateDroppedLines();
+
+		if (output === '') {
+			return;
+		}
+
+		const lineMatcher = this.getLineMatcher();
+
+		if (isSome(lineMatcher)) {
+			this.appendFiltered(lineMatcher.data, fromRow);
+			return;
+		}
+
+		const followOutput = this.shouldFollowOutput();
+		const session = this.logAceEditor.session;
+
+		session.insert({ row: session.getLength(), column: 0 }, output);
+
+		if (droppedCount > 0) {
+			session.getDocument().removeFullLines(0, droppedCount - 1);
+			this.updatePinMarkers();
+		}
+
+		// The log is read-only, so its undo history would only be a second copy of the output.
+		session.getUndoManager().reset();
+
+		if (followOutput) {
+			this.goToBottom();
+		}
+	}
+
+	/**
+	 * Add the output received since the last update to the filtered log. The line that was in
+	 * progress is filtered again with the new lines, since it may start or stop matching as it is
+	 * finished.
+	 * 
+	 * @private
+	 * @param {TJobOutput.LineMatcher} matches
+	 * @param {number} fromRow Row of the line that was in progress before the output was added.
+	 */
+	appendFiltered(matches, fromRow) {
+		const shownRows = this.shownRows;
+
+		if (shownRows === undefined) {
+			this.render();
+			return;
+		}
+
+		const followOutput = this.shouldFollowOutput();
+		const session = this.logAceEditor.session;
+
+		const { removedFromStart, removedFromEnd, added } = log_filter_update(
+			shownRows,
+			this.scrollback.getLines(),
+			this.scrollback.firstRow,
+			fromRow,
+			matches,
+			this.pinnedRows
+		);
+
+		if (removedFromEnd > 0) {
+			session.getDocument().removeFullLines(shownRows.length - removedFromEnd, shownRows.length - 1);
+		}
+
+		if (removedFromStart > 0) {
+			session.getDocument().removeFullLines(0, removedFromStart - 1);
+		}
+
+		const keptRows = shownRows.slice(removedFromStart, shownRows.length - removedFromEnd);
+
+		if (added.rows.length > 0) {
+			session.insert(
+				{ row: session.getLength(), column: 0 },
+				(keptRows.length > 0) ? `\n${added.text}` : added.text
+			);
+		}
+
+		this.shownRows = [...keptRows, ...added.rows];
+
+		if (removedFromStart > 0 || removedFromEnd > 0) {
+			this.updatePinMarkers();
+		}
+
+		session.getUndoManager().reset();
+
+		if (followOutput) {
+			this.goToBottom();
+		}
+	}
+
+	/**
+	 * Say how many lines the log has dropped, and whether they'll be saved with it.
+	 * 
+	 * @private
+	 */
+	updateDroppedLines() {
+		const droppedCount = this.scrollbacks.all.firstRow;
+
+		if (droppedCount === 0) {
+			return;
+		}
+
+		this.droppedLinesElement.hidden = false;
+		this.droppedLinesElement.textContent = `${droppedCount} earlier line(s) dropped`;
+		this.droppedLinesElement.title = (this.logFile !== undefined)
+			? 'Saved logs still include them, from the log file in the build directory.'
+			: 'Saved logs will be missing them. Turn on \'Write the full log to a file\' in Preferences to keep every line.';
+	}
+
+	/**
+	 * Show the kept lines of the job's output matching the filter, keeping the user's place.
+	 * 
+	 * @private
+	 */
+	render() {
 		const followOutput = this.shouldFollowOutput();
 		const cursor = this.logAceEditor.getCursorPosition();
-		
-		this.logAceEditor.session.setValue(content);
+		const lineMatcher = this.getLineMatcher();
+
+		if (isNone(lineMatcher)) {
+			this.shownRows = undefined;
+			this.logAceEditor.session.setValue(this.scrollback.getText());
+		} else {
+			const filtered = log_filter_apply(
+				this.scrollback.getLines(),
+				lineMatcher.data,
+				this.pinnedRows,
+				this.scrollback.firstRow
+			);
+
+			this.shownRows = filtered.rows;
+			this.logAceEditor.session.setValue(filtered.text);
+		}
+
 		this.logAceEditor.moveCursorToPosition(cursor);
+		this.updatePinMarkers();
+
+		if (followOutput) {
+			this.goToBottom();
+		}
+	}
+
+	/**
+	 * Apply the filter the user has entered.
+	 * 
+	 * @private
+	 */
+	updateLineMatcher = () => {
+		const lineMatcher = log_filter_create(this.filterField.value, this.filterRegexCheckbox.value);
+		this.filterField.hasError(!lineMatcher.ok);
+
+		if (!lineMatcher.ok) {
+			return;
+		}
+
+		this.lineMatcher = lineMatcher.data;
+		this.render();
+	}
+
+	/**
+	 * Apply the level and category the user has chosen for the game's structured log.
+	 * 
+	 * @private
+	 */
+	updateGameLineMatcher = () => {
+		const level = this.gameLogLevelDropdown.getSelectedOption();
+
+		this.gameLineMatcher = game_log_filter_create(
+			isSome(level) ? level.data : GAME_LOG_LEVEL_CHOICES[0].value,
+			this.gameLogCategoryField.value.trim()
+		);
+
+		if (this.view === 'game') {
+			this.render();
+		}
+	}
+
+	/**
+	 * Show another view of the job's output.
+	 * 
+	 * @private
+	 * @param {TJobOutput.View} view
+	 */
+	setView = (view) => {
+		this.flushOutput();
+		this.view = view;
+
+		const showGameFilter = (view === 'game' && this.structuredGameLog);
+		this.gameLogLevelDropdown.visible(showGameFilter);
+		this.gameLogCategoryField.visible(showGameFilter);
+
+		this.render();
+	}
+
+	/**
+	 * Get the matcher for the lines to show in the current view, or `None` to show every line.
+	 * 
+	 * @private
+	 * @returns {Option<TJobOutput.LineMatcher>}
+	 */
+	getLineMatcher() {
+		const gameLineMatcher = (this.view === 'game') ? this.gameLineMatcher : None;
+
+		if (isNone(gameLineMatcher)) {
+			return this.lineMatcher;
+		}
+
+		if (isNone(this.lineMatcher)) {
+			return gameLineMatcher;
+		}
+
+		const textMatches = this.lineMatcher.data;
+		const gameMatches = gameLineMatcher.data;
+
+		return Some((line) => textMatches(line) && gameMatches(line));
+	}
+
+	/**
+	 * The lines of the output kept for the current view.
+	 * 
+	 * @private
+	 */
+	get scrollback() {
+		return this.scrollbacks[this.view];
+	}
+
+	/**
+	 * Rows of the current view's output the user has pinned.
+	 * 
+	 * @private
+	 */
+	get pinnedRows() {
+		return this.pinnedRowsByView[this.view];
+	}
+
+	/**
+	 * Pin the line the cursor is on, or unpin it if it already is.
+	 * 
+	 * @private
+	 */
+	togglePin = () => {
+		const row = this.outputRowOf(this.logAceEditor.getCursorPosition().row);
+
+		if (!this.pinnedRows.delete(row)) {
+			this.pinnedRows.add(row);
+		}
+
+		// An unpinned line might no longer match the filter.
+		if (isSome(this.getLineMatcher())) {
+			this.render();
+		} else {
+			this.updatePinMarkers();
+		}
+	}
+
+	/**
+	 * Move the cursor to the next pinned line, wrapping around to the first.
+	 * 
+	 * @private
+	 */
+	goToNextPin = () => {
+		const row = this.outputRowOf(this.logAceEditor.getCursorPosition().row);
+		const pinnedRows = [...this.pinnedRows].sort((a, b) => a - b);
+		const nextPinnedRow = pinnedRows.find(it => it > row) ?? pinnedRows[0];
+
+		if (nextPinnedRow === undefined) {
+			return;
+		}
+
+		const shownRow = this.shownRowOf(nextPinnedRow);
+
+		if (shownRow !== undefined) {
+			this.logAceEditor.gotoLine(shownRow + 1, 0, false);
+			this.logAceEditor.centerSelection();
+		}
+	}
+
+	/**
+	 * Mark the pinned lines again, as re-rendering the output moves lines about.
+	 * 
+	 * @private
+	 */
+	updatePinMarkers() {
+		const session = this.logAceEditor.session;
+		const Range = ace.require('ace/range').Range;
+
+		for (const markerId of this.pinMarkerIds) {
+			session.removeMarker(markerId);
+		}
+
+		this.pinMarkerIds = [];
+
+		for (const pinnedRow of this.pinnedRows) {
+			const row = this.shownRowOf(pinnedRow);
+
+			if (row !== undefined) {
+				this.pinMarkerIds.push(session.addMarker(new Range(row, 0, row, 1), 'gm-constructor-log-pin', 'fullLine', false));
+			}
+		}
+	}
+
+	/**
+	 * Get the row in the whole output of a row shown in the editor.
+	 * 
+	 * @private
+	 * @param {number} shownRow
+	 * @returns {number}
+	 */
+	outputRowOf(shownRow) {
+		return this.shownRows?.[shownRow] ?? (this.scrollback.firstRow + shownRow);
+	}
+
+	/**
+	 * Get the row shown in the editor for a row of the whole output, if it is shown.
+	 * 
+	 * @private
+	 * @param {number} outputRow
+	 * @returns {number|undefined}
+	 */
+	shownRowOf(outputRow) {
+		if (this.shownRows === undefined) {
+			const shownRow = outputRow - this.scrollback.firstRow;
+			return (shownRow < 0) ? undefined : shownRow;
+		}
+
+		const shownRow = this.shownRows.indexOf(outputRow);
+		return (shownRow < 0) ? undefined : shownRow;
+	}
+
+	/**
+	 * Callback on an error being found in the output of the attached Job.
+	 * 
+	 * @private
+	 * @param {GM.Job.EventMap['error']} error
+	 */
+	onJobError = (error) => {
+		this.errors.push(error);
+
+		if (!this.filter.isShown(error.data)) {
+			return;
+		}
+
+		const followOutput = this.shouldFollowOutput();
+
+		this.display.addError(error);
+		this.logAceEditor.resize();
 
 		if (followOutput) {
 			this.goToBottom();
 		}
 	}
 
+	/**
+	 * Show the errors again once which ones are shown has changed.
+	 * 
+	 * @private
+	 */
+	onFilterChanged = () => {
+		this.showWarningsCheckbox.value = this.filter.showWarnings;
+		this.display.clearErrors();
+
+		for (const error of this.errors) {
+			if (this.filter.isShown(error.data)) {
+				this.display.addError(error);
+			}
+		}
+	}
+
 	/**
 	 * Callback on the completion of the attached Job.
 	 * 
 	 * @private
-	 * @param {GM.Job.EventMap['stop']} event
 	 */
-	onJobStop = ({ errors }) => {
+	onJobStop = () => {
 		clearInterval(this.tickIntervalId);
+		this.flushOutput();
 		this.updateTitle();
+	}
 
-		if (errors.length > 0) {
-			errors.forEach(it => this.display.addError(it));
+	/**
+	 * Save the log to a file of the user's choosing. The whole of the output is saved whichever
+	 * view is shown, so that the saved log can be replayed.
+	 * 
+	 * @private
+	 */
+	saveLog = async () => {
+		this.saveToFile('Save Log', await this.getWholeLog());
+	}
 
-			this.logAceEditor.resize();
-			this.goToBottom();
+	/**
+	 * Save the log to a file of the user's choosing, with a list of the errors found in it at the
+	 * end, for attaching to a bug report.
+	 * 
+	 * @private
+	 */
+	exportLogWithErrors = async () => {
+		this.saveToFile('Export Log With Errors', job_log_with_errors(await this.getWholeLog(), this.errors));
+	}
+
+	/**
+	 * Get the whole of the job's output for saving. Once the log has dropped its oldest lines,
+	 * they're read back from the job's log file if it has one, or marked as missing otherwise.
+	 * 
+	 * @private
+	 * @returns {Promise<string>}
+	 */
+	async getWholeLog() {
+		this.flushOutput();
+
+		const scrollback = this.scrollbacks.all;
+
+		if (scrollback.firstRow === 0) {
+			return scrollback.getText();
+		}
+
+		if (this.logFile !== undefined) {
+			const result = await this.logFile.read();
+
+			if (result.ok) {
+				return result.data;
+			}
+
+			this.problemLogger.warn('Failed to read the whole log back, so only the lines kept are saved', result.err);
+		}
+
+		return job_log_with_dropped_lines(scrollback.getText(), scrollback.firstRow);
+	}
+
+	/**
+	 * Ask the user where to save some text, and save it there.
+	 * 
+	 * @private
+	 * @param {string} title
+	 * @param {string} content
+	 */
+	async saveToFile(title, content) {
+		const filePath = Electron_Dialog.showSaveDialogSync({
+			title,
+			defaultPath: this.diskIO.joinPath(
+				this.job.buildPath,
+				`${this.name.replaceAll(/[^\w-]+/g, '-')}.${JOB_LOG_SAVED_EXTENSION}`
+			),
+			filters: [{ name: 'Logs', extensions: [JOB_LOG_SAVED_EXTENSION, 'txt'] }]
+		});
+
+		if (filePath === undefined) {
+			return;
+		}
+
+		const result = await this.diskIO.writeFile(filePath, content);
+
+		if (!result.ok) {
+			this.problemLogger.error('Failed to save the log', result.err);
 		}
 	}
 
@@ -191,13 +899,13 @@ export class JobOutputLog {
 	}
 
 	/**
-	 * Job "tick" function called every second to update the status bar. Later we'll chuck in a
-	 * timer for how long the job has been running.
+	 * Job "tick" function called every second to update the status bar, showing the phase the job
+	 * is in and how long it's been running.
 	 * 
 	 * @private
 	 */
 	updateTitle = () => {
-		let title = `${this.job.platform} ${this.job.task}`;
+		let title = this.name;
 
 		if (JobOutputLog.instances.length > 1) {
 			title += ` #${this.job.id}`;
@@ -208,25 +916,44 @@ export class JobOutputLog {
 		/** @type {string|undefined} */
 		let status = undefined;
 
+		/** @type {Date|undefined} */
+		let endTime = undefined;
+
 		switch (state.status) {
-			case 'running': break;
-			case 'stopping': status =  'Stopping'; break;
-			case 'stopped': status = state.stopType; break;
+			case 'running': {
+				const phase = this.job.getPhase();
+
+				if (phase !== undefined) {
+					status = JOB_PHASE_NAMES[phase];
+				}
+			} break;
+
+			case 'stopping': status = 'Stopping'; break;
+
+			case 'stopped':
+				status = state.stopType;
+				endTime = this.job.getPhaseTimings().at(-1)?.endTime;
+			break;
 		}
 
-		// TODO: Format time nicely here :)
-		const duration = ((Date.now() - this.job.startTime.getTime()) / 1000).toString();
+		const duration = formatDuration((endTime ?? new Date()).getTime() - this.job.startTime.getTime());
 
 		if (this.display.supportsTitle()) {
 			this.display.setTitle(title, status);
-			this.jobNameHeading.textContent = `${duration} seconds`;
+			this.jobNameHeading.textContent = duration;
 		} else {
 			if (status !== undefined) {
 				title += `: ${status}`;
 			}
 
-			this.jobNameHeading.textContent = `${title} (${duration} seconds)`;
+			this.jobNameHeading.textContent = `${title} (${duration})`;
 		}
+
+		this.phaseTimingsElement.textContent = this.job.getPhaseTimings()
+			.map(({ phase, startTime, endTime }) =>
+				`${JOB_PHASE_NAMES[phase]} ${formatDuration((endTime ?? new Date()).getTime() - startTime.getTime())}`
+			)
+			.join(' · ');
 	}
 
 	get isRunning() {
@@ -235,21 +962,32 @@ export class JobOutputLog {
 
 	/**
 	 * 
-	 * @param {GM.Job} job 
+	 * @param {GM.Job.OutputSource} job 
 	 * @param {UI.OutputLogDisplay} display 
+	 * @param {TJobOutput.LogOptions} options
 	 */
-	static create(job, display) {
-		const outputLog = new JobOutputLog(job, display);
+	static create(job, display, options) {
+		const outputLog = new JobOutputLog(job, display, options);
 		JobOutputLog.instances.push(outputLog);
 
 		display.connect(outputLog);
 	}
 
 	/**
-	 * Find a finished instance to steal its display.
+	 * Find a finished instance to steal its display. Replays of saved logs are left alone, since
+	 * they were opened to be looked at, and so are running jobs.
 	 * @returns {JobOutputLog|undefined}
 	 */
 	static findIdle() {
-		return this.instances.find(it => !it.isRunning) ?? this.instances[0];
+		return this.instances.find(it => !(it.job instanceof ReplayJob) && !it.isRunning);
+	}
+
+	/**
+	 * Find the instance showing the given job, if it is still open and the job has finished.
+	 * @param {GM.Job} job
+	 * @returns {JobOutputLog|undefined}
+	 */
+	static findIdleFor(job) {
+		return this.instances.find(it => it.job === job && !it.isRunning);
 	}
 }
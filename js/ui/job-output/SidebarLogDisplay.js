@@ -105,4 +105,13 @@ export class SidebarLogDisplay {
 		this.errorsTabElement.appendChild(error.asHTML());
 		GMEdit.sidebar.set(ERRORS_TAB_NAME);
 	}
+
+	/**
+	 * @type {UI.OutputLogDisplay['clearErrors']}
+	 */
+	clearErrors() {
+		if (this.errorsTabElement !== undefined) {
+			this.errorsTabElement.textContent = '';
+		}
+	}
 }
@@ -0,0 +1,70 @@
+import { GAME_LOG_LEVELS, game_log_parse_line } from '../../compiler/job/output-parsing/game-log.js';
+import { isNone, None, Some } from '../../utils/Option.js';
+
+/**
+ * Pattern matching the start of a structured log entry as it is shown in the log.
+ */
+const FORMATTED_ENTRY_PATTERN = /^\[(DEBUG|INFO|WARN|ERROR)\](?: \[([^\]]*)\])?/;
+
+/**
+ * Show a line of the game's output in the log, writing structured log entries out in a readable
+ * form, such as `[WARN] [ai] No path to target`. Other lines are shown as they are.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+export function game_log_format_line(line) {
+
+	const entry = game_log_parse_line(line);
+
+	if (isNone(entry)) {
+		return line;
+	}
+
+	const { level, category, message } = entry.data;
+
+	// Entries are shown as a single line, so that each row of the log is still one line of output.
+	const formattedMessage = message.replaceAll('\n', ' ');
+
+	if (category === undefined) {
+		return `[${level.toUpperCase()}] ${formattedMessage}`;
+	}
+
+	return `[${level.toUpperCase()}] [${category.replaceAll(']', '')}] ${formattedMessage}`;
+
+}
+
+/**
+ * Create a matcher for lines of the game's output, as shown by `game_log_format_line`, by the level
+ * and category of their structured log entry. Lines which aren't structured count as `info`, with
+ * no category.
+ *
+ * @param {GM.Job.GameLogLevel} minLevel The least important level to show.
+ * @param {string} category Category to show, ignoring case, or empty to show every category.
+ * @returns {Option<TJobOutput.LineMatcher>} The matcher, or `None` if every line should be shown.
+ */
+export function game_log_filter_create(minLevel, category) {
+
+	if (minLevel === GAME_LOG_LEVELS[0] && category === '') {
+		return None;
+	}
+
+	const minLevelIndex = GAME_LOG_LEVELS.indexOf(minLevel);
+	const wantedCategory = category.toLowerCase();
+
+	return Some((line) => {
+
+		const match = FORMATTED_ENTRY_PATTERN.exec(line);
+
+		const level = /** @type {GM.Job.GameLogLevel} */ (match?.[1]?.toLowerCase() ?? 'info');
+		const lineCategory = match?.[2]?.toLowerCase();
+
+		if (GAME_LOG_LEVELS.indexOf(level) < minLevelIndex) {
+			return false;
+		}
+
+		return (wantedCategory === '' || lineCategory === wantedCategory);
+
+	});
+
+}
@@ -0,0 +1,76 @@
+import { JOB_PHASE_START_PATTERNS } from '../../compiler/job/output-parsing/JobPhaseTracker.js';
+
+/**
+ * The Ace mode, created once Ace is first needed.
+ *
+ * @type {AceAjax.TextMode|undefined}
+ */
+let igorLogMode = undefined;
+
+/**
+ * Get the Ace mode which colours the output of Igor and the runner, marking errors, warnings and
+ * the game's own output, such as from `show_debug_message`.
+ *
+ * @returns {AceAjax.TextMode}
+ */
+export function igor_log_mode() {
+
+	if (igorLogMode !== undefined) {
+		return igorLogMode;
+	}
+
+	/** @type {{ Mode: new () => AceAjax.TextMode }} */
+	const { Mode: TextMode } = ace.require('ace/mode/text');
+	const { TextHighlightRules } = ace.require('ace/mode/text_highlight_rules');
+
+	class IgorLogHighlightRules extends TextHighlightRules {
+		constructor() {
+			super();
+			this.$rules = igor_log_rules();
+		}
+	}
+
+	class IgorLogMode extends TextMode {
+		HighlightRules = IgorLogHighlightRules;
+		$id = 'ace/mode/constructor_igor_log';
+	}
+
+	igorLogMode = new IgorLogMode();
+	return igorLogMode;
+
+}
+
+/**
+ * Ace highlighting rules for the log. Each line is a single token, whose type is given a CSS class
+ * of `ace_<token>`. Lines after the game starts running that aren't errors or warnings are the
+ * game's own output. Entries of the game's structured log are coloured by their level.
+ *
+ * Ace takes ownership of the rules it is given, so a new set is made each time.
+ *
+ * @returns {Record<'start'|'game', TJobOutput.HighlightRule[]>}
+ */
+export function igor_log_rules() {
+
+	/** @type {TJobOutput.HighlightRule[]} */
+	const severityRules = [
+		{ token: 'igor_error', regex: /^(?:Error|ERROR|FATAL ERROR|Fatal Error)\b.*$/ },
+		{ token: 'igor_error', regex: /^(?:#{8,}|ERROR in\b).*$/ },
+		{ token: 'igor_warning', regex: /^(?:Warning|WARNING)\b.*$/ },
+		{ token: 'igor_error', regex: /^\[ERROR\].*$/ },
+		{ token: 'igor_warning', regex: /^\[WARN\].*$/ }
+	];
+
+	return {
+		start: [
+			...severityRules,
+			{ token: 'igor_step', regex: new RegExp(`${JOB_PHASE_START_PATTERNS.running.source}.*$`), next: 'game' },
+			{ token: 'igor_step', regex: /^\[(?:Compile|Package|Run|Build)\].*$/ },
+			{ token: 'igor_meta', regex: /^(?:Igor complete\.|elapsed time\b|Options: |Loaded Project: ).*$/ }
+		],
+		game: [
+			...severityRules,
+			{ token: 'igor_debug', regex: /^.+$/ }
+		]
+	};
+
+}
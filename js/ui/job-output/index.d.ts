@@ -1,3 +1,4 @@
+import { DiagnosticFilter } from '../../compiler/problems/DiagnosticFilter';
 
 export declare global {
 	namespace UI {
@@ -43,7 +44,13 @@ export declare global {
 			 * Add an error to the error display.
 			 * @param error An error that occurred during the job's execution.
 			 */
-			addError(error: JobError);
+			addError(error: GM.Job.Error);
+
+			/**
+			 * Remove every error from the error display, such as before adding them again after
+			 * changing which are shown.
+			 */
+			clearErrors();
 		};
 
 		namespace OutputLogDisplay {
@@ -57,4 +64,85 @@ export declare global {
 			};
 		};
 	};
+
+	namespace TJobOutput {
+		/**
+		 * Which of a job's output an output log is showing - all of it, or just one stream.
+		 */
+		type View = 'all' | GM.Job.Stream;
+
+		/**
+		 * How an output log shows a job's output.
+		 */
+		type LogOptions = {
+			/** Name to show for the job, such as `Windows Run`. */
+			name: string;
+
+			/** Decides which of the job's errors are shown. */
+			filter: DiagnosticFilter;
+
+			/** Most lines of the job's output to keep, or `0` for no limit. */
+			scrollbackLines: number;
+
+			/** Whether to read the game's output as structured log entries where possible. */
+			structuredGameLog: boolean;
+
+			/**
+			 * The job's log file, if its whole output is being written to one. Logs which have
+			 * dropped their oldest lines are saved from this instead.
+			 */
+			logFile?: TJobReport.LogFile;
+
+			diskIO: DiskIO;
+			problemLogger: ProblemLogger;
+		};
+
+		/**
+		 * Decides whether a line of a job's output matches the log filter.
+		 */
+		type LineMatcher = (line: string) => boolean;
+
+		/**
+		 * The lines of a job's output which match a filter.
+		 */
+		type FilteredLog = {
+			/** The matching lines, joined back together. */
+			text: string;
+
+			/** The row in the whole output of each row in {@link text}. */
+			rows: number[];
+		};
+
+		/**
+		 * How the lines shown for a filter change once more output is added.
+		 */
+		type FilteredLogUpdate = {
+			/** How many of the first lines shown have been dropped from the output. */
+			removedFromStart: number;
+
+			/** How many of the last lines shown are being filtered again, as they may have changed. */
+			removedFromEnd: number;
+
+			/** The lines to show after the rest. */
+			added: FilteredLog;
+		};
+
+		/**
+		 * An Ace highlighting rule for a line of the log.
+		 */
+		type HighlightRule = {
+			token: string;
+			regex: RegExp;
+
+			/** State of the highlighter for the following lines. */
+			next?: string;
+		};
+	};
+
+	namespace AceAjax {
+		interface IEditSession {
+			/** Ace also takes a mode instance, such as one created by a plugin. */
+			setMode(mode: TextMode): void;
+		}
+	};
 }
@@ -0,0 +1,92 @@
+import { BaseError } from '../../utils/Err.js';
+import { None, Some } from '../../utils/Option.js';
+import { Err, Ok } from '../../utils/Result.js';
+
+/**
+ * Create a matcher for lines of a job's output from what the user typed into the filter bar. Plain
+ * text matches lines containing it, ignoring case, while a regex is matched as written.
+ *
+ * @param {string} query
+ * @param {boolean} isRegex Whether the query is a regular expression.
+ * @returns {Result<Option<TJobOutput.LineMatcher>>} The matcher, or `None` if the query is empty and
+ * every line should be shown.
+ */
+export function log_filter_create(query, isRegex) {
+
+	if (query === '') {
+		return Ok(None);
+	}
+
+	if (!isRegex) {
+		const text = query.toLowerCase();
+		return Ok(Some((line) => line.toLowerCase().includes(text)));
+	}
+
+	/** @type {RegExp} */
+	let regex;
+
+	try {
+		regex = new RegExp(query);
+	} catch (err) {
+		return Err(new BaseError(`Invalid filter pattern '${query}'`, err));
+	}
+
+	return Ok(Some((line) => regex.test(line)));
+
+}
+
+/**
+ * Pick out the lines of a job's output to show for a filter.
+ *
+ * @param {ReadonlyArray<string>} lines Lines of the job's output.
+ * @param {TJobOutput.LineMatcher} matches
+ * @param {ReadonlySet<number>} pinnedRows Rows of the output which are shown regardless.
+ * @param {number} [firstRow] Row of the output that the first of the lines is at.
+ * @returns {TJobOutput.FilteredLog}
+ */
+export function log_filter_apply(lines, matches, pinnedRows, firstRow = 0) {
+
+	/** @type {string[]} */
+	const shownLines = [];
+
+	/** @type {number[]} */
+	const rows = [];
+
+	for (const [index, line] of lines.entries()) {
+
+		const row = firstRow + index;
+
+		if (pinnedRows.has(row) || matches(line)) {
+			shownLines.push(line);
+			rows.push(row);
+		}
+
+	}
+
+	return { text: shownLines.join('\n'), rows };
+
+}
+
+/**
+ * Pick out the lines to show for a filter once more output is added, filtering only the new lines
+ * and the line which was still being written to.
+ *
+ * @param {ReadonlyArray<number>} shownRows Rows of the output shown before the output was added.
+ * @param {ReadonlyArray<string>} lines Lines of the job's output.
+ * @param {number} firstRow Row of the output that the first of the lines is at.
+ * @param {number} fromRow Row of the line that was still being written to before the output was added.
+ * @param {TJobOutput.LineMatcher} matches
+ * @param {ReadonlySet<number>} pinnedRows Rows of the output which are shown regardless.
+ * @returns {TJobOutput.FilteredLogUpdate}
+ */
+export function log_filter_update(shownRows, lines, firstRow, fromRow, matches, pinnedRows) {
+
+	const startRow = Math.max(fromRow, firstRow);
+
+	return {
+		removedFromStart: shownRows.filter(row => row < firstRow).length,
+		removedFromEnd: shownRows.filter(row => row >= startRow).length,
+		added: log_filter_apply(lines.slice(startRow - firstRow), matches, pinnedRows, startRow)
+	};
+
+}
@@ -2,8 +2,6 @@
  * Wrapper components for additional behaviour not provided by {@link GMEditUIPreferences}.
  */
 
-const UIPreferences = $gmedit['ui.Preferences'];
-
 /**
  * Create a group of elements.
  * 
@@ -14,6 +12,8 @@ const UIPreferences = $gmedit['ui.Preferences'];
  */
 export function group(parent, label, buttons = undefined) {
 
+	const UIPreferences = $gmedit['ui.Preferences'];
+
 	/** @type {UI.Group} */
 	// @ts-expect-error Not yet valid, but soon.
 	const group = UIPreferences.addGroup(parent, label);
@@ -0,0 +1,54 @@
+/**
+ * Splits a stream of text chunks into complete lines, holding back any trailing partial line until
+ * the rest of it arrives.
+ */
+export class LineBuffer {
+
+	/**
+	 * Trailing text which doesn't yet end in a newline.
+	 * 
+	 * @private
+	 */
+	partialLine = '';
+
+	/**
+	 * @param {(line: string) => void} onLine Callback for each complete line, without its newline.
+	 */
+	constructor(onLine) {
+		/** @private */
+		this.onLine = onLine;
+	}
+
+	/**
+	 * Consume the next chunk of text.
+	 * 
+	 * @param {string} chunk 
+	 */
+	feed(chunk) {
+
+		const lines = (this.partialLine + chunk).split('\n');
+		this.partialLine = /** @type {string} */ (lines.pop());
+
+		for (const line of lines) {
+			this.onLine(line);
+		}
+
+	}
+
+	/**
+	 * Treat any remaining partial line as complete. Call this once the stream has ended.
+	 */
+	flush() {
+
+		if (this.partialLine.length === 0) {
+			return;
+		}
+
+		const line = this.partialLine;
+		this.partialLine = '';
+
+		this.onLine(line);
+
+	}
+
+}
@@ -86,3 +86,68 @@ export function docString(string) {
 	return output.join('\n');
 
 }
+
+/**
+ * Format a duration for display, e.g. `4.2s`, or `3m 07s` for longer durations.
+ * 
+ * @param {number} durationMs The duration, in milliseconds.
+ * @returns {string}
+ */
+export function formatDuration(durationMs) {
+
+	const totalSeconds = Math.max(0, durationMs) / 1000;
+
+	if (totalSeconds < 60) {
+		return `${totalSeconds.toFixed(1)}s`;
+	}
+
+	const minutes = Math.floor(totalSeconds / 60);
+	const seconds = Math.floor(totalSeconds % 60);
+
+	return `${minutes}m ${seconds.toString().padStart(2, '0')}s`;
+
+}
+
+/**
+ * Format a size on disk for display, e.g. `512 B`, or `1.5 MB` for larger sizes.
+ * 
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+
+	const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+	let size = Math.max(0, bytes);
+	let unitIndex = 0;
+
+	while (size >= 1024 && unitIndex < units.length - 1) {
+		size /= 1024;
+		unitIndex ++;
+	}
+
+	return (unitIndex === 0)
+		? `${size} ${units[unitIndex]}`
+		: `${size.toFixed(1)} ${units[unitIndex]}`;
+
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, as 8 hex digits. Short enough to read at a glance, for telling
+ * apart a small number of strings rather than anything secure.
+ * 
+ * @param {string} text
+ * @returns {string}
+ */
+export function fnv1aHash(text) {
+
+	let hash = 0x811c9dc5;
+
+	for (let i = 0; i < text.length; i ++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+
+	return (hash >>> 0).toString(16).padStart(8, '0');
+
+}
@@ -108,7 +108,7 @@ export class NodeJSDiskIO {
 	writeFile(path, data) {
 		return new Promise(resolve => {
 			this.nodeFs.writeFile(path, data, (err) => {
-				if (err !== undefined) {
+				if (err !== null) {
 					return resolve(Err(new BaseError(
 						`Failed to write the file '${path}'`,
 						err
@@ -120,6 +120,24 @@ export class NodeJSDiskIO {
 		});
 	}
 
+	/**
+	 * @type {DiskIO['appendFile']}
+	 */
+	appendFile(path, data) {
+		return new Promise(resolve => {
+			this.nodeFs.appendFile(path, data, (err) => {
+				if (err !== null) {
+					return resolve(Err(new BaseError(
+						`Failed to append to the file '${path}'`,
+						err
+					)));
+				}
+
+				resolve(Ok(undefined));
+			})
+		});
+	}
+
 	/**
 	 * @type {DiskIO['writeFileSync']}
 	 */
@@ -131,6 +149,85 @@ export class NodeJSDiskIO {
 		}
 	}
 
+	/**
+	 * @type {DiskIO['copy']}
+	 */
+	async copy(source, destination) {
+		try {
+			await this.copyRecursive(source, destination);
+			return Ok(undefined);
+		} catch (err) {
+			return Err(new BaseError(`Failed to copy '${source}' to '${destination}'`, err));
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} source
+	 * @param {string} destination
+	 * @returns {Promise<void>}
+	 */
+	async copyRecursive(source, destination) {
+
+		const fsPromises = this.nodeFs.promises;
+		const stats = await fsPromises.stat(source);
+
+		if (!stats.isDirectory()) {
+			await fsPromises.mkdir(this.nodeJoinPath(destination, '..'), { recursive: true });
+			await fsPromises.copyFile(source, destination);
+			return;
+		}
+
+		await fsPromises.mkdir(destination, { recursive: true });
+
+		for (const entry of await fsPromises.readdir(source)) {
+			await this.copyRecursive(this.nodeJoinPath(source, entry), this.nodeJoinPath(destination, entry));
+		}
+
+	}
+
+	/**
+	 * @type {DiskIO['stat']}
+	 */
+	stat(path) {
+		return new Promise(resolve => {
+			this.nodeFs.lstat(path, (err, stats) => {
+
+				if (err !== null) {
+					return resolve(Err(new BaseError(
+						`Failed to get information about the file '${path}'`,
+						err
+					)));
+				}
+
+				resolve(Ok({
+					isDirectory: stats.isDirectory(),
+					size: stats.size,
+					modifiedTime: stats.mtime
+				}));
+
+			});
+		});
+	}
+
+	/**
+	 * @type {DiskIO['remove']}
+	 */
+	remove(path) {
+		return new Promise(resolve => {
+			this.nodeFs.rm(path, { recursive: true }, (err) => {
+				if (err !== null) {
+					return resolve(Err(new BaseError(
+						`Failed to delete '${path}'`,
+						err
+					)));
+				}
+
+				resolve(Ok(undefined));
+			});
+		});
+	}
+
 	/**
 	 * @type {DiskIO['joinPath']}
 	 */
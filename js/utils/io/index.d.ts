@@ -13,7 +13,43 @@ export declare global {
 		createDir(path: string, recursive: boolean): Promise<Result<void>>;
 		writeFile(path: string, data: string): Promise<Result<void>>;
 		writeFileSync(path: string, data: string): Result<void>;
+
+		/**
+		 * Add to the end of a file, creating it if it doesn't exist.
+		 */
+		appendFile(path: string, data: string): Promise<Result<void>>;
+
+		/**
+		 * Copy a file, or a directory and everything inside it, to the given destination. Parent
+		 * directories of the destination are created as needed.
+		 */
+		copy(source: string, destination: string): Promise<Result<void>>;
+
+		/**
+		 * Get information about the file or directory at the given path. Symbolic links aren't
+		 * followed, so a link is described rather than what it points to.
+		 */
+		stat(path: string): Promise<Result<DiskIO.Stats>>;
+
+		/**
+		 * Delete a file, or a directory and everything inside it.
+		 */
+		remove(path: string): Promise<Result<void>>;
+
 		joinPath(...paths: string[]): string;
 	};
 
+	namespace DiskIO {
+
+		type Stats = {
+			isDirectory: boolean;
+
+			/** Size of the file in bytes. Directories report their own size, not their contents'. */
+			size: number;
+
+			modifiedTime: Date;
+		};
+
+	};
+
 }
@@ -0,0 +1,23 @@
+import { BaseError } from '../Err.js';
+import { Err, Ok } from '../Result.js';
+import { child_process } from './node-import.js';
+
+/**
+ * Get the short hash of the commit checked out in the repository containing the given directory.
+ *
+ * @param {string} dir A directory inside the repository.
+ * @returns {Promise<Result<string>>}
+ */
+export function git_commit_short_hash(dir) {
+	return new Promise(resolve => {
+		child_process.execFile('git', ['rev-parse', '--short', 'HEAD'], { cwd: dir }, (err, stdout) => {
+
+			if (err !== null) {
+				return resolve(Err(new BaseError(`Failed to get the current git commit of '${dir}'`, err)));
+			}
+
+			resolve(Ok(stdout.trim()));
+
+		});
+	});
+}
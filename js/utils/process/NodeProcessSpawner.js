@@ -0,0 +1,30 @@
+import { killRecursive } from '../node/process-handling.js';
+
+/**
+ * Implementation of the process spawner, using NodeJS methods which GMEdit provides.
+ * 
+ * @implements {ProcessSpawner}
+ */
+export class NodeProcessSpawner {
+	/**
+	 * @param {typeof import('node:child_process')} nodeChildProcess
+	 */
+	constructor(nodeChildProcess) {
+		/** @private */
+		this.nodeChildProcess = nodeChildProcess;
+	}
+
+	/**
+	 * @type {ProcessSpawner['spawn']}
+	 */
+	spawn(command, args, options) {
+		return this.nodeChildProcess.spawn(command, args, options);
+	}
+
+	/**
+	 * @type {ProcessSpawner['killTree']}
+	 */
+	killTree(pid, force) {
+		return killRecursive(pid, force);
+	}
+}
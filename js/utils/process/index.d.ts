@@ -0,0 +1,56 @@
+export declare global {
+
+	/**
+	 * Starts and stops processes, such as Igor and the tools used to stop its builds.
+	 */
+	interface ProcessSpawner {
+
+		/**
+		 * Start a process. The process fires `spawn` once it has started, or `error` if it could
+		 * not be.
+		 */
+		spawn(command: string, args: string[], options: ProcessSpawner.SpawnOptions): ProcessSpawner.Process;
+
+		/**
+		 * Kill the given process, including all descendant processes. On *NIX, the process must
+		 * have been started `detached` for this to work.
+		 * 
+		 * @param pid The PID of the root process in the tree to end.
+		 * @param force Whether to forcefully kill the processes.
+		 */
+		killTree(pid: number, force: boolean): Result<void>;
+
+	};
+
+	namespace ProcessSpawner {
+
+		type SpawnOptions = {
+			cwd?: string;
+			env?: NodeJS.ProcessEnv;
+			detached?: boolean;
+			shell?: boolean;
+		};
+
+		/**
+		 * The parts of a Node child process that Constructor makes use of.
+		 */
+		interface Process {
+			readonly pid?: number;
+			readonly spawnargs: string[];
+			readonly exitCode: number | null;
+			readonly stdout: OutputStream | null;
+			readonly stderr: OutputStream | null;
+
+			once(event: 'spawn', listener: () => void): this;
+			once(event: 'error', listener: (err: Error) => void): this;
+			once(event: 'exit', listener: (code: number | null) => void): this;
+			removeAllListeners(): this;
+		};
+
+		interface OutputStream {
+			on(event: 'data', listener: (chunk: Buffer | string) => void): this;
+		};
+
+	};
+
+}
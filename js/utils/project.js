@@ -3,8 +3,6 @@ import { BaseError } from './Err.js';
 import { Err, Ok } from './Result.js';
 import { docString } from './StringUtils.js';
 
-const GmlFile = $gmedit['gml.file.GmlFile'];
-
 /**
  * Get the currently open project.
  * @returns {GMEdit.Project|undefined}
@@ -39,7 +37,7 @@ export function open_files_save() {
  * @returns {GMEdit.ChromeTab|undefined}
  */
 export function tab_current_get() {
-	return GmlFile.current?.tabEl ?? undefined;
+	return $gmedit['gml.file.GmlFile'].current?.tabEl ?? undefined;
 }
 
 /**
@@ -65,6 +63,25 @@ export function project_config_tree_flatten(config) {
 	];
 }
 
+/**
+ * Get the names of the assets a project has of the given kind, such as `objects` or `scripts`,
+ * going by the folder each asset's YY file is in.
+ * 
+ * @param {GMEdit.Project} project 
+ * @param {string} folder 
+ * @returns {Set<string>}
+ */
+export function project_asset_names_get(project, folder) {
+
+	const resources = project_read_yy(project).resources ?? [];
+
+	return new Set(resources
+		.filter(resource => resource.id.path.startsWith(`${folder}/`))
+		.map(resource => resource.id.name)
+	);
+
+}
+
 /**
  * Returns what kind of project YY format we're running.
  * 
@@ -0,0 +1,76 @@
+import { BaseError } from './Err.js';
+import { Err, Ok } from './Result.js';
+
+/**
+ * Parse the contents of a GameMaker YY file.
+ *
+ * YY files are *almost* JSON, except that GameMaker writes trailing commas in objects and arrays,
+ * which `JSON.parse` refuses. GMEdit has its own parser for these, but we need to be able to read
+ * them without GMEdit, such as from the command line.
+ *
+ * @param {string} text
+ * @returns {Result<unknown>}
+ */
+export function yy_parse(text) {
+	try {
+		/** @type {unknown} */
+		const data = JSON.parse(yy_strip_trailing_commas(text));
+		return Ok(data);
+	} catch (err) {
+		return Err(new BaseError('Failed to parse YY file contents', err));
+	}
+}
+
+/**
+ * Remove commas which directly precede the end of an object or array, leaving strings untouched.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function yy_strip_trailing_commas(text) {
+
+	let result = '';
+	let inString = false;
+
+	for (let i = 0; i < text.length; i ++) {
+
+		const char = text[i];
+
+		if (inString) {
+
+			result += char;
+
+			if (char === '\\') {
+				result += text[i + 1] ?? '';
+				i ++;
+			} else if (char === '"') {
+				inString = false;
+			}
+
+			continue;
+
+		}
+
+		if (char === '"') {
+			inString = true;
+		} else if (char === ',') {
+
+			let next = i + 1;
+
+			while (next < text.length && /\s/.test(text[next])) {
+				next ++;
+			}
+
+			if (text[next] === '}' || text[next] === ']') {
+				continue;
+			}
+
+		}
+
+		result += char;
+
+	}
+
+	return result;
+
+}
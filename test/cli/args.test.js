@@ -0,0 +1,105 @@
+import assert from 'assert';
+import test from 'node:test';
+import { cli_args_parse } from '../../js/cli/args.js';
+import { assertErr, assertOk } from '../index.js';
+
+test.suite('cli_args_parse', () => {
+	test('no arguments shows help', () => {
+		const result = cli_args_parse([]);
+
+		assertOk(result);
+		assert.deepEqual(result.data, { command: 'help' });
+	});
+
+	test('--help shows help, even with a command', () => {
+		const result = cli_args_parse(['build', '--help']);
+
+		assertOk(result);
+		assert.deepEqual(result.data, { command: 'help' });
+	});
+
+	test('build with only a project leaves the rest to the project settings', () => {
+		const result = cli_args_parse(['build', '--project', 'foo.yyp']);
+
+		assertOk(result);
+		assert.deepEqual(result.data, {
+			command: 'build',
+			projectPath: 'foo.yyp',
+			profileName: undefined,
+			task: 'Run',
+			platform: undefined,
+			configName: undefined,
+			runtimeType: undefined,
+			channel: undefined,
+			runtimeVersion: undefined,
+			deviceName: undefined,
+			buildPath: undefined,
+			threads: undefined,
+			preferencesPath: undefined,
+			defaultsPath: undefined,
+			verbose: false
+		});
+	});
+
+	test('choices are matched ignoring case', () => {
+		const result = cli_args_parse([
+			'build',
+			'--project', 'foo.yyp',
+			'--platform', 'linux',
+			'--task', 'package',
+			'--runtime-type', 'yyc',
+			'--channel', 'lts 2022',
+			'--runtime', '2022.0.3.99',
+			'--config', 'Release'
+		]);
+
+		assertOk(result);
+		assert.equal(result.data.command, 'build');
+
+		if (result.data.command === 'build') {
+			assert.equal(result.data.platform, 'Linux');
+			assert.equal(result.data.task, 'Package');
+			assert.equal(result.data.runtimeType, 'YYC');
+			assert.equal(result.data.channel, 'LTS 2022');
+			assert.equal(result.data.runtimeVersion, '2022.0.3.99');
+			assert.equal(result.data.configName, 'Release');
+		}
+	});
+
+	test('a profile can be given alongside overriding options', () => {
+		const result = cli_args_parse(['build', '--project', 'foo.yyp', '--profile', 'Release Android', '--task', 'Package']);
+
+		assertOk(result);
+		assert.equal(result.data.command, 'build');
+
+		if (result.data.command === 'build') {
+			assert.equal(result.data.profileName, 'Release Android');
+			assert.equal(result.data.task, 'Package');
+			assert.equal(result.data.platform, undefined);
+		}
+	});
+
+	test('preferences and team defaults files can be given', () => {
+		const result = cli_args_parse(['build', '--project', 'foo.yyp', '--preferences', 'ci/prefs.json', '--defaults', 'ci/team.json']);
+
+		assertOk(result);
+
+		if (result.data.command === 'build') {
+			assert.equal(result.data.preferencesPath, 'ci/prefs.json');
+			assert.equal(result.data.defaultsPath, 'ci/team.json');
+		}
+	});
+
+	test('rejects invalid input', () => {
+		assertErr(cli_args_parse(['build']));
+		assertErr(cli_args_parse(['deploy', '--project', 'foo.yyp']));
+		assertErr(cli_args_parse(['build', '--project', 'foo.yyp', '--platform', 'PS5']));
+		assertErr(cli_args_parse(['build', '--project', 'foo.yyp', '--unknown-flag']));
+		assertErr(cli_args_parse(['build', '--project', 'foo.yyp', '--threads', '0']));
+		assertErr(cli_args_parse(['build', '--project', 'foo.yyp', '--threads', 'eight']));
+	});
+
+	test('a runtime version requires a channel', () => {
+		assertErr(cli_args_parse(['build', '--project', 'foo.yyp', '--runtime', '2024.11.0.179']));
+	});
+});
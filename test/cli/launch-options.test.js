@@ -0,0 +1,43 @@
+import assert from 'assert';
+import test from 'node:test';
+import { cli_launch_options_get } from '../../js/cli/launch-options.js';
+import { assertErr, assertOk } from '../index.js';
+
+test.suite('cli_launch_options_get', () => {
+
+	/** @type {Partial<TPreferences.Project.PortableData>} */
+	const portable = { runnerArgs: '-skipintro', runnerEnv: 'DEBUG_OVERLAY=1 LEVEL=forest' };
+
+	/** @type {Partial<TPreferences.Project.LocalData>} */
+	const local = { runnerArgs: '-debuglevel 2', runnerEnv: 'LEVEL=cave' };
+
+	test('the project\'s launch settings come first, then those on this computer', () => {
+		const result = cli_launch_options_get(portable, local);
+
+		assertOk(result);
+		assert.deepEqual(result.data, {
+			args: ['-skipintro', '-debuglevel', '2'],
+			env: { DEBUG_OVERLAY: '1', LEVEL: 'cave' }
+		});
+	});
+
+	test('a chosen profile replaces only the launch settings it defines', () => {
+		const result = cli_launch_options_get(portable, local, {
+			name: 'Cave test',
+			configName: 'Default',
+			runtimeType: 'VM',
+			runnerArgs: '-room rm_cave'
+		});
+
+		assertOk(result);
+		assert.deepEqual(result.data, {
+			args: ['-skipintro', '-room', 'rm_cave'],
+			env: { DEBUG_OVERLAY: '1', LEVEL: 'cave' }
+		});
+	});
+
+	test('invalid launch settings are an error', () => {
+		assertErr(cli_launch_options_get({ runnerEnv: 'not-a-variable' }, {}));
+	});
+
+});
@@ -0,0 +1,200 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { CompileControllerImpl } from '../../js/compiler/CompileControllerImpl.js';
+import { GMRuntimeVersion } from '../../js/compiler/GMVersion.js';
+import { MockDiskIO } from '../utils/io/MockDiskIO.js';
+import { BuildHistory } from '../../js/compiler/history/BuildHistory.js';
+import { job_log_file_name, job_log_file_track } from '../../js/compiler/reports/job-log-file.js';
+import { FakeProcessSpawner } from '../utils/process/FakeProcessSpawner.js';
+import { assertErr, assertOk, readIgorLogFixture } from '../index.js';
+
+/** Stopping goes through a different set of tools on each platform. */
+const STOP_TEST_OPTIONS = { skip: (process.platform !== 'linux') && 'stopping processes differs by platform' };
+
+test.suite('CompileControllerImpl', () => {
+
+	/** @type {GM.ProjectInfo} */
+	const project = { dir: '/project', path: '/project/Platformer.yyp', displayName: 'Platformer' };
+
+	/**
+	 * @param {Partial<GMS2.IgorSettings>} [overrides]
+	 * @returns {GMS2.IgorSettings}
+	 */
+	function settings(overrides = {}) {
+		return {
+			platform: 'Linux',
+			user: { name: 'dev', directoryName: 'dev_123456', fullPath: '/users/dev_123456', devices: { path: '', forPlatform: {} } },
+			runtime: { version: new GMRuntimeVersion(2024, 11, 0, 179), path: '/runtimes/runtime-2024.11.0.179', igorPath: '/runtimes/Igor' },
+			task: 'Run',
+			runtimeType: 'VM',
+			configName: 'Default',
+			buildPath: 'build',
+			...overrides
+		};
+	}
+
+	/**
+	 * Create a controller whose Igor plays out the given script.
+	 * 
+	 * @param {import('../utils/index.js').FakeProcessScript} script
+	 */
+	function createController(script) {
+		const spawner = new FakeProcessSpawner(() => script);
+		const controller = new CompileControllerImpl(project, new MockDiskIO({}), spawner);
+
+		return { controller, spawner };
+	}
+
+	test('a job runs Igor with flags for its settings', async () => {
+		const { controller, spawner } = createController({ exitCode: 0 });
+
+		const job = await controller.start(settings({
+			runtimeType: 'YYC',
+			threads: 8,
+			ignoreCache: false,
+			extraArgs: ['/someflag'],
+			runnerArgs: ['-skipintro']
+		}));
+
+		assertOk(job);
+		await job.data.complete;
+
+		const [command, ...args] = spawner.spawned[0].spawnargs;
+
+		assert.equal(command, '/runtimes/Igor');
+		assert(args.includes('/j=8'));
+		assert(args.includes('/v'));
+		assert(!args.includes('/ic'));
+		assert.deepEqual(args.slice(-5), ['/someflag', '--', 'Linux', 'Run', '-skipintro']);
+	});
+
+	test('the game\'s arguments and environment are only given to Run jobs', async () => {
+		const { controller, spawner } = createController({ exitCode: 0 });
+		const launch = { runnerArgs: ['-skipintro'], runnerEnv: { DEBUG_OVERLAY: '1' } };
+
+		for (const task of /** @type {const} */ (['Run', 'Package'])) {
+			const job = await controller.start(settings({ task, ...launch }));
+
+			assertOk(job);
+			await job.data.complete;
+		}
+
+		const [run, packaged] = spawner.spawned;
+
+		assert.equal(run.spawnargs.at(-1), '-skipintro');
+		assert.equal(run.spawnOptions?.env?.DEBUG_OVERLAY, '1');
+		assert(!packaged.spawnargs.includes('-skipintro'));
+		assert.equal(packaged.spawnOptions?.env?.DEBUG_OVERLAY, undefined);
+	});
+
+	test('the build directories of jobs which are still starting are in use', async () => {
+		const { controller } = createController({ exitCode: 0 });
+
+		const starting = controller.start(settings());
+		assert.deepEqual(controller.getBuildPathsInUse(), ['build/Linux/0']);
+
+		const job = await starting;
+		assertOk(job);
+		assert.deepEqual(controller.getBuildPathsInUse(), ['build/Linux/0']);
+
+		await job.data.complete;
+		assert.deepEqual(controller.getBuildPathsInUse(), []);
+	});
+
+	test('YYC builds ignore the cache unless told otherwise', async () => {
+		const { controller, spawner } = createController({ exitCode: 0 });
+
+		const job = await controller.start(settings({ runtimeType: 'YYC' }));
+
+		assertOk(job);
+		await job.data.complete;
+
+		assert(spawner.spawned[0].spawnargs.includes('/ic'));
+	});
+
+	test('a job is forgotten once it stops', async () => {
+		const { controller } = createController({ stdout: readIgorLogFixture('2024.11-vm-compile-errors'), exitCode: 1 });
+
+		const job = await controller.start(settings());
+
+		assertOk(job);
+		assert.deepEqual(controller.getJobs(), [job.data]);
+
+		const { stopType, errors } = await job.data.complete;
+
+		assert.equal(stopType, 'Failed');
+		assert.equal(errors.length, 4);
+		assert.deepEqual(controller.getJobs(), []);
+	});
+
+	test('output followed once the job has started begins with the command that was run', async () => {
+		const { controller } = createController({ stdout: 'hello\n', exitCode: 0 });
+
+		/** @type {ProblemLogger} */
+		const logger = {
+			error() { return this; },
+			warn() { return this; },
+			debug() { return this; }
+		};
+
+		const job = await controller.start(settings());
+		assertOk(job);
+
+		const diskIO = new MockDiskIO({});
+		const logFile = job_log_file_track(job.data, diskIO, logger);
+		const record = new BuildHistory('history', project.path, diskIO, logger).track(job.data);
+
+		await job.data.complete;
+		await logFile.written;
+
+		const log = diskIO.readFileSync(diskIO.joinPath(job.data.settings.buildPath, job_log_file_name(job.data.startTime)));
+		assertOk(log);
+
+		assert.match(job.data.header, /^\/runtimes\/Igor .* -- Linux Run\n\n$/);
+		assert.equal(log.data.toString(), `${job.data.header}hello\n`);
+		assert.equal((await record).log, `${job.data.header}hello\n`);
+	});
+
+	test('a job that fails to start is an error', async () => {
+		const { controller } = createController({ spawnError: new Error('ENOENT') });
+
+		assertErr(await controller.start(settings()));
+		assert.deepEqual(controller.getJobs(), []);
+	});
+
+	test('jobs take the lowest free id, and reusing an id stops the job holding it', STOP_TEST_OPTIONS, async () => {
+		const { controller, spawner } = createController({});
+
+		const first = await controller.start(settings());
+		const second = await controller.start(settings());
+
+		assertOk(first);
+		assertOk(second);
+		assert.deepEqual([first.data.id, second.data.id], [0, 1]);
+		assert.equal(first.data.buildPath, 'build/Linux/0');
+
+		const replacement = await controller.start(settings(), 0);
+
+		assertOk(replacement);
+		assert.equal(replacement.data.id, 0);
+		assert.equal(first.data.getState().status, 'stopped');
+		assert.equal(second.data.getState().status, 'running');
+		assert.deepEqual(controller.getJobs().map(job => job.id), [1, 0]);
+
+		// The job holding the id is found by its id, not its place in the list.
+		const another = await controller.start(settings(), 0);
+
+		assertOk(another);
+		assert.equal(replacement.data.getState().status, 'stopped');
+		assert.equal(second.data.getState().status, 'running');
+
+		assert.deepEqual(spawner.kills, [
+			{ pid: first.data.process.pid, force: false },
+			{ pid: replacement.data.process.pid, force: false }
+		]);
+
+		await controller.stopAll();
+		assert.deepEqual(controller.getJobs(), []);
+	});
+
+});
@@ -0,0 +1,190 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { MockDiskIO } from '../../utils/io/MockDiskIO.js';
+import { GMRuntimeVersion } from '../../../js/compiler/GMVersion.js';
+import { EventEmitterImpl } from '../../../js/utils/EventEmitterImpl.js';
+import { assertErr, assertOk } from '../../index.js';
+import {
+	artifact_collect,
+	artifact_locate,
+	artifact_name_format,
+	artifact_track
+} from '../../../js/compiler/artifacts/artifact-collection.js';
+
+test.suite('artifact collection', () => {
+
+	/** @type {ProblemLogger} */
+	const logger = {
+		error() { return this; },
+		warn() { return this; },
+		debug() { return this; }
+	};
+
+	/** @type {TArtifacts.NameValues} */
+	const values = {
+		project: 'My Game',
+		config: 'Release',
+		platform: 'Windows',
+		type: 'YYC',
+		runtime: '2024.11.0.0',
+		date: '2025-01-02',
+		time: '03-04-05',
+		commit: 'abc1234'
+	};
+
+	/**
+	 * @param {Partial<GMS2.IgorSettings>} settings
+	 * @returns {GMS2.IgorSettings}
+	 */
+	function jobSettings(settings) {
+		return /** @type {GMS2.IgorSettings} */ (/** @type {unknown} */ ({
+			platform: 'Windows',
+			task: 'Package',
+			runtimeType: 'VM',
+			configName: 'Default',
+			buildPath: 'build',
+			runtime: { version: new GMRuntimeVersion(2024, 11, 0, 0), path: '', igorPath: '' },
+			user: { name: 'user' },
+			...settings
+		}));
+	}
+
+	test('formatting a name template', () => {
+		const result = artifact_name_format('{project}-{platform}-{config}-{type}-{runtime}-{date}T{time}-{commit}', values);
+
+		assertOk(result);
+		assert.equal(result.data, 'My Game-Windows-Release-YYC-2024.11.0.0-2025-01-02T03-04-05-abc1234');
+	});
+
+	test('formatting strips characters that are invalid in file names', () => {
+		const result = artifact_name_format('{project}', { ...values, project: 'What: The "Game"?' });
+
+		assertOk(result);
+		assert.equal(result.data, 'What_ The _Game__');
+	});
+
+	test('formatting with an unknown placeholder fails', () => {
+		assertErr(artifact_name_format('{project}-{version}', values));
+	});
+
+	test('formatting to an empty name fails', () => {
+		assertErr(artifact_name_format('  ', values));
+	});
+
+	test('locating a package by its extension', async () => {
+		const diskIO = new MockDiskIO({
+			'output': MockDiskIO.dir({
+				'game.unx': MockDiskIO.file(),
+				'game.AppImage': MockDiskIO.file()
+			})
+		});
+
+		const result = await artifact_locate('output', 'Linux', diskIO);
+
+		assertOk(result);
+		assert.deepEqual(result.data, { path: diskIO.joinPath('output', 'game.AppImage'), extension: '.appimage' });
+	});
+
+	test('locating a folder package', async () => {
+		const diskIO = new MockDiskIO({
+			'output': MockDiskIO.dir({
+				'index.html': MockDiskIO.file()
+			})
+		});
+
+		const result = await artifact_locate('output', 'HTML5', diskIO);
+
+		assertOk(result);
+		assert.deepEqual(result.data, { path: 'output', extension: '' });
+	});
+
+	test('locating a missing package fails', async () => {
+		const diskIO = new MockDiskIO({
+			'output': MockDiskIO.dir({
+				'game.win': MockDiskIO.file()
+			})
+		});
+
+		assertErr(await artifact_locate('output', 'Windows', diskIO));
+	});
+
+	test('collecting a package into the release directory', async () => {
+		const diskIO = new MockDiskIO({
+			'build': MockDiskIO.dir({
+				'output': MockDiskIO.dir({
+					'game.zip': MockDiskIO.file('zip contents')
+				})
+			})
+		});
+
+		const result = await artifact_collect(jobSettings({ configName: 'Release' }), {
+			projectName: 'Game',
+			releaseDir: 'releases',
+			nameTemplate: '{project}-{config}-{runtime}-{date}-{commit}',
+			time: new Date(2025, 0, 2)
+		}, diskIO);
+
+		assertOk(result);
+		assert.equal(result.data.name, 'Game-Release-2024.11.0.0-2025-01-02-unknown.zip');
+
+		const copied = diskIO.readFileSync(result.data.path);
+
+		assertOk(copied);
+		assert.equal(copied.data.toString(), 'zip contents');
+	});
+
+	test('collecting a folder package replaces the previous one of the same name', async () => {
+		const diskIO = new MockDiskIO({
+			'build': MockDiskIO.dir({
+				'output': MockDiskIO.dir({
+					'index.html': MockDiskIO.file('new page')
+				})
+			}),
+			'releases': MockDiskIO.dir({
+				'Game-HTML5': MockDiskIO.dir({
+					'index.html': MockDiskIO.file('old page'),
+					'stale.js': MockDiskIO.file()
+				})
+			})
+		});
+
+		const result = await artifact_collect(jobSettings({ platform: 'HTML5' }), {
+			projectName: 'Game',
+			releaseDir: 'releases',
+			nameTemplate: '{project}-{platform}',
+			time: new Date(2025, 0, 2)
+		}, diskIO);
+
+		assertOk(result);
+
+		const page = diskIO.readFileSync(diskIO.joinPath(result.data.path, 'index.html'));
+
+		assertOk(page);
+		assert.equal(page.data.toString(), 'new page');
+		assert.equal(diskIO.existsSync(diskIO.joinPath(result.data.path, 'stale.js')), false);
+	});
+
+	test('tracking ignores jobs which did not package successfully', async () => {
+
+		/** @type {EventEmitterImpl<GM.Job.EventMap>} */
+		const events = new EventEmitterImpl(['stdout', 'output', 'stopping', 'stop']);
+
+		const job = /** @type {GM.Job} */ (/** @type {unknown} */ ({
+			events,
+			settings: jobSettings({})
+		}));
+
+		const tracked = artifact_track(job, {
+			projectName: 'Game',
+			projectDir: '.',
+			releaseDir: 'releases',
+			nameTemplate: '{project}'
+		}, new MockDiskIO({}), logger);
+
+		events.emit('stop', { stopType: 'Failed', exitCode: 1, errors: [] });
+
+		assert.equal(await tracked, undefined);
+
+	});
+
+});
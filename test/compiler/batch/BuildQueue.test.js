@@ -0,0 +1,235 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { BuildQueue } from '../../../js/compiler/batch/BuildQueue.js';
+import { EventEmitterImpl } from '../../../js/utils/EventEmitterImpl.js';
+import { CompileControllerImpl } from '../../../js/compiler/CompileControllerImpl.js';
+import { GMRuntimeVersion } from '../../../js/compiler/GMVersion.js';
+import { MockDiskIO } from '../../utils/io/MockDiskIO.js';
+import { FakeProcessSpawner } from '../../utils/process/FakeProcessSpawner.js';
+
+test.suite('BuildQueue', () => {
+
+	/**
+	 * @param {GM.SupportedPlatform} platform
+	 * @returns {TBuildQueue.Target}
+	 */
+	const target = (platform) => ({ task: 'Package', platform, configName: 'Default', runtimeType: 'VM' });
+
+	const targets = [target('Windows'), target('Linux'), target('HTML5')];
+
+	/**
+	 * A job that stays running until the test stops it.
+	 */
+	class FakeJob {
+
+		/** @type {EventEmitterImpl<GM.Job.EventMap>} */
+		events = new EventEmitterImpl(['stdout', 'error', 'output', 'phase', 'stopping', 'stop']);
+
+		/** @type {GM.Job.State} */
+		state = { status: 'running' };
+
+		/**
+		 * @param {TBuildQueue.Target} target
+		 */
+		constructor(target) {
+			this.target = target;
+		}
+
+		getState() {
+			return this.state;
+		}
+
+		/**
+		 * @param {GM.Job.StopType} stopType
+		 * @param {number} [errorCount]
+		 */
+		finish(stopType, errorCount = 0) {
+			const exitCode = (stopType === 'Finished') ? 0 : 1;
+			const errors = /** @type {GM.Job.Error[]} */ (Array(errorCount).fill({
+				data: { kind: 'compile', message: 'error', stackFrames: [] }
+			}));
+
+			this.state = { status: 'stopped', stopType, exitCode };
+			this.events.emit('stop', { stopType, exitCode, errors });
+		}
+
+		async stop() {
+			this.finish('Stopped');
+			return /** @type {const} */ ({ ok: true, data: { stopType: 'Stopped', errors: [] } });
+		}
+
+	}
+
+	/**
+	 * Create a start function which records the jobs it starts.
+	 *
+	 * @returns {{ started: FakeJob[], startJob: TBuildQueue.StartJob }}
+	 */
+	function fakeStarter() {
+
+		/** @type {FakeJob[]} */
+		const started = [];
+
+		/** @type {TBuildQueue.StartJob} */
+		const startJob = async (target) => {
+			const job = new FakeJob(target);
+			started.push(job);
+
+			return /** @type {GM.Job} */ (/** @type {unknown} */ (job));
+		};
+
+		return { started, startJob };
+
+	}
+
+	/**
+	 * Let pending promise callbacks run.
+	 */
+	const settle = () => new Promise(resolve => setImmediate(resolve));
+
+	test('runs targets one at a time by default', async () => {
+		const { started, startJob } = fakeStarter();
+		const queue = new BuildQueue(targets, startJob, { parallelism: 1, stopOnFailure: false });
+		const done = queue.run();
+
+		for (let i = 0; i < targets.length; i++) {
+			await settle();
+			assert.equal(started.length, i + 1);
+			started[i].finish('Finished');
+		}
+
+		const states = await done;
+
+		assert.deepEqual(states.map(state => state.status), ['Finished', 'Finished', 'Finished']);
+		assert.deepEqual(started.map(job => job.target.platform), ['Windows', 'Linux', 'HTML5']);
+	});
+
+	test('respects the parallelism limit', async () => {
+		const { started, startJob } = fakeStarter();
+		const queue = new BuildQueue(targets, startJob, { parallelism: 2, stopOnFailure: false });
+		const done = queue.run();
+
+		await settle();
+		assert.equal(started.length, 2);
+
+		started[1].finish('Finished', 0);
+		await settle();
+		assert.equal(started.length, 3);
+
+		started[0].finish('Failed', 2);
+		started[2].finish('Finished');
+
+		const states = await done;
+
+		assert.deepEqual(states.map(state => state.status), ['Failed', 'Finished', 'Finished']);
+		assert.equal(states[0].errorCount, 2);
+		assert.equal(states[0].exitCode, 1);
+	});
+
+	test('skips the remaining targets after a failure when asked to', async () => {
+		const { started, startJob } = fakeStarter();
+		const queue = new BuildQueue(targets, startJob, { parallelism: 1, stopOnFailure: true });
+
+		/** @type {TBuildQueue.Status[]} */
+		const finished = [];
+		queue.events.on('finished', ({ states }) => finished.push(...states.map(state => state.status)));
+
+		const done = queue.run();
+
+		await settle();
+		started[0].finish('Failed');
+
+		const states = await done;
+
+		assert.equal(started.length, 1);
+		assert.deepEqual(states.map(state => state.status), ['Failed', 'Skipped', 'Skipped']);
+		assert.deepEqual(finished, ['Failed', 'Skipped', 'Skipped']);
+	});
+
+	test('targets whose job fails to start count as failures', async () => {
+		const queue = new BuildQueue(targets, async () => undefined, { parallelism: 1, stopOnFailure: true });
+		const states = await queue.run();
+
+		assert.deepEqual(states.map(state => state.status), ['Failed', 'Skipped', 'Skipped']);
+	});
+
+	test('cancelling stops running jobs and skips the rest', async () => {
+		const { started, startJob } = fakeStarter();
+		const queue = new BuildQueue(targets, startJob, { parallelism: 2, stopOnFailure: false });
+		const done = queue.run();
+
+		await settle();
+		await queue.cancel();
+
+		const states = await done;
+
+		assert.equal(started.length, 2);
+		assert.deepEqual(states.map(state => state.status), ['Stopped', 'Stopped', 'Skipped']);
+	});
+
+	test('cancelling stops jobs which were still starting', async () => {
+		const { started, startJob } = fakeStarter();
+
+		/** @type {() => void} */
+		let finishStarting = () => {};
+		const starting = new Promise(resolve => finishStarting = () => resolve(undefined));
+
+		const queue = new BuildQueue(targets, async (target) => {
+			await starting;
+			return startJob(target);
+		}, { parallelism: 1, stopOnFailure: false });
+
+		const done = queue.run();
+		await settle();
+
+		const cancelled = queue.cancel();
+		finishStarting();
+		await cancelled;
+
+		const states = await done;
+
+		assert.equal(started.length, 1);
+		assert.deepEqual(started[0].getState(), { status: 'stopped', stopType: 'Stopped', exitCode: 1 });
+		assert.deepEqual(states.map(state => state.status), ['Stopped', 'Skipped', 'Skipped']);
+	});
+
+
+	test('targets on the same platform built in parallel get their own build directories', async () => {
+		/** @type {GM.ProjectInfo} */
+		const project = { dir: '/project', path: '/project/Platformer.yyp', displayName: 'Platformer' };
+		const spawner = new FakeProcessSpawner(() => ({ exitCode: 0 }));
+		const controller = new CompileControllerImpl(project, new MockDiskIO({}), spawner);
+
+		/** @type {GM.Job[]} */
+		const started = [];
+
+		/** @type {TBuildQueue.StartJob} */
+		const startJob = async (target) => {
+			const job = await controller.start({
+				...target,
+				user: { name: 'dev', directoryName: 'dev_123456', fullPath: '/users/dev_123456', devices: { path: '', forPlatform: {} } },
+				runtime: { version: new GMRuntimeVersion(2024, 11, 0, 179), path: '/runtimes/runtime-2024.11.0.179', igorPath: '/runtimes/Igor' },
+				buildPath: 'build'
+			});
+
+			if (!job.ok) {
+				return undefined;
+			}
+
+			started.push(job.data);
+			return job.data;
+		};
+
+		const queue = new BuildQueue([target('Windows'), { ...target('Windows'), runtimeType: 'YYC' }], startJob, {
+			parallelism: 2,
+			stopOnFailure: false
+		});
+
+		const states = await queue.run();
+
+		assert.deepEqual(states.map(state => state.status), ['Finished', 'Finished']);
+		assert.deepEqual(started.map(job => job.id).sort(), [0, 1]);
+		assert.equal(new Set(started.map(job => job.settings.buildPath)).size, 2);
+	});
+
+});
@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { MockDiskIO } from '../../utils/io/MockDiskIO.js';
+import { BuildCacheManager, build_cache_select_for_pruning } from '../../../js/compiler/cache/BuildCacheManager.js';
+import { assertOk } from '../../index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.suite('BuildCacheManager', () => {
+
+	/**
+	 * @returns {MockDiskIO}
+	 */
+	function buildDisk() {
+		return new MockDiskIO({
+			'build': MockDiskIO.dir({
+				'Windows': MockDiskIO.dir({
+					'0': MockDiskIO.dir({
+						'cache': MockDiskIO.dir({
+							'a.obj': MockDiskIO.file('x'.repeat(100), 5 * DAY_MS)
+						}),
+						'output': MockDiskIO.dir({
+							'game.win': MockDiskIO.file('x'.repeat(50), 10 * DAY_MS)
+						})
+					}),
+					'1': MockDiskIO.dir({
+						'b.obj': MockDiskIO.file('x'.repeat(20), 2 * DAY_MS)
+					})
+				}),
+				'Android': MockDiskIO.dir({
+					'0': MockDiskIO.dir({
+						'c.obj': MockDiskIO.file('x'.repeat(300), 1 * DAY_MS)
+					})
+				}),
+				'releases': MockDiskIO.dir({
+					'game.zip': MockDiskIO.file('x'.repeat(1000))
+				})
+			})
+		});
+	}
+
+	/**
+	 * @param {string} platform
+	 * @param {number} size
+	 * @param {number} lastUsedDay
+	 * @returns {TBuildCache.Entry}
+	 */
+	function entry(platform, size, lastUsedDay) {
+		return { platform, jobId: 0, path: `${platform}-${lastUsedDay}`, size, lastUsed: new Date(lastUsedDay * DAY_MS) };
+	}
+
+	test('scanning finds job directories with their sizes', async () => {
+		const diskIO = buildDisk();
+		const manager = new BuildCacheManager(() => 'build', diskIO, () => []);
+
+		const result = await manager.scan();
+		assertOk(result);
+
+		assert.deepEqual(result.data.map(({ platform, jobId, size, lastUsed }) => ({ platform, jobId, size, lastUsed: lastUsed.getTime() })), [
+			{ platform: 'Android', jobId: 0, size: 300, lastUsed: 1 * DAY_MS },
+			{ platform: 'Windows', jobId: 0, size: 150, lastUsed: 10 * DAY_MS },
+			{ platform: 'Windows', jobId: 1, size: 20, lastUsed: 2 * DAY_MS }
+		]);
+	});
+
+	test('rescanning a job measures only its own directory', async () => {
+		const diskIO = buildDisk();
+		const manager = new BuildCacheManager(() => 'build', diskIO, () => []);
+
+		assertOk(await manager.scan());
+
+		assertOk(await diskIO.writeFile(diskIO.joinPath('build', 'Windows', '1', 'new.obj'), 'x'.repeat(40)));
+		assertOk(await diskIO.writeFile(diskIO.joinPath('build', 'Android', '0', 'new.obj'), 'x'.repeat(40)));
+		assertOk(await diskIO.createDir(diskIO.joinPath('build', 'Linux', '2'), true));
+		assertOk(await diskIO.writeFile(diskIO.joinPath('build', 'Linux', '2', 'd.obj'), 'x'.repeat(10)));
+
+		assertOk(await manager.rescanJob({ platform: 'Windows', id: 1, buildPath: diskIO.joinPath('build', 'Windows', '1') }));
+		const result = await manager.rescanJob({ platform: 'Linux', id: 2, buildPath: diskIO.joinPath('build', 'Linux', '2') });
+		assertOk(result);
+
+		assert.deepEqual(result.data.map(({ platform, jobId, size }) => ({ platform, jobId, size })), [
+			{ platform: 'Android', jobId: 0, size: 300 },
+			{ platform: 'Windows', jobId: 0, size: 150 },
+			{ platform: 'Windows', jobId: 1, size: 60 },
+			{ platform: 'Linux', jobId: 2, size: 10 }
+		]);
+	});
+
+	test('rescanning a job whose directory is gone forgets it', async () => {
+		const diskIO = buildDisk();
+		const manager = new BuildCacheManager(() => 'build', diskIO, () => []);
+
+		assertOk(await manager.scan());
+		assertOk(await diskIO.remove(diskIO.joinPath('build', 'Windows', '1')));
+
+		const result = await manager.rescanJob({ platform: 'Windows', id: 1, buildPath: diskIO.joinPath('build', 'Windows', '1') });
+		assertOk(result);
+
+		assert.deepEqual(result.data.map(({ platform, jobId }) => ({ platform, jobId })), [
+			{ platform: 'Android', jobId: 0 },
+			{ platform: 'Windows', jobId: 0 }
+		]);
+	});
+
+	test('scanning a missing build directory finds nothing', async () => {
+		const manager = new BuildCacheManager(() => 'build', new MockDiskIO({}), () => []);
+		const result = await manager.scan();
+
+		assertOk(result);
+		assert.equal(result.data.length, 0);
+	});
+
+	test('removing platforms keeps the listed ones', async () => {
+		const diskIO = buildDisk();
+		const manager = new BuildCacheManager(() => 'build', diskIO, () => []);
+
+		assertOk(await manager.scan());
+		assertOk(await manager.removePlatformsExcept(['Windows']));
+
+		assert(!diskIO.existsSync(diskIO.joinPath('build', 'Android', '0')));
+		assert(diskIO.existsSync(diskIO.joinPath('build', 'Windows', '0')));
+		assert.deepEqual(manager.getEntries().map(it => it.platform), ['Windows', 'Windows']);
+	});
+
+	test('caches of running jobs are not removed', async () => {
+		const diskIO = buildDisk();
+		const busyPath = diskIO.joinPath('build', 'Android', '0');
+		const manager = new BuildCacheManager(() => 'build', diskIO, () => [busyPath]);
+
+		assertOk(await manager.scan());
+		assertOk(await manager.remove(manager.getEntries()));
+
+		assert(diskIO.existsSync(busyPath));
+		assert.deepEqual(manager.getEntries().map(it => it.path), [busyPath]);
+	});
+
+	test('held caches are kept until the work holding them is done', async () => {
+		const diskIO = buildDisk();
+		const heldPath = diskIO.joinPath('build', 'Android', '0');
+		const manager = new BuildCacheManager(() => 'build', diskIO, () => []);
+
+		/** @type {() => void} */
+		let finishWork = () => {};
+		const work = new Promise(resolve => finishWork = () => resolve(undefined));
+
+		manager.holdUntil(heldPath, work);
+
+		assertOk(await manager.scan());
+		assertOk(await manager.prune({ maxTotalSize: 0 }));
+		assert.deepEqual(manager.getEntries().map(it => it.path), [heldPath]);
+
+		finishWork();
+		await work;
+
+		assertOk(await manager.prune({ maxTotalSize: 0 }));
+		assert(!diskIO.existsSync(heldPath));
+	});
+
+	test('pruning by age removes caches older than the limit', () => {
+		const entries = [entry('Windows', 10, 1), entry('Linux', 10, 8), entry('Mac', 10, 9)];
+		const selected = build_cache_select_for_pruning(entries, { maxAgeMs: 2 * DAY_MS }, new Date(10 * DAY_MS));
+
+		assert.deepEqual(selected.map(it => it.platform), ['Windows']);
+	});
+
+	test('pruning by size removes the least recently used first', () => {
+		const entries = [entry('Windows', 100, 5), entry('Linux', 100, 1), entry('Mac', 100, 9)];
+		const selected = build_cache_select_for_pruning(entries, { maxTotalSize: 150 }, new Date(10 * DAY_MS));
+
+		assert.deepEqual(selected.map(it => it.platform), ['Linux', 'Windows']);
+	});
+
+	test('pruning without limits removes nothing', () => {
+		const entries = [entry('Windows', 100, 5)];
+		assert.equal(build_cache_select_for_pruning(entries, {}, new Date(10 * DAY_MS)).length, 0);
+	});
+
+});
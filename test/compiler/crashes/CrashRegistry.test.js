@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { CrashRegistry } from '../../../js/compiler/crashes/CrashRegistry.js';
+import { EventEmitterImpl } from '../../../js/utils/EventEmitterImpl.js';
+
+test.suite('CrashRegistry', () => {
+
+	/** @type {GM.Job.ErrorData} */
+	const divisionByZero = {
+		kind: 'runtime',
+		message: 'Division by zero',
+		stackFrames: [{ script: 'gml_Script_damage', line: 4 }]
+	};
+
+	/** @type {GM.Job.ErrorData} */
+	const missingVariable = {
+		kind: 'runtime',
+		message: 'Variable not set before reading it.',
+		stackFrames: [{ script: 'gml_Object_obj_player_Step_0', line: 3 }]
+	};
+
+	/**
+	 * @returns {{ job: GM.Job, events: EventEmitterImpl<GM.Job.EventMap> }}
+	 */
+	function fakeJob() {
+
+		/** @type {EventEmitterImpl<GM.Job.EventMap>} */
+		const events = new EventEmitterImpl(['stdout', 'output', 'error', 'stopping', 'stop']);
+		const job = /** @type {GM.Job} */ (/** @type {unknown} */ ({ events }));
+
+		return { job, events };
+
+	}
+
+	test('repeated crashes are grouped across jobs', () => {
+		const registry = new CrashRegistry();
+		const first = fakeJob().job;
+		const second = fakeJob().job;
+
+		registry.record(first, divisionByZero, new Date(1000));
+		registry.record(first, divisionByZero, new Date(2000));
+		registry.record(second, divisionByZero, new Date(3000));
+		registry.record(second, missingVariable, new Date(2500));
+
+		const [latest, other] = registry.getGroups();
+
+		assert.equal(latest.data.message, 'Division by zero');
+		assert.equal(latest.occurrences, 3);
+		assert.equal(latest.jobCount, 2);
+		assert.equal(latest.firstSeen.getTime(), 1000);
+		assert.equal(latest.lastSeen.getTime(), 3000);
+
+		assert.equal(other.occurrences, 1);
+	});
+
+	test('errors other than runtime crashes are ignored', () => {
+		const registry = new CrashRegistry();
+
+		registry.record(fakeJob().job, { kind: 'syntax', message: 'Unexpected symbol', stackFrames: [] });
+		assert.equal(registry.getGroups().length, 0);
+	});
+
+	test('tracking a job records its crashes until it stops', () => {
+		const registry = new CrashRegistry();
+		const { job, events } = fakeJob();
+
+		registry.track(job);
+
+		/**
+		 * @param {GM.Job.ErrorData} data
+		 */
+		const emitError = (data) => events.emit('error', {
+			offset: 0,
+			length: 0,
+			text: data.message,
+			data,
+			asHTML: () => { throw new Error('unused'); }
+		});
+
+		emitError(divisionByZero);
+		events.emit('stop', { stopType: 'Failed', errors: [] });
+		emitError(missingVariable);
+
+		assert.deepEqual(registry.getGroups().map(it => it.data.message), ['Division by zero']);
+	});
+
+});
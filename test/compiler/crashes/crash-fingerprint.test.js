@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { crash_fingerprint, crash_message_normalise } from '../../../js/compiler/crashes/crash-fingerprint.js';
+import { job_parse_stdout } from '../../../js/compiler/job/output-parsing/parse-stdout.js';
+
+test.suite('crash fingerprinting', () => {
+
+	/**
+	 * @param {string} message
+	 * @param {Array<[string, number]>} frames
+	 * @returns {GM.Job.ErrorData}
+	 */
+	function crash(message, frames) {
+		return {
+			kind: 'runtime',
+			message,
+			stackFrames: frames.map(([script, line]) => ({ script, line }))
+		};
+	}
+
+	test('numbers and addresses are ignored in messages', () => {
+		assert.equal(
+			crash_message_normalise('Variable <unknown_object>.hp(100012, -2147483648)  not set\n at 0x7ffdA0'),
+			'Variable <unknown_object>.hp(#, -#) not set at 0x#'
+		);
+	});
+
+	test('the same crash with different instance IDs shares a fingerprint', () => {
+		const frames = /** @type {Array<[string, number]>} */ ([['gml_Object_obj_player_Step_0', 12]]);
+
+		assert.equal(
+			crash_fingerprint(crash('Unable to find instance for object index 100231', frames)),
+			crash_fingerprint(crash('Unable to find instance for object index 100987', frames))
+		);
+	});
+
+	test('assets whose names differ only by a digit have different fingerprints', () => {
+		const frames = /** @type {Array<[string, number]>} */ ([['gml_Script_spawn_wave', 7]]);
+
+		assert.equal(crash_message_normalise('Unable to find instance for object obj_enemy2'), 'Unable to find instance for object obj_enemy2');
+		assert.notEqual(
+			crash_fingerprint(crash('Unable to find instance for object obj_enemy2', frames)),
+			crash_fingerprint(crash('Unable to find instance for object obj_enemy3', frames))
+		);
+	});
+
+	test('crashes at different lines have different fingerprints', () => {
+		assert.notEqual(
+			crash_fingerprint(crash('Division by zero', [['gml_Script_damage', 4]])),
+			crash_fingerprint(crash('Division by zero', [['gml_Script_damage', 9]]))
+		);
+	});
+
+	test('only the innermost frames are considered', () => {
+		assert.equal(
+			crash_fingerprint(crash('Division by zero', [['a', 1], ['b', 2], ['c', 3], ['d', 4]])),
+			crash_fingerprint(crash('Division by zero', [['a', 1], ['b', 2], ['c', 3], ['e', 5]]))
+		);
+	});
+
+	test('fingerprinting a crash parsed from runner output', () => {
+		const output = [
+			'ERROR!!! :: ############################################################################################',
+			'ERROR in action number 1',
+			'of Step Event0 for object obj_player:',
+			'',
+			'Variable <unknown_object>.hp(100012, -2147483648) not set before reading it.',
+			' at gml_Object_obj_player_Step_0 (line 3) - hp -= 1;',
+			'############################################################################################',
+			'gml_Object_obj_player_Step_0 (line 3) - hp -= 1;',
+			''
+		].join('\n');
+
+		const [error] = job_parse_stdout(output);
+
+		assert.equal(error.data.kind, 'runtime');
+		assert.match(crash_fingerprint(error.data), /^[0-9a-f]{8}$/);
+	});
+
+});
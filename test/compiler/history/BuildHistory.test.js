@@ -0,0 +1,193 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { MockDiskIO } from '../../utils/io/MockDiskIO.js';
+import { BuildHistory, MAX_RECORD_LOG_LENGTH } from '../../../js/compiler/history/BuildHistory.js';
+import { GMRuntimeVersion } from '../../../js/compiler/GMVersion.js';
+import { EventEmitterImpl } from '../../../js/utils/EventEmitterImpl.js';
+import { assertErr, assertOk } from '../../index.js';
+
+test.suite('BuildHistory', () => {
+
+	/** @type {ProblemLogger} */
+	const logger = {
+		error() { return this; },
+		warn() { return this; },
+		debug() { return this; }
+	};
+
+	/**
+	 * @param {Partial<TBuildHistory.JobSettings>} settings
+	 * @param {GM.Job.StopType} stopType
+	 * @returns {TBuildHistory.Record}
+	 */
+	function record(settings, stopType) {
+		return {
+			settings: {
+				platform: 'Windows',
+				task: 'Run',
+				runtimeType: 'VM',
+				configName: 'Default',
+				buildPath: 'build',
+				runtimeVersion: '2024.11.0.0',
+				userName: 'user',
+				...settings
+			},
+			startTime: 0,
+			endTime: 1000,
+			stopType,
+			errors: [],
+			log: ''
+		};
+	}
+
+	test('saving and reloading records', async () => {
+		const diskIO = new MockDiskIO({});
+		const history = new BuildHistory('history', 'project.yyp', diskIO, logger);
+
+		assertOk(await history.load());
+		assertOk(await history.add(record({}, 'Finished')));
+		assertOk(await history.add(record({ platform: 'Linux' }, 'Failed')));
+
+		const reloaded = new BuildHistory('history', 'project.yyp', diskIO, logger);
+		assertOk(await reloaded.load());
+
+		assert.deepEqual(reloaded.getRecords(), history.getRecords());
+		assert.equal(reloaded.getRecords()[0].settings.platform, 'Linux', 'Newest records should come first');
+	});
+
+	test('projects have separate histories', async () => {
+		const diskIO = new MockDiskIO({});
+
+		const first = new BuildHistory('history', 'a/project.yyp', diskIO, logger);
+		assertOk(await first.add(record({}, 'Finished')));
+
+		const second = new BuildHistory('history', 'b/project.yyp', diskIO, logger);
+		assertOk(await second.load());
+
+		assert.equal(second.getRecords().length, 0);
+	});
+
+	test('projects whose paths differ only in punctuation have separate histories', async () => {
+		const diskIO = new MockDiskIO({});
+
+		const first = new BuildHistory('history', 'a/b_c.yyp', diskIO, logger);
+		assertOk(await first.add(record({}, 'Finished')));
+
+		const second = new BuildHistory('history', 'a_b/c.yyp', diskIO, logger);
+		assertOk(await second.load());
+
+		assert.equal(second.getRecords().length, 0);
+	});
+
+	test('records added while the history is loading are kept along with those loaded', async () => {
+		const diskIO = new MockDiskIO({});
+
+		const earlier = new BuildHistory('history', 'project.yyp', diskIO, logger);
+		assertOk(await earlier.add(record({ platform: 'Linux' }, 'Finished')));
+
+		const history = new BuildHistory('history', 'project.yyp', diskIO, logger);
+		const loading = history.load();
+		const adding = history.add(record({ platform: 'Mac' }, 'Failed'));
+
+		assertOk(await loading);
+		assertOk(await adding);
+
+		const reloaded = new BuildHistory('history', 'project.yyp', diskIO, logger);
+		assertOk(await reloaded.load());
+
+		assert.deepEqual(history.getRecords().map(it => it.settings.platform), ['Mac', 'Linux']);
+		assert.deepEqual(reloaded.getRecords().map(it => it.settings.platform), ['Mac', 'Linux']);
+	});
+
+	test('history saved under the old file name is still loaded', async () => {
+		const diskIO = new MockDiskIO({
+			'history': MockDiskIO.dir({
+				'_projects_game.yyp.json': MockDiskIO.file(JSON.stringify({ version: 1, records: [record({}, 'Finished')] }))
+			})
+		});
+
+		const history = new BuildHistory('history', '/projects/game.yyp', diskIO, logger);
+		assertOk(await history.load());
+
+		assert.equal(history.getRecords().length, 1);
+	});
+
+	test('loading a malformed history file', async () => {
+		const diskIO = new MockDiskIO({
+			'history': MockDiskIO.dir({
+				'project.yyp.json': MockDiskIO.file('{ "version": 1')
+			})
+		});
+
+		const history = new BuildHistory('history', 'project.yyp', diskIO, logger);
+		assertErr(await history.load());
+	});
+
+	test('filtering records', async () => {
+		const history = new BuildHistory('history', 'project.yyp', new MockDiskIO({}), logger);
+
+		await history.add(record({ task: 'Run', configName: 'Default' }, 'Finished'));
+		await history.add(record({ task: 'Package', configName: 'Release' }, 'Failed'));
+		await history.add(record({ task: 'Package', configName: 'Release', platform: 'Linux' }, 'Finished'));
+
+		assert.equal(history.getRecords({ task: 'Package' }).length, 2);
+		assert.equal(history.getRecords({ task: 'Package', stopType: 'Finished' }).length, 1);
+		assert.equal(history.getRecords({ platform: 'Windows', configName: 'Release' }).length, 1);
+	});
+
+	test('tracking a job until it stops', async () => {
+		const history = new BuildHistory('history', 'project.yyp', new MockDiskIO({}), logger);
+
+		/** @type {EventEmitterImpl<GM.Job.EventMap>} */
+		const events = new EventEmitterImpl(['stdout', 'output', 'stopping', 'stop']);
+
+		const job = /** @type {GM.Job} */ (/** @type {unknown} */ ({
+			events,
+			header: '',
+			startTime: new Date(0),
+			settings: {
+				platform: 'Windows',
+				task: 'Run',
+				runtimeType: 'YYC',
+				configName: 'Default',
+				buildPath: 'build',
+				runtime: { version: new GMRuntimeVersion(2024, 11, 0, 0), path: '', igorPath: '' },
+				user: { name: 'user' }
+			}
+		}));
+
+		history.track(job);
+
+		events.emit('stdout', 'x'.repeat(MAX_RECORD_LOG_LENGTH));
+		events.emit('stdout', 'end of log');
+		events.emit('stop', {
+			stopType: 'Failed',
+			exitCode: 1,
+			errors: [{ offset: 0, length: 5, text: 'Error', data: { kind: 'compile', message: 'Error', stackFrames: [] }, asHTML: () => { throw new Error('unused'); } }]
+		});
+
+		const [tracked] = history.getRecords();
+
+		assert.equal(tracked.stopType, 'Failed');
+		assert.equal(tracked.exitCode, 1);
+		assert.equal(tracked.settings.runtimeVersion, 'runtime-2024.11.0.0');
+		assert.deepEqual(tracked.errors, ['Error']);
+		assert.equal(tracked.log.length, MAX_RECORD_LOG_LENGTH);
+		assert(tracked.log.endsWith('end of log'));
+	});
+
+	test('attaching an artifact to a record', async () => {
+		const diskIO = new MockDiskIO({});
+		const history = new BuildHistory('history', 'project.yyp', diskIO, logger);
+		const packaged = record({ task: 'Package' }, 'Finished');
+
+		await history.add(packaged);
+		assertOk(await history.setArtifact(packaged, { path: 'releases/game.zip', name: 'game.zip' }));
+
+		const reloaded = new BuildHistory('history', 'project.yyp', diskIO, logger);
+		assertOk(await reloaded.load());
+
+		assert.deepEqual(reloaded.getRecords()[0].artifact, { path: 'releases/game.zip', name: 'game.zip' });
+	});
+
+});
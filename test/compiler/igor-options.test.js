@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { igor_options_get, igor_options_resolve } from '../../js/compiler/igor-options.js';
+import { assertErr, assertOk } from '../index.js';
+
+test.suite('igor options', () => {
+
+	test('unset options fall back to the previous behaviour', () => {
+		const result = igor_options_resolve(igor_options_get(undefined));
+
+		assertOk(result);
+		assert.deepEqual(result.data, {
+			threads: undefined,
+			ignoreCache: undefined,
+			verbose: true,
+			extraArgs: []
+		});
+	});
+
+	test('chosen options are passed on', () => {
+		const result = igor_options_resolve(igor_options_get({
+			threads: 8,
+			ignoreCache: false,
+			verbosity: 'normal',
+			extraArgs: '/someflag="a b"'
+		}));
+
+		assertOk(result);
+		assert.deepEqual(result.data, {
+			threads: 8,
+			ignoreCache: false,
+			verbose: false,
+			extraArgs: ['/someflag=a b']
+		});
+	});
+
+	test('thread counts must be positive whole numbers', () => {
+		assertErr(igor_options_resolve(igor_options_get({ threads: 0 })));
+		assertErr(igor_options_resolve(igor_options_get({ threads: 2.5 })));
+	});
+
+	test('thread counts and cache options are passed on for any runtime type', () => {
+		const result = igor_options_resolve(igor_options_get({ threads: 8, ignoreCache: false }));
+
+		assertOk(result);
+		assert.equal(result.data.threads, 8);
+		assert.equal(result.data.ignoreCache, false);
+	});
+
+	test('extra arguments cannot replace the options Constructor sets', () => {
+		assertErr(igor_options_resolve(igor_options_get({ extraArgs: '/J=4' })));
+		assertErr(igor_options_resolve(igor_options_get({ extraArgs: '/ic' })));
+		assertErr(igor_options_resolve(igor_options_get({ extraArgs: '-- Windows Run' })));
+		assertErr(igor_options_resolve(igor_options_get({ extraArgs: '/flag="unclosed' })));
+	});
+
+});
@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { IgorJob } from '../../../js/compiler/job/IgorJob.js';
+import { GMRuntimeVersion } from '../../../js/compiler/GMVersion.js';
+import { FakeProcessSpawner } from '../../utils/process/FakeProcessSpawner.js';
+import { assertOk, readIgorLogFixture } from '../../index.js';
+
+/** Stopping goes through a different set of tools on each platform. */
+const STOP_TEST_OPTIONS = { skip: (process.platform !== 'linux') && 'stopping processes differs by platform' };
+
+test.suite('IgorJob', () => {
+
+	const defaultStopTimeoutMs = IgorJob.stopTimeoutMs;
+
+	test.afterEach(() => {
+		IgorJob.stopTimeoutMs = defaultStopTimeoutMs;
+	});
+
+	/** @type {GMS2.IgorSettings} */
+	const settings = {
+		platform: 'Linux',
+		user: { name: 'dev', directoryName: 'dev_123456', fullPath: '/users/dev_123456', devices: { path: '', forPlatform: {} } },
+		runtime: { version: new GMRuntimeVersion(2024, 11, 0, 179), path: '/runtimes/runtime-2024.11.0.179', igorPath: '/runtimes/Igor' },
+		task: 'Run',
+		runtimeType: 'VM',
+		configName: 'Default',
+		buildPath: 'build/Linux/0'
+	};
+
+	/** @type {GM.ProjectInfo} */
+	const project = { dir: '/project', path: '/project/Platformer.yyp', displayName: 'Platformer' };
+
+	/**
+	 * Start a job running a fake Igor that plays out the given script.
+	 * 
+	 * @param {import('../../utils/index.js').FakeProcessScript} script
+	 */
+	function startJob(script) {
+		const spawner = new FakeProcessSpawner(() => script);
+		const proc = spawner.spawn(settings.runtime.igorPath, ['--', 'Linux', 'Run']);
+		const job = new IgorJob(0, settings, proc, project, new Date(), spawner);
+
+		return { job, spawner, pid: /** @type {number} */ (proc.pid) };
+	}
+
+	test('a job that exits cleanly finishes, having passed through each phase', async () => {
+		const { job } = startJob({ stdout: readIgorLogFixture('2024.11-vm-run-ok'), chunkSize: 64, exitCode: 0 });
+
+		/** @type {GM.Job.Phase[]} */
+		const phases = [];
+		job.events.on('phase', ({ phase }) => phases.push(phase));
+
+		assert.equal(job.getState().status, 'running');
+
+		const { stopType, exitCode, errors } = await job.complete;
+
+		assert.deepEqual(job.getState(), { status: 'stopped', stopType: 'Finished', exitCode: 0 });
+		assert.equal(stopType, 'Finished');
+		assert.equal(exitCode, 0);
+		assert.deepEqual(errors, []);
+		assert.deepEqual(phases, ['assetCompile', 'gmlCompile', 'runnerLaunch', 'running']);
+	});
+
+	test('a job that exits with an error code fails', async () => {
+		const { job } = startJob({ stdout: readIgorLogFixture('2024.11-vm-compile-errors'), exitCode: 1 });
+		const { stopType, exitCode } = await job.complete;
+
+		assert.equal(stopType, 'Failed');
+		assert.equal(exitCode, 1);
+	});
+
+	test('output is passed on as it arrives, following the command that was run', async () => {
+		const log = readIgorLogFixture('2024.11-vm-run-ok');
+		const { job } = startJob({ stdout: log, chunkSize: 100, exitCode: 0 });
+
+		let output = '';
+		job.events.on('stdout', (chunk) => { output += chunk; });
+
+		await job.complete;
+
+		assert.equal(job.header, '/runtimes/Igor -- Linux Run\n\n');
+		assert.equal(output, log);
+	});
+
+	test('stopping a job asks its processes to stop', STOP_TEST_OPTIONS, async () => {
+		const { job, spawner, pid } = startJob({ stdout: 'Compile Scripts...\n' });
+
+		let stoppingFired = false;
+		job.events.on('stopping', () => { stoppingFired = true; });
+
+		const stopPromise = job.stop();
+
+		assert(stoppingFired);
+		assert.equal(job.getState().status, 'stopping');
+
+		const result = await stopPromise;
+
+		assertOk(result);
+		assert.equal(result.data.stopType, 'Stopped');
+		assert.deepEqual(job.getState(), { status: 'stopped', stopType: 'Stopped' });
+		assert.deepEqual(spawner.kills, [{ pid, force: false }]);
+	});
+
+	test('a job that ignores being stopped is killed once the timeout expires', STOP_TEST_OPTIONS, async () => {
+		IgorJob.stopTimeoutMs = 20;
+
+		const { job, spawner, pid } = startJob({ ignoresStop: true });
+		const result = await job.stop();
+
+		assertOk(result);
+		assert.equal(result.data.stopType, 'Stopped');
+		assert.deepEqual(spawner.kills, [{ pid, force: false }, { pid, force: true }]);
+	});
+
+	test('stopping a job a second time kills it straight away', STOP_TEST_OPTIONS, async () => {
+		IgorJob.stopTimeoutMs = 500;
+
+		const { job, spawner, pid } = startJob({ ignoresStop: true });
+		const firstStop = job.stop();
+		const secondStop = await job.stop();
+
+		assertOk(secondStop);
+		assert.deepEqual(spawner.kills, [{ pid, force: false }, { pid, force: true }]);
+
+		assertOk(await firstStop);
+	});
+
+	test('stopping a job that already stopped gives how it stopped', async () => {
+		const { job, spawner } = startJob({ exitCode: 0 });
+		await job.complete;
+
+		const result = await job.stop();
+
+		assertOk(result);
+		assert.equal(result.data.stopType, 'Finished');
+		assert.deepEqual(spawner.kills, []);
+	});
+
+	test('errors are found in recorded logs however the output is split up', async () => {
+
+		/** @type {Record<string, GM.Job.ErrorKind[]>} */
+		const expected = {
+			'2024.11-vm-run-ok': [],
+			'2024.11-vm-compile-errors': ['warning', 'syntax', 'syntax', 'texture-page'],
+			'2024.11-vm-runtime-error': ['runtime']
+		};
+
+		for (const [name, kinds] of Object.entries(expected)) {
+			for (const chunkSize of [1, 7, 4096]) {
+
+				const { job } = startJob({ stdout: readIgorLogFixture(name), chunkSize, exitCode: 0 });
+				const { errors } = await job.complete;
+
+				assert.deepEqual(errors.map(error => error.data.kind), kinds, `${name} in chunks of ${chunkSize}`);
+
+			}
+		}
+
+	});
+
+});
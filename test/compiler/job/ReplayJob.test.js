@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { ReplayJob } from '../../../js/compiler/job/ReplayJob.js';
+
+test.suite('ReplayJob', () => {
+
+	test('the saved log is played back with its errors found again', async () => {
+		const log = 'Igor complete.\nError : gml_Script_scr_player(2) : malformed assignment statement\n';
+		const replay = new ReplayJob(log, 'build');
+
+		let output = '';
+		replay.events.on('stdout', (chunk) => output += chunk);
+
+		/** @type {GM.Job.Error[]} */
+		const errors = [];
+		replay.events.on('error', (error) => errors.push(error));
+
+		const stop = await replay.complete;
+
+		assert.equal(output, log);
+		assert.equal(errors.length, 1);
+		assert.equal(errors[0].data.kind, 'syntax');
+		assert.deepEqual(stop.errors, errors);
+		assert.deepEqual(replay.getState(), { status: 'stopped', stopType: 'Finished' });
+	});
+
+	test('the saved log is split into build and game output', async () => {
+		const replay = new ReplayJob('Igor complete.\n[Run] Run game\n[player] spawned', 'build');
+
+		/** @type {GM.Job.StreamChunk[]} */
+		const chunks = [];
+		replay.events.on('streamOutput', (chunk) => chunks.push(chunk));
+
+		await replay.complete;
+
+		assert.deepEqual(chunks.map(it => it.stream), ['build', 'build', 'game']);
+		assert.equal(chunks[2].text, '[player] spawned\n');
+	});
+
+	test('stopping a replay waits for it to finish', async () => {
+		const replay = new ReplayJob('output', 'build');
+		const stopped = await replay.stop();
+
+		assert.ok(stopped.ok);
+		assert.equal(stopped.data.stopType, 'Finished');
+	});
+
+});
@@ -0,0 +1,71 @@
+/**
+ * Name resolver for a made-up project, in place of the one GMEdit has open.
+ * 
+ * @implements {GMS2.ErrorUtils.NameResolver}
+ */
+export class FakeNameResolver {
+
+	/**
+	 * Events GMEdit knows of, by the compiler's event type name and number.
+	 */
+	static EVENTS = /** @type {Record<string, string>} */ ({
+		'Create:0': 'create',
+		'Step:0': 'step',
+		'Step:2': 'step_end',
+		'Alarm:0': 'alarm0',
+		'Draw:64': 'draw_gui'
+	});
+
+	/**
+	 * @param {object} [project]
+	 * @param {Record<string, string>} [project.functions] Script asset declaring each top-level function.
+	 * @param {string[]} [project.objects] Names of the project's objects.
+	 * @param {string[]} [project.scripts] Names of the project's script assets.
+	 */
+	constructor({ functions = {}, objects = [], scripts = [] } = {}) {
+		/** @private */
+		this.functions = functions;
+
+		/** @private */
+		this.objects = new Set(objects);
+
+		/** @private */
+		this.scripts = new Set(scripts);
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['scriptOfFunction']}
+	 */
+	scriptOfFunction(functionName) {
+		return this.functions[functionName];
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['eventName']}
+	 */
+	eventName(eventType, eventNumber) {
+		return FakeNameResolver.EVENTS[`${eventType}:${eventNumber}`];
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['keyName']}
+	 */
+	keyName(keyCode) {
+		return (keyCode === 13) ? 'vk_enter' : undefined;
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['isObject']}
+	 */
+	isObject(name) {
+		return this.objects.has(name);
+	}
+
+	/**
+	 * @type {GMS2.ErrorUtils.NameResolver['isScript']}
+	 */
+	isScript(name) {
+		return this.scripts.has(name);
+	}
+
+}
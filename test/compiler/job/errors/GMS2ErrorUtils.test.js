@@ -0,0 +1,195 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { GMS2ErrorUtils } from '../../../../js/compiler/job/errors/GMS2ErrorUtils.js';
+import { FakeNameResolver } from './FakeNameResolver.js';
+import { assertErr, assertOk } from '../../../index.js';
+
+test.suite('GMS2ErrorUtils.parseScriptName', () => {
+
+	const resolver = new FakeNameResolver({
+		functions: { spawn_wave: 'scr_waves' },
+		objects: ['obj_player', 'obj_wall', 'obj_game', 'obj_hit_Collision_box', 'obj_box', 'obj_hit', 'obj_gml_loader'],
+		scripts: ['scr_legacy_spawn']
+	});
+
+	/**
+	 * @param {string} name
+	 */
+	function parse(name) {
+		const result = GMS2ErrorUtils.parseScriptName(name, resolver);
+		assertOk(result);
+
+		return result.data;
+	}
+
+	test('script assets', () => {
+		assert.deepEqual(parse('gml_GlobalScript_scr_damage'), { type: 'GlobalScript', name: 'scr_damage' });
+	});
+
+	test('functions declared in a script', () => {
+		assert.deepEqual(parse('gml_Script_damage_apply@gml_GlobalScript_scr_damage'), {
+			type: 'Script',
+			name: 'damage_apply',
+			definedIn: { type: 'GlobalScript', name: 'scr_damage' }
+		});
+	});
+
+	test('functions whose parent is given by its readable name', () => {
+		assert.deepEqual(parse('gml_Script_damage_apply@scr_damage'), {
+			type: 'Script',
+			name: 'damage_apply',
+			definedIn: { type: 'GlobalScript', name: 'scr_damage' }
+		});
+	});
+
+	test('anonymous functions declared in an object event', () => {
+		assert.deepEqual(parse('gml_Script_anon@48@gml_Object_obj_enemy_Create_0'), {
+			type: 'Script',
+			name: '<anon function 48>',
+			definedIn: {
+				type: 'Object',
+				objectName: 'obj_enemy',
+				internalEventName: 'create',
+				formattedEventName: 'Create'
+			}
+		});
+	});
+
+	test('methods of constructors are placed in the script declaring the constructor', () => {
+		assert.deepEqual(parse('gml_Script_attack@Enemy@gml_GlobalScript_scr_enemies'), {
+			type: 'Script',
+			name: 'attack',
+			definedIn: { type: 'GlobalScript', name: 'scr_enemies' }
+		});
+	});
+
+	test('LTS-style script identifiers are looked up as top-level functions', () => {
+		assert.deepEqual(parse('gml_Script_spawn_wave'), {
+			type: 'Script',
+			name: 'spawn_wave',
+			definedIn: { type: 'GlobalScript', name: 'scr_waves' }
+		});
+
+		assertErr(GMS2ErrorUtils.parseScriptName('gml_Script_unknown_function', resolver));
+	});
+
+	test('LTS-style script identifiers may name a script asset', () => {
+		assert.deepEqual(parse('gml_Script_scr_legacy_spawn'), { type: 'GlobalScript', name: 'scr_legacy_spawn' });
+	});
+
+	test('LTS-style identifiers of functions declared in another script or event', () => {
+		assert.deepEqual(parse('gml_Script_damage_apply_gml_GlobalScript_scr_damage'), {
+			type: 'Script',
+			name: 'damage_apply',
+			definedIn: { type: 'GlobalScript', name: 'scr_damage' }
+		});
+
+		assert.deepEqual(parse('gml_Script_anon_gml_Object_obj_game_Create_0_67_gml_Object_obj_game_Create_0'), {
+			type: 'Script',
+			name: '<anon function 67>',
+			definedIn: {
+				type: 'Object',
+				objectName: 'obj_game',
+				internalEventName: 'create',
+				formattedEventName: 'Create'
+			}
+		});
+	});
+
+	test('LTS-style identifiers whose names contain `_gml_` are split where the parent is in the project', () => {
+		assert.deepEqual(parse('gml_Script_load_gml_Object_obj_gml_loader_Create_0'), {
+			type: 'Script',
+			name: 'load',
+			definedIn: {
+				type: 'Object',
+				objectName: 'obj_gml_loader',
+				internalEventName: 'create',
+				formattedEventName: 'Create'
+			}
+		});
+
+		assert.deepEqual(parse('gml_Script_read_gml_file_gml_Object_obj_game_Create_0'), {
+			type: 'Script',
+			name: 'read_gml_file',
+			definedIn: {
+				type: 'Object',
+				objectName: 'obj_game',
+				internalEventName: 'create',
+				formattedEventName: 'Create'
+			}
+		});
+
+		assert.deepEqual(parse('gml_Script_anon_gml_Script_spawn_gml_Object_obj_game_Create_0_12_gml_Script_spawn_gml_Object_obj_game_Create_0'), {
+			type: 'Script',
+			name: '<anon function 12>',
+			definedIn: {
+				type: 'Script',
+				name: 'spawn',
+				definedIn: {
+					type: 'Object',
+					objectName: 'obj_game',
+					internalEventName: 'create',
+					formattedEventName: 'Create'
+				}
+			}
+		});
+	});
+
+	test('collision events are split where both names are objects in the project', () => {
+		assert.deepEqual(parse('gml_Object_obj_player_Collision_obj_wall'), {
+			type: 'Object',
+			objectName: 'obj_player',
+			internalEventName: 'collision:obj_wall',
+			formattedEventName: 'Collision:obj_wall'
+		});
+
+		assert.deepEqual(parse('gml_Object_obj_hit_Collision_box_Collision_obj_wall'), {
+			type: 'Object',
+			objectName: 'obj_hit_Collision_box',
+			internalEventName: 'collision:obj_wall',
+			formattedEventName: 'Collision:obj_wall'
+		});
+	});
+
+	test('collision events which cannot be split unambiguously are errors', () => {
+		const ambiguousResolver = new FakeNameResolver({
+			objects: ['obj_a', 'obj_a_Collision_b', 'b_Collision_obj_c', 'obj_c']
+		});
+
+		assertErr(GMS2ErrorUtils.parseScriptName('gml_Object_obj_a_Collision_b_Collision_obj_c', ambiguousResolver));
+		assertErr(GMS2ErrorUtils.parseScriptName('gml_Object_obj_player_Collision_obj_door', resolver));
+	});
+
+	test('object events, including objects with underscores in their names', () => {
+		assert.deepEqual(parse('gml_Object_obj_player_Step_0'), {
+			type: 'Object',
+			objectName: 'obj_player',
+			internalEventName: 'step',
+			formattedEventName: 'Step'
+		});
+
+		assert.deepEqual(parse('gml_Object_obj_hud_main_Draw_64'), {
+			type: 'Object',
+			objectName: 'obj_hud_main',
+			internalEventName: 'draw_gui',
+			formattedEventName: 'Draw_gui'
+		});
+	});
+
+	test('key events are named by their key', () => {
+		assert.deepEqual(parse('gml_Object_obj_menu_KeyPress_13'), {
+			type: 'Object',
+			objectName: 'obj_menu',
+			internalEventName: 'keypress:vk_enter',
+			formattedEventName: 'Keypress:vk_enter'
+		});
+	});
+
+	test('names which cannot be understood are errors', () => {
+		assertErr(GMS2ErrorUtils.parseScriptName('gml_Object_obj_player_Unknown_3', resolver));
+		assertErr(GMS2ErrorUtils.parseScriptName('gml_Unknown_thing', resolver));
+		assertErr(GMS2ErrorUtils.parseScriptName('gml_nothing', resolver));
+		assertErr(GMS2ErrorUtils.parseScriptName('gml_Script_orphan@', resolver));
+	});
+
+});
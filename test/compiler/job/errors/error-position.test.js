@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { error_position_describe } from '../../../../js/compiler/job/errors/error-position.js';
+import { FakeNameResolver } from './FakeNameResolver.js';
+import { job_parse_stdout } from '../../../../js/compiler/job/output-parsing/parse-stdout.js';
+import { assertErr, assertOk, readIgorLogFixture } from '../../../index.js';
+
+test.suite('error_position_describe', () => {
+
+	const resolver = new FakeNameResolver({
+		functions: { spawn_wave: 'scr_waves' },
+		objects: ['obj_player', 'obj_wall', 'obj_spawner']
+	});
+
+	/**
+	 * @param {string} script
+	 * @param {number} line
+	 */
+	function describe(script, line) {
+		const result = error_position_describe(script, line, resolver);
+		assertOk(result);
+
+		return result.data;
+	}
+
+	test('script lines are in the script', () => {
+		assert.deepEqual(describe('gml_GlobalScript_scr_damage', 4), {
+			label: 'scr_damage, line 4',
+			location: { file: 'scr_damage', line: 4 }
+		});
+	});
+
+	test('function lines are in the script declaring them', () => {
+		assert.deepEqual(describe('gml_Script_spawn_wave', 5), {
+			label: 'Function spawn_wave (in Script scr_waves), line 5',
+			location: { file: 'scr_waves', line: 5 }
+		});
+	});
+
+	test('object event lines are in the event', () => {
+		assert.deepEqual(describe('gml_Object_obj_player_Step_0', 3), {
+			label: 'obj_player\'s Step Event, line 3',
+			location: { file: 'obj_player', event: 'step', line: 3 }
+		});
+
+		assert.deepEqual(describe('gml_Script_anon@48@gml_Object_obj_enemy_Create_0', 3), {
+			label: 'Function <anon function 48> (in obj_enemy\'s Create Event), line 3',
+			location: { file: 'obj_enemy', event: 'create', line: 3 }
+		});
+	});
+
+	test('collision event lines are in the event', () => {
+		assert.deepEqual(describe('gml_Object_obj_player_Collision_obj_wall', 3), {
+			label: 'obj_player\'s Collision:obj_wall Event, line 3',
+			location: { file: 'obj_player', event: 'collision:obj_wall', line: 3 }
+		});
+	});
+
+	test('every stack frame of an LTS runtime error has a position', () => {
+		const [error] = job_parse_stdout(readIgorLogFixture('lts2022-vm-runtime-error'));
+
+		assert.deepEqual(error.data.stackFrames.map(frame => describe(frame.script, frame.line).label), [
+			'Function <anon function 118> (in obj_spawner\'s Create Event), line 6',
+			'Function spawn_wave (in obj_spawner\'s Create Event), line 3',
+			'obj_spawner\'s Alarm0 Event, line 2'
+		]);
+	});
+
+	test('unknown scripts have no position', () => {
+		assertErr(error_position_describe('gml_Unknown_thing', 1, resolver));
+	});
+
+});
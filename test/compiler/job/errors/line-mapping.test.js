@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { error_position_describe } from '../../../../js/compiler/job/errors/error-position.js';
+import { line_from_compiler, line_to_editor_row } from '../../../../js/compiler/job/errors/line-mapping.js';
+import { FakeNameResolver } from './FakeNameResolver.js';
+import { assertOk } from '../../../index.js';
+
+test.suite('line mapping', () => {
+
+	const resolver = new FakeNameResolver({
+		functions: { spawn_wave: 'scr_waves' },
+		objects: ['obj_player', 'obj_wall', 'obj_menu']
+	});
+
+	const scriptCode = [
+		'/// Waves of enemies.',
+		'function spawn_wave() {',
+		'\trepeat (wave * 2) {',
+		'\t\tinstance_create_layer(0, 0, "Instances", obj_enemy);',
+		'\t}',
+		'}'
+	];
+
+	const playerCode = [
+		'#event create',
+		'hp = 10;',
+		'on_hit = function() {',
+		'\thp -= 1;',
+		'}',
+		'',
+		'#event step Move around',
+		'x += 1;',
+		'hp -= 1;',
+		'',
+		'#event collision:obj_wall',
+		'move_bounce_all(true);'
+	];
+
+	const menuCode = [
+		'#event keypress:vk_enter Choose',
+		'',
+		'select(selection);'
+	];
+
+	/**
+	 * Find the row of the editor a reported line is shown on.
+	 *
+	 * @param {string[]} lines
+	 * @param {string} script
+	 * @param {number} line
+	 */
+	function row(lines, script, line) {
+		const position = error_position_describe(script, line, resolver);
+		assertOk(position);
+
+		return line_to_editor_row(lines, position.data.location);
+	}
+
+	test('compiler lines are counted from 0', () => {
+		assert.equal(line_from_compiler('0'), 1);
+		assert.equal(line_from_compiler(12), 13);
+	});
+
+	test('script lines map directly onto rows', () => {
+		assert.equal(row(scriptCode, 'gml_GlobalScript_scr_waves', 2), 1);
+	});
+
+	test('function lines are lines of the script declaring them', () => {
+		assert.equal(row(scriptCode, 'gml_Script_spawn_wave', 3), 2);
+		assert.equal(row(scriptCode, 'gml_Script_spawn_wave@gml_GlobalScript_scr_waves', 4), 3);
+	});
+
+	test('event lines are counted from their header', () => {
+		assert.equal(row(playerCode, 'gml_Object_obj_player_Create_0', 1), 1);
+		assert.equal(row(playerCode, 'gml_Object_obj_player_Collision_obj_wall', 1), 11);
+	});
+
+	test('events with a description shown on their header start on the header', () => {
+		// The step event's file starts with `/// @description Move around`.
+		assert.equal(row(playerCode, 'gml_Object_obj_player_Step_0', 1), 6);
+		assert.equal(row(playerCode, 'gml_Object_obj_player_Step_0', 3), 8);
+		assert.equal(row(menuCode, 'gml_Object_obj_menu_KeyPress_13', 3), 2);
+	});
+
+	test('function lines are lines of the event declaring them', () => {
+		assert.equal(row(playerCode, 'gml_Script_on_hit@gml_Object_obj_player_Create_0', 3), 3);
+	});
+
+	test('lines outside of the code are not placed', () => {
+		assert.equal(row(playerCode, 'gml_Object_obj_player_Create_0', 6), undefined);
+		assert.equal(row(playerCode, 'gml_Object_obj_player_Step_0', 5), undefined);
+		assert.equal(row(playerCode, 'gml_Object_obj_player_Draw_64', 1), undefined);
+		assert.equal(row(playerCode, 'gml_Object_obj_player_Create_0', 0), undefined);
+		assert.equal(row(scriptCode, 'gml_GlobalScript_scr_waves', 7), undefined);
+	});
+
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { JobOutputParser } from '../../../../js/compiler/job/output-parsing/JobOutputParser.js';
+
+test.suite('JobOutputParser', () => {
+
+	/** @type {GM.Job.ErrorDescriptor} */
+	const blockError = {
+		start: /^BEGIN$/,
+		regex: /^BEGIN\n(?<body>(?:> .*\n)+)/m,
+		asHTML: () => { throw new Error('Not used in tests'); },
+		asData: ({ body }) => ({ kind: 'runtime', message: body, stackFrames: [] })
+	};
+
+	/** @type {GM.Job.ErrorDescriptor} */
+	const specificLineError = {
+		regex: /^Error : specific (?<message>.+)$/m,
+		asHTML: () => { throw new Error('Not used in tests'); },
+		asData: ({ message }) => ({ kind: 'syntax', message, stackFrames: [] })
+	};
+
+	/** @type {GM.Job.ErrorDescriptor} */
+	const lineError = {
+		regex: /^Error : (?<message>.+)$/m,
+		asHTML: () => { throw new Error('Not used in tests'); },
+		asData: ({ message }) => ({ kind: 'compile', message, stackFrames: [] })
+	};
+
+	const descriptors = [blockError, specificLineError, lineError];
+
+	/**
+	 * @param {string[]} chunks
+	 * @returns {{ parser: JobOutputParser, emitted: GM.Job.Error[] }}
+	 */
+	function parse(chunks) {
+		const parser = new JobOutputParser(descriptors);
+
+		/** @type {GM.Job.Error[]} */
+		const emitted = [];
+		parser.events.on('error', error => emitted.push(error));
+
+		for (const chunk of chunks) {
+			parser.feed(chunk);
+		}
+
+		return { parser, emitted };
+	}
+
+	test('single line errors are emitted once their line completes', () => {
+		const { parser, emitted } = parse(['some output\nError : first', ' thing\nmore']);
+
+		assert.equal(emitted.length, 1);
+		assert.equal(emitted[0].text, 'Error : first thing');
+		assert.equal(emitted[0].offset, 'some output\n'.length);
+
+		parser.flush();
+		assert.equal(parser.errors.length, 1);
+	});
+
+	test('more specific descriptors take priority', () => {
+		const { parser } = parse(['Error : specific case\nError : general case\n']);
+
+		assert.deepEqual(parser.errors.map(it => it.text), [
+			'Error : specific case',
+			'Error : general case'
+		]);
+	});
+
+	test('errors carry the structured data of their descriptor', () => {
+		const { parser } = parse(['Error : specific case\nError : general case\n']);
+
+		assert.deepEqual(parser.errors.map(it => it.data), [
+			{ kind: 'syntax', message: 'case', stackFrames: [] },
+			{ kind: 'compile', message: 'general case', stackFrames: [] }
+		]);
+	});
+
+	test('multi-line errors complete when a following line is not part of them', () => {
+		const { parser, emitted } = parse(['BEGIN\n> one\n', '> two\n']);
+
+		assert.equal(emitted.length, 0, 'The error may still continue, so should not be emitted yet');
+
+		parser.feed('Error : after\n');
+
+		assert.deepEqual(parser.errors.map(it => it.text), [
+			'BEGIN\n> one\n> two\n',
+			'Error : after'
+		]);
+
+		assert.equal(parser.errors[1].offset, 'BEGIN\n> one\n> two\n'.length);
+	});
+
+	test('multi-line errors at the end of the output complete on flush', () => {
+		const { parser, emitted } = parse(['log\nBEGIN\n> one\n> two']);
+
+		assert.equal(emitted.length, 0);
+		parser.flush();
+
+		assert.equal(emitted.length, 1);
+		assert.equal(emitted[0].text, 'BEGIN\n> one\n> two\n');
+		assert.equal(emitted[0].offset, 'log\n'.length);
+	});
+
+	test('multi-line errors with known last lines are only matched once they may have ended', () => {
+
+		/**
+		 * A pattern counting how many times it is matched against.
+		 */
+		class CountingRegExp extends RegExp {
+
+			count = 0;
+
+			/**
+			 * @param {string} text
+			 */
+			[Symbol.match](text) {
+				this.count++;
+				return super[Symbol.match](text);
+			}
+
+		}
+
+		const regex = new CountingRegExp(blockError.regex);
+		const parser = new JobOutputParser([{ ...blockError, regex, end: /^> / }]);
+
+		parser.feed('BEGIN\n' + '> frame\n'.repeat(200) + 'after\n');
+
+		assert.equal(parser.errors.length, 1);
+		assert.equal(parser.errors[0].text, 'BEGIN\n' + '> frame\n'.repeat(200));
+		assert.equal(regex.count, 1);
+	});
+
+	test('lines after an incomplete multi-line error are still parsed', () => {
+		const { parser } = parse(['BEGIN\nnot part of the block\nError : found\n']);
+		parser.flush();
+
+		assert.deepEqual(parser.errors.map(it => it.text), ['Error : found']);
+		assert.equal(parser.errors[0].offset, 'BEGIN\nnot part of the block\n'.length);
+	});
+
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { JobPhaseTracker } from '../../../../js/compiler/job/output-parsing/JobPhaseTracker.js';
+
+test.suite('JobPhaseTracker', () => {
+
+	test('following the phases of a VM run', () => {
+		const tracker = new JobPhaseTracker();
+
+		/** @type {GM.Job.PhaseTrackerEventMap['phase'][]} */
+		const events = [];
+		tracker.events.on('phase', event => events.push(event));
+
+		const lines = [
+			'Loaded Project: Test',
+			'[Compile] Run asset compiler',
+			'Reading project file....',
+			'Compile Constants...finished.',
+			'Compile Scripts...finished.',
+			'Final Compile...finished.',
+			'Igor complete.',
+			'[Run] Run game',
+			'Setting scheduler resolution to 1',
+			'Entering main loop.'
+		];
+
+		lines.forEach((line, index) => tracker.feedLine(line, new Date(index * 1000)));
+		tracker.finish(new Date(20_000));
+
+		assert.deepEqual(events, [
+			{ phase: 'assetCompile', previous: undefined },
+			{ phase: 'gmlCompile', previous: 'assetCompile' },
+			{ phase: 'runnerLaunch', previous: 'gmlCompile' },
+			{ phase: 'running', previous: 'runnerLaunch' }
+		]);
+
+		assert.equal(tracker.phase, 'running');
+		assert.deepEqual(tracker.getTimings(), [
+			{ phase: 'assetCompile', startTime: new Date(1000), endTime: new Date(3000) },
+			{ phase: 'gmlCompile', startTime: new Date(3000), endTime: new Date(7000) },
+			{ phase: 'runnerLaunch', startTime: new Date(7000), endTime: new Date(8000) },
+			{ phase: 'running', startTime: new Date(8000), endTime: new Date(20_000) }
+		]);
+	});
+
+	test('phases never move backwards', () => {
+		const tracker = new JobPhaseTracker();
+
+		tracker.feedLine('Compile Scripts...finished.');
+		tracker.feedLine('[Compile] Run asset compiler');
+
+		assert.equal(tracker.phase, 'gmlCompile');
+		assert.equal(tracker.getTimings().length, 1);
+	});
+
+	test('no phase before any marker', () => {
+		const tracker = new JobPhaseTracker();
+		tracker.feedLine('Loaded Project: Test');
+
+		assert.equal(tracker.phase, undefined);
+	});
+
+});
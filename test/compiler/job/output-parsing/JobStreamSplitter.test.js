@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { JobStreamSplitter } from '../../../../js/compiler/job/output-parsing/JobStreamSplitter.js';
+
+test.suite('JobStreamSplitter', () => {
+
+	/**
+	 * @param {string[]} lines
+	 * @returns {GM.Job.StreamChunk[]}
+	 */
+	function split(lines) {
+		const splitter = new JobStreamSplitter();
+
+		/** @type {GM.Job.StreamChunk[]} */
+		const chunks = [];
+		splitter.events.on('output', chunk => chunks.push(chunk));
+
+		lines.forEach(line => splitter.feedLine(line));
+
+		return chunks;
+	}
+
+	test('the game\'s output starts after the runner is launched', () => {
+		assert.deepEqual(split([
+			'Compile Scripts...finished.',
+			'Igor complete.',
+			'[Run] Run game',
+			'Setting scheduler resolution to 1',
+			'[player] spawned'
+		]), [
+			{ stream: 'build', text: 'Compile Scripts...finished.\n' },
+			{ stream: 'build', text: 'Igor complete.\n' },
+			{ stream: 'build', text: '[Run] Run game\n' },
+			{ stream: 'game', text: 'Setting scheduler resolution to 1\n' },
+			{ stream: 'game', text: '[player] spawned\n' }
+		]);
+	});
+
+	test('Igor finishing up after the game closes is build output again', () => {
+		const chunks = split([
+			'[Run] Run game',
+			'[player] spawned',
+			'Igor complete.',
+			'elapsed time 00:00:12'
+		]);
+
+		assert.deepEqual(chunks.map(it => it.stream), ['build', 'game', 'build', 'build']);
+	});
+
+	test('jobs which never run the game are all build output', () => {
+		const chunks = split([
+			'[Package] Creating zip',
+			'Igor complete.'
+		]);
+
+		assert.deepEqual(chunks.map(it => it.stream), ['build', 'build']);
+	});
+
+});
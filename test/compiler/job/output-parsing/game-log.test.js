@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { game_log_parse_line } from '../../../../js/compiler/job/output-parsing/game-log.js';
+import { None, Some } from '../../../../js/utils/Option.js';
+
+test.suite('game_log_parse_line', () => {
+
+	test('structured entries are read with their level and category', () => {
+		assert.deepEqual(
+			game_log_parse_line('{"level":"WARN","category":"ai","message":"No path to target","x":4}'),
+			Some({ level: 'warn', category: 'ai', message: 'No path to target' })
+		);
+	});
+
+	test('the category is optional', () => {
+		assert.deepEqual(
+			game_log_parse_line('  {"level":"info","message":"Saved"}  '),
+			Some({ level: 'info', message: 'Saved' })
+		);
+	});
+
+	test('other lines are not entries', () => {
+		assert.equal(game_log_parse_line('[player] spawned'), None);
+		assert.equal(game_log_parse_line('{ "level": "info" }'), None);
+		assert.equal(game_log_parse_line('{"level":"loud","message":"Hi"}'), None);
+		assert.equal(game_log_parse_line('{not json}'), None);
+	});
+
+});
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { job_parse_stdout } from '../../../../js/compiler/job/output-parsing/parse-stdout.js';
+import { job_error_is_fatal, job_error_severity } from '../../../../js/compiler/job/errors/job-error-severity.js';
+import { readIgorLogFixture } from '../../../index.js';
+
+test.suite('job_parse_stdout', () => {
+
+	test('compiler warnings about a line of code are found with their position', () => {
+		const [warning] = job_parse_stdout('Warning : gml_Script_scr_player(3) : variable "speed_x" only referenced once\n');
+
+		assert.deepEqual(warning.data, {
+			kind: 'warning',
+			message: 'variable "speed_x" only referenced once',
+			script: 'gml_Script_scr_player',
+			line: 4,
+			stackFrames: []
+		});
+	});
+
+	test('other compiler warnings are found without a position', () => {
+		const [warning] = job_parse_stdout('Warning : Extension "Steamworks" has no functions\n');
+
+		assert.deepEqual(warning.data, {
+			kind: 'warning',
+			message: 'Extension "Steamworks" has no functions',
+			stackFrames: []
+		});
+	});
+
+	test('texture pages which overflow are warnings of their own kind', () => {
+		const [warning] = job_parse_stdout('Texture page for group "tg_ui" is too big, sprite spr_background does not fit\n');
+
+		assert.equal(warning.data.kind, 'texture-page');
+	});
+
+	test('only errors are fatal', () => {
+		const errors = job_parse_stdout([
+			'Error : gml_Script_scr_player(2) : malformed assignment statement',
+			'Warning : gml_Script_scr_player(5) : unused variable',
+			''
+		].join('\n'));
+
+		assert.deepEqual(errors.map(error => job_error_severity(error.data)), ['error', 'warning']);
+		assert.deepEqual(errors.map(error => job_error_is_fatal(error.data)), [true, false]);
+	});
+
+});
+
+test.suite('job_parse_stdout on recorded logs', () => {
+
+	/**
+	 * @param {string} name
+	 * @returns {GM.Job.ErrorData[]}
+	 */
+	function parseFixture(name) {
+		return job_parse_stdout(readIgorLogFixture(name)).map(error => error.data);
+	}
+
+	test('a clean run has no errors', () => {
+		assert.deepEqual(parseFixture('2024.11-vm-run-ok'), []);
+	});
+
+	test('compile errors and warnings', () => {
+		assert.deepEqual(parseFixture('2024.11-vm-compile-errors'), [
+			{ kind: 'warning', message: 'variable "speed_x" only referenced once', script: 'gml_Script_scr_player_move', line: 8, stackFrames: [] },
+			{ kind: 'syntax', message: 'malformed assignment statement', script: 'gml_Script_scr_player_move', line: 13, stackFrames: [] },
+			{ kind: 'syntax', message: 'unexpected symbol "}" in expression', script: 'gml_Object_obj_enemy_Step_0', line: 4, stackFrames: [] },
+			{ kind: 'texture-page', message: 'Texture page for group "tg_ui" is too big, sprite spr_background does not fit', stackFrames: [] }
+		]);
+	});
+
+	test('warnings in key events, collision events and functions', () => {
+		assert.deepEqual(parseFixture('2024.11-vm-compile-warnings'), [
+			{ kind: 'warning', message: 'variable "selection" only referenced once', script: 'gml_Object_obj_menu_KeyPress_13', line: 5, stackFrames: [] },
+			{ kind: 'warning', message: 'function "move_bounce_all" is deprecated', script: 'gml_Object_obj_player_Collision_obj_wall', line: 3, stackFrames: [] },
+			{ kind: 'warning', message: 'variable "knockback" only referenced once', script: 'gml_Script_on_hit@gml_Object_obj_player_Create_0', line: 10, stackFrames: [] },
+			{ kind: 'warning', message: 'Extension "Steamworks" has no functions', stackFrames: [] }
+		]);
+	});
+
+	test('permission errors', () => {
+		assert.deepEqual(parseFixture('2024.11-yyc-permission-error'), [
+			{ kind: 'permissions', message: 'Access to the path \'/home/dev/build/Linux/0/cache/Linux/Default/Scripts\' is denied.', stackFrames: [] },
+			{ kind: 'compile', message: 'Failed to compile the YYC build, see the output above', stackFrames: [] }
+		]);
+	});
+
+	test('runtime errors in the 2024.600+ format', () => {
+		assert.deepEqual(parseFixture('2024.11-vm-runtime-error'), [{
+			kind: 'runtime',
+			message: 'Variable <unknown_object>.hp(100012, -2147483648) not set before reading it.',
+			script: 'gml_Object_obj_player_Step_0',
+			object: 'obj_player',
+			event: 'Step Event0',
+			line: 3,
+			stackFrames: [
+				{ script: 'gml_Object_obj_player_Step_0', line: 3, source: 'hp -= 1;' },
+				{ script: 'gml_Script_scr_damage', line: 10, source: 'other.hp = clamp(other.hp - amount, 0, 100);' }
+			]
+		}]);
+	});
+
+	test('runtime errors in the 2024.400 format', () => {
+		assert.deepEqual(parseFixture('2024.4-vm-runtime-error'), [{
+			kind: 'runtime',
+			message: 'Unable to find instance for object index 14 name obj_target',
+			script: 'gml_Script_anon@48@gml_Object_obj_enemy_Create_0',
+			object: 'obj_enemy',
+			event: 'Step Event0',
+			line: 3,
+			stackFrames: [
+				{ script: 'gml_Script_anon@48@gml_Object_obj_enemy_Create_0', line: 3, source: 'target.hp -= damage;' },
+				{ script: 'gml_Script_attack@Enemy@gml_GlobalScript_scr_enemies', line: 22, source: 'on_attack(self);' },
+				{ script: 'gml_Object_obj_enemy_Step_0', line: 8, source: 'brain.attack();' }
+			]
+		}]);
+	});
+
+	test('runtime errors from LTS 2022', () => {
+		assert.deepEqual(parseFixture('lts2022-vm-runtime-error'), [{
+			kind: 'runtime',
+			message: 'Variable obj_spawner.wave(100005, -2147483648) not set before reading it.',
+			script: 'gml_Script_anon_gml_Object_obj_spawner_Create_0_118_gml_Object_obj_spawner_Create_0',
+			object: 'obj_spawner',
+			event: 'Alarm Event for alarm 0',
+			line: 6,
+			stackFrames: [
+				{ script: 'gml_Script_anon_gml_Object_obj_spawner_Create_0_118_gml_Object_obj_spawner_Create_0', line: 6, source: 'repeat (wave * 2) {' },
+				{ script: 'gml_Script_spawn_wave_gml_Object_obj_spawner_Create_0', line: 3, source: 'array_foreach(lanes, function(_lane) {' },
+				{ script: 'gml_Object_obj_spawner_Alarm_0', line: 2, source: 'spawn_wave();' }
+			]
+		}]);
+	});
+
+});
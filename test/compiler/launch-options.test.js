@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { launch_args_parse, launch_env_parse, launch_settings_with_profile } from '../../js/compiler/launch-options.js';
+import { Ok } from '../../js/utils/Result.js';
+
+test.suite('launch options', () => {
+
+	test('arguments are split on whitespace', () => {
+		assert.deepEqual(launch_args_parse('  -skipintro   -debuglevel 2 '), Ok(['-skipintro', '-debuglevel', '2']));
+		assert.deepEqual(launch_args_parse(''), Ok([]));
+	});
+
+	test('quoted arguments keep their whitespace', () => {
+		assert.deepEqual(
+			launch_args_parse(`-level "Forest Path" -name 'Test Player' -say "a \\"quote\\""`),
+			Ok(['-level', 'Forest Path', '-name', 'Test Player', '-say', 'a "quote"'])
+		);
+
+		assert.deepEqual(launch_args_parse('-empty ""'), Ok(['-empty', '']));
+	});
+
+	test('an unclosed quote is an error', () => {
+		assert.equal(launch_args_parse('-level "Forest').ok, false);
+	});
+
+	test('environment variables are read as name and value pairs', () => {
+		assert.deepEqual(
+			launch_env_parse('DEBUG_OVERLAY=1 PLAYER_NAME="Test Player" EMPTY= URL=a=b'),
+			Ok({ DEBUG_OVERLAY: '1', PLAYER_NAME: 'Test Player', EMPTY: '', URL: 'a=b' })
+		);
+	});
+
+	test('environment variables need a valid name and a value', () => {
+		assert.equal(launch_env_parse('DEBUG').ok, false);
+		assert.equal(launch_env_parse('1ST=yes').ok, false);
+		assert.equal(launch_env_parse('=yes').ok, false);
+	});
+
+	test('a profile only replaces the launch settings it defines', () => {
+		const local = { runnerArgs: '-fullscreen', runnerEnv: 'LEVEL=2' };
+
+		assert.deepEqual(launch_settings_with_profile(local, { runnerEnv: 'LEVEL=5' }), {
+			runnerArgs: '-fullscreen',
+			runnerEnv: 'LEVEL=5'
+		});
+
+		assert.deepEqual(launch_settings_with_profile(local, {}), local);
+	});
+
+});
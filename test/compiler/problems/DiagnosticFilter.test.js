@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { diagnostic_is_ignored } from '../../../js/compiler/problems/DiagnosticFilter.js';
+
+test.suite('diagnostic_is_ignored', () => {
+
+	/** @type {GM.Job.ErrorData} */
+	const warning = { kind: 'warning', message: 'Variable "speed_x" only referenced once', stackFrames: [] };
+
+	test('warnings containing ignored text are ignored, regardless of case', () => {
+		assert.equal(diagnostic_is_ignored(warning, ['only referenced ONCE']), true);
+		assert.equal(diagnostic_is_ignored(warning, ['deprecated']), false);
+	});
+
+	test('blank entries ignore nothing', () => {
+		assert.equal(diagnostic_is_ignored(warning, ['', '  ']), false);
+	});
+
+	test('errors are never ignored', () => {
+		assert.equal(diagnostic_is_ignored({ ...warning, kind: 'syntax' }, ['only referenced once']), false);
+	});
+
+});
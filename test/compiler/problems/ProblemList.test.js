@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { ProblemList } from '../../../js/compiler/problems/ProblemList.js';
+import { EventEmitterImpl } from '../../../js/utils/EventEmitterImpl.js';
+
+test.suite('ProblemList', () => {
+
+	/**
+	 * @param {string} message
+	 * @returns {TProblems.Problem}
+	 */
+	function problem(message) {
+		return {
+			severity: 'error',
+			jobName: 'Windows Run #0',
+			data: { kind: 'syntax', message, stackFrames: [] },
+			time: new Date(0)
+		};
+	}
+
+	/**
+	 * @param {string[]} messages
+	 * @returns {ProblemList}
+	 */
+	function listOf(messages) {
+		const list = new ProblemList();
+		messages.forEach(message => list.add(problem(message)));
+		return list;
+	}
+
+	test('stepping forward wraps around to the first problem', () => {
+		const list = listOf(['a', 'b']);
+
+		assert.equal(list.next()?.data.message, 'a');
+		assert.equal(list.next()?.data.message, 'b');
+		assert.equal(list.next()?.data.message, 'a');
+	});
+
+	test('stepping back from the start goes to the last problem', () => {
+		const list = listOf(['a', 'b', 'c']);
+
+		assert.equal(list.previous()?.data.message, 'c');
+		assert.equal(list.previous()?.data.message, 'b');
+	});
+
+	test('stepping through no problems finds nothing', () => {
+		const list = new ProblemList();
+
+		assert.equal(list.next(), undefined);
+		assert.equal(list.previous(), undefined);
+		assert.equal(list.getSelectedIndex(), -1);
+	});
+
+	test('clearing resets the cursor', () => {
+		const list = listOf(['a', 'b']);
+
+		list.select(1);
+		list.clear();
+		list.add(problem('c'));
+
+		assert.equal(list.next()?.data.message, 'c');
+	});
+
+	test('stepping skips problems which are not shown', () => {
+		const list = new ProblemList(data => data.message !== 'b');
+		['a', 'b', 'c'].forEach(message => list.add(problem(message)));
+
+		assert.equal(list.next()?.data.message, 'a');
+		assert.equal(list.next()?.data.message, 'c');
+		assert.equal(list.previous()?.data.message, 'a');
+	});
+
+	test('errors from several jobs are collected together', () => {
+		const list = new ProblemList();
+
+		const jobs = [0, 1].map(id => {
+			/** @type {EventEmitterImpl<GM.Job.EventMap>} */
+			const events = new EventEmitterImpl(['stdout', 'output', 'error', 'stopping', 'stop']);
+			const job = /** @type {GM.Job} */ (/** @type {unknown} */ ({ id, platform: 'Windows', task: 'Run', events }));
+
+			list.track(job);
+			return events;
+		});
+
+		for (const [index, events] of jobs.entries()) {
+			events.emit('error', {
+				offset: 0,
+				length: 0,
+				text: '',
+				data: { kind: 'runtime', message: `crash ${index}`, stackFrames: [] },
+				asHTML: () => { throw new Error('unused'); }
+			});
+		}
+
+		assert.deepEqual(list.getProblems().map(it => it.jobName), ['Windows Run #0', 'Windows Run #1']);
+	});
+
+});
@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { MockDiskIO } from '../../utils/io/MockDiskIO.js';
+import { EventEmitterImpl } from '../../../js/utils/EventEmitterImpl.js';
+import { assertOk } from '../../index.js';
+import { job_log_file_name, job_log_file_track, job_log_with_dropped_lines, job_log_with_errors } from '../../../js/compiler/reports/job-log-file.js';
+
+test.suite('job log file', () => {
+
+	/** @type {ProblemLogger} */
+	const logger = {
+		error() { return this; },
+		warn() { return this; },
+		debug() { return this; }
+	};
+
+	const startTime = new Date(Date.UTC(2026, 9, 19, 14, 5, 9, 250));
+
+	/**
+	 * @param {Date} [time] When the job started.
+	 * @returns {{ job: GM.Job, events: EventEmitterImpl<GM.Job.EventMap> }}
+	 */
+	function fakeJob(time = startTime) {
+
+		/** @type {EventEmitterImpl<GM.Job.EventMap>} */
+		const events = new EventEmitterImpl(['stdout', 'output', 'stopping', 'stop']);
+		const job = /** @type {GM.Job} */ (/** @type {unknown} */ ({ events, header: '', startTime: time, settings: { buildPath: 'build' } }));
+
+		return { job, events };
+
+	}
+
+	/**
+	 * @param {GM.Job.ErrorData} data
+	 * @param {string} text
+	 * @returns {GM.Job.Error}
+	 */
+	function jobError(data, text) {
+		return { offset: 0, length: text.length, text, data, asHTML: () => { throw new Error('unused'); } };
+	}
+
+	test('the whole of the output is written to the build directory', async () => {
+		const diskIO = new MockDiskIO({});
+		const { job, events } = fakeJob();
+
+		const { written } = job_log_file_track(job, diskIO, logger);
+
+		events.emit('stdout', 'first line\n');
+		await Promise.resolve();
+		events.emit('stdout', 'second ');
+		events.emit('stdout', 'line\n');
+		events.emit('stop', { stopType: 'Finished', exitCode: 0, errors: [] });
+
+		await written;
+
+		const file = await diskIO.readFile(diskIO.joinPath('build', 'constructor-log-2026-10-19T14-05-09-250Z.txt'));
+
+		assert.ok(file.ok);
+		assert.equal(file.data.toString(), 'first line\nsecond line\n');
+	});
+
+	test('output after the job stops is not written', async () => {
+		const diskIO = new MockDiskIO({});
+		const { job, events } = fakeJob();
+
+		const { written } = job_log_file_track(job, diskIO, logger);
+
+		events.emit('stdout', 'output');
+		events.emit('stop', { stopType: 'Finished', exitCode: 0, errors: [] });
+		events.emit('stdout', ' more');
+
+		await written;
+
+		const file = await diskIO.readFile(diskIO.joinPath('build', 'constructor-log-2026-10-19T14-05-09-250Z.txt'));
+
+		assert.ok(file.ok);
+		assert.equal(file.data.toString(), 'output');
+	});
+
+	test('reading the log back includes the output received so far', async () => {
+		const diskIO = new MockDiskIO({});
+		const { job, events } = fakeJob();
+
+		const { read } = job_log_file_track(job, diskIO, logger);
+
+		events.emit('stdout', 'first line\n');
+		await Promise.resolve();
+		events.emit('stdout', 'second line\n');
+
+		const log = await read();
+
+		assertOk(log);
+		assert.equal(log.data, 'first line\nsecond line\n');
+	});
+
+	test('a later job in the same build directory keeps the earlier log', async () => {
+		const diskIO = new MockDiskIO({});
+		const first = fakeJob();
+		const second = fakeJob(new Date(startTime.getTime() + 60_000));
+
+		const firstLog = job_log_file_track(first.job, diskIO, logger);
+		first.events.emit('stdout', 'first run');
+		first.events.emit('stop', { stopType: 'Finished', exitCode: 0, errors: [] });
+		await firstLog.written;
+
+		const secondLog = job_log_file_track(second.job, diskIO, logger);
+		second.events.emit('stdout', 'second run');
+		second.events.emit('stop', { stopType: 'Finished', exitCode: 0, errors: [] });
+		await secondLog.written;
+
+		const firstFile = await diskIO.readFile(diskIO.joinPath('build', job_log_file_name(first.job.startTime)));
+		assertOk(firstFile);
+		assert.equal(firstFile.data.toString(), 'first run');
+
+		const secondFile = await diskIO.readFile(diskIO.joinPath('build', job_log_file_name(second.job.startTime)));
+		assertOk(secondFile);
+		assert.equal(secondFile.data.toString(), 'second run');
+	});
+
+	test('logs which dropped lines say so at the start', () => {
+		assert.equal(job_log_with_dropped_lines('kept\n', 0), 'kept\n');
+		assert.equal(
+			job_log_with_dropped_lines('kept\n', 1200),
+			'[1200 earlier line(s) of output were dropped from the log, and are missing here]\nkept\n'
+		);
+	});
+
+	test('exported logs list their problems at the end', () => {
+		const log = job_log_with_errors('compiling\nError : gml_Script_x(2) : oops\n\n', [
+			jobError({ kind: 'compile', message: 'oops', stackFrames: [] }, 'Error : gml_Script_x(2) : oops\n'),
+			jobError({ kind: 'warning', message: 'unused', stackFrames: [] }, 'Warning : unused')
+		]);
+
+		assert.equal(log, [
+			'compiling\nError : gml_Script_x(2) : oops',
+			'==================== 2 problem(s) ====================',
+			'[error] Error : gml_Script_x(2) : oops',
+			'[warning] Warning : unused'
+		].join('\n\n') + '\n');
+	});
+
+});
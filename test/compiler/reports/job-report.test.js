@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { MockDiskIO } from '../../utils/io/MockDiskIO.js';
+import { GMRuntimeVersion } from '../../../js/compiler/GMVersion.js';
+import { EventEmitterImpl } from '../../../js/utils/EventEmitterImpl.js';
+import {
+	JOB_REPORT_JSON_FILE_NAME,
+	JOB_REPORT_JUNIT_FILE_NAME,
+	job_report_create,
+	job_report_to_junit,
+	job_report_track
+} from '../../../js/compiler/reports/job-report.js';
+
+test.suite('job reports', () => {
+
+	/** @type {ProblemLogger} */
+	const logger = {
+		error() { return this; },
+		warn() { return this; },
+		debug() { return this; }
+	};
+
+	/**
+	 * @returns {{ job: GM.Job, events: EventEmitterImpl<GM.Job.EventMap> }}
+	 */
+	function fakeJob() {
+
+		/** @type {EventEmitterImpl<GM.Job.EventMap>} */
+		const events = new EventEmitterImpl(['stdout', 'output', 'stopping', 'stop']);
+
+		const job = /** @type {GM.Job} */ (/** @type {unknown} */ ({
+			events,
+			startTime: new Date(0),
+			settings: {
+				platform: 'Linux',
+				task: 'Run',
+				runtimeType: 'VM',
+				configName: 'Default',
+				buildPath: 'build',
+				runtime: { version: new GMRuntimeVersion(2024, 11, 0, 0), path: '', igorPath: '' },
+				user: { name: 'user' }
+			},
+			getPhaseTimings: () => [
+				{ phase: 'gmlCompile', startTime: new Date(0), endTime: new Date(1500) },
+				{ phase: 'running', startTime: new Date(1500) }
+			]
+		}));
+
+		return { job, events };
+
+	}
+
+	/** @type {GM.Job.Error} */
+	const syntaxError = {
+		offset: 0,
+		length: 10,
+		text: 'Error : gml_Script_foo(4) : unexpected "<" & such',
+		data: { kind: 'syntax', message: 'unexpected "<" & such', script: 'gml_Script_foo', line: 5, stackFrames: [] },
+		asHTML: () => { throw new Error('unused'); }
+	};
+
+	test('reports describe the job and its errors', () => {
+		const { job } = fakeJob();
+		const report = job_report_create(job, 'Project', { stopType: 'Failed', exitCode: 1, errors: [syntaxError] }, new Date(3000));
+
+		assert.equal(report.project, 'Project');
+		assert.equal(report.settings.runtimeVersion, 'runtime-2024.11.0.0');
+		assert.equal(report.startTime, '1970-01-01T00:00:00.000Z');
+		assert.equal(report.durationMs, 3000);
+		assert.deepEqual(report.phases, [
+			{ phase: 'gmlCompile', durationMs: 1500 },
+			{ phase: 'running', durationMs: undefined }
+		]);
+		assert.deepEqual(report.errors, [{ ...syntaxError.data, severity: 'error', text: syntaxError.text }]);
+	});
+
+	test('JUnit output has a failing case for the job and for each error', () => {
+		const { job } = fakeJob();
+		const report = job_report_create(job, 'Project', { stopType: 'Failed', exitCode: 1, errors: [syntaxError] }, new Date(3000));
+		const xml = job_report_to_junit(report);
+
+		assert.match(xml, /<testsuites name="GMEdit-Constructor" tests="2" failures="2" time="3.000">/);
+		assert.match(xml, /<failure message="Job failed with exit code 1" type="Failed"\/>/);
+		assert.match(xml, /<testcase classname="Project.syntax" name="gml_Script_foo:5" file="gml_Script_foo" line="5">/);
+		assert.match(xml, /message="unexpected &quot;&lt;&quot; &amp; such"/);
+		assert.doesNotMatch(xml, /"<"/, 'Error text should be escaped');
+	});
+
+	test('stopped jobs are skipped rather than failed', () => {
+		const { job } = fakeJob();
+		const xml = job_report_to_junit(job_report_create(job, 'Project', { stopType: 'Stopped', errors: [] }, new Date(3000)));
+
+		assert.match(xml, /tests="1" failures="0" errors="0" skipped="1"/);
+		assert.match(xml, /<skipped /);
+	});
+
+	test('tracked jobs write both reports into their build directory', async () => {
+		const diskIO = new MockDiskIO({ build: { type: 'directory', entries: {} } });
+		const { job, events } = fakeJob();
+
+		const written = job_report_track(job, 'Project', diskIO, logger);
+		events.emit('stop', { stopType: 'Finished', exitCode: 0, errors: [] });
+		await written;
+
+		const json = diskIO.readFileSync(diskIO.joinPath('build', JOB_REPORT_JSON_FILE_NAME));
+		const xml = diskIO.readFileSync(diskIO.joinPath('build', JOB_REPORT_JUNIT_FILE_NAME));
+
+		assert(json.ok && xml.ok);
+		assert.equal(JSON.parse(json.data.toString()).stopType, 'Finished');
+		assert.match(xml.data.toString(), /failures="0"/);
+	});
+
+});
@@ -0,0 +1,220 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { WatchMode } from '../../../js/compiler/watch/WatchMode.js';
+import { EventEmitterImpl } from '../../../js/utils/EventEmitterImpl.js';
+import { delay } from '../../../js/utils/delay.js';
+
+test.suite('WatchMode', () => {
+
+	/**
+	 * A run that stays compiling until the test moves it on.
+	 */
+	class FakeJob {
+
+		/** @type {EventEmitterImpl<GM.Job.EventMap>} */
+		events = new EventEmitterImpl(['stdout', 'streamOutput', 'error', 'output', 'phase', 'stopping', 'stop']);
+
+		/** @type {GM.Job.State} */
+		state = { status: 'running' };
+
+		/** @type {GM.Job.Phase|undefined} */
+		phase = 'gmlCompile';
+
+		getState() {
+			return this.state;
+		}
+
+		getPhase() {
+			return this.phase;
+		}
+
+		launch() {
+			this.phase = 'running';
+			this.events.emit('phase', { phase: 'running', previous: 'gmlCompile' });
+		}
+
+		async stop() {
+			this.state = { status: 'stopped', stopType: 'Stopped' };
+			this.events.emit('stop', { stopType: 'Stopped', errors: [] });
+			return /** @type {const} */ ({ ok: true, data: { stopType: 'Stopped', errors: [] } });
+		}
+
+	}
+
+	/**
+	 * @param {FakeJob} job
+	 * @returns {GM.Job}
+	 */
+	const asJob = (job) => /** @type {GM.Job} */ (/** @type {unknown} */ (job));
+
+	/** @type {ProblemLogger} */
+	const logger = {
+		error() { return this; },
+		warn() { return this; },
+		debug() { return this; }
+	};
+
+	/**
+	 * Create watch mode with a start function which records the runs it starts.
+	 *
+	 * @returns {{ started: FakeJob[], watchMode: WatchMode }}
+	 */
+	function fakeWatchMode() {
+
+		/** @type {FakeJob[]} */
+		const started = [];
+
+		const watchMode = new WatchMode(async () => {
+			const job = new FakeJob();
+			started.push(job);
+
+			return asJob(job);
+		}, logger, 1);
+
+		watchMode.setEnabled(true);
+
+		return { started, watchMode };
+
+	}
+
+	test('saving several files rebuilds once', async () => {
+		const { started, watchMode } = fakeWatchMode();
+
+		watchMode.fileChanged();
+		watchMode.fileChanged();
+		watchMode.fileChanged();
+		assert.equal(watchMode.getStatus(), 'pending');
+
+		await delay(20);
+
+		assert.equal(started.length, 1);
+		assert.equal(watchMode.getStatus(), 'rebuilding');
+
+		started[0].launch();
+		assert.equal(watchMode.getStatus(), 'watching');
+	});
+
+	test('the running game is stopped before rebuilding', async () => {
+		const { started, watchMode } = fakeWatchMode();
+
+		watchMode.fileChanged();
+		await delay(20);
+		started[0].launch();
+
+		watchMode.fileChanged();
+		await delay(20);
+
+		assert.equal(started.length, 2);
+		assert.equal(started[0].getState().status, 'stopped');
+		assert.equal(started[1].getState().status, 'running');
+	});
+
+	test('each rebuild replaces the previous run', async () => {
+		/** @type {Array<GM.Job|undefined>} */
+		const replaced = [];
+
+		const watchMode = new WatchMode(async (previous) => {
+			replaced.push(previous);
+			return asJob(new FakeJob());
+		}, logger, 1);
+
+		const first = new FakeJob();
+
+		watchMode.setEnabled(true);
+		watchMode.track(asJob(first));
+		first.launch();
+
+		watchMode.fileChanged();
+		await delay(20);
+
+		assert.equal(replaced.length, 1);
+		assert.equal(replaced[0], asJob(first));
+	});
+
+	test('changes while compiling wait for the compile to finish', async () => {
+		const { started, watchMode } = fakeWatchMode();
+
+		watchMode.fileChanged();
+		await delay(20);
+
+		watchMode.fileChanged();
+		await delay(20);
+
+		assert.equal(started.length, 1);
+		assert.equal(started[0].getState().status, 'running');
+		assert.equal(watchMode.getStatus(), 'pending');
+
+		started[0].launch();
+		await delay(20);
+
+		assert.equal(started.length, 2);
+		assert.equal(started[0].getState().status, 'stopped');
+	});
+
+	test('files saved by starting a run by hand are not changes', async () => {
+		const { started, watchMode } = fakeWatchMode();
+		const manualRun = new FakeJob();
+
+		watchMode.saveForRun(() => watchMode.fileChanged());
+		watchMode.track(asJob(manualRun));
+		manualRun.launch();
+		await delay(20);
+
+		assert.equal(started.length, 0);
+		assert.equal(manualRun.getState().status, 'running');
+		assert.equal(watchMode.getStatus(), 'watching');
+	});
+
+	test('changes saved before a run started by hand are built by that run', async () => {
+		const { started, watchMode } = fakeWatchMode();
+		const manualRun = new FakeJob();
+
+		watchMode.fileChanged();
+		watchMode.track(asJob(manualRun));
+		assert.equal(watchMode.getStatus(), 'rebuilding');
+
+		manualRun.launch();
+		await delay(20);
+
+		assert.equal(started.length, 0);
+		assert.equal(watchMode.getStatus(), 'watching');
+	});
+
+	test('a rebuild that fails is reported, and later changes still rebuild', async () => {
+
+		/** @type {string[]} */
+		const errors = [];
+		let attempts = 0;
+
+		const watchMode = new WatchMode(async () => {
+			attempts ++;
+			throw new Error('Failed to start');
+		}, { ...logger, error(title) { errors.push(title); return this; } }, 1);
+
+		watchMode.setEnabled(true);
+
+		watchMode.fileChanged();
+		await delay(20);
+
+		assert.deepEqual(errors, ['Watch mode failed to rebuild the project']);
+		assert.equal(watchMode.getStatus(), 'watching');
+
+		watchMode.fileChanged();
+		await delay(20);
+
+		assert.equal(attempts, 2);
+	});
+
+	test('nothing is rebuilt once turned off', async () => {
+		const { started, watchMode } = fakeWatchMode();
+
+		watchMode.fileChanged();
+		watchMode.setEnabled(false);
+		watchMode.fileChanged();
+		await delay(20);
+
+		assert.equal(started.length, 0);
+		assert.equal(watchMode.getStatus(), 'off');
+	});
+
+});
@@ -1,3 +1,11 @@
 
 export function assertOk<T>(result: Result<T, any>): asserts result is Ok<T>;
 export function assertErr<E>(result: Result<any, E>): asserts result is Err<E>;
+
+/**
+ * Read one of the Igor logs from `test/fixtures/synthetic-igor-logs`. These are written by hand in
+ * the format Igor and the runner use in each runtime, rather than captured from a real build.
+ * 
+ * @param name Name of the log, without its extension.
+ */
+export function readIgorLogFixture(name: string): string;
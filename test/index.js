@@ -1,4 +1,5 @@
 import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
 import { inspect } from 'node:util';
 
 /**
@@ -26,3 +27,10 @@ export function assertErr(result) {
 		return assert.fail(`The result was not Err, got Ok(void)`);
 	}
 }
+
+/**
+ * @type {import('index.d.ts').readIgorLogFixture}
+ */
+export function readIgorLogFixture(name) {
+	return readFileSync(new URL(`fixtures/synthetic-igor-logs/${name}.log`, import.meta.url), 'utf-8');
+}
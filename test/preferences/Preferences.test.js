@@ -0,0 +1,289 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { Preferences } from '../../js/preferences/Preferences.js';
+import { PREFERENCES_SECTIONS, PREFERENCES_SECTION_NAMES } from '../../js/preferences/preferences-sections.js';
+import { MockDiskIO } from '../utils/io/MockDiskIO.js';
+import { assertErr, assertOk } from '../index.js';
+
+test.suite('Preferences', () => {
+
+	/** @type {GMS2.RuntimeIndexer} */
+	const runtimeIndexer = {
+		getRuntimes: async () => ({ ok: false, err: { code: 'pathReadError', inner: new Error('No runtimes here') } })
+	};
+
+	/** @type {GM.UserIndexer} */
+	const userIndexer = {
+		getUsers: async () => ({ ok: false, err: { code: 'pathReadError', inner: new Error('No users here') } })
+	};
+
+	/**
+	 * @param {Record<string, unknown>} files Contents of each file, to be saved as JSON.
+	 */
+	function setup(files) {
+
+		/** @type {string[]} */
+		const warnings = [];
+
+		/** @type {ProblemLogger} */
+		const logger = {
+			error() { return this; },
+			warn(title) { warnings.push(title); return this; },
+			debug() { return this; }
+		};
+
+		const diskIO = new MockDiskIO(Object.fromEntries(Object.entries(files).map(([name, data]) =>
+			[name, { type: 'file', data: JSON.stringify(data) }]
+		)));
+
+		/**
+		 * Load the preferences, from `prefs.json` and the team defaults in `defaults.json`.
+		 */
+		async function load() {
+			const preferences = new Preferences(logger, runtimeIndexer, userIndexer, diskIO);
+			assertOk(await preferences.load('prefs.json', 'defaults.json'));
+
+			return preferences;
+		}
+
+		/**
+		 * @param {string} name
+		 * @returns {Partial<TPreferences.Data>}
+		 */
+		function readFile(name) {
+			const file = diskIO.readFileSync(name);
+			assertOk(file);
+
+			return JSON.parse(file.data.toString());
+		}
+
+		/**
+		 * @param {string} name
+		 * @param {unknown} data
+		 */
+		function writeFile(name, data) {
+			assertOk(diskIO.writeFileSync(name, JSON.stringify(data)));
+		}
+
+		return { load, readFile, writeFile, warnings };
+
+	}
+
+	test('team defaults fill in the preferences the user has not set', async () => {
+		const { load, warnings } = setup({
+			'prefs.json': { version: 2, showWarnings: false },
+			'defaults.json': {
+				version: 2,
+				runtime_opts: { type_opts: { 'LTS 2022': { search_path: '/team/lts-runtimes' } } },
+				showWarnings: true,
+				logScrollbackLines: 5000
+			}
+		});
+
+		const preferences = await load();
+
+		assert.equal(preferences.usingTeamDefaults, true);
+		assert.equal(preferences.teamDefaultsPath, 'defaults.json');
+		assert.equal(preferences.getRuntimeSearchPath('LTS 2022'), '/team/lts-runtimes');
+		assert.equal(preferences.showWarnings, false);
+		assert.equal(preferences.logScrollbackLines, 5000);
+		assert.deepEqual(warnings, []);
+	});
+
+	test('without team defaults, the built-in defaults are used', async () => {
+		const { load, warnings } = setup({ 'prefs.json': { version: 2 } });
+		const preferences = await load();
+
+		assert.equal(preferences.usingTeamDefaults, false);
+		assert.equal(preferences.logScrollbackLines, 20000);
+		assert.deepEqual(warnings, []);
+	});
+
+	test('team defaults which cannot be read are warned about and left out', async () => {
+		const { load, warnings } = setup({
+			'prefs.json': { version: 2 },
+			'defaults.json': ['not', 'preferences']
+		});
+
+		const preferences = await load();
+
+		assert.equal(preferences.usingTeamDefaults, false);
+		assert.equal(preferences.logScrollbackLines, 20000);
+		assert.deepEqual(warnings, ['Failed to load the team defaults']);
+	});
+
+	test('only preferences the user has set are saved', async () => {
+		const { load, readFile } = setup({
+			'prefs.json': { version: 2 },
+			'defaults.json': { version: 2, logScrollbackLines: 5000 }
+		});
+
+		const preferences = await load();
+		assert.deepEqual(readFile('prefs.json'), { version: 2 });
+
+		preferences.showWarnings = false;
+		await preferences.setRuntimeSearchPath('Beta', '/mine/beta-runtimes');
+		assert.deepEqual(readFile('prefs.json'), {
+			version: 2,
+			showWarnings: false,
+			runtime_opts: { type_opts: { 'Beta': { search_path: '/mine/beta-runtimes' } } }
+		});
+	});
+
+	test('preferences set to the same value as the defaults stay set when the defaults change', async () => {
+		const { load, readFile, writeFile } = setup({
+			'prefs.json': { version: 2 },
+			'defaults.json': { version: 2, logScrollbackLines: 5000 }
+		});
+
+		const preferences = await load();
+
+		preferences.logScrollbackLines = 5000;
+		assert.deepEqual(readFile('prefs.json'), { version: 2, logScrollbackLines: 5000 });
+
+		writeFile('defaults.json', { version: 2, logScrollbackLines: 1000 });
+		assert.equal((await load()).logScrollbackLines, 5000);
+	});
+
+	test('preferences saved in full by older versions are all kept as set', async () => {
+		const { load } = setup({
+			'prefs.json': {
+				...await fullPreferences(),
+				version: 1,
+				showWarnings: false
+			},
+			'defaults.json': { version: 2, logScrollbackLines: 5000 }
+		});
+
+		const preferences = await load();
+
+		assert.equal(preferences.showWarnings, false);
+		assert.equal(preferences.logScrollbackLines, 20000);
+	});
+
+	test('resetting the chosen sections lets the defaults apply to them again', async () => {
+		const { load, readFile } = setup({
+			'prefs.json': { version: 2, logScrollbackLines: 20000, global_build_path: '/mine/builds' },
+			'defaults.json': { version: 2, logScrollbackLines: 5000 }
+		});
+
+		const preferences = await load();
+
+		/** @type {number[]} */
+		const logScrollbackLines = [];
+		preferences.events.on('setLogScrollbackLines', (event) => logScrollbackLines.push(event.logScrollbackLines));
+
+		assertOk(await preferences.resetSections(['behaviour']));
+
+		assert.equal(preferences.logScrollbackLines, 5000);
+		assert.equal(preferences.globalBuildPath, '/mine/builds');
+		assert.deepEqual(logScrollbackLines, [5000]);
+		assert.deepEqual(readFile('prefs.json'), { version: 2, global_build_path: '/mine/builds' });
+	});
+
+	test('the chosen sections are exported, as the preferences in use', async () => {
+		const { load, readFile } = setup({
+			'prefs.json': { version: 2, showWarnings: false, artifactsPath: '/releases' },
+			'defaults.json': { version: 2, logScrollbackLines: 5000 }
+		});
+
+		const preferences = await load();
+		assertOk(await preferences.exportTo('export.json', ['behaviour']));
+
+		const exported = readFile('export.json');
+
+		assert.deepEqual(Object.keys(exported).sort(), ['version', ...PREFERENCES_SECTIONS.behaviour.keys].sort());
+		assert.equal(exported.showWarnings, false);
+		assert.equal(exported.logScrollbackLines, 5000);
+	});
+
+	test('importing replaces only the chosen sections', async () => {
+		const { load, readFile } = setup({
+			'prefs.json': { version: 2, global_build_path: '/mine/builds' },
+			'import.json': {
+				version: 2,
+				runtime_opts: { type_opts: { 'Beta': { search_path: '/shared/beta-runtimes' } } },
+				global_build_path: '/shared/builds',
+				showWarnings: false
+			}
+		});
+
+		const preferences = await load();
+		const betaSearchPath = preferences.getRuntimeSearchPath('Beta');
+
+		/** @type {string[]} */
+		const globalBuildPaths = [];
+		preferences.events.on('setGlobalBuildPath', ({ globalBuildPath }) => globalBuildPaths.push(globalBuildPath));
+
+		/** @type {boolean[]} */
+		const showWarnings = [];
+		preferences.events.on('setShowWarnings', (event) => showWarnings.push(event.showWarnings));
+
+		assertOk(await preferences.importFrom('import.json', ['builds', 'behaviour']));
+
+		assert.equal(preferences.globalBuildPath, '/shared/builds');
+		assert.equal(preferences.showWarnings, false);
+		assert.equal(preferences.getRuntimeSearchPath('Beta'), betaSearchPath);
+		assert.deepEqual(globalBuildPaths, ['/shared/builds']);
+		assert.deepEqual(showWarnings, [false]);
+		assert.equal(readFile('prefs.json').global_build_path, '/shared/builds');
+	});
+
+	test('imported project settings replace each project\'s settings whole', async () => {
+		const { load } = setup({
+			'prefs.json': {
+				version: 2,
+				projectLocalData: {
+					'/projects/a.yyp': { buildConfig: 'Release', profiles: [{ name: 'Old', configName: 'Default', runtimeType: 'VM' }] },
+					'/projects/b.yyp': { buildConfig: 'Debug' }
+				}
+			},
+			'import.json': {
+				version: 2,
+				projectLocalData: {
+					'/projects/a.yyp': { buildConfig: 'Default', profiles: [] }
+				}
+			}
+		});
+
+		const preferences = await load();
+
+		/** @type {string[][]} */
+		const changedPaths = [];
+		preferences.events.on('projectLocalDataChanged', ({ projectPaths }) => changedPaths.push(projectPaths));
+
+		assertOk(await preferences.importFrom('import.json', ['projects']));
+
+		assert.deepEqual(preferences.getLocalProjectPropertiesStore({ path: '/projects/a.yyp' }).load(), { buildConfig: 'Default', profiles: [] });
+		assert.deepEqual(preferences.getLocalProjectPropertiesStore({ path: '/projects/b.yyp' }).load(), { buildConfig: 'Debug' });
+		assert.deepEqual(changedPaths, [['/projects/a.yyp']]);
+	});
+
+	test('files from newer versions or which are not preferences cannot be imported', async () => {
+		const { load } = setup({
+			'prefs.json': { version: 2 },
+			'newer.json': { version: 3 },
+			'broken.json': 'not preferences'
+		});
+
+		const preferences = await load();
+
+		assertErr(await preferences.importFrom('newer.json', ['behaviour']));
+		assertErr(await preferences.importFrom('broken.json', ['behaviour']));
+		assertErr(await preferences.importFrom('missing.json', ['behaviour']));
+	});
+
+	/**
+	 * Every preference, as they were all saved before only changed preferences were.
+	 *
+	 * @returns {Promise<Partial<TPreferences.Data>>}
+	 */
+	async function fullPreferences() {
+		const { load, readFile } = setup({ 'prefs.json': { version: 2 } });
+		const preferences = await load();
+		assertOk(await preferences.exportTo('all.json', PREFERENCES_SECTION_NAMES));
+
+		return readFile('all.json');
+	}
+
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { ProjectProperties } from '../../js/preferences/ProjectProperties.js';
+
+test.suite('ProjectProperties.migratePortableSchema', () => {
+
+	test('unversioned preferences are migrated all the way', () => {
+		/** @type {Partial<TPreferences.Project.PortableData>} */
+		// @ts-expect-error Channels were named differently before the first schema version.
+		const portable = { runtimeReleaseChannel: 'Stable' };
+
+		assert.equal(ProjectProperties.migratePortableSchema(portable), 'migrated');
+		assert.deepEqual(portable, { version: 2, runtimeReleaseChannel: 'Monthly', profiles: [] });
+	});
+
+	test('version 1 gains an empty list of profiles', () => {
+		/** @type {Partial<TPreferences.Project.PortableData>} */
+		const portable = { version: 1, runtimeReleaseChannel: 'LTS 2022', runtimeVersion: '2022.0.3.99' };
+
+		assert.equal(ProjectProperties.migratePortableSchema(portable), 'migrated');
+		assert.deepEqual(portable.profiles, []);
+		assert.equal(portable.version, 2);
+		assert.equal(portable.runtimeVersion, '2022.0.3.99');
+	});
+
+	test('current and newer versions are left alone', () => {
+		assert.equal(ProjectProperties.migratePortableSchema({ version: 2, profiles: [] }), 'up-to-date');
+		assert.equal(ProjectProperties.migratePortableSchema({ version: 3 }), 'plugin-out-of-date');
+	});
+
+});
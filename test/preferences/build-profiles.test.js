@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+	build_profile_create,
+	build_profile_matches,
+	build_profile_settings_get,
+	build_profiles_list
+} from '../../js/preferences/build-profiles.js';
+
+test.suite('build profiles', () => {
+
+	test('current settings fall back to the same defaults as the project properties', () => {
+		assert.deepEqual(build_profile_settings_get({}, {}), {
+			platform: undefined,
+			device: undefined,
+			deviceChannel: undefined,
+			configName: 'Default',
+			runtimeType: 'VM',
+			runtimeReleaseChannel: undefined,
+			runtimeVersion: undefined,
+			runnerArgs: undefined,
+			runnerEnv: undefined
+		});
+	});
+
+	test('a runtime version without a channel is ignored', () => {
+		const settings = build_profile_settings_get({ runtimeVersion: '2024.11.0.179' }, {});
+		assert.equal(settings.runtimeVersion, undefined);
+	});
+
+	test('created profiles leave out unset settings', () => {
+		const profile = build_profile_create('Release Android', {
+			platform: 'Android',
+			device: undefined,
+			configName: 'Release',
+			runtimeType: 'YYC'
+		});
+
+		assert.deepEqual(profile, {
+			name: 'Release Android',
+			platform: 'Android',
+			configName: 'Release',
+			runtimeType: 'YYC'
+		});
+	});
+
+	test('profiles match settings regardless of unset values being null', () => {
+		const settings = build_profile_settings_get(
+			{ runtimeReleaseChannel: 'LTS 2022' },
+			{ platform: 'HTML5', buildConfig: 'Debug' }
+		);
+
+		const profile = build_profile_create('Debug Web', settings);
+		assert(build_profile_matches(profile, settings));
+
+		// GMEdit saves unset keys as null.
+		const saved = /** @type {TPreferences.Project.BuildProfile} */ (/** @type {unknown} */ ({ ...profile, device: null }));
+		assert(build_profile_matches(saved, settings));
+
+		assert(!build_profile_matches(profile, { ...settings, runtimeType: 'YYC' }));
+		assert(!build_profile_matches(profile, { ...settings, runtimeVersion: '2022.0.3.99' }));
+	});
+
+	test('profiles capture the game launch settings for this computer', () => {
+		const settings = build_profile_settings_get(
+			{ runnerArgs: '-shared' },
+			{ runnerArgs: '-skipintro', runnerEnv: 'LEVEL=2' }
+		);
+
+		const profile = build_profile_create('Playtest', settings);
+		assert.equal(profile.runnerArgs, '-skipintro');
+		assert.equal(profile.runnerEnv, 'LEVEL=2');
+
+		assert(!build_profile_matches(profile, { ...settings, runnerEnv: undefined }));
+	});
+
+	test('portable profiles are listed before local ones', () => {
+		const portable = build_profile_create('Shared', { configName: 'Default', runtimeType: 'VM' });
+		const local = build_profile_create('Mine', { configName: 'Default', runtimeType: 'YYC' });
+
+		assert.deepEqual(build_profiles_list({ profiles: [portable] }, { profiles: [local] }), [
+			{ profile: portable, storage: 'portable' },
+			{ profile: local, storage: 'local' }
+		]);
+	});
+
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { PREFERENCES_SECTIONS, PREFERENCES_SECTION_NAMES, preferences_sections_pick } from '../../js/preferences/preferences-sections.js';
+
+test.suite('preferences_sections_pick', () => {
+
+	/** @type {Partial<TPreferences.Data>} */
+	const prefs = {
+		version: 2,
+		showWarnings: false,
+		global_build_path: '/builds',
+		projectLocalData: { '/projects/a.yyp': { buildConfig: 'Default' } }
+	};
+
+	test('picks only the keys of the chosen sections', () => {
+		assert.deepEqual(preferences_sections_pick(prefs, ['behaviour', 'projects']), {
+			version: 2,
+			showWarnings: false,
+			projectLocalData: { '/projects/a.yyp': { buildConfig: 'Default' } }
+		});
+	});
+
+	test('picked values are copies', () => {
+		const picked = preferences_sections_pick(prefs, ['projects']);
+		assert.notStrictEqual(picked.projectLocalData, prefs.projectLocalData);
+	});
+
+	test('no preference is in more than one section', () => {
+		const keys = PREFERENCES_SECTION_NAMES.flatMap(section => PREFERENCES_SECTIONS[section].keys);
+		assert.equal(new Set(keys).size, keys.length);
+	});
+
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { editor_annotations_for_error } from '../../../js/ui/editor-annotations/editor-annotation-locate.js';
+
+test.suite('editor annotation locations', () => {
+
+	test('runtime errors annotate each frame of their call stack', () => {
+		const annotations = editor_annotations_for_error({
+			kind: 'runtime',
+			message: 'Division by zero',
+			stackFrames: [
+				{ script: 'gml_Script_damage_apply@gml_GlobalScript_scr_damage', line: 4 },
+				{ script: 'gml_GlobalScript_scr_combat', line: 12 },
+				{ script: 'gml_Unknown_thing', line: 1 }
+			]
+		});
+
+		assert.deepEqual(annotations.map(({ location, severity }) => ({ location, severity })), [
+			{ location: { file: 'scr_damage', line: 4 }, severity: 'error' },
+			{ location: { file: 'scr_combat', line: 12 }, severity: 'info' }
+		]);
+	});
+
+	test('syntax errors annotate their line', () => {
+		const annotations = editor_annotations_for_error({
+			kind: 'syntax',
+			message: 'malformed assignment',
+			script: 'gml_GlobalScript_scr_test',
+			line: 3,
+			stackFrames: []
+		});
+
+		assert.deepEqual(annotations, [{
+			location: { file: 'scr_test', line: 3 },
+			text: 'malformed assignment',
+			severity: 'error'
+		}]);
+	});
+
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { LogScrollback } from '../../../js/ui/job-output/LogScrollback.js';
+
+test.suite('LogScrollback', () => {
+
+	test('output split across chunks joins into lines', () => {
+		const scrollback = new LogScrollback(0);
+
+		scrollback.append('first li');
+		scrollback.append('ne\nsecond line\n');
+
+		assert.deepEqual(scrollback.getLines(), ['first line', 'second line', '']);
+		assert.equal(scrollback.getText(), 'first line\nsecond line\n');
+	});
+
+	test('the oldest lines are dropped beyond the limit', () => {
+		const scrollback = new LogScrollback(3);
+
+		assert.equal(scrollback.append('a\nb\n'), 0);
+		assert.equal(scrollback.append('c\nd\ne'), 2);
+
+		assert.deepEqual(scrollback.getLines(), ['c', 'd', 'e']);
+		assert.equal(scrollback.firstRow, 2);
+	});
+
+	test('no limit keeps every line', () => {
+		const scrollback = new LogScrollback(0);
+
+		scrollback.append('line\n'.repeat(1000));
+
+		assert.equal(scrollback.getLines().length, 1001);
+		assert.equal(scrollback.firstRow, 0);
+	});
+
+	test('the last row is the line still being written to', () => {
+		const scrollback = new LogScrollback(2);
+
+		assert.equal(scrollback.lastRow, 0);
+
+		scrollback.append('a\nb\nc');
+		assert.equal(scrollback.lastRow, 2);
+		assert.equal(scrollback.firstRow, 1);
+	});
+
+});
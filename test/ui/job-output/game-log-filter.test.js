@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { game_log_filter_create, game_log_format_line } from '../../../js/ui/job-output/game-log-filter.js';
+import { isSome, None } from '../../../js/utils/Option.js';
+
+test.suite('game log filter', () => {
+
+	const lines = [
+		'{"level":"debug","category":"ai","message":"Thinking"}',
+		'{"level":"warn","category":"ai","message":"No path\\nto target"}',
+		'{"level":"error","category":"save","message":"Save file is corrupt"}',
+		'{"level":"info","message":"Level loaded"}',
+		'[player] spawned'
+	].map(game_log_format_line);
+
+	test('structured entries are shown on one line with their level and category', () => {
+		assert.deepEqual(lines, [
+			'[DEBUG] [ai] Thinking',
+			'[WARN] [ai] No path to target',
+			'[ERROR] [save] Save file is corrupt',
+			'[INFO] Level loaded',
+			'[player] spawned'
+		]);
+	});
+
+	test('every line is shown by default', () => {
+		assert.equal(game_log_filter_create('debug', ''), None);
+	});
+
+	test('filtering by level counts unstructured lines as info', () => {
+		const matcher = game_log_filter_create('info', '');
+		assert.ok(isSome(matcher));
+
+		assert.deepEqual(lines.filter(matcher.data), [
+			'[WARN] [ai] No path to target',
+			'[ERROR] [save] Save file is corrupt',
+			'[INFO] Level loaded',
+			'[player] spawned'
+		]);
+	});
+
+	test('filtering by category ignores case', () => {
+		const matcher = game_log_filter_create('debug', 'AI');
+		assert.ok(isSome(matcher));
+
+		assert.deepEqual(lines.filter(matcher.data), [
+			'[DEBUG] [ai] Thinking',
+			'[WARN] [ai] No path to target'
+		]);
+	});
+
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { igor_log_rules } from '../../../js/ui/job-output/igor-log-mode.js';
+
+test.suite('igor_log_rules', () => {
+
+	/**
+	 * Find the token of each line as Ace would, where the first rule in the current state to match
+	 * a line decides its token, and may move to another state for the following lines.
+	 *
+	 * @param {string[]} lines
+	 * @returns {Array<string|undefined>}
+	 */
+	function tokenise(lines) {
+		const rules = igor_log_rules();
+
+		/** @type {keyof typeof rules} */
+		let state = 'start';
+
+		return lines.map(line => {
+			const rule = rules[state].find(it => it.regex.test(line));
+
+			if (rule?.next !== undefined) {
+				state = /** @type {keyof typeof rules} */ (rule.next);
+			}
+
+			return rule?.token;
+		});
+	}
+
+	test('errors and warnings are highlighted', () => {
+		assert.deepEqual(tokenise([
+			'Compile Scripts...',
+			'Error : gml_Script_scr_player(2) : malformed assignment statement',
+			'Warning : gml_Script_scr_player(5) : unused variable'
+		]), [undefined, 'igor_error', 'igor_warning']);
+	});
+
+	test('the game\'s own output is highlighted once it is running', () => {
+		assert.deepEqual(tokenise([
+			'[player] spawned',
+			'Entering main loop.',
+			'[player] spawned',
+			'ERROR in action number 1'
+		]), [undefined, 'igor_step', 'igor_debug', 'igor_error']);
+	});
+
+	test('structured log entries are highlighted by their level', () => {
+		assert.deepEqual(tokenise([
+			'Entering main loop.',
+			'[WARN] [ai] No path to target',
+			'[ERROR] Save file is corrupt',
+			'[INFO] [save] Saved'
+		]), ['igor_step', 'igor_warning', 'igor_error', 'igor_debug']);
+	});
+
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { log_filter_apply, log_filter_create, log_filter_update } from '../../../js/ui/job-output/log-filter.js';
+import { unwrap } from '../../../js/utils/Result.js';
+import { isSome, None } from '../../../js/utils/Option.js';
+
+/**
+ * @param {string} query
+ * @param {boolean} isRegex
+ * @returns {TJobOutput.LineMatcher}
+ */
+function matcherOf(query, isRegex) {
+	const matcher = unwrap(log_filter_create(query, isRegex));
+	assert.ok(isSome(matcher));
+
+	return matcher.data;
+}
+
+test.suite('log filter', () => {
+
+	const log = [
+		'Compile Scripts...',
+		'Warning : gml_Script_scr_player(3) : unused variable',
+		'Entering main loop.',
+		'[player] spawned at 10, 20',
+		'[enemy] spawned at 5, 5'
+	];
+
+	test('an empty filter shows every line', () => {
+		assert.equal(unwrap(log_filter_create('', false)), None);
+	});
+
+	test('plain text filters ignore case', () => {
+		const matcher = matcherOf('SPAWNED', false);
+
+		assert.deepEqual(log_filter_apply(log, matcher, new Set()), {
+			text: '[player] spawned at 10, 20\n[enemy] spawned at 5, 5',
+			rows: [3, 4]
+		});
+	});
+
+	test('regex filters are matched as written', () => {
+		const matcher = matcherOf('^\\[(player|enemy)\\]', true);
+
+		assert.deepEqual(log_filter_apply(log, matcher, new Set()).rows, [3, 4]);
+
+		const caseSensitive = matcherOf('^\\[Player\\]', true);
+
+		assert.deepEqual(log_filter_apply(log, caseSensitive, new Set()).rows, []);
+	});
+
+	test('invalid regexes are an error', () => {
+		assert.equal(log_filter_create('[unclosed', true).ok, false);
+		assert.equal(log_filter_create('[unclosed', false).ok, true);
+	});
+
+	test('pinned lines are shown even when they do not match', () => {
+		const matcher = matcherOf('enemy', false);
+
+		assert.deepEqual(log_filter_apply(log, matcher, new Set([1])).rows, [1, 4]);
+	});
+
+	test('rows count from the first line given', () => {
+		const matcher = matcherOf('enemy', false);
+
+		assert.deepEqual(log_filter_apply(log.slice(1), matcher, new Set([101]), 101).rows, [101, 104]);
+	});
+
+	test('new output only filters the new lines and the line that was in progress', () => {
+		const matches = matcherOf('spawned', false);
+
+		// Row 3 was in progress as '[player] spawn', and rows 0 and 1 have since been dropped.
+		const update = log_filter_update([1, 3], log.slice(2), 2, 3, matches, new Set([2]));
+
+		assert.deepEqual(update, {
+			removedFromStart: 1,
+			removedFromEnd: 1,
+			added: {
+				text: '[player] spawned at 10, 20\n[enemy] spawned at 5, 5',
+				rows: [3, 4]
+			}
+		});
+	});
+
+	test('a line in progress that stops matching is removed', () => {
+		// Row 4 matched while it was only '[enemy] spawned at 5'.
+		const update = log_filter_update([4], log, 0, 4, matcherOf('spawned at 5$', true), new Set());
+
+		assert.deepEqual(update, {
+			removedFromStart: 0,
+			removedFromEnd: 1,
+			added: { text: '', rows: [] }
+		});
+	});
+
+});
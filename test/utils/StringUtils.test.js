@@ -1,6 +1,6 @@
 import assert from 'assert';
 import test from 'node:test';
-import { docString } from '../../js/utils/StringUtils.js';
+import { docString, formatDuration, formatSize } from '../../js/utils/StringUtils.js';
 
 test.suite('docString', () => {
 	test('basic passthru', () => {
@@ -19,3 +19,27 @@ test.suite('docString', () => {
 		`), 'some random text\n    and some more text, more indented\nand yet more, less indented');
 	});
 });
+
+test.suite('formatDuration', () => {
+	test('short durations show tenths of a second', () => {
+		assert.equal(formatDuration(4240), '4.2s');
+		assert.equal(formatDuration(0), '0.0s');
+	});
+
+	test('long durations show minutes and seconds', () => {
+		assert.equal(formatDuration(187_900), '3m 07s');
+		assert.equal(formatDuration(60_000), '1m 00s');
+	});
+});
+
+test.suite('formatSize', () => {
+	test('small sizes show whole bytes', () => {
+		assert.equal(formatSize(512), '512 B');
+		assert.equal(formatSize(0), '0 B');
+	});
+
+	test('larger sizes use the largest fitting unit', () => {
+		assert.equal(formatSize(1536), '1.5 KB');
+		assert.equal(formatSize(3 * 1024 * 1024 * 1024), '3.0 GB');
+	});
+});
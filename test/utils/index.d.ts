@@ -4,9 +4,35 @@ export type MockDiskNode = MockDiskFile | MockDiskDirectory;
 export type MockDiskFile = {
 	type: 'file';
 	data: string;
+
+	/** Last modified time in milliseconds since the epoch, defaulting to `0`. */
+	modifiedTime?: number;
 };
 
 export type MockDiskDirectory = {
 	type: 'directory';
 	entries: Partial<Record<string, MockDiskNode>>;
+
+	/** Last modified time in milliseconds since the epoch, defaulting to `0`. */
+	modifiedTime?: number;
 }
+
+/**
+ * What a fake process does once started.
+ */
+export type FakeProcessScript = {
+	/** Output the process writes to stdout. */
+	stdout?: string;
+
+	/** Size of the chunks the output arrives in. The output arrives all at once if not given. */
+	chunkSize?: number;
+
+	/** Code to exit with once all output is written. The process runs until killed if not given. */
+	exitCode?: number;
+
+	/** Whether the process ignores being asked to stop, exiting only once forcefully killed. */
+	ignoresStop?: boolean;
+
+	/** Error to fail to start with. */
+	spawnError?: Error;
+};
@@ -135,6 +135,110 @@ export class MockDiskIO {
 		return Ok(undefined);
 	}
 
+	/**
+	 * @type {DiskIO['appendFile']}
+	 */
+	appendFile(path, data) {
+		const file = this.traverse(path);
+
+		if (file?.type === 'file') {
+			return this.writeFile(path, file.data + data);
+		}
+
+		return this.writeFile(path, data);
+	}
+
+	/**
+	 * @type {DiskIO['copy']}
+	 */
+	copy(source, destination) {
+		const node = this.traverse(source);
+
+		if (node === undefined) {
+			return Promise.resolve(Err(new BaseError(`The file '${source}' does not exist`)));
+		}
+
+		const segments = this.splitPath(destination);
+		const name = /** @type {string} */ (segments.pop());
+
+		if (segments.length > 0) {
+			const parentResult = this.createDirSync(segments.join(nodePath.sep), true);
+
+			if (!parentResult.ok) {
+				return Promise.resolve(parentResult);
+			}
+		}
+
+		const parent = (segments.length > 0)
+			? this.traverse(segments.join(nodePath.sep))
+			: this.disk;
+
+		assert(parent?.type === 'directory');
+		this.copyInto(parent, name, node);
+
+		return Promise.resolve(Ok(undefined));
+	}
+
+	/**
+	 * Copy a node into a directory. As on a real disk, directories are merged into an existing
+	 * directory of the same name, keeping entries the copy doesn't have.
+	 *
+	 * @private
+	 * @param {import('../index.js').MockDiskDirectory} parent
+	 * @param {string} name
+	 * @param {import('../index.js').MockDiskNode} node
+	 */
+	copyInto(parent, name, node) {
+		const existing = parent.entries[name];
+
+		if (node.type !== 'directory' || existing?.type !== 'directory') {
+			parent.entries[name] = structuredClone(node);
+			return;
+		}
+
+		for (const [entryName, entry] of Object.entries(node.entries)) {
+			if (entry !== undefined) {
+				this.copyInto(existing, entryName, entry);
+			}
+		}
+	}
+
+	/**
+	 * @type {DiskIO['stat']}
+	 */
+	stat(path) {
+		const node = this.traverse(path);
+
+		if (node === undefined) {
+			return Promise.resolve(Err(new BaseError(`The file '${path}' does not exist`)));
+		}
+
+		return Promise.resolve(Ok({
+			isDirectory: node.type === 'directory',
+			size: (node.type === 'file') ? node.data.length : 0,
+			modifiedTime: new Date(node.modifiedTime ?? 0)
+		}));
+	}
+
+	/**
+	 * @type {DiskIO['remove']}
+	 */
+	remove(path) {
+		const segments = this.splitPath(path);
+		const name = /** @type {string} */ (segments.pop());
+
+		const parent = (segments.length > 0)
+			? this.traverse(segments.join(nodePath.sep))
+			: this.disk;
+
+		if (parent?.type !== 'directory' || parent.entries[name] === undefined) {
+			return Promise.resolve(Err(new BaseError(`The file '${path}' does not exist`)));
+		}
+
+		delete parent.entries[name];
+		return Promise.resolve(Ok(undefined));
+	}
+
 	/**
 	 * @private
 	 * @param {string} path
@@ -179,18 +283,20 @@ export class MockDiskIO {
 
 	/**
 	 * @param {import('../index.js').MockDiskDirectory['entries']} entries 
+	 * @param {number} [modifiedTime]
 	 * @returns {import('../index.js').MockDiskDirectory}
 	 */
-	static dir(entries) {
-		return { type: 'directory', entries };
+	static dir(entries, modifiedTime) {
+		return { type: 'directory', entries, modifiedTime };
 	}
 
 	/**
 	 * @param {string} [data]
+	 * @param {number} [modifiedTime]
 	 * @returns {import('../index.js').MockDiskFile}
 	 */
-	static file(data = '') {
-		return { type: 'file', data };
+	static file(data = '', modifiedTime) {
+		return { type: 'file', data, modifiedTime };
 	}
 
 	/**
@@ -80,4 +80,16 @@ test.suite('MockDiskIO', () => {
 		assertOk(await diskIO.writeFile(path, 'hi!'));
 		assert(diskIO.existsSync(path));
 	});
+
+	test('copying a directory into a new parent', async () => {
+		const destination = diskIO.joinPath('copies', 'stuff');
+
+		assertOk(await diskIO.copy('stuff', destination));
+		assert(diskIO.existsSync(diskIO.joinPath(destination, 'nested-directory', 'double-nested-file')));
+		assert(diskIO.existsSync(diskIO.joinPath('stuff', 'nested-file')));
+	});
+
+	test('copying a missing file fails', async () => {
+		assertErr(await diskIO.copy('missing-file', 'copied-file'));
+	});
 });
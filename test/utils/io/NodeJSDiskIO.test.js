@@ -4,6 +4,7 @@ import { fileURLToPath } from 'node:url';
 import assert from 'node:assert';
 import { NodeJSDiskIO } from '../../../js/utils/io/NodeJSDiskIO.js';
 import path from 'node:path';
+import * as os from 'node:os';
 import { assertOk } from '../../index.js';
 
 const pathToThisFile = fileURLToPath(import.meta.url);
@@ -34,4 +35,43 @@ test.suite('NodeJSDiskIO', () => {
 		assert.equal(result.data, comparisonContent);
 	});
 
+	test('writing a file', async () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'constructor-test-'));
+		const filePath = path.join(dir, 'file.txt');
+
+		try {
+			assertOk(await diskIO.writeFile(filePath, 'some content'));
+			assert.equal(fs.readFileSync(filePath).toString(), 'some content');
+		} finally {
+			fs.rmSync(dir, { recursive: true });
+		}
+	});
+
+	test('appending to a file', async () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'constructor-test-'));
+		const filePath = path.join(dir, 'file.txt');
+
+		try {
+			assertOk(await diskIO.appendFile(filePath, 'some '));
+			assertOk(await diskIO.appendFile(filePath, 'content'));
+			assert.equal(fs.readFileSync(filePath).toString(), 'some content');
+		} finally {
+			fs.rmSync(dir, { recursive: true });
+		}
+	});
+
+	test('copying a directory', async () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'constructor-test-'));
+
+		try {
+			fs.mkdirSync(path.join(dir, 'source', 'nested'), { recursive: true });
+			fs.writeFileSync(path.join(dir, 'source', 'nested', 'file.txt'), 'some content');
+
+			assertOk(await diskIO.copy(path.join(dir, 'source'), path.join(dir, 'a', 'copy')));
+			assert.equal(fs.readFileSync(path.join(dir, 'a', 'copy', 'nested', 'file.txt')).toString(), 'some content');
+		} finally {
+			fs.rmSync(dir, { recursive: true });
+		}
+	});
+
 });
@@ -0,0 +1,166 @@
+import { EventEmitter } from 'node:events';
+import { BaseError } from '../../../js/utils/Err.js';
+import { Err } from '../../../js/utils/Result.js';
+
+/**
+ * A process that plays out a script, instead of running anything.
+ * 
+ * @implements {ProcessSpawner.Process}
+ */
+export class FakeProcess extends EventEmitter {
+
+	stdout = new EventEmitter();
+	stderr = new EventEmitter();
+
+	/** @type {number|null} */
+	exitCode = null;
+
+	exited = false;
+
+	/**
+	 * Options the process was started with.
+	 * 
+	 * @type {ProcessSpawner.SpawnOptions|undefined}
+	 */
+	spawnOptions = undefined;
+
+	/**
+	 * @param {number} pid
+	 * @param {string[]} spawnargs
+	 * @param {import('../index.js').FakeProcessScript} script
+	 */
+	constructor(pid, spawnargs, script) {
+		super();
+
+		this.pid = pid;
+		this.spawnargs = spawnargs;
+		this.script = script;
+
+		setImmediate(() => this.run());
+	}
+
+	/**
+	 * @private
+	 */
+	async run() {
+
+		if (this.script.spawnError !== undefined) {
+			this.emit('error', this.script.spawnError);
+			return;
+		}
+
+		this.emit('spawn');
+
+		const stdout = this.script.stdout ?? '';
+		const chunkSize = this.script.chunkSize ?? Math.max(stdout.length, 1);
+
+		for (let i = 0; i < stdout.length; i += chunkSize) {
+
+			await new Promise(resolve => setImmediate(resolve));
+
+			if (this.exited) {
+				return;
+			}
+
+			this.stdout.emit('data', Buffer.from(stdout.slice(i, i + chunkSize)));
+
+		}
+
+		if (this.script.exitCode !== undefined) {
+			await new Promise(resolve => setImmediate(resolve));
+			this.exit(this.script.exitCode);
+		}
+
+	}
+
+	/**
+	 * Stop the process as if it had been killed or exited.
+	 * 
+	 * @param {number|null} code
+	 */
+	exit(code) {
+
+		if (this.exited) {
+			return;
+		}
+
+		this.exited = true;
+		this.exitCode = code;
+		this.emit('exit', code);
+
+	}
+
+}
+
+/**
+ * A process spawner whose processes play out scripts, such as a fake Igor replaying a recorded
+ * build log.
+ * 
+ * @implements {ProcessSpawner}
+ */
+export class FakeProcessSpawner {
+
+	/**
+	 * Every process started, in order.
+	 * 
+	 * @type {FakeProcess[]}
+	 */
+	spawned = [];
+
+	/**
+	 * Every request to kill a process tree, in order.
+	 * 
+	 * @type {{ pid: number, force: boolean }[]}
+	 */
+	kills = [];
+
+	/**
+	 * @private
+	 */
+	nextPid = 1000;
+
+	/**
+	 * @param {(command: string, args: string[]) => import('../index.js').FakeProcessScript} scriptFor
+	 * Decides what each started process does.
+	 */
+	constructor(scriptFor) {
+		/** @private */
+		this.scriptFor = scriptFor;
+	}
+
+	/**
+	 * @param {string} command
+	 * @param {string[]} args
+	 * @param {ProcessSpawner.SpawnOptions} [options]
+	 * @returns {FakeProcess}
+	 */
+	spawn(command, args, options) {
+		const proc = new FakeProcess(this.nextPid ++, [command, ...args], this.scriptFor(command, args));
+		proc.spawnOptions = options;
+		this.spawned.push(proc);
+
+		return proc;
+	}
+
+	/**
+	 * @type {ProcessSpawner['killTree']}
+	 */
+	killTree(pid, force) {
+
+		this.kills.push({ pid, force });
+
+		const proc = this.spawned.find(it => it.pid === pid && !it.exited);
+
+		if (proc === undefined) {
+			return Err(new BaseError(`No running process with PID ${pid}`));
+		}
+
+		if (force || !proc.script.ignoresStop) {
+			setImmediate(() => proc.exit(null));
+		}
+
+		return { ok: true };
+
+	}
+
+}
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { once } from 'node:events';
+import { assertErr, assertOk } from '../../index.js';
+import { FakeProcessSpawner } from './FakeProcessSpawner.js';
+
+test.suite('FakeProcessSpawner', () => {
+
+	test('a process writes its output in chunks, then exits', async () => {
+		const spawner = new FakeProcessSpawner(() => ({ stdout: 'hello world', chunkSize: 4, exitCode: 3 }));
+		const proc = spawner.spawn('igor', ['--', 'Linux', 'Run']);
+
+		/** @type {string[]} */
+		const chunks = [];
+		proc.stdout?.on('data', (chunk) => chunks.push(chunk.toString()));
+
+		await once(proc, 'spawn');
+		const [code] = await once(proc, 'exit');
+
+		assert.deepEqual(proc.spawnargs, ['igor', '--', 'Linux', 'Run']);
+		assert.deepEqual(chunks, ['hell', 'o wo', 'rld']);
+		assert.equal(code, 3);
+		assert.equal(proc.exitCode, 3);
+	});
+
+	test('a process that fails to start gives an error', async () => {
+		const spawner = new FakeProcessSpawner(() => ({ spawnError: new Error('ENOENT') }));
+		const [err] = await once(spawner.spawn('igor', []), 'error');
+
+		assert.equal(err.message, 'ENOENT');
+	});
+
+	test('a process ignoring stop requests only exits when forced', async () => {
+		const spawner = new FakeProcessSpawner(() => ({ ignoresStop: true }));
+		const proc = spawner.spawn('igor', []);
+		const pid = /** @type {number} */ (proc.pid);
+
+		await once(proc, 'spawn');
+
+		assertOk(spawner.killTree(pid, false));
+		await new Promise(resolve => setImmediate(resolve));
+		assert.equal(spawner.spawned[0].exited, false);
+
+		assertOk(spawner.killTree(pid, true));
+		const [code] = await once(proc, 'exit');
+
+		assert.equal(code, null);
+		assertErr(spawner.killTree(pid, true));
+	});
+
+});
@@ -0,0 +1,39 @@
+import assert from 'assert';
+import test from 'node:test';
+import { yy_parse } from '../../js/utils/yy.js';
+import { assertErr, assertOk } from '../index.js';
+
+test.suite('yy_parse', () => {
+	test('parses plain JSON', () => {
+		const result = yy_parse('{"a": [1, 2], "b": "c"}');
+
+		assertOk(result);
+		assert.deepEqual(result.data, { a: [1, 2], b: 'c' });
+	});
+
+	test('allows trailing commas in objects and arrays', () => {
+		const result = yy_parse(`{
+			"configs": {"children": [{"children": [], "name": "Release",},], "name": "Default",},
+			"MetaData": {
+				"IDEVersion": "2024.11.0.179",
+			},
+		}`);
+
+		assertOk(result);
+		assert.deepEqual(result.data, {
+			configs: { children: [{ children: [], name: 'Release' }], name: 'Default' },
+			MetaData: { IDEVersion: '2024.11.0.179' }
+		});
+	});
+
+	test('leaves commas inside strings alone', () => {
+		const result = yy_parse('{"a": "x,}", "b": "quote \\",]",}');
+
+		assertOk(result);
+		assert.deepEqual(result.data, { a: 'x,}', b: 'quote ",]' });
+	});
+
+	test('rejects malformed input', () => {
+		assertErr(yy_parse('{"a": }'));
+	});
+});